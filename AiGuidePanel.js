@@ -0,0 +1,260 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { AI_PROVIDERS, AI_LIMITS, loadAiSettings, saveAiSettings, providerSettings, resolveAiSettings, requestAi } from './aiProviders';
+import { GUIDE_SUGGESTION_TASK } from './aiGuides';
+import { cleanSequence, findInvalidCharacters } from './sequenceUtils';
+import { NUCLEASES } from './crispr';
+
+// --- AiGuidePanel Component ---
+// "Ask AI" for the CRISPR Targeting input: asks the configured AI provider (see aiProviders.js)
+// for guide suggestions with a rationale for each, and shows which of them the local scanner
+// confirms. Confirmed guides link to their row in the results table once the sequence has been
+// analyzed. The provider settings live in this browser only, never in project files.
+
+// Longest sequence sent in a prompt.
+const MAX_SEQUENCE_LENGTH = 20000;
+
+const inputClass = 'p-1 border border-gray-300 rounded-md bg-white text-sm';
+
+const AiGuidePanel = ({ sequenceInput, nucleaseKey, guides, selectedGuideId, onSelectGuide }) => {
+    const [settings, setSettings] = useState(loadAiSettings);
+    const [showSettings, setShowSettings] = useState(false);
+    const [isLoading, setIsLoading] = useState(false);
+    const [status, setStatus] = useState('');
+    const [error, setError] = useState('');
+    // The last answer: { guides, notes, provider, nucleaseKey }.
+    const [result, setResult] = useState(null);
+    const abortRef = useRef(null);
+
+    // Cancel a request still in flight on unmount.
+    useEffect(() => () => {
+        if (abortRef.current) abortRef.current.abort();
+    }, []);
+
+    const updateSettings = (changes) => {
+        const next = { ...settings, ...changes };
+        setSettings(next);
+        saveAiSettings(next);
+    };
+
+    const resolved = resolveAiSettings(settings);
+    const provider = AI_PROVIDERS[resolved.provider];
+
+    const ask = async () => {
+        const sequence = cleanSequence(sequenceInput);
+        if (!sequence) {
+            setError('Please enter a DNA sequence to analyze.');
+            return;
+        }
+        if (findInvalidCharacters(sequence).length > 0) {
+            setError('The sequence has invalid characters; only IUPAC nucleotide codes are allowed.');
+            return;
+        }
+        if (sequence.length > MAX_SEQUENCE_LENGTH) {
+            setError(`AI suggestions are limited to ${MAX_SEQUENCE_LENGTH.toLocaleString()} bp; this sequence is ${sequence.length.toLocaleString()} bp.`);
+            return;
+        }
+
+        const controller = new AbortController();
+        abortRef.current = controller;
+        setIsLoading(true);
+        setError('');
+        setStatus(`Asking ${provider.label}…`);
+        try {
+            const answer = await requestAi(GUIDE_SUGGESTION_TASK, { sequence, nucleaseKey }, settings, {
+                signal: controller.signal,
+                onRetry: ({ attempt, attempts, delayMs, error: failure }) => {
+                    setStatus(`${failure.message} Retrying in ${Math.round(delayMs / 1000)} s (attempt ${attempt} of ${attempts})…`);
+                },
+            });
+            setResult({ ...answer, provider: provider.label, nucleaseKey });
+        } catch (failure) {
+            if (failure.code !== 'cancelled') {
+                console.error('AI guide suggestions failed:', failure);
+                setError(failure.message);
+            }
+        } finally {
+            if (abortRef.current === controller) abortRef.current = null;
+            setIsLoading(false);
+            setStatus('');
+        }
+    };
+
+    const cancel = () => {
+        if (abortRef.current) abortRef.current.abort();
+    };
+
+    // The scanner result row for a confirmed guide, if the sequence has been analyzed.
+    const rowFor = (guide) => guide.site && guides.find(site => (
+        site.nuclease === result.nucleaseKey &&
+        site.strand === guide.strand &&
+        site.start === guide.start &&
+        site.protospacer === guide.protospacer
+    ));
+
+    return (
+        <div className="mt-6 border-t border-gray-200 pt-4">
+            <div className="flex flex-wrap items-center gap-3 mb-2">
+                <h3 className="text-lg font-medium text-gray-700 mr-auto">AI Suggestions</h3>
+                <span className="text-sm text-gray-500">{provider.label}{resolved.model ? ` · ${resolved.model}` : ''}</span>
+                <button className="text-blue-500 hover:text-blue-700 text-sm font-semibold" onClick={() => setShowSettings(!showSettings)}>
+                    {showSettings ? 'Hide settings' : 'Settings'}
+                </button>
+            </div>
+
+            {showSettings && (
+                <div className="mb-3 p-3 border border-gray-200 rounded-md bg-gray-50 text-sm space-y-2">
+                    <div className="flex flex-wrap items-center gap-3">
+                        <label className="text-gray-700">
+                            Provider
+                            <select
+                                className={`${inputClass} ml-1`}
+                                value={resolved.provider}
+                                onChange={(e) => updateSettings({ ...providerSettings(e.target.value), timeoutSeconds: settings.timeoutSeconds, retries: settings.retries })}
+                            >
+                                {Object.entries(AI_PROVIDERS).map(([key, definition]) => (
+                                    <option key={key} value={key}>{definition.label}</option>
+                                ))}
+                            </select>
+                        </label>
+                        {resolved.provider !== 'mock' && (
+                            <>
+                                <label className="text-gray-700">
+                                    Timeout
+                                    <input
+                                        type="number"
+                                        min={AI_LIMITS.timeoutSeconds.min}
+                                        max={AI_LIMITS.timeoutSeconds.max}
+                                        className={`${inputClass} ml-1 w-16`}
+                                        value={settings.timeoutSeconds}
+                                        onChange={(e) => updateSettings({ timeoutSeconds: e.target.value })}
+                                    />
+                                    {' '}s
+                                </label>
+                                <label className="text-gray-700">
+                                    Retries
+                                    <input
+                                        type="number"
+                                        min={AI_LIMITS.retries.min}
+                                        max={AI_LIMITS.retries.max}
+                                        className={`${inputClass} ml-1 w-14`}
+                                        value={settings.retries}
+                                        onChange={(e) => updateSettings({ retries: e.target.value })}
+                                    />
+                                </label>
+                            </>
+                        )}
+                    </div>
+                    {resolved.provider !== 'mock' && (
+                        <div className="grid grid-cols-1 sm:grid-cols-[auto_1fr] gap-x-2 gap-y-1 items-center">
+                            {resolved.provider !== 'local' && (
+                                <>
+                                    <label className="text-gray-700" htmlFor="ai-model">Model</label>
+                                    <input
+                                        id="ai-model"
+                                        className={inputClass}
+                                        placeholder={provider.defaultModel}
+                                        value={settings.model}
+                                        onChange={(e) => updateSettings({ model: e.target.value })}
+                                    />
+                                </>
+                            )}
+                            <label className="text-gray-700" htmlFor="ai-base-url">Base URL</label>
+                            <input
+                                id="ai-base-url"
+                                className={inputClass}
+                                placeholder={provider.defaultBaseUrl}
+                                value={settings.baseUrl}
+                                onChange={(e) => updateSettings({ baseUrl: e.target.value })}
+                            />
+                            {resolved.provider !== 'local' && (
+                                <>
+                                    <label className="text-gray-700" htmlFor="ai-api-key">API key</label>
+                                    <input
+                                        id="ai-api-key"
+                                        type="password"
+                                        autoComplete="off"
+                                        className={inputClass}
+                                        placeholder={provider.needsApiKey ? 'Required' : 'Optional'}
+                                        value={settings.apiKey}
+                                        onChange={(e) => updateSettings({ apiKey: e.target.value })}
+                                    />
+                                </>
+                            )}
+                        </div>
+                    )}
+                    <p className="text-gray-500">
+                        {resolved.provider === 'mock'
+                            ? 'The offline mock answers with the built-in scanner\'s top guides, without any network access.'
+                            : 'Settings are kept in this browser only. Keys typed here or built in from the environment are visible to anyone using this browser or build.'}
+                    </p>
+                </div>
+            )}
+
+            <div className="flex flex-wrap items-center gap-3">
+                <button
+                    onClick={ask}
+                    disabled={isLoading}
+                    className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-6 rounded-md shadow-md transition duration-200 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    {isLoading ? 'Asking AI...' : 'Ask AI'}
+                </button>
+                {isLoading && (
+                    <button onClick={cancel} className="text-red-500 hover:text-red-700 text-sm font-semibold">Cancel</button>
+                )}
+                {status && <span className="text-sm text-gray-600">{status}</span>}
+            </div>
+            {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+
+            {result && (
+                <div className="mt-3 p-3 bg-purple-50 border border-purple-200 rounded-md text-sm text-gray-700">
+                    <p className="mb-2 text-gray-600">
+                        {result.guides.length} guide(s) suggested by {result.provider} for {NUCLEASES[result.nucleaseKey].label};{' '}
+                        {result.guides.filter(guide => guide.site).length} confirmed by the scanner.
+                    </p>
+                    {result.guides.length > 0 && (
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full mb-2">
+                                <thead>
+                                    <tr className="text-left text-gray-600">
+                                        <th className="pr-2 font-medium">Strand</th>
+                                        <th className="pr-2 font-medium">Position</th>
+                                        <th className="pr-2 font-medium">Protospacer (5'→3')</th>
+                                        <th className="pr-2 font-medium">PAM</th>
+                                        <th className="pr-2 font-medium">Check</th>
+                                        <th className="font-medium">Rationale</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {result.guides.map((guide, index) => {
+                                        const row = rowFor(guide);
+                                        return (
+                                            <tr key={index} className={`align-top ${row && row.id === selectedGuideId ? 'bg-purple-100' : ''}`}>
+                                                <td className="pr-2 py-0.5">{guide.strand}</td>
+                                                <td className="pr-2 py-0.5">{guide.start === null ? '?' : guide.start}</td>
+                                                <td className="pr-2 py-0.5 font-mono break-all">{guide.protospacer}</td>
+                                                <td className="pr-2 py-0.5 font-mono">{guide.pam}</td>
+                                                <td className="pr-2 py-0.5">
+                                                    {!guide.site && <span className="text-red-600" title={guide.problem}>✗ {guide.problem}</span>}
+                                                    {guide.site && row && (
+                                                        <button className="text-green-700 hover:underline" onClick={() => onSelectGuide(row.id)}>
+                                                            ✓ rank #{row.rank}
+                                                        </button>
+                                                    )}
+                                                    {guide.site && !row && <span className="text-green-700" title="Analyze the sequence to see its rank">✓ PAM site</span>}
+                                                </td>
+                                                <td className="py-0.5">{guide.rationale}</td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                    {result.notes && <p className="whitespace-pre-wrap">{result.notes}</p>}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AiGuidePanel;
@@ -1,6 +1,47 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-import * as THREE from 'three';
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import React, { useState, useRef, useMemo, useEffect } from 'react';
+import { cleanSequence, findInvalidCharacters } from './sequenceUtils';
+import { NUCLEASES, findPamSites } from './crispr';
+import { rankGuides } from './grnaScoring';
+import CrisprResultsTable from './CrisprResultsTable';
+import OffTargetPanel from './OffTargetPanel';
+import DnaElementEditor from './DnaElementEditor';
+import ThreeDViewer from './ThreeDViewer';
+import { createElement, assembleConstruct } from './construct';
+import { PART_LIBRARY } from './partLibrary';
+import { formatFasta } from './fasta';
+import { formatGenBank } from './genbank';
+import { downloadFile } from './download';
+import { buildSbolDocument, validateSbolDocument, serializeRdfXml, serializeJsonLd } from './sbol';
+import { importDesignFile } from './designImport';
+import { MODEL_FORMATS, MODEL_UNITS, exportScene } from './sceneExport';
+import { defaultRuleConfig, checkDesign } from './designRules';
+import DesignRulesPanel, { IssueLine } from './DesignRulesPanel';
+import AssemblyPlanner from './AssemblyPlanner';
+import RestrictionPanel from './RestrictionPanel';
+import ProjectBar from './ProjectBar';
+import PlasmidMap from './PlasmidMap';
+import OrganoidPanel from './OrganoidPanel';
+import SimulationPanel from './SimulationPanel';
+import OrigamiPanel from './OrigamiPanel';
+import AiGuidePanel from './AiGuidePanel';
+import { defaultOrganoid, buildOrganoid, applyReporters } from './organoidGeometry';
+import { defaultSimulation } from './organoidSimulation';
+import { defaultOrigami, designOrigami } from './origami';
+import { useUndoableState } from './undoHistory';
+import { PROJECT_FILE_EXTENSION, newProjectState, createProjectDocument, readProjectDocument } from './projectFile';
+import {
+    createProjectId, listProjects, loadProject, saveProject, deleteProject, getLastProjectId, setLastProjectId,
+} from './projectStore';
+
+// Name used for the design in exported files.
+const DESIGN_NAME = 'BioSynth_Design';
+
+// Passed to the construct map and 3D viewer when the CRISPR results belong to a different sequence.
+const NO_GUIDES = [];
+
+// Delay between the last change and the autosave of the open project.
+const AUTOSAVE_DELAY_MS = 1000;
+const NEW_PROJECT_NAME = 'Untitled project';
 
 // --- Main App Component ---
 // This is the root component that orchestrates the entire application.
@@ -9,21 +50,137 @@ import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 
 const App = () => {
     // State for managing the list of DNA elements added to the construct.
-    // Each element has an ID, type (e.g., 'Gene', 'Promoter'), and a name.
-    const [dnaElements, setDnaElements] = useState([]);
+    // Each element has an ID, type (e.g., 'Gene', 'Promoter'), a name, a sequence, an
+    // orientation and optional sub-annotations (see construct.js).
+    // The elements and the construct topology ('linear' or 'circular') form one undoable design
+    // value: every DNA Editor change goes through setDesign, so undo/redo can step through them.
+    const [design, setDesign, designHistory] = useUndoableState({ elements: [], topology: 'linear' });
+    const dnaElements = design.elements;
+    const constructTopology = design.topology;
+    const setDnaElements = (elements, options) => setDesign(current => ({ ...current, elements }), options);
+    const setConstructTopology = (topology) => setDesign(current => ({ ...current, topology }));
+    // State for the open project: its id in the project store and its name.
+    const [projectId, setProjectId] = useState(null);
+    const [projectName, setProjectName] = useState(NEW_PROJECT_NAME);
+    // Saved projects ({ id, name, updatedAt }), most recent first.
+    const [projectList, setProjectList] = useState([]);
+    // Autosave status: { state: 'loading' | 'saving' | 'saved' | 'error' | 'unavailable', message }.
+    const [saveStatus, setSaveStatus] = useState({ state: 'loading', message: '' });
+    // True once the project store has loaded, so autosave never overwrites a project unread.
+    const [isProjectStoreReady, setIsProjectStoreReady] = useState(false);
+    // State for messages from the last design import ({ severity, message }).
+    const [importMessages, setImportMessages] = useState([]);
+    // Designs read from a multi-record file, waiting for the user to pick one.
+    const [importCandidates, setImportCandidates] = useState([]);
+    // True while a file is dragged over the import drop zone.
+    const [isDraggingFile, setIsDraggingFile] = useState(false);
+    // State for the element whose inline editor is open (null when none).
+    const [editingElementId, setEditingElementId] = useState(null);
+    // State for the element selected in the DNA Editor or by clicking the 3D helix.
+    const [selectedElementId, setSelectedElementId] = useState(null);
+    // State for the design rule checker's per-rule settings (see designRules.js).
+    const [ruleConfig, setRuleConfig] = useState(defaultRuleConfig);
+    // State for the part currently chosen in the library picker.
+    const [selectedPartId, setSelectedPartId] = useState(PART_LIBRARY[0].id);
     // State for the DNA sequence input by the user for CRISPR analysis.
     const [crisprInputSequence, setCrisprInputSequence] = useState('');
-    // State to store the results returned from the CRISPR analysis (AI model).
-    const [crisprResults, setCrisprResults] = useState('');
-    // State to indicate if the CRISPR analysis is currently in progress.
-    const [isLoadingCrispr, setIsLoadingCrispr] = useState(false);
-    // State to control which 3D visualization is currently active ('dna' or 'organoid').
+    // State for the nuclease (key into NUCLEASES) used when scanning for PAM sites.
+    const [crisprNuclease, setCrisprNuclease] = useState('SpCas9');
+    // State to store the PAM sites found by the local scanner, scored and ranked best-first.
+    const [crisprResults, setCrisprResults] = useState([]);
+    // The sequence `crisprResults` were found on, so they are only overlaid on a matching helix.
+    const [crisprSequence, setCrisprSequence] = useState('');
+    // State for validation or scan errors shown above the results table.
+    const [crisprError, setCrisprError] = useState('');
+    // State for off-target hits of the current guides (null until a search has run).
+    const [offTargetHits, setOffTargetHits] = useState(null);
+    // State for the guide selected in the results table or via an off-target hit.
+    const [selectedGuideId, setSelectedGuideId] = useState(null);
+    // State to control which 3D visualization is currently active ('dna', 'organoid' or 'origami').
     const [viewerType, setViewerType] = useState('dna');
+    // How the helix is coloured: by nucleotide ('base') or by owning element ('element').
+    const [helixColorMode, setHelixColorMode] = useState('base');
+    // Parameters of the organoid model (see organoidGeometry.js).
+    const [organoidParameters, setOrganoidParameters] = useState(defaultOrganoid);
+    // Settings of the organoid growth simulation (see organoidSimulation.js), and the simulated
+    // time step shown in the viewer (null shows the organoid as laid out).
+    const [simulationSettings, setSimulationSettings] = useState(defaultSimulation);
+    const [organoidFrame, setOrganoidFrame] = useState(null);
+    // Settings of the DNA origami designer (see origami.js), scaffold sequence included.
+    const [origamiSettings, setOrigamiSettings] = useState(defaultOrigami);
+    // The 3D viewer's scene, shared so the export panel can write it out.
+    const viewerSceneRef = useRef(null);
+    // 3D export options: format, output units and whether to merge everything into one solid.
+    const [modelFormat, setModelFormat] = useState('STL (binary)');
+    const [modelUnits, setModelUnits] = useState('nm');
+    const [mergeModel, setMergeModel] = useState(false);
+
+    // The assembled construct: full sequence plus per-element coordinates. Memoised so the 3D
+    // viewer only rebuilds the helix when the design actually changes.
+    const construct = useMemo(() => assembleConstruct(dnaElements), [dnaElements]);
+    // Design rule issues, re-checked live as elements or rule settings change.
+    const designIssues = useMemo(() => checkDesign(dnaElements, construct, ruleConfig), [dnaElements, construct, ruleConfig]);
+    // CRISPR results are only drawn on the construct (map and helix) when they were found on it.
+    const overlayGuides = crisprSequence === construct.sequence ? crisprResults : NO_GUIDES;
+    // The organoid is laid out only while it is shown, and re-packed only when its parameters
+    // change; construct edits just re-resolve which reporters the cell types express.
+    const packedOrganoid = useMemo(
+        () => (viewerType === 'organoid' ? buildOrganoid(organoidParameters) : null),
+        [viewerType, organoidParameters],
+    );
+    const organoid = useMemo(() => packedOrganoid && applyReporters(packedOrganoid, dnaElements), [packedOrganoid, dnaElements]);
+    // The origami is likewise only designed while it is shown.
+    const origamiDesign = useMemo(
+        () => (viewerType === 'origami' ? designOrigami(origamiSettings) : null),
+        [viewerType, origamiSettings],
+    );
+    // Everything a project saves, in project-file form (see projectFile.js).
+    const projectState = useMemo(() => ({
+        dnaElements,
+        constructTopology,
+        ruleConfig,
+        crisprInputSequence,
+        crisprNuclease,
+        crisprResults,
+        crisprSequence,
+        viewerType,
+        helixColorMode,
+        organoid: organoidParameters,
+        simulation: simulationSettings,
+        origami: origamiSettings,
+    }), [dnaElements, constructTopology, ruleConfig, crisprInputSequence, crisprNuclease, crisprResults, crisprSequence, viewerType, helixColorMode, organoidParameters, simulationSettings, origamiSettings]);
 
-    // Function to add a new DNA element to the `dnaElements` array.
-    // It creates a unique ID using Date.now() and assigns a default name.
+    // Function to add a new, empty DNA element to the `dnaElements` array and open its editor.
     const addDnaElement = (type) => {
-        setDnaElements([...dnaElements, { id: Date.now(), type, name: `${type} ${dnaElements.length + 1}` }]);
+        const element = createElement(type, `${type} ${dnaElements.length + 1}`);
+        setDnaElements([...dnaElements, element]);
+        setEditingElementId(element.id);
+    };
+
+    // Function to add a copy of a built-in library part to the construct.
+    const addLibraryPart = (partId) => {
+        const part = PART_LIBRARY.find(p => p.id === partId);
+        if (!part) return;
+        setDnaElements([...dnaElements, createElement(part.type, part.name, {
+            sequence: part.sequence,
+            annotations: part.annotations.map(annotation => ({ ...annotation })),
+            partId: part.id,
+        })]);
+    };
+
+    // Function to apply changes (name, sequence, orientation, annotations) to one element.
+    const updateDnaElement = (id, changes) => {
+        // Successive edits of the same field (e.g. typing a name) undo as one step.
+        setDnaElements(dnaElements.map(el => (el.id === id ? { ...el, ...changes } : el)), {
+            mergeKey: `update:${id}:${Object.keys(changes).sort().join(',')}`,
+        });
+    };
+
+    // Moves an element to a new position in the construct (drag-and-drop on the construct map).
+    const moveDnaElement = (id, toIndex) => {
+        const moving = dnaElements.find(el => el.id === id);
+        const others = dnaElements.filter(el => el.id !== id);
+        setDnaElements([...others.slice(0, toIndex), moving, ...others.slice(toIndex)]);
     };
 
     // Function to remove a DNA element from the `dnaElements` array based on its ID.
@@ -31,91 +188,346 @@ const App = () => {
         setDnaElements(dnaElements.filter(el => el.id !== id));
     };
 
-    // Asynchronous function to perform CRISPR analysis using the Gemini API.
-    // This demonstrates interaction with an external AI model.
-    const analyzeCrispr = async () => {
+    // Replaces the current design with elements read from a file, after confirmation.
+    const replaceDesign = (elements, topology) => {
+        if (dnaElements.length > 0 && !window.confirm('Replace the current construct with the imported design?')) {
+            return false;
+        }
+        setDesign({ elements, topology });
+        setEditingElementId(null);
+        return true;
+    };
+
+    // Loads one imported design, reporting its warnings alongside the import summary.
+    const loadImportedDesign = (design, fileName) => {
+        if (replaceDesign(design.elements, design.topology)) {
+            setImportCandidates([]);
+            setImportMessages([
+                { severity: 'info', message: `Imported ${design.elements.length} element(s) from ${fileName}${design.name ? ` (${design.name})` : ''}.` },
+                ...design.messages,
+            ]);
+        }
+    };
+
+    // Imports a GenBank, FASTA, SnapGene or SBOL3 file (format detected from the content).
+    // Files with several records list them so the user can choose which one to load.
+    const importFile = async (file) => {
+        if (!file) return;
+        setImportCandidates([]);
+        try {
+            const { format, designs, messages } = importDesignFile(file.name, await file.arrayBuffer());
+            if (designs.length === 0) {
+                setImportMessages(messages);
+            } else if (designs.length === 1) {
+                loadImportedDesign(designs[0], file.name);
+            } else {
+                setImportCandidates(designs.map(design => ({ ...design, fileName: file.name })));
+                setImportMessages([{ severity: 'info', message: `${file.name} (${format}) contains ${designs.length} designs. Choose one to load.` }, ...messages]);
+            }
+        } catch (error) {
+            console.error('Error importing file:', error);
+            setImportMessages([{ severity: 'error', message: `Could not import ${file.name}: ${error.message}` }]);
+        }
+    };
+
+    const handleImportInput = (event) => {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow re-selecting the same file.
+        importFile(file);
+    };
+
+    const handleImportDrop = (event) => {
+        event.preventDefault();
+        setIsDraggingFile(false);
+        importFile(event.dataTransfer.files[0]);
+    };
+
+    // Copies the assembled construct into the CRISPR Targeting input.
+    const sendConstructToCrispr = () => {
+        setCrisprInputSequence(`>construct\n${construct.sequence}`);
+    };
+
+    // Scans the input sequence for PAM sites of the selected nuclease on both strands,
+    // then scores and ranks the resulting guides.
+    // FASTA headers and whitespace are stripped, and non-IUPAC characters are rejected.
+    const analyzeCrispr = () => {
+        const sequence = cleanSequence(crisprInputSequence);
+        // Replaces the guides and everything tied to the old ones (off-target hits, selection).
+        const showGuides = (sites, guideSequence) => {
+            setCrisprResults(sites);
+            setCrisprSequence(guideSequence);
+            setOffTargetHits(null);
+            setSelectedGuideId(null);
+        };
         // Basic validation: check if the input sequence is empty.
-        if (!crisprInputSequence.trim()) {
-            setCrisprResults('Please enter a DNA sequence to analyze.');
+        if (!sequence) {
+            showGuides([], '');
+            setCrisprError('Please enter a DNA sequence to analyze.');
+            return;
+        }
+        const invalid = findInvalidCharacters(sequence);
+        if (invalid.length > 0) {
+            const examples = invalid.slice(0, 5).map(({ char, position }) => `'${char}' at ${position}`).join(', ');
+            showGuides([], '');
+            setCrisprError(`Invalid characters in sequence: ${examples}${invalid.length > 5 ? ', ...' : ''}. Only IUPAC nucleotide codes are allowed.`);
             return;
         }
 
-        setIsLoadingCrispr(true); // Set loading state to true.
-        setCrisprResults('Analyzing sequence...'); // Provide immediate feedback to the user.
+        const sites = rankGuides(findPamSites(sequence, crisprNuclease));
+        showGuides(sites, sequence);
+        setCrisprError(sites.length === 0 ? `No ${NUCLEASES[crisprNuclease].pam} PAM sites found on either strand.` : '');
+    };
 
-        try {
-            // Construct the prompt for the AI model.
-            // This prompt instructs the AI to identify PAM sites, suggest gRNAs, and predict off-targets.
-            const prompt = `Given the following DNA sequence, identify all "NGG" PAM sites and suggest potential gRNA sequences (20 nucleotides immediately preceding the NGG PAM site, on the 5' to 3' strand). Also, predict any potential off-target sites if the sequence is very short or repetitive, assuming a simple search for similar sequences.
-
-DNA Sequence:
-${crisprInputSequence}
-
-Format your response clearly, listing PAM sites and corresponding gRNAs.`;
-
-            // Prepare the chat history payload for the Gemini API.
-            let chatHistory = [];
-            chatHistory.push({ role: "user", parts: [{ text: prompt }] });
-            const payload = { contents: chatHistory };
-            const apiKey = ""; // API key is provided by the Canvas runtime environment.
-            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-
-            // Make the API call to the Gemini model.
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
+    // Selects a guide (or clears the selection with null) and scrolls its row into view.
+    const selectGuide = (guideId) => {
+        setSelectedGuideId(guideId);
+        const row = guideId && document.getElementById(`guide-row-${guideId}`);
+        if (row) {
+            row.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+    };
 
-            // Handle non-OK HTTP responses from the API.
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`API error: ${response.status} - ${errorData.error.message}`);
-            }
+    // Selects a DNA element (or clears the selection with null) and scrolls it into view in the editor.
+    const selectElement = (elementId) => {
+        setSelectedElementId(elementId);
+        const row = elementId && document.getElementById(`element-row-${elementId}`);
+        if (row) {
+            row.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+    };
 
-            // Parse the JSON response from the API.
-            const result = await response.json();
+    // --- Projects ---
 
-            // Extract the text content from the AI's response.
-            if (result.candidates && result.candidates.length > 0 &&
-                result.candidates[0].content && result.candidates[0].content.parts &&
-                result.candidates[0].content.parts.length > 0) {
-                const text = result.candidates[0].content.parts[0].text;
-                setCrisprResults(text); // Update state with the AI's results.
-            } else {
-                setCrisprResults('No valid response from AI. Please try again.'); // Handle empty or malformed responses.
-            }
+    // Replaces the App state with a loaded project's state and clears anything tied to the old one.
+    const applyProjectState = (state) => {
+        designHistory.reset({ elements: state.dnaElements, topology: state.constructTopology });
+        setRuleConfig(state.ruleConfig);
+        setCrisprInputSequence(state.crisprInputSequence);
+        setCrisprNuclease(state.crisprNuclease);
+        setCrisprResults(state.crisprResults);
+        setCrisprSequence(state.crisprSequence);
+        setViewerType(state.viewerType);
+        setHelixColorMode(state.helixColorMode);
+        setOrganoidParameters(state.organoid);
+        setSimulationSettings(state.simulation);
+        setOrigamiSettings(state.origami);
+        setCrisprError('');
+        setOffTargetHits(null);
+        setSelectedGuideId(null);
+        setSelectedElementId(null);
+        setEditingElementId(null);
+        setImportCandidates([]);
+        setImportMessages([]);
+    };
+
+    // Makes `id` the open project. New projects are written by the next autosave.
+    const showProject = (id, name, state) => {
+        applyProjectState(state);
+        setProjectId(id);
+        setProjectName(name);
+        setLastProjectId(id);
+    };
+
+    // Saves the open project right away (before switching away from it).
+    const saveOpenProject = async () => {
+        if (!isProjectStoreReady || !projectId) return;
+        await saveProject(projectId, projectName, createProjectDocument(projectName, projectState));
+    };
+
+    // Runs a project action, reporting failures the same way everywhere.
+    const runProjectAction = async (description, action) => {
+        try {
+            await action();
+            if (isProjectStoreReady) setProjectList(await listProjects());
         } catch (error) {
-            console.error('Error analyzing CRISPR:', error); // Log detailed error to console.
-            setCrisprResults(`Error: ${error.message}. Could not analyze sequence.`); // Display user-friendly error.
-        } finally {
-            setIsLoadingCrispr(false); // Always reset loading state.
+            console.error(`Error trying to ${description}:`, error);
+            alert(`Could not ${description}: ${error.message}`);
         }
     };
 
-    // Placeholder function for exporting design data.
-    // In a real application, this would trigger file downloads.
+    const openProject = (id) => runProjectAction('open the project', async () => {
+        await saveOpenProject();
+        const document = await loadProject(id);
+        if (!document) throw new Error('it is no longer saved in this browser.');
+        const { name, state } = readProjectDocument(document);
+        showProject(id, name, state);
+    });
+
+    const newProject = () => runProjectAction('create a project', async () => {
+        await saveOpenProject();
+        showProject(createProjectId(), NEW_PROJECT_NAME, newProjectState());
+    });
+
+    const removeProject = () => {
+        if (!window.confirm(`Delete the project "${projectName}" from this browser? This cannot be undone.`)) return;
+        runProjectAction('delete the project', async () => {
+            await deleteProject(projectId);
+            const remaining = (await listProjects()).filter(project => project.id !== projectId);
+            const next = remaining.length > 0 ? readProjectDocument(await loadProject(remaining[0].id)) : null;
+            if (next) showProject(remaining[0].id, next.name, next.state);
+            else showProject(createProjectId(), NEW_PROJECT_NAME, newProjectState());
+        });
+    };
+
+    const exportProject = () => {
+        const fileName = `${projectName.replace(/[^A-Za-z0-9_-]+/g, '_') || 'project'}${PROJECT_FILE_EXTENSION}`;
+        downloadFile(fileName, JSON.stringify(createProjectDocument(projectName, projectState), null, 2), 'application/json');
+    };
+
+    // Imports a project file (any schema version) as a new project.
+    const importProject = (file) => runProjectAction(`import ${file.name}`, async () => {
+        const { name, state } = readProjectDocument(await file.text());
+        await saveOpenProject();
+        showProject(createProjectId(), name, state);
+    });
+
+    // Keep the latest version in a ref so the start-up effect below runs only once.
+    const showProjectRef = useRef(showProject);
+    showProjectRef.current = showProject;
+
+    // On start-up, reopen the last project (or the most recent one) from the project store.
+    useEffect(() => {
+        let cancelled = false;
+        const start = async () => {
+            try {
+                const projects = await listProjects();
+                if (cancelled) return;
+                const lastId = getLastProjectId();
+                const last = projects.find(project => project.id === lastId) || projects[0];
+                const document = last ? await loadProject(last.id) : null;
+                if (cancelled) return;
+                if (document) {
+                    const { name, state } = readProjectDocument(document);
+                    showProjectRef.current(last.id, name, state);
+                } else {
+                    setProjectId(createProjectId());
+                }
+                setProjectList(projects);
+                setIsProjectStoreReady(true);
+                setSaveStatus({ state: 'saved', message: '' });
+            } catch (error) {
+                console.error('Error opening the project store:', error);
+                if (!cancelled) setSaveStatus({ state: 'unavailable', message: error.message });
+            }
+        };
+        start();
+        return () => { cancelled = true; };
+    }, []);
+
+    // Autosave the open project shortly after the last change.
+    useEffect(() => {
+        if (!isProjectStoreReady || !projectId) return undefined;
+        const timer = setTimeout(async () => {
+            setSaveStatus({ state: 'saving', message: '' });
+            try {
+                await saveProject(projectId, projectName, createProjectDocument(projectName, projectState));
+                setProjectList(await listProjects());
+                setSaveStatus({ state: 'saved', message: '' });
+            } catch (error) {
+                console.error('Error autosaving the project:', error);
+                setSaveStatus({ state: 'error', message: error.message });
+            }
+        }, AUTOSAVE_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [isProjectStoreReady, projectId, projectName, projectState]);
+
+    // Ctrl+Z / Cmd+Z undoes the last design change; adding Shift (or Ctrl+Y) redoes it.
+    // Text fields keep their own undo.
+    const { undo: undoDesign, redo: redoDesign } = designHistory;
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+            const target = event.target;
+            if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                undoDesign();
+            } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+                event.preventDefault();
+                redoDesign();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [undoDesign, redoDesign]);
+
+    // Exports the design's sequence formats as downloaded files. The 3D model has its own
+    // export (exportModel) since it is written from the viewer's scene.
     const exportData = (format) => {
-        let dataToExport = '';
-        // Construct mock data based on the selected format.
+        const sequenceFormats = ['FASTA', 'FASTA (parts)', 'GenBank'];
+        if (sequenceFormats.includes(format) && construct.sequence.length === 0) {
+            alert('Add sequences to your DNA elements before exporting.');
+            return;
+        }
+
         switch (format) {
             case 'FASTA':
-                dataToExport = `>BioSynth_Design\n${dnaElements.map(el => el.name).join('\n')}\n\nCRISPR Input:\n${crisprInputSequence}\n\nCRISPR Results:\n${crisprResults}`;
-                break;
+                // Single record: the whole assembled construct.
+                downloadFile(`${DESIGN_NAME}.fasta`, formatFasta([{
+                    id: DESIGN_NAME,
+                    description: `${constructTopology} ${construct.sequence.length} bp`,
+                    sequence: construct.sequence,
+                }]));
+                return;
+            case 'FASTA (parts)':
+                // Multi-record: one record per element, oriented as it sits in the construct.
+                downloadFile(`${DESIGN_NAME}_parts.fasta`, formatFasta(construct.features
+                    .filter(feature => feature.length > 0)
+                    .map(feature => ({
+                        id: feature.name,
+                        description: `${feature.type} ${feature.start}..${feature.end} ${feature.orientation}`,
+                        sequence: construct.sequence.slice(feature.start - 1, feature.end),
+                    }))));
+                return;
             case 'GenBank':
-                dataToExport = `LOCUS       BioSynth_Design\nFEATURES   Source\n            /note="Designed DNA Nanorobot/Organoid"\n${dnaElements.map(el => `     gene            1..${el.name.length}\n                     /gene="${el.name}"`).join('\n')}`;
-                break;
-            case 'SBOL':
-                dataToExport = `<sbol:Collection>\n  <sbol:displayId>BioSynth_Design</sbol:displayId>\n  <sbol:component>${dnaElements.map(el => el.name).join(', ')}</sbol:component>\n</sbol:Collection>`;
-                break;
-            case 'STL':
-                dataToExport = '3D model data (STL format) would be generated here based on the 3D viewer content.';
-                break;
+                downloadFile(`${DESIGN_NAME}.gb`, formatGenBank({
+                    name: DESIGN_NAME,
+                    sequence: construct.sequence,
+                    features: construct.features,
+                    topology: constructTopology,
+                }));
+                return;
+            case 'SBOL3 (RDF/XML)':
+            case 'SBOL3 (JSON-LD)': {
+                if (dnaElements.length === 0) {
+                    alert('Add DNA elements before exporting.');
+                    return;
+                }
+                const sbolDocument = buildSbolDocument({ name: DESIGN_NAME, elements: dnaElements, construct, topology: constructTopology });
+                const errors = validateSbolDocument(sbolDocument).filter(issue => issue.severity === 'error');
+                if (errors.length > 0) {
+                    alert(`SBOL3 validation failed:\n${errors.map(issue => issue.message).join('\n')}`);
+                    return;
+                }
+                if (format === 'SBOL3 (RDF/XML)') {
+                    downloadFile(`${DESIGN_NAME}.xml`, serializeRdfXml(sbolDocument), 'application/rdf+xml');
+                } else {
+                    downloadFile(`${DESIGN_NAME}.jsonld`, serializeJsonLd(sbolDocument), 'application/ld+json');
+                }
+                return;
+            }
             default:
-                dataToExport = 'Unsupported format.';
+                alert(`Unsupported export format: ${format}`);
+        }
+    };
+
+    // Exports the current 3D viewer scene with the chosen format, units and merge option.
+    const exportModel = async () => {
+        if (!viewerSceneRef.current) {
+            alert('The 3D viewer is not ready yet.');
+            return;
+        }
+        try {
+            const { content, extension, mimeType } = await exportScene(viewerSceneRef.current, modelFormat, {
+                units: modelUnits,
+                merge: mergeModel,
+            });
+            downloadFile(`${DESIGN_NAME}_${viewerType}_${modelUnits}.${extension}`, content, mimeType);
+        } catch (error) {
+            console.error('Error exporting 3D model:', error);
+            alert(`Could not export the 3D model: ${error.message}`);
         }
-        console.log(`Exporting as ${format}:\n`, dataToExport); // Log data to console for inspection.
-        alert(`Exporting as ${format}. Check console for data or imagine a download!`); // User feedback.
     };
 
     return (
@@ -132,6 +544,24 @@ Format your response clearly, listing PAM sites and corresponding gRNAs.`;
                 <p className="text-xl text-center mt-2 opacity-90">Design DNA Nanorobots & Organoids</p>
             </header>
 
+            {/* Project toolbar: saved projects, project files and undo/redo */}
+            <ProjectBar
+                projects={projectList}
+                projectId={projectId}
+                projectName={projectName}
+                saveStatus={saveStatus}
+                onRename={setProjectName}
+                onOpen={openProject}
+                onNew={newProject}
+                onDelete={removeProject}
+                onExport={exportProject}
+                onImport={importProject}
+                canUndo={designHistory.canUndo}
+                canRedo={designHistory.canRedo}
+                onUndo={designHistory.undo}
+                onRedo={designHistory.redo}
+            />
+
             {/* Main Content Area - Layout for left and right panels */}
             {/* flex-col lg:flex-row: Stacks vertically on small screens, horizontally on large screens. */}
             {/* flex-grow: Allows this section to take up available vertical space. */}
@@ -182,6 +612,78 @@ Format your response clearly, listing PAM sites and corresponding gRNAs.`;
                             >
                                 Add Linker
                             </button>
+                            <button
+                                onClick={() => addDnaElement('RBS')}
+                                className="bg-teal-500 hover:bg-teal-600 text-white font-bold py-2 px-4 rounded-md shadow-sm transition duration-200 ease-in-out transform hover:scale-105"
+                            >
+                                Add RBS
+                            </button>
+                        </div>
+                        {/* Part library picker: inserts a part with a real sequence and annotations */}
+                        <div className="flex flex-wrap gap-3 mb-6">
+                            <select
+                                className="flex-grow p-2 border border-gray-300 rounded-md bg-white"
+                                value={selectedPartId}
+                                onChange={(e) => setSelectedPartId(e.target.value)}
+                            >
+                                {[...new Set(PART_LIBRARY.map(part => part.type))].map(type => (
+                                    <optgroup key={type} label={type}>
+                                        {PART_LIBRARY.filter(part => part.type === type).map(part => (
+                                            <option key={part.id} value={part.id}>{part.name} ({part.sequence.length} bp)</option>
+                                        ))}
+                                    </optgroup>
+                                ))}
+                            </select>
+                            <button
+                                onClick={() => addLibraryPart(selectedPartId)}
+                                className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-md shadow-sm transition duration-200 ease-in-out"
+                            >
+                                Insert Part
+                            </button>
+                        </div>
+                        {/* File import: drop zone or file picker */}
+                        <div className="mb-6">
+                            <div
+                                onDragOver={(e) => { e.preventDefault(); setIsDraggingFile(true); }}
+                                onDragLeave={() => setIsDraggingFile(false)}
+                                onDrop={handleImportDrop}
+                                className={`border-2 border-dashed rounded-md p-4 text-center text-sm transition duration-200 ease-in-out ${isDraggingFile ? 'border-blue-500 bg-blue-50' : 'border-gray-300 bg-white'}`}
+                            >
+                                <p className="text-gray-700 mb-2">Drop a GenBank, FASTA, SnapGene (.dna) or SBOL3 file here, or</p>
+                                <input
+                                    id="design-import"
+                                    type="file"
+                                    accept=".gb,.gbk,.genbank,.ape,.fasta,.fa,.fna,.txt,.dna,.xml,.rdf,.sbol,.jsonld,.json"
+                                    onChange={handleImportInput}
+                                    className="text-sm"
+                                />
+                            </div>
+                            {importCandidates.length > 0 && (
+                                <ul className="mt-2 space-y-1">
+                                    {importCandidates.map((design, index) => (
+                                        <li key={index}>
+                                            <button
+                                                onClick={() => loadImportedDesign(design, design.fileName)}
+                                                className="text-sm text-blue-600 hover:text-blue-800 underline"
+                                            >
+                                                Load {design.label}
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                            {importMessages.length > 0 && (
+                                <ul className="mt-2 text-sm space-y-1">
+                                    {importMessages.map((item, index) => (
+                                        <li
+                                            key={index}
+                                            className={item.severity === 'error' ? 'text-red-600' : item.severity === 'warning' ? 'text-yellow-700' : 'text-green-700'}
+                                        >
+                                            {item.message}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
                         </div>
                         {/* Display area for current DNA construct elements */}
                         <div className="border border-gray-300 rounded-md p-4 bg-gray-50 min-h-[150px] overflow-y-auto">
@@ -190,45 +692,193 @@ Format your response clearly, listing PAM sites and corresponding gRNAs.`;
                                 <p className="text-gray-500 italic">No elements added yet. Use the buttons above!</p>
                             ) : (
                                 <ul className="space-y-2">
-                                    {dnaElements.map((el) => (
-                                        <li key={el.id} className="flex items-center justify-between bg-white p-3 rounded-md shadow-sm border border-gray-200">
-                                            <span className="font-medium text-gray-800">{el.name} ({el.type})</span>
-                                            <button
-                                                onClick={() => removeDnaElement(el.id)}
-                                                className="text-red-500 hover:text-red-700 text-sm font-semibold ml-4"
-                                            >
-                                                Remove
-                                            </button>
+                                    {dnaElements.map((el, index) => (
+                                        <li
+                                            key={el.id}
+                                            id={`element-row-${el.id}`}
+                                            className={`bg-white p-3 rounded-md shadow-sm border ${selectedElementId === el.id ? 'border-yellow-400 ring-2 ring-yellow-300' : 'border-gray-200'}`}
+                                        >
+                                            <div className="flex items-center justify-between">
+                                                <span
+                                                    className="font-medium text-gray-800 cursor-pointer"
+                                                    title="Show in the 3D viewer"
+                                                    onClick={() => selectElement(selectedElementId === el.id ? null : el.id)}
+                                                >
+                                                    {el.orientation === 'reverse' ? '← ' : '→ '}
+                                                    {el.name} ({el.type})
+                                                    <span className="ml-2 text-sm font-normal text-gray-500">
+                                                        {construct.features[index].length > 0
+                                                            ? `${construct.features[index].start}–${construct.features[index].end} (${construct.features[index].length} bp)`
+                                                            : 'no sequence'}
+                                                    </span>
+                                                </span>
+                                                <span className="flex-shrink-0">
+                                                    <button
+                                                        onClick={() => setEditingElementId(editingElementId === el.id ? null : el.id)}
+                                                        className="text-blue-500 hover:text-blue-700 text-sm font-semibold ml-4"
+                                                    >
+                                                        {editingElementId === el.id ? 'Done' : 'Edit'}
+                                                    </button>
+                                                    <button
+                                                        onClick={() => removeDnaElement(el.id)}
+                                                        className="text-red-500 hover:text-red-700 text-sm font-semibold ml-4"
+                                                    >
+                                                        Remove
+                                                    </button>
+                                                </span>
+                                            </div>
+                                            {designIssues.some(issue => issue.elementId === el.id) && (
+                                                <ul className="mt-2 space-y-1">
+                                                    {designIssues.filter(issue => issue.elementId === el.id).map((issue, issueIndex) => (
+                                                        <IssueLine key={issueIndex} issue={issue} />
+                                                    ))}
+                                                </ul>
+                                            )}
+                                            {editingElementId === el.id && (
+                                                <DnaElementEditor element={el} onChange={(changes) => updateDnaElement(el.id, changes)} />
+                                            )}
                                         </li>
                                     ))}
                                 </ul>
                             )}
                         </div>
+                        {/* Glyph strip and to-scale construct map */}
+                        {dnaElements.length > 0 && (
+                            <PlasmidMap
+                                elements={dnaElements}
+                                construct={construct}
+                                topology={constructTopology}
+                                guides={overlayGuides}
+                                selectedElementId={selectedElementId}
+                                selectedGuideId={selectedGuideId}
+                                designName={DESIGN_NAME}
+                                onSelectElement={selectElement}
+                                onSelectGuide={selectGuide}
+                                onMoveElement={moveDnaElement}
+                                onUpdateElement={updateDnaElement}
+                            />
+                        )}
+                        {/* Design rule checker summary and settings */}
+                        {dnaElements.length > 0 && (
+                            <DesignRulesPanel issues={designIssues} config={ruleConfig} onConfigChange={setRuleConfig} />
+                        )}
+                        {/* Assembled construct sequence */}
+                        {construct.sequence.length > 0 && (
+                            <div className="mt-4">
+                                <div className="flex items-center justify-between mb-2">
+                                    <h3 className="text-lg font-medium text-gray-700">Assembled Sequence ({construct.sequence.length} bp)</h3>
+                                    <select
+                                        className="p-1 border border-gray-300 rounded-md bg-white text-sm"
+                                        value={constructTopology}
+                                        onChange={(e) => setConstructTopology(e.target.value)}
+                                    >
+                                        <option value="linear">Linear</option>
+                                        <option value="circular">Circular</option>
+                                    </select>
+                                    <button
+                                        onClick={sendConstructToCrispr}
+                                        className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-1 px-4 rounded-md shadow-sm transition duration-200"
+                                    >
+                                        Use in CRISPR Targeting
+                                    </button>
+                                </div>
+                                <div className="p-2 bg-gray-50 border border-gray-300 rounded-md max-h-32 overflow-y-auto font-mono text-xs break-all">
+                                    {construct.sequence}
+                                </div>
+                            </div>
+                        )}
                     </div>
 
+                    {/* Assembly Planner Section */}
+                    {construct.sequence.length > 0 && (
+                        <div className="bg-white p-6 rounded-lg shadow-md">
+                            <h2 className="text-2xl font-semibold text-blue-700 mb-4">Assembly Planner</h2>
+                            <AssemblyPlanner
+                                elements={dnaElements}
+                                construct={construct}
+                                topology={constructTopology}
+                                designName={DESIGN_NAME}
+                                onUpdateElement={updateDnaElement}
+                            />
+                        </div>
+                    )}
+
+                    {/* Restriction Analysis Section */}
+                    {construct.sequence.length > 0 && (
+                        <div className="bg-white p-6 rounded-lg shadow-md">
+                            <h2 className="text-2xl font-semibold text-blue-700 mb-4">Restriction Analysis</h2>
+                            <RestrictionPanel sequence={construct.sequence} topology={constructTopology} />
+                        </div>
+                    )}
+
                     {/* CRISPR Targeting Tool Section */}
                     <div className="bg-white p-6 rounded-lg shadow-md flex-grow">
                         <h2 className="text-2xl font-semibold text-blue-700 mb-4">CRISPR Targeting</h2>
                         <p className="text-gray-600 mb-4">Enter a DNA sequence to find PAM sites and design gRNAs.</p>
-                        {/* Textarea for DNA sequence input */}
+                        {/* Nuclease selector: determines the PAM, protospacer length and cut position. */}
+                        <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="crispr-nuclease">Nuclease</label>
+                        <select
+                            id="crispr-nuclease"
+                            className="w-full p-2 border border-gray-300 rounded-md mb-4 bg-white"
+                            value={crisprNuclease}
+                            onChange={(e) => setCrisprNuclease(e.target.value)}
+                        >
+                            {Object.entries(NUCLEASES).map(([key, nuclease]) => (
+                                <option key={key} value={key}>{nuclease.label}</option>
+                            ))}
+                        </select>
+                        {/* Textarea for DNA sequence input (plain or FASTA) */}
                         <textarea
-                            className="w-full p-3 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500 mb-4 resize-y min-h-[100px]"
-                            placeholder="Enter DNA sequence (e.g., ATGCATGCATGC...)"
+                            className="w-full p-3 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500 mb-4 resize-y min-h-[100px] font-mono"
+                            placeholder="Enter DNA sequence or FASTA (e.g., ATGCATGCATGC...)"
                             value={crisprInputSequence}
                             onChange={(e) => setCrisprInputSequence(e.target.value)}
                         ></textarea>
-                        {/* Analyze button */}
-                        <button
-                            onClick={analyzeCrispr}
-                            disabled={isLoadingCrispr} // Button is disabled when analysis is in progress.
-                            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-6 rounded-md shadow-md transition duration-200 ease-in-out transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed"
-                        >
-                            {isLoadingCrispr ? 'Analyzing...' : 'Analyze Sequence'}
-                        </button>
+                        <div className="flex flex-wrap gap-3">
+                            {/* Analyze button: runs the local PAM scanner. */}
+                            <button
+                                onClick={analyzeCrispr}
+                                className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-6 rounded-md shadow-md transition duration-200 ease-in-out transform hover:scale-105"
+                            >
+                                Analyze Sequence
+                            </button>
+                        </div>
                         {/* Display area for CRISPR results */}
-                        <div className="mt-4 p-3 bg-gray-50 border border-gray-300 rounded-md min-h-[100px] overflow-y-auto whitespace-pre-wrap text-sm text-gray-700">
-                            {crisprResults || 'Results will appear here.'}
+                        <div className="mt-4 p-3 bg-gray-50 border border-gray-300 rounded-md min-h-[100px] max-h-96 overflow-y-auto text-sm text-gray-700">
+                            {crisprError && <p className="text-red-600 mb-2">{crisprError}</p>}
+                            {crisprResults.length > 0 ? (
+                                <>
+                                    <p className="mb-2 text-gray-600">{crisprResults.length} PAM site(s) found for {NUCLEASES[crisprResults[0].nuclease].label}.</p>
+                                    <CrisprResultsTable
+                                        sites={crisprResults}
+                                        offTargetHits={offTargetHits}
+                                        selectedGuideId={selectedGuideId}
+                                        onSelectGuide={selectGuide}
+                                    />
+                                </>
+                            ) : (
+                                !crisprError && 'Results will appear here.'
+                            )}
                         </div>
+                        {/* Off-target search over the construct and uploaded references */}
+                        <OffTargetPanel
+                            guides={crisprResults}
+                            sequence={crisprSequence}
+                            construct={construct.sequence}
+                            nucleaseKey={crisprResults.length > 0 ? crisprResults[0].nuclease : crisprNuclease}
+                            hits={offTargetHits}
+                            onHits={setOffTargetHits}
+                            selectedGuideId={selectedGuideId}
+                            onSelectGuide={selectGuide}
+                        />
+                        {/* Optional AI advice, checked against but kept separate from the deterministic results */}
+                        <AiGuidePanel
+                            sequenceInput={crisprInputSequence}
+                            nucleaseKey={crisprNuclease}
+                            guides={crisprResults}
+                            selectedGuideId={selectedGuideId}
+                            onSelectGuide={selectGuide}
+                        />
                     </div>
                 </div>
 
@@ -238,7 +888,7 @@ Format your response clearly, listing PAM sites and corresponding gRNAs.`;
                     <div className="bg-white p-6 rounded-lg shadow-md flex-grow">
                         <h2 className="text-2xl font-semibold text-blue-700 mb-4">3D Viewer</h2>
                         <p className="text-gray-600 mb-4">Visualize your DNA nanostructures or organoids.</p>
-                        {/* Buttons to switch between DNA and Organoid views */}
+                        {/* Buttons to switch between the DNA, Organoid and DNA Origami views */}
                         <div className="flex justify-center gap-4 mb-4">
                             <button
                                 onClick={() => setViewerType('dna')}
@@ -252,9 +902,70 @@ Format your response clearly, listing PAM sites and corresponding gRNAs.`;
                             >
                                 Organoid
                             </button>
+                            <button
+                                onClick={() => setViewerType('origami')}
+                                className={`py-2 px-4 rounded-md font-semibold transition duration-200 ${viewerType === 'origami' ? 'bg-blue-500 text-white shadow-md' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+                            >
+                                DNA Origami
+                            </button>
                         </div>
                         {/* The ThreeDViewer component is rendered here, passing the current viewerType as a prop. */}
-                        <ThreeDViewer type={viewerType} />
+                        {viewerType === 'dna' && (
+                            <div className="flex justify-end items-center gap-2 mb-2 text-sm text-gray-700">
+                                <label htmlFor="helix-color-mode">Colour by</label>
+                                <select
+                                    id="helix-color-mode"
+                                    className="p-1 border border-gray-300 rounded-md bg-white"
+                                    value={helixColorMode}
+                                    onChange={(e) => setHelixColorMode(e.target.value)}
+                                >
+                                    <option value="base">Nucleotide</option>
+                                    <option value="element">Element</option>
+                                </select>
+                            </div>
+                        )}
+                        <ThreeDViewer
+                            type={viewerType}
+                            sceneRef={viewerSceneRef}
+                            sequence={construct.sequence}
+                            features={construct.features}
+                            colorMode={helixColorMode}
+                            guides={overlayGuides}
+                            selectedGuideId={selectedGuideId}
+                            selectedElementId={selectedElementId}
+                            onSelectElement={selectElement}
+                            organoid={organoid}
+                            organoidFrame={organoidFrame}
+                            origamiDesign={origamiDesign}
+                        />
+                        {viewerType === 'organoid' && organoid && (
+                            <OrganoidPanel
+                                parameters={organoidParameters}
+                                organoid={organoid}
+                                reporters={dnaElements.filter(el => el.type === 'Reporter')}
+                                onChange={setOrganoidParameters}
+                            />
+                        )}
+                        {viewerType === 'organoid' && organoid && (
+                            <SimulationPanel
+                                organoidParameters={organoidParameters}
+                                organoid={organoid}
+                                elements={dnaElements}
+                                settings={simulationSettings}
+                                onSettingsChange={setSimulationSettings}
+                                onFrameChange={setOrganoidFrame}
+                                designName={DESIGN_NAME}
+                            />
+                        )}
+                        {viewerType === 'origami' && origamiDesign && (
+                            <OrigamiPanel
+                                settings={origamiSettings}
+                                design={origamiDesign}
+                                constructSequence={construct.sequence}
+                                onChange={setOrigamiSettings}
+                                designName={DESIGN_NAME}
+                            />
+                        )}
                     </div>
 
                     {/* Export Tools Section */}
@@ -269,6 +980,12 @@ Format your response clearly, listing PAM sites and corresponding gRNAs.`;
                             >
                                 Export FASTA
                             </button>
+                            <button
+                                onClick={() => exportData('FASTA (parts)')}
+                                className="bg-gray-700 hover:bg-gray-800 text-white font-bold py-3 px-4 rounded-md shadow-sm transition duration-200 ease-in-out transform hover:scale-105"
+                            >
+                                Export FASTA (parts)
+                            </button>
                             <button
                                 onClick={() => exportData('GenBank')}
                                 className="bg-gray-700 hover:bg-gray-800 text-white font-bold py-3 px-4 rounded-md shadow-sm transition duration-200 ease-in-out transform hover:scale-105"
@@ -276,16 +993,47 @@ Format your response clearly, listing PAM sites and corresponding gRNAs.`;
                                 Export GenBank
                             </button>
                             <button
-                                onClick={() => exportData('SBOL')}
+                                onClick={() => exportData('SBOL3 (RDF/XML)')}
                                 className="bg-gray-700 hover:bg-gray-800 text-white font-bold py-3 px-4 rounded-md shadow-sm transition duration-200 ease-in-out transform hover:scale-105"
                             >
-                                Export SBOL
+                                Export SBOL3 (RDF/XML)
                             </button>
                             <button
-                                onClick={() => exportData('STL')}
+                                onClick={() => exportData('SBOL3 (JSON-LD)')}
                                 className="bg-gray-700 hover:bg-gray-800 text-white font-bold py-3 px-4 rounded-md shadow-sm transition duration-200 ease-in-out transform hover:scale-105"
                             >
-                                Export 3D (STL)
+                                Export SBOL3 (JSON-LD)
+                            </button>
+                        </div>
+                        {/* 3D model export of whatever the viewer currently shows */}
+                        <div className="mt-4 flex flex-wrap items-center gap-3 text-sm">
+                            <select
+                                className="p-2 border border-gray-300 rounded-md bg-white"
+                                value={modelFormat}
+                                onChange={(e) => setModelFormat(e.target.value)}
+                            >
+                                {Object.keys(MODEL_FORMATS).map(format => (
+                                    <option key={format} value={format}>{format}</option>
+                                ))}
+                            </select>
+                            <select
+                                className="p-2 border border-gray-300 rounded-md bg-white"
+                                value={modelUnits}
+                                onChange={(e) => setModelUnits(e.target.value)}
+                            >
+                                {Object.entries(MODEL_UNITS).map(([units, label]) => (
+                                    <option key={units} value={units}>{label}</option>
+                                ))}
+                            </select>
+                            <label className="flex items-center gap-1 text-gray-700">
+                                <input type="checkbox" checked={mergeModel} onChange={(e) => setMergeModel(e.target.checked)} />
+                                Merge into one solid
+                            </label>
+                            <button
+                                onClick={exportModel}
+                                className="bg-gray-700 hover:bg-gray-800 text-white font-bold py-2 px-4 rounded-md shadow-sm transition duration-200 ease-in-out transform hover:scale-105"
+                            >
+                                Export 3D Model
                             </button>
                         </div>
                     </div>
@@ -295,209 +1043,4 @@ Format your response clearly, listing PAM sites and corresponding gRNAs.`;
     );
 };
 
-// --- ThreeDViewer Component ---
-// This component encapsulates all the logic for the 3D visualization using Three.js.
-// It receives a 'type' prop to determine which model to display.
-const ThreeDViewer = ({ type }) => {
-    // useRef hooks to get direct access to DOM elements and Three.js objects.
-    const mountRef = useRef(null); // Reference to the DOM element where the Three.js canvas will be mounted.
-    const sceneRef = useRef(null);
-    const cameraRef = useRef(null);
-    const rendererRef = useRef(null);
-    const controlsRef = useRef(null);
-    const animationFrameIdRef = useRef(null); // To store the ID for requestAnimationFrame for cleanup.
-
-    // useCallback memoizes the animate function to prevent unnecessary re-creations,
-    // which is important for useEffect dependencies.
-    const animate = useCallback(() => {
-        // Render the scene with the camera.
-        if (rendererRef.current && sceneRef.current && cameraRef.current) {
-            rendererRef.current.render(sceneRef.current, cameraRef.current);
-        }
-        // Request the next animation frame, creating a continuous loop.
-        animationFrameIdRef.current = requestAnimationFrame(animate);
-    }, []); // Empty dependency array means this function is created only once.
-
-    // useEffect hook for setting up and tearing down the Three.js scene.
-    // This runs once on component mount and cleans up on unmount.
-    useEffect(() => {
-        const currentMount = mountRef.current;
-        if (!currentMount) return; // Exit if the mount point is not available.
-
-        // --- Three.js Scene Setup ---
-        const scene = new THREE.Scene();
-        sceneRef.current = scene;
-        scene.background = new THREE.Color(0xf0f0f0); // Set a light gray background color.
-
-        // Camera setup: PerspectiveCamera with field of view, aspect ratio, near and far clipping planes.
-        const camera = new THREE.PerspectiveCamera(75, currentMount.clientWidth / currentMount.clientHeight, 0.1, 1000);
-        cameraRef.current = camera;
-        camera.position.z = 5; // Position the camera back from the origin.
-
-        // Renderer setup: WebGLRenderer for rendering 3D graphics.
-        const renderer = new THREE.WebGLRenderer({ antialias: true }); // antialias for smoother edges.
-        rendererRef.current = renderer;
-        renderer.setSize(currentMount.clientWidth, currentMount.clientHeight); // Set renderer size to container size.
-        renderer.setPixelRatio(window.devicePixelRatio); // Adjust for high-DPI screens.
-        currentMount.appendChild(renderer.domElement); // Add the renderer's canvas to the DOM.
-
-        // OrbitControls setup: Allows interactive camera control (rotate, pan, zoom).
-        const controls = new OrbitControls(camera, renderer.domElement);
-        controlsRef.current = controls;
-        controls.enableDamping = true; // Enables smooth camera movement.
-        controls.dampingFactor = 0.25;
-        controls.screenSpacePanning = false; // Prevents panning in screen space.
-        controls.maxPolarAngle = Math.PI / 2; // Restricts vertical rotation to prevent going "underground".
-
-        // Lighting: Essential for seeing 3D objects.
-        const ambientLight = new THREE.AmbientLight(0xffffff, 0.6); // Soft, general light from all directions.
-        scene.add(ambientLight);
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8); // Light from a specific direction.
-        directionalLight.position.set(0, 10, 5).normalize(); // Position and normalize for consistent intensity.
-        scene.add(directionalLight);
-
-        // Handle window resize events to make the 3D canvas responsive.
-        const onWindowResize = () => {
-            if (currentMount && cameraRef.current && rendererRef.current) {
-                cameraRef.current.aspect = currentMount.clientWidth / currentMount.clientHeight; // Update aspect ratio.
-                cameraRef.current.updateProjectionMatrix(); // Recalculate projection matrix.
-                rendererRef.current.setSize(currentMount.clientWidth, currentMount.clientHeight); // Resize renderer.
-            }
-        };
-        window.addEventListener('resize', onWindowResize); // Attach event listener.
-
-        // Start the animation loop.
-        animate();
-
-        // Cleanup function for useEffect. This runs when the component unmounts.
-        return () => {
-            cancelAnimationFrame(animationFrameIdRef.current); // Stop the animation loop.
-            window.removeEventListener('resize', onWindowResize); // Remove resize listener.
-            if (currentMount && renderer.domElement) {
-                currentMount.removeChild(renderer.domElement); // Remove canvas from DOM.
-            }
-            renderer.dispose(); // Dispose of the WebGL renderer's resources.
-            controls.dispose(); // Dispose of OrbitControls resources.
-            // Dispose of all Three.js objects in the scene to prevent memory leaks.
-            scene.traverse((object) => {
-                if (object.isMesh) {
-                    object.geometry.dispose(); // Dispose of geometry.
-                    if (object.material.isMaterial) {
-                        object.material.dispose(); // Dispose of material (single).
-                    } else if (Array.isArray(object.material)) {
-                        object.material.forEach(material => material.dispose()); // Dispose of materials (array).
-                    }
-                }
-            });
-        };
-    }, [animate]); // Dependency array: `animate` is included because it's a `useCallback` dependency.
-
-    // useEffect hook to update the 3D model when the `type` prop changes.
-    useEffect(() => {
-        // Clear all previous objects from the scene before adding new ones.
-        if (sceneRef.current) {
-            while (sceneRef.current.children.length > 0) {
-                const object = sceneRef.current.children[0];
-                if (object.isMesh) {
-                    object.geometry.dispose();
-                    if (object.material.isMaterial) {
-                        object.material.dispose();
-                    } else if (Array.isArray(object.material)) {
-                        object.material.forEach(material => material.dispose());
-                    }
-                }
-                sceneRef.current.remove(object);
-            }
-            // Re-add lighting after clearing the scene, as lights were also removed.
-            const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
-            sceneRef.current.add(ambientLight);
-            const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-            directionalLight.position.set(0, 10, 5).normalize();
-            sceneRef.current.add(directionalLight);
-        }
-
-        // Add new 3D object based on the `type` prop.
-        if (sceneRef.current) {
-            if (type === 'dna') {
-                // --- Simple DNA Helix Visualization ---
-                // Materials for the DNA backbone and base pairs.
-                const material = new THREE.MeshPhongMaterial({ color: 0x007bff, shininess: 80 }); // Blue for backbone.
-                const baseMaterial = new THREE.MeshPhongMaterial({ color: 0x800080, shininess: 80 }); // Purple for bases.
-                const radius = 1; // Radius of the helix.
-                const height = 4; // Total height of the helix.
-                const numSegments = 30; // Number of segments (turns) in the helix.
-                const segmentHeight = height / numSegments; // Height of each segment.
-
-                // Loop to create the helix structure.
-                for (let i = 0; i <= numSegments; i++) {
-                    const angle1 = (i / numSegments) * Math.PI * 8; // Angle for one strand (4 full rotations).
-                    // Position for the first backbone cylinder.
-                    const cylinderGeometry = new THREE.CylinderGeometry(0.05, 0.05, segmentHeight + 0.1, 8);
-                    const cylinder1 = new THREE.Mesh(cylinderGeometry, material);
-                    cylinder1.position.set(radius * Math.cos(angle1), radius * Math.sin(angle1), i * segmentHeight - height / 2);
-                    sceneRef.current.add(cylinder1);
-
-                    // Position for the second backbone cylinder (opposite side of the helix).
-                    const cylinder2 = new THREE.Mesh(cylinderGeometry, material);
-                    cylinder2.position.set(radius * Math.cos(angle1 + Math.PI), radius * Math.sin(angle1 + Math.PI), i * segmentHeight - height / 2);
-                    sceneRef.current.add(cylinder2);
-
-                    // Base pairs (connecting cylinders between strands).
-                    if (i < numSegments) {
-                        const basePairGeometry = new THREE.CylinderGeometry(0.03, 0.03, radius * 2, 8);
-                        const basePair = new THREE.Mesh(basePairGeometry, baseMaterial);
-                        basePair.position.set(0, 0, (i + 0.5) * segmentHeight - height / 2);
-                        basePair.rotation.z = angle1 + Math.PI / 2; // Rotate to correctly connect the strands.
-                        sceneRef.current.add(basePair);
-                    }
-                }
-
-                // Add a simple sphere to represent a nanorobot core at the base of the helix.
-                const coreGeometry = new THREE.SphereGeometry(0.3, 32, 32);
-                const coreMaterial = new THREE.MeshPhongMaterial({ color: 0xffa500, shininess: 100 }); // Orange core.
-                const core = new THREE.Mesh(coreGeometry, coreMaterial);
-                core.position.z = -height / 2;
-                sceneRef.current.add(core);
-
-            } else if (type === 'organoid') {
-                // --- Simple Organoid Visualization (layered spheres) ---
-                // Core layer of the organoid.
-                const coreGeometry = new THREE.SphereGeometry(1.0, 32, 32);
-                const coreMaterial = new THREE.MeshPhongMaterial({ color: 0xff6347, transparent: true, opacity: 0.8, shininess: 50 }); // Tomato red, semi-transparent.
-                const core = new THREE.Mesh(coreGeometry, coreMaterial);
-                sceneRef.current.add(core);
-
-                // Outer layer of the organoid.
-                const outerLayerGeometry = new THREE.SphereGeometry(1.2, 32, 32);
-                const outerLayerMaterial = new THREE.MeshPhongMaterial({ color: 0x4682b4, transparent: true, opacity: 0.6, shininess: 50 }); // Steel blue, more transparent.
-                const outerLayer = new THREE.Mesh(outerLayerGeometry, outerLayerMaterial);
-                sceneRef.current.add(outerLayer);
-
-                // Small spheres representing individual cells within the organoid.
-                const cellsGeometry = new THREE.SphereGeometry(0.1, 16, 16);
-                const cellMaterial = new THREE.MeshPhongMaterial({ color: 0x90ee90, shininess: 30 }); // Light green cells.
-
-                // Add 50 random "cells" inside the organoid.
-                for (let i = 0; i < 50; i++) {
-                    const cell = new THREE.Mesh(cellsGeometry, cellMaterial);
-                    // Random spherical coordinates for cell placement.
-                    const phi = Math.random() * Math.PI * 2;
-                    const theta = Math.random() * Math.PI;
-                    const r = Math.random() * 0.8; // Random radius within the core for distribution.
-                    cell.position.set(
-                        r * Math.sin(theta) * Math.cos(phi),
-                        r * Math.sin(theta) * Math.sin(phi),
-                        r * Math.cos(theta)
-                    );
-                    sceneRef.current.add(cell);
-                }
-            }
-        }
-    }, [type]); // Dependency array: This effect re-runs whenever the `type` prop changes.
-
-    // The component's render method returns a div that serves as the mount point for the Three.js canvas.
-    // Tailwind CSS classes are used for styling this container.
-    return <div ref={mountRef} className="w-full h-96 rounded-md overflow-hidden border border-gray-300 bg-gray-200"></div>;
-};
-
 export default App;
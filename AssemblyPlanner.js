@@ -0,0 +1,217 @@
+import React, { useState, useMemo } from 'react';
+import {
+    ASSEMBLY_METHODS, TYPE_IIS_ENZYMES, DEFAULT_GOLDEN_GATE_OPTIONS, DEFAULT_GIBSON_OPTIONS, planAssembly,
+} from './assembly';
+import { formatPrimerCsv, formatProtocolHtml } from './assemblyProtocol';
+import { downloadFile } from './download';
+
+// --- AssemblyPlanner Component ---
+// Plans Golden Gate or Gibson/HiFi cloning of the current construct and shows the fragments,
+// junctions and primers. Internal Type IIS sites in coding parts can be fixed in place with a
+// synonymous codon change (through `onUpdateElement`). The plan downloads as a CSV primer order
+// sheet or opens as a printable protocol.
+
+// A labelled number input for one planner option.
+const NumberOption = ({ label, value, onChange, min, max }) => (
+    <label className="text-gray-700">
+        {label}
+        <input
+            type="number"
+            min={min}
+            max={max}
+            value={value}
+            onChange={(e) => e.target.value !== '' && onChange(Number(e.target.value))}
+            className="ml-2 w-16 p-1 border border-gray-300 rounded-md"
+        />
+    </label>
+);
+
+const AssemblyPlanner = ({ elements, construct, topology, designName, onUpdateElement }) => {
+    const [method, setMethod] = useState(ASSEMBLY_METHODS[0]);
+    const [goldenGateOptions, setGoldenGateOptions] = useState(DEFAULT_GOLDEN_GATE_OPTIONS);
+    const [gibsonOptions, setGibsonOptions] = useState(DEFAULT_GIBSON_OPTIONS);
+
+    const options = method === 'Gibson' ? gibsonOptions : goldenGateOptions;
+    const setOption = (key, value) => (method === 'Gibson' ? setGibsonOptions : setGoldenGateOptions)({ ...options, [key]: value });
+
+    const plan = useMemo(
+        () => planAssembly(method, elements, construct, topology, options),
+        [method, elements, construct, topology, options],
+    );
+
+    const applyFix = (site) => {
+        onUpdateElement(site.elementId, { sequence: site.fix.sequence });
+    };
+
+    const downloadPrimers = () => {
+        downloadFile(`${designName}_${method.replace(/\s+/g, '')}_primers.csv`, formatPrimerCsv(plan, designName), 'text/csv');
+    };
+
+    const printProtocol = () => {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            alert('Allow pop-ups for this page to print the protocol.');
+            return;
+        }
+        printWindow.document.write(formatProtocolHtml(plan, designName));
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+    };
+
+    const canExport = plan.errors.length === 0 && plan.primers.length > 0;
+
+    return (
+        <div className="space-y-3 text-sm">
+            <div className="flex flex-wrap gap-3 items-center">
+                <label className="text-gray-700">
+                    Method
+                    <select
+                        className="ml-2 p-1 border border-gray-300 rounded-md bg-white"
+                        value={method}
+                        onChange={(e) => setMethod(e.target.value)}
+                    >
+                        {ASSEMBLY_METHODS.map(name => <option key={name} value={name}>{name === 'Gibson' ? 'Gibson / HiFi' : name}</option>)}
+                    </select>
+                </label>
+                {method === 'Golden Gate' ? (
+                    <>
+                        <label className="text-gray-700">
+                            Enzyme
+                            <select
+                                className="ml-2 p-1 border border-gray-300 rounded-md bg-white"
+                                value={goldenGateOptions.enzyme}
+                                onChange={(e) => setOption('enzyme', e.target.value)}
+                            >
+                                {Object.keys(TYPE_IIS_ENZYMES).map(name => <option key={name} value={name}>{name}</option>)}
+                            </select>
+                        </label>
+                        <NumberOption label="Overhang window (bp)" value={goldenGateOptions.window} min={4} max={30} onChange={(value) => setOption('window', value)} />
+                        {topology === 'linear' && ['vectorLeft', 'vectorRight'].map(key => (
+                            <label key={key} className="text-gray-700">
+                                {key === 'vectorLeft' ? 'Vector 5′ overhang' : 'Vector 3′ overhang'}
+                                <input
+                                    maxLength={4}
+                                    value={goldenGateOptions[key]}
+                                    onChange={(e) => setOption(key, e.target.value.toUpperCase())}
+                                    className="ml-2 w-16 p-1 border border-gray-300 rounded-md font-mono"
+                                />
+                            </label>
+                        ))}
+                    </>
+                ) : (
+                    <>
+                        <NumberOption label="Overlap Tm (°C)" value={gibsonOptions.overlapTm} min={40} max={70} onChange={(value) => setOption('overlapTm', value)} />
+                        <NumberOption label="Overlap min (bp)" value={gibsonOptions.minOverlap} min={10} max={60} onChange={(value) => setOption('minOverlap', value)} />
+                        <NumberOption label="max (bp)" value={gibsonOptions.maxOverlap} min={10} max={80} onChange={(value) => setOption('maxOverlap', value)} />
+                    </>
+                )}
+                <NumberOption label="Primer Tm (°C)" value={options.primerTm} min={45} max={72} onChange={(value) => setOption('primerTm', value)} />
+            </div>
+            {method === 'Gibson' && topology === 'linear' && (
+                <div className="flex flex-wrap gap-3">
+                    {['vectorLeft', 'vectorRight'].map(key => (
+                        <label key={key} className="text-gray-700 flex-grow">
+                            {key === 'vectorLeft' ? 'Vector homology upstream' : 'Vector homology downstream'}
+                            <input
+                                value={gibsonOptions[key]}
+                                placeholder="optional, ~20-30 nt"
+                                onChange={(e) => setOption(key, e.target.value.toUpperCase())}
+                                className="ml-2 w-full p-1 border border-gray-300 rounded-md font-mono text-xs"
+                            />
+                        </label>
+                    ))}
+                </div>
+            )}
+
+            {plan.errors.map((error, index) => <p key={`e${index}`} className="text-red-600">{error}</p>)}
+            {plan.warnings.map((warning, index) => <p key={`w${index}`} className="text-yellow-700">{warning}</p>)}
+
+            {plan.domestication.length > 0 && (
+                <div>
+                    <h4 className="font-semibold text-gray-700 mb-1">Domestication</h4>
+                    <ul className="space-y-1">
+                        {plan.domestication.map(site => (
+                            <li key={`${site.start}${site.strand}`} className="flex items-center justify-between gap-2">
+                                <span>
+                                    {site.enzyme} site at {site.position} ({site.strand} strand)
+                                    {site.elementName ? ` in '${site.elementName}'` : ' across a part boundary'}
+                                    {site.fix
+                                        ? `: codon ${site.fix.codon} ${site.fix.from} → ${site.fix.to} (${site.fix.aminoAcid}) removes it.`
+                                        : ': no synonymous fix; change it by hand.'}
+                                </span>
+                                {site.fix && (
+                                    <button
+                                        onClick={() => applyFix(site)}
+                                        className="text-blue-500 hover:text-blue-700 font-semibold flex-shrink-0"
+                                    >
+                                        Apply
+                                    </button>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            {plan.fragments.length > 0 && (
+                <div className="overflow-x-auto">
+                    <table className="min-w-full text-xs border border-gray-200">
+                        <thead className="bg-gray-100">
+                            <tr>
+                                <th className="p-1 text-left">Fragment</th>
+                                <th className="p-1 text-left">Type</th>
+                                <th className="p-1 text-left">Product</th>
+                                <th className="p-1 text-left">Primer / oligo</th>
+                                <th className="p-1 text-left">Sequence (5′→3′)</th>
+                                <th className="p-1 text-left">Tm</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {plan.fragments.flatMap(fragment => fragment.primers.map((primer, index) => (
+                                <tr key={primer.name} className="border-t border-gray-200 align-top">
+                                    <td className="p-1">{index === 0 ? fragment.name : ''}</td>
+                                    <td className="p-1">{index === 0 ? fragment.kind : ''}</td>
+                                    <td className="p-1">{index === 0 ? `${fragment.product.length} bp` : ''}</td>
+                                    <td className="p-1 whitespace-nowrap">{primer.name}</td>
+                                    <td className="p-1 font-mono break-all">{primer.sequence}</td>
+                                    <td className="p-1">{primer.tm === null ? '—' : primer.tm.toFixed(1)}</td>
+                                </tr>
+                            )))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+            {plan.junctions.length > 0 && (
+                <p className="text-gray-700">
+                    {method === 'Gibson' ? 'Overlaps' : 'Overhangs'}:{' '}
+                    {plan.junctions.map(junction => (
+                        <span key={junction.index} className="inline-block mr-3" title={junction.between}>
+                            <span className="font-mono">{junction.sequence}</span>
+                            {junction.tm !== undefined && ` (${junction.tm.toFixed(1)} °C)`}
+                        </span>
+                    ))}
+                </p>
+            )}
+
+            <div className="flex gap-2">
+                <button
+                    onClick={downloadPrimers}
+                    disabled={!canExport}
+                    className="bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white font-bold py-1 px-4 rounded-md shadow-sm transition duration-200"
+                >
+                    Primer Order Sheet (CSV)
+                </button>
+                <button
+                    onClick={printProtocol}
+                    disabled={!canExport}
+                    className="bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white font-bold py-1 px-4 rounded-md shadow-sm transition duration-200"
+                >
+                    Print Protocol
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default AssemblyPlanner;
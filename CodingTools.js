@@ -0,0 +1,233 @@
+import React, { useState } from 'react';
+import { CODON_USAGE_TABLES } from './codonUsage';
+import {
+    sixFrameTranslation, longestOpenStretch, codonAdaptationIndex, parseProtein, proteinFromCds,
+    parseAvoidList, optimizeCodons, codonChanges, translate,
+} from './codonOptimization';
+import { gcContent } from './sequenceUtils';
+
+// --- CodingTools Component ---
+// Translation and codon optimization for a coding element (Gene or Reporter), shown in its
+// editor. The optimizer re-encodes the element's CDS, or a pasted protein, for a host; applying
+// the result replaces the element's sequence and keeps the sequence it replaced as
+// `originalSequence`, so the changes can be reviewed codon by codon and undone.
+
+const inputClass = 'p-1 border border-gray-300 rounded-md bg-white';
+// Codon changes listed at once in the comparison with the original.
+const MAX_LISTED_CHANGES = 200;
+
+const percent = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+const formatCai = (cai) => (cai === null ? '—' : cai.toFixed(3));
+
+// A protein with its stop codons highlighted.
+const ProteinText = ({ protein }) => (
+    <span className="font-mono text-xs break-all">
+        {protein.split('*').map((part, index) => (
+            <React.Fragment key={index}>
+                {index > 0 && <span className="bg-red-200 text-red-700 font-bold">*</span>}
+                {part}
+            </React.Fragment>
+        ))}
+    </span>
+);
+
+const CodingTools = ({ element, onReplaceSequence }) => {
+    const [showFrames, setShowFrames] = useState(false);
+    const [host, setHost] = useState('ecoli');
+    const [source, setSource] = useState('cds');
+    const [proteinInput, setProteinInput] = useState('');
+    const [avoidInput, setAvoidInput] = useState('BsaI, BsmBI');
+    const [maxHomopolymer, setMaxHomopolymer] = useState(6);
+    const [error, setError] = useState('');
+    // The last optimization, not yet applied: { sequence, cai, gc, unresolved, unknown, host }.
+    const [result, setResult] = useState(null);
+    const [showChanges, setShowChanges] = useState(false);
+
+    const sequence = element.sequence.toUpperCase();
+
+    const optimize = () => {
+        const { protein, error: proteinError } = source === 'cds' ? proteinFromCds(sequence) : parseProtein(proteinInput);
+        if (proteinError) {
+            setError(proteinError);
+            setResult(null);
+            return;
+        }
+        const { sites, unknown } = parseAvoidList(avoidInput);
+        const limit = Math.max(2, Math.round(Number(maxHomopolymer)) || 6);
+        setError('');
+        setResult({ ...optimizeCodons(protein, host, { avoidSites: sites, maxHomopolymer: limit }), unknown, host });
+    };
+
+    const apply = () => {
+        // Keep the very first sequence as the original across repeated optimizations.
+        const original = element.originalSequence !== undefined ? element.originalSequence : sequence;
+        onReplaceSequence(result.sequence, { originalSequence: original || undefined });
+        setResult(null);
+    };
+
+    const restoreOriginal = () => {
+        onReplaceSequence(element.originalSequence, { originalSequence: undefined });
+    };
+
+    const hasCds = sequence.length > 0 && sequence.length % 3 === 0;
+    const changes = element.originalSequence ? codonChanges(element.originalSequence, sequence) : [];
+
+    return (
+        <div className="border border-gray-200 rounded-md p-3 bg-gray-50 space-y-3">
+            {/* Six-frame translation */}
+            <div>
+                <div className="flex items-center gap-3">
+                    <p className="text-gray-700 font-semibold mr-auto">Translation</p>
+                    <button className="text-blue-500 hover:text-blue-700 font-semibold" onClick={() => setShowFrames(!showFrames)}>
+                        {showFrames ? 'Hide frames' : 'Show six frames'}
+                    </button>
+                </div>
+                {!showFrames && hasCds && (
+                    <p className="mt-1"><span className="text-gray-600">+1: </span><ProteinText protein={translate(sequence)} /></p>
+                )}
+                {showFrames && (
+                    <table className="mt-1 w-full">
+                        <tbody>
+                            {sixFrameTranslation(sequence).map(frame => (
+                                <tr key={frame.label} className="align-top">
+                                    <td className="pr-2 text-gray-600 whitespace-nowrap">{frame.label}</td>
+                                    <td className="pr-2"><ProteinText protein={frame.protein} /></td>
+                                    <td className="text-gray-500 whitespace-nowrap" title="Longest stretch without a stop codon">
+                                        {longestOpenStretch(frame.protein)} aa
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            {/* Codon optimizer */}
+            <div>
+                <p className="text-gray-700 font-semibold mb-1">Codon optimization</p>
+                <div className="flex flex-wrap items-center gap-3 mb-2">
+                    <label className="text-gray-700">
+                        Host
+                        <select className={`${inputClass} ml-2`} value={host} onChange={(e) => setHost(e.target.value)}>
+                            {Object.entries(CODON_USAGE_TABLES).map(([key, table]) => <option key={key} value={key}>{table.label}</option>)}
+                        </select>
+                    </label>
+                    <label className="text-gray-700">
+                        From
+                        <select className={`${inputClass} ml-2`} value={source} onChange={(e) => setSource(e.target.value)}>
+                            <option value="cds">This element's CDS</option>
+                            <option value="protein">A protein sequence</option>
+                        </select>
+                    </label>
+                </div>
+                {source === 'protein' && (
+                    <textarea
+                        className="w-full p-2 border border-gray-300 rounded-md font-mono text-xs min-h-[60px] resize-y mb-2"
+                        placeholder="Paste a protein (one-letter codes or FASTA)"
+                        value={proteinInput}
+                        onChange={(e) => setProteinInput(e.target.value)}
+                    />
+                )}
+                <div className="flex flex-wrap items-center gap-3 mb-2">
+                    <label className="text-gray-700" title="Enzyme names or IUPAC sequences, checked on both strands">
+                        Avoid sites
+                        <input className={`${inputClass} ml-2 w-48`} value={avoidInput} onChange={(e) => setAvoidInput(e.target.value)} />
+                    </label>
+                    <label className="text-gray-700">
+                        Longest homopolymer
+                        <input
+                            type="number"
+                            min="2"
+                            className={`${inputClass} ml-2 w-16`}
+                            value={maxHomopolymer}
+                            onChange={(e) => setMaxHomopolymer(e.target.value)}
+                        />
+                        {' '}nt
+                    </label>
+                    <button onClick={optimize} className="bg-gray-200 hover:bg-gray-300 text-gray-700 font-semibold py-1 px-3 rounded-md">
+                        Optimize
+                    </button>
+                </div>
+                {error && <p className="text-red-600 mb-2">{error}</p>}
+                {result && (
+                    <div className="border border-gray-200 rounded-md bg-white p-2 mb-2">
+                        <table className="mb-2">
+                            <thead>
+                                <tr className="text-left text-gray-600">
+                                    <th className="pr-4 font-medium" />
+                                    <th className="pr-4 font-medium">Current</th>
+                                    <th className="font-medium">Optimized</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                <tr>
+                                    <td className="pr-4 text-gray-600">CAI ({CODON_USAGE_TABLES[result.host].label})</td>
+                                    <td className="pr-4">{hasCds ? formatCai(codonAdaptationIndex(sequence, result.host)) : '—'}</td>
+                                    <td>{formatCai(result.cai)}</td>
+                                </tr>
+                                <tr>
+                                    <td className="pr-4 text-gray-600">GC content</td>
+                                    <td className="pr-4">{sequence.length > 0 ? percent(gcContent(sequence)) : '—'}</td>
+                                    <td>{percent(result.gc)}</td>
+                                </tr>
+                                <tr>
+                                    <td className="pr-4 text-gray-600">Length</td>
+                                    <td className="pr-4">{sequence.length} bp</td>
+                                    <td>{result.sequence.length} bp</td>
+                                </tr>
+                            </tbody>
+                        </table>
+                        {result.unknown.length > 0 && (
+                            <p className="text-yellow-700 mb-1">Not recognised as enzymes or sequences, so not avoided: {result.unknown.join(', ')}.</p>
+                        )}
+                        {result.unresolved.length > 0 && (
+                            <p className="text-yellow-700 mb-1">
+                                Could not be removed without changing the protein:{' '}
+                                {result.unresolved.map(problem => `${problem.description} at ${problem.position}`).join('; ')}.
+                            </p>
+                        )}
+                        <div className="flex gap-3">
+                            <button onClick={apply} className="bg-blue-500 hover:bg-blue-600 text-white font-semibold py-1 px-3 rounded-md">
+                                Replace sequence
+                            </button>
+                            <button onClick={() => setResult(null)} className="text-gray-600 hover:text-gray-800 font-semibold">Discard</button>
+                        </div>
+                    </div>
+                )}
+                <p className="text-gray-500">
+                    Codon usage tables are approximate, rounded genome-wide frequencies; use a curated table for your strain or cell line for critical work.
+                </p>
+            </div>
+
+            {/* Comparison with the sequence before optimization */}
+            {element.originalSequence && (
+                <div>
+                    <div className="flex flex-wrap items-center gap-3">
+                        <p className="text-gray-700 mr-auto">
+                            <span className="font-semibold">Optimized:</span>{' '}
+                            {changes.length} of {Math.ceil(Math.max(element.originalSequence.length, sequence.length) / 3)} codons differ from the original
+                            {translate(element.originalSequence) !== translate(sequence) && <span className="text-red-600"> (the protein has changed too)</span>}
+                        </p>
+                        <button className="text-blue-500 hover:text-blue-700 font-semibold" onClick={() => setShowChanges(!showChanges)}>
+                            {showChanges ? 'Hide changes' : 'Show changes'}
+                        </button>
+                        <button className="text-red-500 hover:text-red-700 font-semibold" onClick={restoreOriginal}>Restore original</button>
+                    </div>
+                    {showChanges && (
+                        <ul className="mt-1 max-h-40 overflow-y-auto font-mono text-xs grid grid-cols-2 sm:grid-cols-3 gap-x-4">
+                            {changes.slice(0, MAX_LISTED_CHANGES).map(change => (
+                                <li key={change.index}>
+                                    {change.index + 1}: <span className="text-red-600">{change.from || '---'}</span> → <span className="text-green-700">{change.to || '---'}</span>
+                                    {' '}({translate(change.to || change.from) || '?'})
+                                </li>
+                            ))}
+                            {changes.length > MAX_LISTED_CHANGES && <li>… and {changes.length - MAX_LISTED_CHANGES} more</li>}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CodingTools;
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+
+// --- CrisprResultsTable Component ---
+// Renders the PAM sites found by the scanner as a table that can be sorted
+// by clicking any column header (click again to reverse the order). Each row lists
+// the penalties that lowered its quality score and, once an off-target search has run,
+// how many off-target sites were found for it. Clicking a count selects that guide.
+
+const COLUMNS = [
+    { key: 'rank', label: 'Rank' },
+    { key: 'score', label: 'Score' },
+    { key: 'strand', label: 'Strand' },
+    { key: 'start', label: 'Position' },
+    { key: 'protospacer', label: 'Protospacer (5\'→3\')' },
+    { key: 'pam', label: 'PAM' },
+    { key: 'cutSite', label: 'Cut Site' },
+];
+
+// Colour band for a combined quality score (0-100).
+const scoreClass = (score) => {
+    if (score >= 70) return 'text-green-700';
+    if (score >= 50) return 'text-yellow-700';
+    return 'text-red-600';
+};
+
+const CrisprResultsTable = ({ sites, offTargetHits = null, selectedGuideId = null, onSelectGuide = () => {} }) => {
+    // Current sort column and direction.
+    const [sortKey, setSortKey] = useState('rank');
+    const [sortAscending, setSortAscending] = useState(true);
+
+    const toggleSort = (key) => {
+        if (key === sortKey) {
+            setSortAscending(!sortAscending);
+        } else {
+            setSortKey(key);
+            setSortAscending(true);
+        }
+    };
+
+    // Off-target count and worst (highest) CFD score per guide.
+    const offTargetSummary = {};
+    (offTargetHits || []).forEach(hit => {
+        const summary = offTargetSummary[hit.guideId] || { count: 0, maxCfd: 0 };
+        summary.count++;
+        summary.maxCfd = Math.max(summary.maxCfd, hit.cfd);
+        offTargetSummary[hit.guideId] = summary;
+    });
+
+    const sortedSites = [...sites].sort((a, b) => {
+        const left = a[sortKey];
+        const right = b[sortKey];
+        const order = typeof left === 'number' ? left - right : String(left).localeCompare(String(right));
+        return sortAscending ? order : -order;
+    });
+
+    return (
+        <table className="w-full text-sm text-left">
+            <thead>
+                <tr className="border-b border-gray-300">
+                    {COLUMNS.map(column => (
+                        <th
+                            key={column.key}
+                            onClick={() => toggleSort(column.key)}
+                            className="py-2 px-2 font-semibold text-gray-700 cursor-pointer select-none hover:text-blue-600"
+                        >
+                            {column.label}
+                            {sortKey === column.key && (sortAscending ? ' ▲' : ' ▼')}
+                        </th>
+                    ))}
+                    <th className="py-2 px-2 font-semibold text-gray-700">Off-Targets</th>
+                    <th className="py-2 px-2 font-semibold text-gray-700">Lost Points</th>
+                </tr>
+            </thead>
+            <tbody>
+                {sortedSites.map(site => (
+                    <tr
+                        key={site.id}
+                        id={`guide-row-${site.id}`}
+                        className={`border-b border-gray-200 hover:bg-blue-50 align-top ${site.id === selectedGuideId ? 'bg-yellow-100' : ''}`}
+                    >
+                        <td className="py-1 px-2">{site.rank}</td>
+                        <td className={`py-1 px-2 font-semibold ${scoreClass(site.score)}`}>{site.score}</td>
+                        <td className="py-1 px-2">{site.strand}</td>
+                        <td className="py-1 px-2">{site.start}–{site.end}</td>
+                        <td className="py-1 px-2 font-mono">{site.protospacer}</td>
+                        <td className="py-1 px-2 font-mono">{site.pam}</td>
+                        <td className="py-1 px-2">{site.cutSite}</td>
+                        <td className="py-1 px-2">
+                            {!offTargetHits ? '—' : (
+                                <button onClick={() => onSelectGuide(site.id)} className="text-blue-600 hover:underline">
+                                    {offTargetSummary[site.id] ? offTargetSummary[site.id].count : 0}
+                                    {offTargetSummary[site.id] && ` (max CFD ${offTargetSummary[site.id].maxCfd.toFixed(2)})`}
+                                </button>
+                            )}
+                        </td>
+                        <td className="py-1 px-2 text-xs text-gray-600">
+                            {site.quality.penalties.length === 0 ? '—' : (
+                                <ul>
+                                    {site.quality.penalties.map(penalty => (
+                                        <li key={penalty.rule}>−{penalty.points}: {penalty.reason}</li>
+                                    ))}
+                                </ul>
+                            )}
+                        </td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+};
+
+export default CrisprResultsTable;
@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { SEVERITIES, DESIGN_RULES, defaultRuleConfig, resolveRule } from './designRules';
+
+// --- DesignRulesPanel Component ---
+// Summarises the design rule checker's issues (per-element issues are shown inline in the DNA
+// Editor; construct-wide ones are listed here) and lets the user switch rules on or off, change
+// their severity and edit their numeric parameters.
+
+// Badge colours per severity, shared with the inline issue lists.
+export const SEVERITY_STYLES = {
+    error: 'bg-red-100 text-red-800 border-red-300',
+    warning: 'bg-yellow-100 text-yellow-800 border-yellow-300',
+    info: 'bg-blue-100 text-blue-800 border-blue-300',
+};
+
+// One issue with its severity badge.
+export const IssueLine = ({ issue, onClick }) => (
+    <li
+        className={`text-sm flex items-start gap-2 ${onClick ? 'cursor-pointer hover:underline' : ''}`}
+        onClick={onClick}
+    >
+        <span className={`px-1.5 rounded border text-xs font-semibold uppercase flex-shrink-0 ${SEVERITY_STYLES[issue.severity]}`}>
+            {issue.severity}
+        </span>
+        <span className="text-gray-700">{issue.message}</span>
+    </li>
+);
+
+const DesignRulesPanel = ({ issues, config, onConfigChange }) => {
+    const [showConfig, setShowConfig] = useState(false);
+
+    const counts = SEVERITIES.map(severity => [severity, issues.filter(issue => issue.severity === severity).length]);
+    const constructIssues = issues.filter(issue => issue.elementId === null);
+    const elementIssueCount = issues.length - constructIssues.length;
+
+    // Writes one field of a rule's settings, starting from its effective values.
+    const updateRule = (ruleId, changes) => {
+        const { enabled, severity, params } = resolveRule(config, ruleId);
+        onConfigChange({ ...config, [ruleId]: { enabled, severity, params, ...changes } });
+    };
+
+    // Out-of-range values are kept while typing; the checker clamps them to the rule's limits.
+    const updateParam = (ruleId, key, value) => {
+        const number = Number(value);
+        if (value === '' || !Number.isFinite(number)) return;
+        updateRule(ruleId, { params: { ...resolveRule(config, ruleId).params, [key]: number } });
+    };
+
+    const categories = [...new Set(DESIGN_RULES.map(rule => rule.category))];
+
+    return (
+        <div className="mt-4 border border-gray-300 rounded-md p-4 bg-gray-50">
+            <div className="flex items-center justify-between mb-2">
+                <h3 className="text-lg font-medium text-gray-700">Design Rules</h3>
+                <button
+                    onClick={() => setShowConfig(!showConfig)}
+                    className="text-blue-500 hover:text-blue-700 text-sm font-semibold"
+                >
+                    {showConfig ? 'Hide rule settings' : 'Configure rules'}
+                </button>
+            </div>
+            {issues.length === 0 ? (
+                <p className="text-sm text-green-700">No design rule violations.</p>
+            ) : (
+                <p className="text-sm text-gray-700 mb-2">
+                    {counts.filter(([, count]) => count > 0).map(([severity, count]) => (
+                        <span key={severity} className={`inline-block mr-2 px-2 rounded border text-xs font-semibold ${SEVERITY_STYLES[severity]}`}>
+                            {count} {severity}{count === 1 ? '' : 's'}
+                        </span>
+                    ))}
+                    {elementIssueCount > 0 && (
+                        <span className="text-gray-500">{elementIssueCount} shown against their elements above.</span>
+                    )}
+                </p>
+            )}
+            {constructIssues.length > 0 && (
+                <ul className="space-y-1">
+                    {constructIssues.map((issue, index) => <IssueLine key={index} issue={issue} />)}
+                </ul>
+            )}
+
+            {showConfig && (
+                <div className="mt-3 border-t border-gray-300 pt-3">
+                    {categories.map(category => (
+                        <div key={category} className="mb-3">
+                            <h4 className="font-semibold text-gray-700 text-sm mb-1">{category}</h4>
+                            <ul className="space-y-1">
+                                {DESIGN_RULES.filter(rule => rule.category === category).map(rule => {
+                                    const settings = resolveRule(config, rule.id);
+                                    return (
+                                        <li key={rule.id} className="text-sm">
+                                            <div className="flex items-center gap-2">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={settings.enabled}
+                                                    onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                                                />
+                                                <span className={`flex-grow ${settings.enabled ? 'text-gray-800' : 'text-gray-400'}`}>{rule.label}</span>
+                                                <select
+                                                    className="p-0.5 border border-gray-300 rounded-md bg-white text-xs"
+                                                    value={settings.severity}
+                                                    disabled={!settings.enabled}
+                                                    onChange={(e) => updateRule(rule.id, { severity: e.target.value })}
+                                                >
+                                                    {SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+                                                </select>
+                                            </div>
+                                            {rule.params && (
+                                                <div className="ml-6 mt-1 flex flex-wrap gap-3">
+                                                    {Object.entries(rule.params).map(([key, param]) => (
+                                                        <label key={key} className="text-xs text-gray-600">
+                                                            {param.label}
+                                                            <input
+                                                                type="number"
+                                                                min={param.min}
+                                                                max={param.max}
+                                                                value={settings.params[key]}
+                                                                disabled={!settings.enabled}
+                                                                onChange={(e) => updateParam(rule.id, key, e.target.value)}
+                                                                className="ml-1 w-16 p-0.5 border border-gray-300 rounded-md"
+                                                            />
+                                                        </label>
+                                                    ))}
+                                                </div>
+                                            )}
+                                        </li>
+                                    );
+                                })}
+                            </ul>
+                        </div>
+                    ))}
+                    <button
+                        onClick={() => onConfigChange(defaultRuleConfig())}
+                        className="text-gray-600 hover:text-gray-800 text-sm font-semibold"
+                    >
+                        Reset to defaults
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DesignRulesPanel;
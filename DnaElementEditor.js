@@ -0,0 +1,161 @@
+import React, { useEffect, useState } from 'react';
+import { cleanSequence, findInvalidCharacters } from './sequenceUtils';
+import { CODING_TYPES } from './codonOptimization';
+import CodingTools from './CodingTools';
+
+// --- DnaElementEditor Component ---
+// Inline editor for a single DNA element: name, orientation, sequence (plain or FASTA paste)
+// and sub-annotations. The sequence is only committed once it is valid IUPAC DNA. Promoters
+// also have an optional relative strength (0–1), used by the organoid growth simulation, and
+// coding elements get translation and codon optimization tools (see CodingTools.js).
+
+const DnaElementEditor = ({ element, onChange }) => {
+    // Draft of the sequence textarea; committed on blur so FASTA headers can be typed/pasted.
+    const [sequenceDraft, setSequenceDraft] = useState(element.sequence);
+    const [sequenceError, setSequenceError] = useState('');
+    // Undo/redo, map edits and project loads change the sequence under the editor; take those up
+    // so a stale draft is never written back on blur.
+    useEffect(() => {
+        setSequenceDraft(element.sequence);
+        setSequenceError('');
+    }, [element.sequence]);
+    // Draft of a new annotation row.
+    const [newAnnotation, setNewAnnotation] = useState({ name: '', start: '', end: '' });
+
+    const commitSequence = () => {
+        const sequence = cleanSequence(sequenceDraft);
+        const invalid = findInvalidCharacters(sequence);
+        if (invalid.length > 0) {
+            setSequenceError(`Invalid character '${invalid[0].char}' at position ${invalid[0].position}.`);
+            return;
+        }
+        setSequenceError('');
+        setSequenceDraft(sequence);
+        // An unchanged sequence would only add a no-op undo step (and clear redo).
+        if (sequence === element.sequence) return;
+        // Annotations that no longer fit inside the element are dropped.
+        onChange({ sequence, annotations: element.annotations.filter(a => a.end <= sequence.length) });
+    };
+
+    // Replaces the sequence from the coding tools, keeping the textarea in step.
+    const replaceSequence = (sequence, changes) => {
+        setSequenceError('');
+        setSequenceDraft(sequence);
+        onChange({ ...changes, sequence, annotations: element.annotations.filter(a => a.end <= sequence.length) });
+    };
+
+    const addAnnotation = () => {
+        const start = Number(newAnnotation.start);
+        const end = Number(newAnnotation.end);
+        if (!newAnnotation.name.trim() || !(start >= 1) || !(end >= start) || end > element.sequence.length) {
+            setSequenceError(`Annotations need a name and 1 ≤ start ≤ end ≤ ${element.sequence.length}.`);
+            return;
+        }
+        setSequenceError('');
+        onChange({ annotations: [...element.annotations, { name: newAnnotation.name.trim(), type: 'misc_feature', start, end }] });
+        setNewAnnotation({ name: '', start: '', end: '' });
+    };
+
+    const removeAnnotation = (index) => {
+        onChange({ annotations: element.annotations.filter((_, i) => i !== index) });
+    };
+
+    return (
+        <div className="mt-3 space-y-3 text-sm">
+            <div className="flex flex-wrap gap-3 items-center">
+                <label className="text-gray-700">
+                    Name
+                    <input
+                        className="ml-2 p-1 border border-gray-300 rounded-md"
+                        value={element.name}
+                        onChange={(e) => onChange({ name: e.target.value })}
+                    />
+                </label>
+                <label className="text-gray-700">
+                    Orientation
+                    <select
+                        className="ml-2 p-1 border border-gray-300 rounded-md bg-white"
+                        value={element.orientation}
+                        onChange={(e) => onChange({ orientation: e.target.value })}
+                    >
+                        <option value="forward">Forward (→)</option>
+                        <option value="reverse">Reverse (←)</option>
+                    </select>
+                </label>
+                {element.type === 'Promoter' && (
+                    <label className="text-gray-700" title="Relative strength from 0 to 1, e.g. from a characterised promoter library; left empty, a medium strength is assumed">
+                        Strength
+                        <input
+                            type="number"
+                            min="0"
+                            max="1"
+                            step="0.05"
+                            className="ml-2 p-1 border border-gray-300 rounded-md w-20"
+                            placeholder="0.5"
+                            value={element.strength === undefined ? '' : element.strength}
+                            onChange={(e) => onChange({ strength: e.target.value === '' ? undefined : e.target.value })}
+                        />
+                    </label>
+                )}
+            </div>
+
+            <label className="block text-gray-700">
+                Sequence ({element.sequence.length} bp)
+                <textarea
+                    className="mt-1 w-full p-2 border border-gray-300 rounded-md font-mono text-xs min-h-[60px] resize-y"
+                    placeholder="Paste sequence or FASTA"
+                    value={sequenceDraft}
+                    onChange={(e) => setSequenceDraft(e.target.value)}
+                    onBlur={commitSequence}
+                />
+            </label>
+            {sequenceError && <p className="text-red-600">{sequenceError}</p>}
+
+            {CODING_TYPES.includes(element.type) && <CodingTools element={element} onReplaceSequence={replaceSequence} />}
+
+            {/* Sub-annotations */}
+            <div>
+                <p className="text-gray-700 mb-1">Annotations</p>
+                {element.annotations.length > 0 && (
+                    <ul className="mb-2 space-y-1">
+                        {element.annotations.map((annotation, index) => (
+                            <li key={`${annotation.name}-${index}`} className="flex justify-between bg-gray-50 px-2 py-1 rounded border border-gray-200">
+                                <span>{annotation.name} ({annotation.start}–{annotation.end})</span>
+                                <button onClick={() => removeAnnotation(index)} className="text-red-500 hover:text-red-700 text-xs font-semibold">
+                                    Remove
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+                <div className="flex flex-wrap gap-2">
+                    <input
+                        className="p-1 border border-gray-300 rounded-md w-32"
+                        placeholder="Name"
+                        value={newAnnotation.name}
+                        onChange={(e) => setNewAnnotation({ ...newAnnotation, name: e.target.value })}
+                    />
+                    <input
+                        className="p-1 border border-gray-300 rounded-md w-20"
+                        placeholder="Start"
+                        type="number"
+                        value={newAnnotation.start}
+                        onChange={(e) => setNewAnnotation({ ...newAnnotation, start: e.target.value })}
+                    />
+                    <input
+                        className="p-1 border border-gray-300 rounded-md w-20"
+                        placeholder="End"
+                        type="number"
+                        value={newAnnotation.end}
+                        onChange={(e) => setNewAnnotation({ ...newAnnotation, end: e.target.value })}
+                    />
+                    <button onClick={addAnnotation} className="bg-gray-200 hover:bg-gray-300 text-gray-700 font-semibold py-1 px-3 rounded-md">
+                        Add
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default DnaElementEditor;
@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+// --- OffTargetPanel Component ---
+// Lets the user load reference FASTA files, choose mismatch/bulge limits and search every
+// guide against the references and `construct`, the assembled construct's sequence. `sequence` is
+// the one the guides were found on: when it is the construct, each guide's own site is told apart
+// from its off-targets. Indexing and searching run in a Web Worker.
+// Hits are reported back to the parent so they can be counted against the guide rows, and each
+// hit links back to its guide through `onSelectGuide`. `hits` is null until a search has run.
+
+// Maximum number of hits rendered at once; the rest are summarised.
+const MAX_VISIBLE_HITS = 500;
+
+const OffTargetPanel = ({ guides, sequence, construct, nucleaseKey, hits, onHits, selectedGuideId, onSelectGuide }) => {
+    const workerRef = useRef(null);
+    // Guides of the search in flight and whether they were found on the construct, used to drop
+    // each guide's own on-target site.
+    const pendingSearchRef = useRef(null);
+    // Loaded reference files: { id, name, status: 'indexing' | 'ready' | 'error', records, error }.
+    const [references, setReferences] = useState([]);
+    const [maxMismatches, setMaxMismatches] = useState(3);
+    const [maxBulges, setMaxBulges] = useState(0);
+    const [isSearching, setIsSearching] = useState(false);
+    const [error, setError] = useState('');
+
+    // Keep the latest callback in a ref so the worker listener doesn't need re-binding.
+    const onHitsRef = useRef(onHits);
+    onHitsRef.current = onHits;
+
+    // Start the worker once and tear it down on unmount.
+    useEffect(() => {
+        const worker = new Worker(new URL('./offTargetWorker.js', import.meta.url));
+        workerRef.current = worker;
+
+        worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'referenceIndexed') {
+                setReferences(current => current.map(ref => (
+                    ref.id === message.id ? { ...ref, status: 'ready', records: message.records } : ref
+                )));
+            } else if (message.type === 'searchComplete') {
+                const pending = pendingSearchRef.current;
+                if (!pending || pending.requestId !== message.requestId) return; // Stale result.
+                const ownSites = new Set(pending.guides.map(guide => `${guide.id}:${guide.strand}${guide.start}`));
+                const offTargets = message.hits.filter(hit => !(
+                    pending.onConstruct &&
+                    hit.referenceId === 'construct' &&
+                    hit.mismatches.length === 0 &&
+                    hit.bulges.length === 0 &&
+                    ownSites.has(`${hit.guideId}:${hit.strand}${hit.start}`)
+                ));
+                offTargets.sort((a, b) => b.cfd - a.cfd);
+                onHitsRef.current(offTargets);
+                setIsSearching(false);
+            } else if (message.type === 'error') {
+                if (message.id) {
+                    setReferences(current => current.map(ref => (
+                        ref.id === message.id ? { ...ref, status: 'error', error: message.message } : ref
+                    )));
+                } else {
+                    setError(message.message);
+                    setIsSearching(false);
+                }
+            }
+        };
+
+        return () => worker.terminate();
+    }, []);
+
+    // Reads the chosen FASTA files and hands them to the worker for indexing.
+    const addReferences = (event) => {
+        Array.from(event.target.files).forEach(file => {
+            const id = `ref-${Date.now()}-${file.name}`;
+            setReferences(current => [...current, { id, name: file.name, status: 'indexing', records: [] }]);
+            file.text().then(text => {
+                workerRef.current.postMessage({ type: 'addReference', id, name: file.name, text, nucleaseKey });
+            }).catch(readError => {
+                // Otherwise the file would stay "indexing…" and keep the search disabled.
+                setReferences(current => current.map(ref => (
+                    ref.id === id ? { ...ref, status: 'error', error: `Could not read ${file.name} (${readError.message}).` } : ref
+                )));
+            });
+        });
+        event.target.value = ''; // Allow re-selecting the same file.
+    };
+
+    const removeReference = (id) => {
+        workerRef.current.postMessage({ type: 'removeReference', id });
+        setReferences(current => current.filter(ref => ref.id !== id));
+    };
+
+    const search = () => {
+        if (guides.length === 0) {
+            setError('Analyze a sequence first to get guides to search for.');
+            return;
+        }
+        const requestId = Date.now();
+        pendingSearchRef.current = { requestId, guides, onConstruct: sequence === construct };
+        setError('');
+        setIsSearching(true);
+        workerRef.current.postMessage({
+            type: 'search',
+            requestId,
+            nucleaseKey,
+            guides: guides.map(guide => ({ id: guide.id, protospacer: guide.protospacer })),
+            construct,
+            maxMismatches,
+            maxBulges,
+        });
+    };
+
+    const rankOf = (guideId) => {
+        const guide = guides.find(g => g.id === guideId);
+        return guide ? guide.rank : '?';
+    };
+
+    const visibleHits = !hits ? [] : selectedGuideId ? hits.filter(hit => hit.guideId === selectedGuideId) : hits;
+
+    return (
+        <div className="mt-6 border-t border-gray-200 pt-4">
+            <h3 className="text-lg font-medium mb-2 text-gray-700">Off-Target Search</h3>
+            <p className="text-gray-600 text-sm mb-3">Searches the assembled construct and any uploaded reference FASTA files.</p>
+
+            {/* Reference files */}
+            <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="offtarget-references">Reference FASTA files</label>
+            <input
+                id="offtarget-references"
+                type="file"
+                accept=".fa,.fasta,.fna,.txt"
+                multiple
+                onChange={addReferences}
+                className="mb-2 text-sm"
+            />
+            {references.length > 0 && (
+                <ul className="mb-3 space-y-1 text-sm">
+                    {references.map(ref => (
+                        <li key={ref.id} className="flex items-center justify-between bg-gray-50 px-2 py-1 rounded border border-gray-200">
+                            <span>
+                                {ref.name}{' '}
+                                {ref.status === 'indexing' && <span className="text-gray-500 italic">indexing…</span>}
+                                {ref.status === 'ready' && (
+                                    <span className="text-gray-500">
+                                        ({ref.records.length} record(s), {ref.records.reduce((sum, r) => sum + r.length, 0).toLocaleString()} bp)
+                                    </span>
+                                )}
+                                {ref.status === 'error' && <span className="text-red-600">{ref.error}</span>}
+                            </span>
+                            <button onClick={() => removeReference(ref.id)} className="text-red-500 hover:text-red-700 text-xs font-semibold ml-4">
+                                Remove
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {/* Search limits */}
+            <div className="flex flex-wrap items-end gap-4 mb-3">
+                <label className="text-sm text-gray-700">
+                    Max mismatches
+                    <select className="ml-2 p-1 border border-gray-300 rounded-md bg-white" value={maxMismatches} onChange={(e) => setMaxMismatches(Number(e.target.value))}>
+                        {[0, 1, 2, 3, 4, 5].map(n => <option key={n} value={n}>{n}</option>)}
+                    </select>
+                </label>
+                <label className="text-sm text-gray-700">
+                    Max bulges
+                    <select className="ml-2 p-1 border border-gray-300 rounded-md bg-white" value={maxBulges} onChange={(e) => setMaxBulges(Number(e.target.value))}>
+                        {[0, 1, 2].map(n => <option key={n} value={n}>{n}</option>)}
+                    </select>
+                </label>
+                <button
+                    onClick={search}
+                    disabled={isSearching || references.some(ref => ref.status === 'indexing')}
+                    className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-1 px-4 rounded-md shadow-md transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    {isSearching ? 'Searching...' : 'Search Off-Targets'}
+                </button>
+            </div>
+            {error && <p className="text-red-600 text-sm mb-2">{error}</p>}
+
+            {/* Hits */}
+            {hits && visibleHits.length === 0 && (
+                <p className="text-sm text-gray-600 mb-2">No off-target sites found within the chosen limits.</p>
+            )}
+            {selectedGuideId && (
+                <p className="text-sm text-gray-600 mb-2">
+                    Showing hits for guide #{rankOf(selectedGuideId)}.{' '}
+                    <button onClick={() => onSelectGuide(null)} className="text-blue-600 hover:underline">Show all</button>
+                </p>
+            )}
+            {visibleHits.length > 0 && (
+                <div className="max-h-96 overflow-y-auto border border-gray-300 rounded-md">
+                    <table className="w-full text-sm text-left">
+                        <thead>
+                            <tr className="border-b border-gray-300 bg-gray-50">
+                                <th className="py-2 px-2 font-semibold text-gray-700">Guide</th>
+                                <th className="py-2 px-2 font-semibold text-gray-700">Reference</th>
+                                <th className="py-2 px-2 font-semibold text-gray-700">Strand</th>
+                                <th className="py-2 px-2 font-semibold text-gray-700">Position</th>
+                                <th className="py-2 px-2 font-semibold text-gray-700">Target + PAM</th>
+                                <th className="py-2 px-2 font-semibold text-gray-700">Mismatches</th>
+                                <th className="py-2 px-2 font-semibold text-gray-700">Bulges</th>
+                                <th className="py-2 px-2 font-semibold text-gray-700">CFD</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {visibleHits.slice(0, MAX_VISIBLE_HITS).map(hit => (
+                                <tr key={hit.id} className="border-b border-gray-200 align-top">
+                                    <td className="py-1 px-2">
+                                        <button onClick={() => onSelectGuide(hit.guideId)} className="text-blue-600 hover:underline">
+                                            #{rankOf(hit.guideId)}
+                                        </button>
+                                    </td>
+                                    <td className="py-1 px-2">{hit.referenceName}</td>
+                                    <td className="py-1 px-2">{hit.strand}</td>
+                                    <td className="py-1 px-2">{hit.start}–{hit.end}</td>
+                                    <td className="py-1 px-2 font-mono whitespace-nowrap">
+                                        {hit.alignedTarget} <span className="text-gray-500">{hit.pam}</span>
+                                    </td>
+                                    <td className="py-1 px-2">
+                                        {hit.mismatches.length === 0 ? '0' : hit.mismatches.map(m => (
+                                            <span key={m.position} className={m.inSeed ? 'text-red-600 font-semibold' : ''} title={m.inSeed ? 'Seed region' : 'Outside seed'}>
+                                                {m.position}{m.guideBase}&gt;{m.targetBase}{' '}
+                                            </span>
+                                        ))}
+                                    </td>
+                                    <td className="py-1 px-2">
+                                        {hit.bulges.length === 0 ? '—' : hit.bulges.map(b => `${b.type}@${b.position}`).join(', ')}
+                                    </td>
+                                    <td className="py-1 px-2">{hit.cfd.toFixed(3)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {visibleHits.length > MAX_VISIBLE_HITS && (
+                        <p className="p-2 text-sm text-gray-500">…and {visibleHits.length - MAX_VISIBLE_HITS} more hits.</p>
+                    )}
+                </div>
+            )}
+            <p className="text-xs text-gray-500 mt-2">Mismatch positions count from the guide's 5' end; seed-region mismatches are shown in red.</p>
+        </div>
+    );
+};
+
+export default OffTargetPanel;
@@ -0,0 +1,248 @@
+import React from 'react';
+import { ORGANOID_LIMITS, createOrganoidId, defaultOrganoid } from './organoidGeometry';
+
+// --- OrganoidPanel Component ---
+// Parameters of the organoid shown in the 3D viewer: the placement seed, lumen size, the layers
+// (inside out) and the cell types living in them, with the construct's reporter each expresses.
+// Number fields keep what was typed; buildOrganoid clamps them to ORGANOID_LIMITS.
+
+const inputClass = 'p-1 border border-gray-300 rounded-md bg-white text-sm';
+const linkButtonClass = 'text-blue-500 hover:text-blue-700 text-sm font-semibold disabled:opacity-50';
+
+const OrganoidPanel = ({ parameters, organoid, reporters, onChange }) => {
+    const update = (changes) => onChange({ ...parameters, ...changes });
+
+    const updateLayer = (id, changes) => update({
+        layers: parameters.layers.map(layer => (layer.id === id ? { ...layer, ...changes } : layer)),
+    });
+
+    const addLayer = () => update({
+        layers: [...parameters.layers, { id: createOrganoidId('layer'), name: `Layer ${parameters.layers.length + 1}`, thickness: 15 }],
+    });
+
+    // Cell types in a removed layer move to the innermost remaining one.
+    const removeLayer = (id) => {
+        const layers = parameters.layers.filter(layer => layer.id !== id);
+        update({
+            layers,
+            cellTypes: parameters.cellTypes.map(cellType => (cellType.layerId === id ? { ...cellType, layerId: layers[0].id } : cellType)),
+        });
+    };
+
+    const updateCellType = (id, changes) => update({
+        cellTypes: parameters.cellTypes.map(cellType => (cellType.id === id ? { ...cellType, ...changes } : cellType)),
+    });
+
+    const addCellType = () => update({
+        cellTypes: [...parameters.cellTypes, {
+            id: createOrganoidId('cells'),
+            name: `Cell type ${parameters.cellTypes.length + 1}`,
+            layerId: parameters.layers[parameters.layers.length - 1].id,
+            count: 50,
+            radius: 5,
+            color: '#9ca3af',
+            reporterElementId: null,
+        }],
+    });
+
+    const removeCellType = (id) => update({ cellTypes: parameters.cellTypes.filter(cellType => cellType.id !== id) });
+
+    const layerBounds = new Map(organoid.layers.map(layer => [layer.id, layer]));
+    const placed = new Map(organoid.cellTypes.map(cellType => [cellType.id, cellType]));
+
+    return (
+        <div className="mt-4 border border-gray-300 rounded-md p-4 bg-gray-50 text-sm">
+            <div className="flex flex-wrap items-center gap-3 mb-3">
+                <h3 className="text-lg font-medium text-gray-700 mr-auto">Organoid</h3>
+                <label className="text-gray-700">
+                    Seed
+                    <input
+                        type="number"
+                        min={ORGANOID_LIMITS.seed.min}
+                        max={ORGANOID_LIMITS.seed.max}
+                        className={`${inputClass} ml-1 w-28`}
+                        value={parameters.seed}
+                        onChange={(e) => update({ seed: e.target.value })}
+                    />
+                </label>
+                <button
+                    className={linkButtonClass}
+                    onClick={() => update({ seed: Math.floor(Math.random() * (ORGANOID_LIMITS.seed.max + 1)) })}
+                    title="Lay the cells out again with a new seed"
+                >
+                    Reshuffle
+                </button>
+                <button className={linkButtonClass} onClick={() => onChange(defaultOrganoid())}>Reset</button>
+            </div>
+            <p className="text-gray-600 mb-3">
+                {organoid.cells.length} cells in an organoid {Math.round(2 * organoid.outerRadius)} µm across.
+                The same seed and parameters always give the same layout.
+            </p>
+
+            <h4 className="font-semibold text-gray-700 mb-1">Layers (inside out)</h4>
+            <div className="space-y-1 mb-3">
+                <div className="flex items-center gap-2">
+                    <span className="w-40 text-gray-700">Lumen</span>
+                    <label className="text-gray-600">
+                        radius
+                        <input
+                            type="number"
+                            min={ORGANOID_LIMITS.lumenRadius.min}
+                            max={ORGANOID_LIMITS.lumenRadius.max}
+                            className={`${inputClass} ml-1 w-20`}
+                            value={parameters.lumenRadius}
+                            onChange={(e) => update({ lumenRadius: e.target.value })}
+                        />
+                        {' '}µm
+                    </label>
+                </div>
+                {parameters.layers.map(layer => (
+                    <div key={layer.id} className="flex items-center gap-2">
+                        <input
+                            className={`${inputClass} w-40`}
+                            value={layer.name}
+                            onChange={(e) => updateLayer(layer.id, { name: e.target.value })}
+                        />
+                        <label className="text-gray-600">
+                            thickness
+                            <input
+                                type="number"
+                                min={ORGANOID_LIMITS.thickness.min}
+                                max={ORGANOID_LIMITS.thickness.max}
+                                className={`${inputClass} ml-1 w-20`}
+                                value={layer.thickness}
+                                onChange={(e) => updateLayer(layer.id, { thickness: e.target.value })}
+                            />
+                            {' '}µm
+                        </label>
+                        {layerBounds.has(layer.id) && (
+                            <span className="text-gray-500">
+                                {Math.round(layerBounds.get(layer.id).inner)}–{Math.round(layerBounds.get(layer.id).outer)} µm
+                            </span>
+                        )}
+                        <button
+                            className="text-red-500 hover:text-red-700 text-sm font-semibold ml-auto disabled:opacity-50"
+                            onClick={() => removeLayer(layer.id)}
+                            disabled={parameters.layers.length === 1}
+                        >
+                            Remove
+                        </button>
+                    </div>
+                ))}
+                <button className={linkButtonClass} onClick={addLayer} disabled={parameters.layers.length >= ORGANOID_LIMITS.layers}>
+                    + Add outer layer
+                </button>
+            </div>
+
+            <h4 className="font-semibold text-gray-700 mb-1">Cell types</h4>
+            <div className="overflow-x-auto">
+                <table className="min-w-full mb-1">
+                    <thead>
+                        <tr className="text-left text-gray-600">
+                            <th className="pr-2 font-medium">Cell type</th>
+                            <th className="pr-2 font-medium">Layer</th>
+                            <th className="pr-2 font-medium">Count</th>
+                            <th className="pr-2 font-medium">Radius (µm)</th>
+                            <th className="pr-2 font-medium">Expresses</th>
+                            <th className="pr-2 font-medium">Placed</th>
+                            <th />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {parameters.cellTypes.map(cellType => {
+                            const result = placed.get(cellType.id);
+                            return (
+                                <tr key={cellType.id}>
+                                    <td className="pr-2 py-0.5 whitespace-nowrap">
+                                        <input
+                                            type="color"
+                                            className="w-6 h-6 align-middle mr-1"
+                                            value={cellType.color}
+                                            onChange={(e) => updateCellType(cellType.id, { color: e.target.value })}
+                                            title="Colour when not expressing a reporter"
+                                        />
+                                        <input
+                                            className={`${inputClass} w-28`}
+                                            value={cellType.name}
+                                            onChange={(e) => updateCellType(cellType.id, { name: e.target.value })}
+                                        />
+                                    </td>
+                                    <td className="pr-2 py-0.5">
+                                        <select
+                                            className={inputClass}
+                                            value={cellType.layerId}
+                                            onChange={(e) => updateCellType(cellType.id, { layerId: e.target.value })}
+                                        >
+                                            {parameters.layers.map(layer => <option key={layer.id} value={layer.id}>{layer.name}</option>)}
+                                        </select>
+                                    </td>
+                                    <td className="pr-2 py-0.5">
+                                        <input
+                                            type="number"
+                                            min={ORGANOID_LIMITS.count.min}
+                                            max={ORGANOID_LIMITS.count.max}
+                                            className={`${inputClass} w-20`}
+                                            value={cellType.count}
+                                            onChange={(e) => updateCellType(cellType.id, { count: e.target.value })}
+                                        />
+                                    </td>
+                                    <td className="pr-2 py-0.5">
+                                        <input
+                                            type="number"
+                                            min={ORGANOID_LIMITS.radius.min}
+                                            max={ORGANOID_LIMITS.radius.max}
+                                            className={`${inputClass} w-16`}
+                                            value={cellType.radius}
+                                            onChange={(e) => updateCellType(cellType.id, { radius: e.target.value })}
+                                        />
+                                    </td>
+                                    <td className="pr-2 py-0.5">
+                                        <select
+                                            className={inputClass}
+                                            value={cellType.reporterElementId || ''}
+                                            onChange={(e) => updateCellType(cellType.id, { reporterElementId: e.target.value || null })}
+                                        >
+                                            <option value="">No reporter</option>
+                                            {reporters.map(reporter => <option key={reporter.id} value={reporter.id}>{reporter.name}</option>)}
+                                            {cellType.reporterElementId && !reporters.some(reporter => String(reporter.id) === cellType.reporterElementId) && (
+                                                <option value={cellType.reporterElementId}>(removed reporter)</option>
+                                            )}
+                                        </select>
+                                        {result && result.reporter && (
+                                            <span
+                                                className="inline-block w-3 h-3 rounded-full ml-1 align-middle"
+                                                style={{ backgroundColor: result.reporter.color }}
+                                                title={`Drawn in ${result.reporter.name}'s colour`}
+                                            />
+                                        )}
+                                    </td>
+                                    <td className={`pr-2 py-0.5 ${result && result.placed < result.count ? 'text-yellow-700' : 'text-gray-600'}`}>
+                                        {result ? `${result.placed} / ${result.count}` : '—'}
+                                    </td>
+                                    <td className="py-0.5 text-right">
+                                        <button className="text-red-500 hover:text-red-700 text-sm font-semibold" onClick={() => removeCellType(cellType.id)}>
+                                            Remove
+                                        </button>
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+            <button className={linkButtonClass} onClick={addCellType} disabled={parameters.cellTypes.length >= ORGANOID_LIMITS.cellTypes}>
+                + Add cell type
+            </button>
+            {reporters.length === 0 && (
+                <p className="mt-2 text-gray-500 italic">Add a Reporter element to the construct to express it in a cell type.</p>
+            )}
+            {organoid.warnings.length > 0 && (
+                <ul className="mt-2 space-y-1">
+                    {organoid.warnings.map((warning, index) => <li key={index} className="text-yellow-700">{warning}</li>)}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default OrganoidPanel;
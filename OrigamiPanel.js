@@ -0,0 +1,293 @@
+import React, { useState } from 'react';
+import { ORIGAMI_SHAPES, ORIGAMI_LATTICES, ORIGAMI_LIMITS, STAPLE_LENGTH, helixLength, normalizeOrigami, formatStapleCsv, formatCadnanoJson } from './origami';
+import { parseFasta } from './fasta';
+import { downloadFile } from './download';
+
+// --- OrigamiPanel Component ---
+// Settings and results of the DNA origami designer (see origami.js): the shape, lattice and helix
+// length, the scaffold the staples are designed against, and the staples themselves with exports
+// as a plate map (CSV) and as caDNAno JSON. No scaffold sequence ships with the app; the standard
+// M13mp18 scaffold has to be loaded from a FASTA file like any other. Number fields keep what was
+// typed; designOrigami clamps them to ORIGAMI_LIMITS.
+
+const inputClass = 'p-1 border border-gray-300 rounded-md bg-white text-sm';
+const linkButtonClass = 'text-blue-500 hover:text-blue-700 text-sm font-semibold disabled:opacity-50';
+
+// Staples listed at once in the table.
+const MAX_LISTED_STAPLES = 300;
+
+const range = (values, digits = 0) => (values.length > 0
+    ? `${Math.min(...values).toFixed(digits)}–${Math.max(...values).toFixed(digits)}`
+    : '—');
+
+const OrigamiPanel = ({ settings, design, constructSequence, onChange, designName }) => {
+    const [showPaste, setShowPaste] = useState(false);
+    const [pastedScaffold, setPastedScaffold] = useState('');
+    const [scaffoldMessage, setScaffoldMessage] = useState('');
+    const [showStaples, setShowStaples] = useState(false);
+
+    const update = (changes) => onChange({ ...settings, ...changes });
+    // The values the design was made with, for labels.
+    const normalized = normalizeOrigami(settings);
+    const { scaffold } = normalized;
+
+    // Takes the first record of FASTA (or plain sequence) text as the scaffold.
+    const takeScaffoldText = (text, source) => {
+        const records = parseFasta(text).filter(record => record.sequence);
+        if (records.length === 0) {
+            setScaffoldMessage(`No sequence found in ${source}.`);
+            return false;
+        }
+        update({ scaffold: { name: records[0].id, sequence: records[0].sequence } });
+        setScaffoldMessage(records.length > 1 ? `Used the first of ${records.length} records in ${source}.` : '');
+        return true;
+    };
+
+    const loadScaffoldFile = (event) => {
+        const [file] = event.target.files;
+        event.target.value = ''; // Allow re-selecting the same file.
+        if (!file) return;
+        file.text().then(text => takeScaffoldText(text, file.name)).catch(error => {
+            console.error('Error reading scaffold file:', error);
+            setScaffoldMessage(`Could not read ${file.name}: ${error.message}`);
+        });
+    };
+
+    const takePastedScaffold = () => {
+        if (takeScaffoldText(pastedScaffold, 'the pasted text')) {
+            setShowPaste(false);
+            setPastedScaffold('');
+        }
+    };
+
+    const exportPlateMap = () => {
+        downloadFile(`${designName}_origami_staples.csv`, formatStapleCsv(design), 'text/csv');
+    };
+
+    const exportCadnano = () => {
+        downloadFile(`${designName}_origami.json`, formatCadnanoJson(design, `${designName}_origami`), 'application/json');
+    };
+
+    const shape = ORIGAMI_SHAPES[normalized.shape];
+    const lattice = ORIGAMI_LATTICES[normalized.lattice];
+    const hasSequences = design.staples.length > 0 && design.staples[0].sequence !== null;
+    const lengths = design.staples.map(staple => staple.length);
+    const tms = hasSequences ? design.staples.map(staple => staple.tm) : [];
+
+    return (
+        <div className="mt-4 border border-gray-300 rounded-md p-4 bg-gray-50 text-sm">
+            <h3 className="text-lg font-medium text-gray-700 mb-3">DNA Origami</h3>
+
+            {/* Shape */}
+            <div className="flex flex-wrap items-center gap-3 mb-3">
+                <label className="text-gray-700">
+                    Shape
+                    <select
+                        className={`${inputClass} ml-1`}
+                        value={normalized.shape}
+                        onChange={(e) => update({ shape: e.target.value })}
+                    >
+                        {Object.entries(ORIGAMI_SHAPES).map(([key, definition]) => <option key={key} value={key}>{definition.label}</option>)}
+                    </select>
+                </label>
+                <label className="text-gray-700">
+                    Lattice
+                    <select
+                        className={`${inputClass} ml-1`}
+                        value={normalized.lattice}
+                        onChange={(e) => update({ lattice: e.target.value })}
+                    >
+                        {shape.lattices.map(key => <option key={key} value={key}>{ORIGAMI_LATTICES[key].label}</option>)}
+                    </select>
+                </label>
+                {normalized.shape === 'sheet' && (
+                    <label className="text-gray-700">
+                        Helices
+                        <input
+                            type="number"
+                            min={ORIGAMI_LIMITS.helixCount.min}
+                            max={ORIGAMI_LIMITS.helixCount.max}
+                            className={`${inputClass} ml-1 w-16`}
+                            value={settings.helixCount}
+                            onChange={(e) => update({ helixCount: e.target.value })}
+                        />
+                    </label>
+                )}
+                {normalized.shape === 'tube' && (
+                    <label
+                        className="text-gray-700"
+                        title={normalized.lattice === 'square' ? 'Helices along each side of the square ring' : 'Rings of hexagons inside the tube wall'}
+                    >
+                        {normalized.lattice === 'square' ? 'Side' : 'Rings'}
+                        <input
+                            type="number"
+                            min={ORIGAMI_LIMITS.tubeSize[normalized.lattice].min}
+                            max={ORIGAMI_LIMITS.tubeSize[normalized.lattice].max}
+                            className={`${inputClass} ml-1 w-14`}
+                            value={settings.tubeSize}
+                            onChange={(e) => update({ tubeSize: e.target.value })}
+                        />
+                    </label>
+                )}
+                <label className="text-gray-700" title={`Rounded down to whole ${lattice.step} bp lattice repeats`}>
+                    Length
+                    <input
+                        type="number"
+                        min={ORIGAMI_LIMITS.length.min}
+                        max={ORIGAMI_LIMITS.length.max}
+                        step={lattice.step}
+                        className={`${inputClass} ml-1 w-20`}
+                        value={settings.length}
+                        onChange={(e) => update({ length: e.target.value })}
+                    />
+                    {' '}bp
+                </label>
+            </div>
+
+            {/* Scaffold */}
+            <div className="mb-3">
+                <div className="flex flex-wrap items-center gap-3">
+                    <span className="text-gray-700 mr-auto">
+                        <span className="font-semibold">Scaffold:</span>{' '}
+                        {scaffold ? `${scaffold.name} (${scaffold.sequence.length.toLocaleString()} nt)` : 'none loaded'}
+                    </span>
+                    <label className={`${linkButtonClass} cursor-pointer`}>
+                        Load FASTA…
+                        <input type="file" accept=".fa,.fasta,.fna,.txt" className="hidden" onChange={loadScaffoldFile} />
+                    </label>
+                    <button className={linkButtonClass} onClick={() => setShowPaste(!showPaste)}>Paste…</button>
+                    <button
+                        className={linkButtonClass}
+                        disabled={!constructSequence}
+                        onClick={() => update({ scaffold: { name: 'construct', sequence: constructSequence } })}
+                        title="Use the assembled construct as the scaffold"
+                    >
+                        Use construct
+                    </button>
+                    {scaffold && (
+                        <button className="text-red-500 hover:text-red-700 text-sm font-semibold" onClick={() => update({ scaffold: null })}>
+                            Remove
+                        </button>
+                    )}
+                </div>
+                {showPaste && (
+                    <div className="mt-2">
+                        <textarea
+                            className="w-full p-2 border border-gray-300 rounded-md font-mono text-xs min-h-[60px] resize-y"
+                            placeholder="Paste a scaffold sequence (FASTA or plain)"
+                            value={pastedScaffold}
+                            onChange={(e) => setPastedScaffold(e.target.value)}
+                        />
+                        <button onClick={takePastedScaffold} className="bg-gray-200 hover:bg-gray-300 text-gray-700 font-semibold py-1 px-3 rounded-md">
+                            Use as scaffold
+                        </button>
+                    </div>
+                )}
+                {scaffoldMessage && <p className="mt-1 text-yellow-700">{scaffoldMessage}</p>}
+                {scaffold && (
+                    <label className="block mt-2 text-gray-700" title="Scaffold base paired at the start of the routing; the scaffold is treated as circular">
+                        Start at scaffold base
+                        <input
+                            type="number"
+                            min="1"
+                            className={`${inputClass} ml-2 w-24`}
+                            value={settings.scaffoldStart}
+                            onChange={(e) => update({ scaffoldStart: e.target.value })}
+                        />
+                    </label>
+                )}
+                <p className="mt-1 text-gray-500">
+                    No scaffold is bundled with the app. For the usual M13mp18 scaffold (7,249 nt), load its sequence as FASTA, e.g. GenBank X02513 or your supplier's file.
+                </p>
+            </div>
+
+            {/* Design summary */}
+            <table className="mb-2">
+                <tbody>
+                    <tr>
+                        <td className="pr-4 text-gray-600">Helices</td>
+                        <td>{design.helices.length} × {helixLength(normalized)} bp on the {lattice.label.toLowerCase()} lattice</td>
+                    </tr>
+                    <tr>
+                        <td className="pr-4 text-gray-600">Scaffold used</td>
+                        <td>
+                            {design.scaffoldNeeded.toLocaleString()} nt
+                            {scaffold && scaffold.sequence.length >= design.scaffoldNeeded && (
+                                ` (${(scaffold.sequence.length - design.scaffoldNeeded).toLocaleString()} nt left as an unpaired loop)`
+                            )}
+                        </td>
+                    </tr>
+                    <tr>
+                        <td className="pr-4 text-gray-600">Crossovers</td>
+                        <td>{design.scaffoldCrossovers} scaffold, {design.stapleCrossovers} staple</td>
+                    </tr>
+                    <tr>
+                        <td className="pr-4 text-gray-600">Staples</td>
+                        <td>{design.staples.length}, {range(lengths)} nt (aiming for {STAPLE_LENGTH.target})</td>
+                    </tr>
+                    <tr>
+                        <td className="pr-4 text-gray-600">Staple Tm</td>
+                        <td title="Each staple against its binding site in 12.5 mM Mg²⁺; a comparison between staples, not a folding temperature">
+                            {hasSequences ? `${range(tms, 1)} °C` : '—'}
+                        </td>
+                    </tr>
+                </tbody>
+            </table>
+            {design.warnings.map((warning, index) => <p key={index} className="text-yellow-700 mb-1">{warning}</p>)}
+
+            <div className="flex flex-wrap items-center gap-3 mt-2">
+                <button
+                    onClick={exportPlateMap}
+                    disabled={!hasSequences}
+                    title={hasSequences ? '' : 'Load a long enough scaffold to get staple sequences'}
+                    className="bg-gray-700 hover:bg-gray-800 text-white font-semibold py-1 px-3 rounded-md disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    Export plate map (CSV)
+                </button>
+                <button onClick={exportCadnano} className="bg-gray-700 hover:bg-gray-800 text-white font-semibold py-1 px-3 rounded-md">
+                    Export caDNAno JSON
+                </button>
+                <button className={linkButtonClass} onClick={() => setShowStaples(!showStaples)}>
+                    {showStaples ? 'Hide staples' : 'Show staples'}
+                </button>
+            </div>
+
+            {showStaples && (
+                <div className="mt-2 max-h-64 overflow-y-auto">
+                    <table className="min-w-full">
+                        <thead>
+                            <tr className="text-left text-gray-600">
+                                <th className="pr-2 font-medium">Name</th>
+                                <th className="pr-2 font-medium">5' end</th>
+                                <th className="pr-2 font-medium">3' end</th>
+                                <th className="pr-2 font-medium">Length</th>
+                                <th className="pr-2 font-medium">Tm (°C)</th>
+                                <th className="font-medium">Sequence (5'→3')</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {design.staples.slice(0, MAX_LISTED_STAPLES).map(staple => (
+                                <tr key={staple.name} className="align-top">
+                                    <td className="pr-2 whitespace-nowrap">
+                                        <span className="inline-block w-2 h-2 mr-1 rounded-full" style={{ backgroundColor: staple.color }} />
+                                        {staple.name}
+                                    </td>
+                                    <td className="pr-2">{staple.start}</td>
+                                    <td className="pr-2">{staple.end}</td>
+                                    <td className={`pr-2 ${staple.length < STAPLE_LENGTH.min || staple.length > STAPLE_LENGTH.max ? 'text-red-600' : ''}`}>{staple.length}</td>
+                                    <td className="pr-2">{staple.tm === null ? '—' : staple.tm.toFixed(1)}</td>
+                                    <td className="font-mono text-xs break-all">{staple.sequence || '—'}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {design.staples.length > MAX_LISTED_STAPLES && (
+                        <p className="text-gray-500 mt-1">… and {design.staples.length - MAX_LISTED_STAPLES} more in the exports.</p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default OrigamiPanel;
@@ -0,0 +1,626 @@
+import React, { useState, useMemo, useRef, useEffect, useCallback } from 'react';
+import { ELEMENT_COLORS } from './construct';
+import { restrictionSummary } from './restriction';
+import { reverseComplement } from './sequenceUtils';
+import { downloadFile } from './download';
+import SbolGlyph, { SBOL_GLYPH_NAMES } from './SbolGlyph';
+import { niceStep, tickPositions, angleFor, polar, arcArrowPath, linearArrowPath, spreadLabels, assignRows } from './mapLayout';
+import { composeFigure, svgToPngBlob } from './figureExport';
+
+// --- PlasmidMap Component ---
+// Graphical views of the construct shown under the element list:
+//   - an SBOL Visual glyph strip with one glyph per element, in order and not to scale. Drag a
+//     glyph to reorder, double-click its name to rename it, or flip its orientation;
+//   - a to-scale map, linear or circular, with element coordinates, single-cutter restriction
+//     sites and CRISPR guide positions. The linear map zooms in until individual bases show.
+// Both drawings export together as an SVG or PNG figure. Selection is shared with the editor
+// and the 3D viewer through `selectedElementId` / `selectedGuideId`.
+
+const FONT = 'Helvetica, Arial, sans-serif';
+const SELECTED_COLOR = '#facc15';
+const SITE_COLOR = '#374151';
+const GUIDE_COLORS = { '+': '#dc2626', '-': '#2563eb' };
+// Approximate width (px) of one character of an 11px label, for spacing labels apart.
+const CHAR_WIDTH = 6;
+
+// Glyph strip layout.
+const SLOT_WIDTH = 96;
+const GLYPH_SIZE = 40;
+const STRIP_PADDING = 16;
+const STRIP_BACKBONE_Y = 48;
+const STRIP_HEIGHT = 128;
+// Pointer travel (px) before a press on a glyph counts as a drag rather than a click.
+const DRAG_THRESHOLD = 4;
+
+// Linear map layout. Bases are drawn once each gets SEQUENCE_BASE_WIDTH px; zooming stops at
+// MAX_BASE_WIDTH px per base.
+const LINEAR_PADDING = 24;
+const ROW_HEIGHT = 14;
+const FEATURE_HEIGHT = 18;
+const GUIDE_ROW_HEIGHT = 8;
+const MAX_GUIDE_ROWS = 6;
+const SEQUENCE_BASE_WIDTH = 9;
+const MAX_BASE_WIDTH = 16;
+const ZOOM_FACTOR = 2;
+
+// Circular map layout.
+const CIRCLE_SIZE = 480;
+const CIRCLE_RADIUS = 130;
+const LABEL_RADIUS = 185;
+
+// Only the best-ranked guides are drawn (plus the selected one), to keep the map readable.
+const MAX_GUIDES = 30;
+
+const truncate = (text, maxLength) => (text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text);
+
+const featureTitle = (feature) => `${feature.name} (${feature.type}, ${feature.orientation}): ${feature.start}–${feature.end}, ${feature.length} bp`;
+
+const guideTitle = (guide) => `Guide #${guide.rank} ${guide.protospacer} ${guide.pam} (${guide.strand} strand): ${guide.start}–${guide.end}`;
+
+const PlasmidMap = ({
+    elements, construct, topology, guides, selectedElementId, selectedGuideId, designName,
+    onSelectElement, onSelectGuide, onMoveElement, onUpdateElement,
+}) => {
+    const [view, setView] = useState(topology);
+    const [showSites, setShowSites] = useState(true);
+    const [showGuides, setShowGuides] = useState(true);
+    const [zoom, setZoom] = useState(1);
+    // Width available to the drawings and the linear map's scroll position.
+    const [viewWidth, setViewWidth] = useState(600);
+    const [scroll, setScroll] = useState({ left: 0, width: 600 });
+    // Glyph being dragged: { id, index, startX, x, moved }.
+    const [drag, setDrag] = useState(null);
+    // Element being renamed: { id, name }.
+    const [renaming, setRenaming] = useState(null);
+    const containerRef = useRef(null);
+    const stripRef = useRef(null);
+    const mapRef = useRef(null);
+    const scrollRef = useRef(null);
+    // Centre of the linear map (as a fraction of its width) to keep in view across a zoom.
+    const pendingCenterRef = useRef(null);
+    // Element last brought into view, so zooming or editing doesn't pull the view back to it.
+    const revealedElementRef = useRef(null);
+    // Set when Escape cancels a rename, so the input's blur doesn't save it.
+    const cancelRenameRef = useRef(false);
+
+    const { sequence, features } = construct;
+    const length = sequence.length;
+
+    // The map follows the construct's topology until the user picks a view.
+    useEffect(() => {
+        setView(topology);
+    }, [topology]);
+
+    useEffect(() => {
+        const measure = () => {
+            // Less the 1px borders around each drawing.
+            if (containerRef.current) setViewWidth(Math.max(320, containerRef.current.clientWidth - 2));
+        };
+        measure();
+        window.addEventListener('resize', measure);
+        return () => window.removeEventListener('resize', measure);
+    }, []);
+
+    // Enzymes that cut the construct once, at their cut position (between bases).
+    const sites = useMemo(() => {
+        if (length === 0) return [];
+        return restrictionSummary(sequence, topology).singleCutters
+            .map(({ enzyme, sites: found }) => {
+                const site = found.find(candidate => candidate.cut !== null && candidate.blockedBy.length === 0);
+                return { name: enzyme.name, cut: site.cut, label: `${enzyme.name} (${site.cut || length})` };
+            })
+            .sort((a, b) => a.cut - b.cut);
+    }, [sequence, topology, length]);
+
+    const mapGuides = useMemo(() => {
+        const shown = [...guides].sort((a, b) => a.rank - b.rank).slice(0, MAX_GUIDES);
+        const selected = guides.find(guide => guide.id === selectedGuideId);
+        if (selected && !shown.includes(selected)) shown.push(selected);
+        return shown.sort((a, b) => a.start - b.start);
+    }, [guides, selectedGuideId]);
+
+    // --- Linear map scale ---
+    const maxZoom = Math.max(1, (MAX_BASE_WIDTH * length + 2 * LINEAR_PADDING) / viewWidth);
+    const mapWidth = viewWidth * Math.min(zoom, maxZoom);
+    const baseWidth = length > 0 ? (mapWidth - 2 * LINEAR_PADDING) / length : 0;
+    const xFor = useCallback((position) => LINEAR_PADDING + position * baseWidth, [baseWidth]);
+    const showBases = baseWidth >= SEQUENCE_BASE_WIDTH;
+
+    const changeZoom = (nextZoom) => {
+        const container = scrollRef.current;
+        if (container) pendingCenterRef.current = (container.scrollLeft + container.clientWidth / 2) / mapWidth;
+        setZoom(Math.min(Math.max(nextZoom, 1), maxZoom));
+    };
+
+    // After a zoom, scroll so the same point stays in the middle; always record what is in view.
+    useEffect(() => {
+        const container = scrollRef.current;
+        if (!container) return;
+        if (pendingCenterRef.current !== null) {
+            container.scrollLeft = pendingCenterRef.current * mapWidth - container.clientWidth / 2;
+            pendingCenterRef.current = null;
+        }
+        setScroll({ left: container.scrollLeft, width: container.clientWidth });
+    }, [mapWidth, view]);
+
+    // Bring a newly selected element into view on a zoomed linear map.
+    useEffect(() => {
+        if (revealedElementRef.current === selectedElementId) return;
+        const container = scrollRef.current;
+        const feature = features.find(candidate => candidate.elementId === selectedElementId);
+        if (!container || !feature || feature.length === 0) {
+            // Not on the map yet (or deselected): try again once it is, or when it is reselected.
+            revealedElementRef.current = null;
+            return;
+        }
+        revealedElementRef.current = selectedElementId;
+        const from = xFor(feature.start - 1);
+        const to = xFor(feature.end);
+        if (from < container.scrollLeft || to > container.scrollLeft + container.clientWidth) {
+            container.scrollLeft = (from + to) / 2 - container.clientWidth / 2;
+        }
+    }, [selectedElementId, features, xFor]);
+
+    // --- Glyph strip interaction ---
+    const stripWidth = Math.max(viewWidth, 2 * STRIP_PADDING + elements.length * SLOT_WIDTH);
+    const slotX = (index) => STRIP_PADDING + index * SLOT_WIDTH;
+    const dropIndex = drag && drag.moved
+        ? Math.min(Math.max(Math.floor((drag.x - STRIP_PADDING) / SLOT_WIDTH), 0), elements.length - 1)
+        : null;
+
+    const pointerX = (event) => event.clientX - stripRef.current.getBoundingClientRect().left;
+
+    const startDrag = (event, element, index) => {
+        if (event.button !== 0 || renaming) return;
+        stripRef.current.setPointerCapture(event.pointerId);
+        const x = pointerX(event);
+        setDrag({ id: element.id, index, startX: x, x, moved: false });
+    };
+
+    const moveDrag = (event) => {
+        if (!drag) return;
+        const x = pointerX(event);
+        setDrag({ ...drag, x, moved: drag.moved || Math.abs(x - drag.startX) > DRAG_THRESHOLD });
+    };
+
+    // A press without movement is a click, which toggles the selection.
+    const endDrag = () => {
+        if (!drag) return;
+        if (!drag.moved) onSelectElement(selectedElementId === drag.id ? null : drag.id);
+        else if (dropIndex !== drag.index) onMoveElement(drag.id, dropIndex);
+        setDrag(null);
+    };
+
+    const commitRename = () => {
+        if (cancelRenameRef.current || !renaming) {
+            cancelRenameRef.current = false;
+            return;
+        }
+        const name = renaming.name.trim();
+        const element = elements.find(el => el.id === renaming.id);
+        if (element && name && name !== element.name) onUpdateElement(element.id, { name });
+        setRenaming(null);
+    };
+
+    const handleRenameKey = (event) => {
+        if (event.key === 'Enter') commitRename();
+        if (event.key === 'Escape') {
+            cancelRenameRef.current = true;
+            setRenaming(null);
+        }
+    };
+
+    const flipElement = (element) => {
+        onUpdateElement(element.id, { orientation: element.orientation === 'reverse' ? 'forward' : 'reverse' });
+    };
+
+    // --- Export ---
+    // The strip is exported whole; a zoomed linear map is cropped to the part scrolled into view.
+    const exportFigure = (format) => {
+        const parts = [{ svg: stripRef.current }];
+        const container = scrollRef.current;
+        if (mapRef.current) {
+            const cropped = view === 'linear' && container && mapWidth > container.clientWidth;
+            parts.push({
+                svg: mapRef.current,
+                region: cropped
+                    ? { x: container.scrollLeft, y: 0, width: container.clientWidth, height: Number(mapRef.current.getAttribute('height')) }
+                    : null,
+            });
+        }
+        const { markup, width, height } = composeFigure(parts);
+        if (format === 'SVG') {
+            downloadFile(`${designName}_map.svg`, markup, 'image/svg+xml');
+            return;
+        }
+        svgToPngBlob(markup, width, height)
+            .then(blob => downloadFile(`${designName}_map.png`, blob))
+            .catch(error => {
+                console.error('PNG export failed:', error);
+                alert(`PNG export failed: ${error.message}`);
+            });
+    };
+
+    // --- Glyph strip ---
+    const renderStrip = () => (
+        <svg
+            ref={stripRef}
+            width={stripWidth}
+            height={STRIP_HEIGHT}
+            viewBox={`0 0 ${stripWidth} ${STRIP_HEIGHT}`}
+            fontFamily={FONT}
+            style={{ display: 'block', touchAction: 'none', userSelect: 'none' }}
+            onPointerMove={moveDrag}
+            onPointerUp={endDrag}
+            onPointerCancel={() => setDrag(null)}
+        >
+            <line
+                x1={STRIP_PADDING - 8}
+                x2={slotX(elements.length) + 8}
+                y1={STRIP_BACKBONE_Y}
+                y2={STRIP_BACKBONE_Y}
+                stroke="#111827"
+                strokeWidth={2}
+            />
+            {elements.map((el, index) => {
+                const x = slotX(index);
+                const feature = features[index];
+                const isDragged = drag && drag.moved && drag.id === el.id;
+                return (
+                    <g
+                        key={el.id}
+                        transform={isDragged ? `translate(${drag.x - drag.startX}, 0)` : undefined}
+                        opacity={isDragged ? 0.6 : 1}
+                    >
+                        {selectedElementId === el.id && (
+                            <rect
+                                data-export="omit"
+                                x={x + 3}
+                                y={6}
+                                width={SLOT_WIDTH - 6}
+                                height={STRIP_HEIGHT - 12}
+                                rx={6}
+                                fill="#fef9c3"
+                                stroke={SELECTED_COLOR}
+                                strokeWidth={2}
+                            />
+                        )}
+                        <g style={{ cursor: drag ? 'grabbing' : 'grab' }} onPointerDown={(event) => startDrag(event, el, index)}>
+                            <title>{`${el.name}: ${SBOL_GLYPH_NAMES[el.type]} glyph (${el.type}, ${el.orientation}). Drag to reorder.`}</title>
+                            <rect x={x} y={STRIP_BACKBONE_Y - GLYPH_SIZE * 0.65} width={SLOT_WIDTH} height={GLYPH_SIZE * 1.3} fill="transparent" />
+                            <SbolGlyph
+                                type={el.type}
+                                x={x + (SLOT_WIDTH - GLYPH_SIZE) / 2}
+                                y={STRIP_BACKBONE_Y}
+                                size={GLYPH_SIZE}
+                                reverse={el.orientation === 'reverse'}
+                            />
+                        </g>
+                        {renaming && renaming.id === el.id ? (
+                            <foreignObject x={x + 4} y={STRIP_BACKBONE_Y + 28} width={SLOT_WIDTH - 8} height={22}>
+                                <input
+                                    autoFocus
+                                    className="w-full px-1 text-xs border border-blue-400 rounded"
+                                    value={renaming.name}
+                                    onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                                    onKeyDown={handleRenameKey}
+                                    onBlur={commitRename}
+                                />
+                            </foreignObject>
+                        ) : (
+                            <text
+                                x={x + SLOT_WIDTH / 2}
+                                y={STRIP_BACKBONE_Y + 42}
+                                textAnchor="middle"
+                                fontSize={11}
+                                fontWeight="bold"
+                                fill="#1f2937"
+                                style={{ cursor: 'text' }}
+                                onDoubleClick={() => setRenaming({ id: el.id, name: el.name })}
+                            >
+                                <title>Double-click to rename</title>
+                                {truncate(el.name, Math.floor((SLOT_WIDTH - 8) / CHAR_WIDTH))}
+                            </text>
+                        )}
+                        <text x={x + SLOT_WIDTH / 2} y={STRIP_BACKBONE_Y + 56} textAnchor="middle" fontSize={9} fill="#6b7280">
+                            {feature.length > 0 ? `${feature.start}–${feature.end}` : 'no sequence'}
+                        </text>
+                        <g data-export="omit" style={{ cursor: 'pointer' }} onClick={() => flipElement(el)}>
+                            <title>Flip orientation</title>
+                            <rect x={x + SLOT_WIDTH / 2 - 18} y={STRIP_HEIGHT - 22} width={36} height={14} rx={3} fill="#e5e7eb" />
+                            <text x={x + SLOT_WIDTH / 2} y={STRIP_HEIGHT - 12} textAnchor="middle" fontSize={9} fill="#374151">⇄ flip</text>
+                        </g>
+                    </g>
+                );
+            })}
+            {dropIndex !== null && dropIndex !== drag.index && (
+                <line
+                    data-export="omit"
+                    x1={slotX(dropIndex > drag.index ? dropIndex + 1 : dropIndex)}
+                    x2={slotX(dropIndex > drag.index ? dropIndex + 1 : dropIndex)}
+                    y1={8}
+                    y2={STRIP_HEIGHT - 8}
+                    stroke="#2563eb"
+                    strokeWidth={3}
+                />
+            )}
+        </svg>
+    );
+
+    // --- Linear map ---
+    const renderLinearMap = () => {
+        const siteLabels = showSites
+            ? assignRows(sites.map(site => {
+                const x = xFor(site.cut);
+                const halfWidth = (site.label.length * CHAR_WIDTH) / 2;
+                return { ...site, x, from: x - halfWidth, to: x + halfWidth };
+            }).sort((a, b) => a.from - b.from), 6)
+            : [];
+        const siteRows = siteLabels.reduce((rows, label) => Math.max(rows, label.row + 1), 0);
+        const guideMarks = showGuides
+            ? assignRows(mapGuides.map(guide => ({ ...guide, from: xFor(guide.start - 1), to: xFor(guide.end) })), 2, MAX_GUIDE_ROWS)
+            : [];
+        const guideRows = guideMarks.reduce((rows, mark) => Math.max(rows, mark.row + 1), 0);
+
+        const backboneY = 8 + siteRows * ROW_HEIGHT + FEATURE_HEIGHT;
+        const basesY = backboneY + FEATURE_HEIGHT / 2 + 14;
+        const guidesY = basesY + (showBases ? 2 * ROW_HEIGHT : 0);
+        const rulerY = guidesY + guideRows * GUIDE_ROW_HEIGHT + 10;
+        const height = rulerY + 24;
+
+        // Only what is scrolled into view (plus a margin) is drawn base by base.
+        const firstVisible = Math.max(0, Math.floor((scroll.left - LINEAR_PADDING) / baseWidth) - 4);
+        const lastVisible = Math.min(length, Math.ceil((scroll.left + scroll.width - LINEAR_PADDING) / baseWidth) + 4);
+        const tickStep = niceStep(80 / baseWidth);
+        const ticks = tickPositions(length, tickStep)
+            .filter(position => xFor(position) >= scroll.left - 100 && xFor(position) <= scroll.left + scroll.width + 100);
+
+        return (
+            <svg ref={mapRef} width={mapWidth} height={height} viewBox={`0 0 ${mapWidth} ${height}`} fontFamily={FONT} style={{ display: 'block' }}>
+                <line x1={xFor(0)} x2={xFor(length)} y1={backboneY} y2={backboneY} stroke="#9ca3af" strokeWidth={2} />
+                {features.filter(feature => feature.length > 0).map(feature => {
+                    const from = xFor(feature.start - 1);
+                    const to = xFor(feature.end);
+                    const outline = linearArrowPath(from, to, backboneY, FEATURE_HEIGHT, feature.orientation === 'reverse', 8);
+                    const labelFits = feature.name.length * CHAR_WIDTH < to - from - 12;
+                    return (
+                        <g
+                            key={feature.elementId}
+                            style={{ cursor: 'pointer' }}
+                            onClick={() => onSelectElement(selectedElementId === feature.elementId ? null : feature.elementId)}
+                        >
+                            <title>{featureTitle(feature)}</title>
+                            <path d={outline} fill={ELEMENT_COLORS[feature.type]} />
+                            {selectedElementId === feature.elementId && (
+                                <path data-export="omit" d={outline} fill="none" stroke={SELECTED_COLOR} strokeWidth={3} />
+                            )}
+                            {labelFits && (
+                                <text x={(from + to) / 2} y={backboneY + 4} textAnchor="middle" fontSize={11} fill="#ffffff" fontWeight="bold">
+                                    {feature.name}
+                                </text>
+                            )}
+                        </g>
+                    );
+                })}
+                {siteLabels.map(site => {
+                    const labelY = 8 + site.row * ROW_HEIGHT + 10;
+                    return (
+                        <g key={site.name}>
+                            <title>{`${site.name} cuts after base ${site.cut || length}`}</title>
+                            <line x1={site.x} x2={site.x} y1={labelY + 3} y2={backboneY + FEATURE_HEIGHT / 2} stroke={SITE_COLOR} strokeWidth={1} />
+                            <text x={site.x} y={labelY} textAnchor="middle" fontSize={10} fill={SITE_COLOR}>{site.label}</text>
+                        </g>
+                    );
+                })}
+                {showBases && Array.from({ length: lastVisible - firstVisible }, (_, offset) => {
+                    const index = firstVisible + offset;
+                    const x = xFor(index + 0.5);
+                    return (
+                        <g key={index} fontFamily="Menlo, Consolas, monospace" fontSize={11} textAnchor="middle">
+                            <text x={x} y={basesY}>{sequence[index]}</text>
+                            <text x={x} y={basesY + ROW_HEIGHT - 2} fill="#9ca3af">{reverseComplement(sequence[index])}</text>
+                        </g>
+                    );
+                })}
+                {guideMarks.map(guide => {
+                    const y = guidesY + guide.row * GUIDE_ROW_HEIGHT;
+                    return (
+                        <g key={guide.id} style={{ cursor: 'pointer' }} onClick={() => onSelectGuide(selectedGuideId === guide.id ? null : guide.id)}>
+                            <title>{guideTitle(guide)}</title>
+                            <path
+                                d={linearArrowPath(guide.from, Math.max(guide.to, guide.from + 3), y, 5, guide.strand === '-', 4)}
+                                fill={GUIDE_COLORS[guide.strand]}
+                                stroke={selectedGuideId === guide.id ? SELECTED_COLOR : 'none'}
+                                strokeWidth={2}
+                            />
+                        </g>
+                    );
+                })}
+                <line x1={xFor(0)} x2={xFor(length)} y1={rulerY} y2={rulerY} stroke="#6b7280" strokeWidth={1} />
+                {ticks.map(position => (
+                    <g key={position}>
+                        <line x1={xFor(position - 0.5)} x2={xFor(position - 0.5)} y1={rulerY} y2={rulerY + 5} stroke="#6b7280" />
+                        <text x={xFor(position - 0.5)} y={rulerY + 16} textAnchor="middle" fontSize={9} fill="#6b7280">{position}</text>
+                    </g>
+                ))}
+            </svg>
+        );
+    };
+
+    // --- Circular map ---
+    const renderCircularMap = () => {
+        const cx = CIRCLE_SIZE / 2;
+        const cy = CIRCLE_SIZE / 2;
+        const inner = CIRCLE_RADIUS - FEATURE_HEIGHT / 2;
+        const outer = CIRCLE_RADIUS + FEATURE_HEIGHT / 2;
+        const shownFeatures = features.filter(feature => feature.length > 0);
+        const labels = spreadLabels([
+            ...shownFeatures.map(feature => ({
+                key: `element-${feature.elementId}`,
+                position: angleFor(feature.start - 1 + feature.length / 2, length),
+                text: truncate(feature.name, 24),
+                color: ELEMENT_COLORS[feature.type],
+            })),
+            ...(showSites ? sites.map(site => ({
+                key: `site-${site.name}`,
+                position: angleFor(site.cut, length),
+                text: site.label,
+                color: SITE_COLOR,
+            })) : []),
+        ], 13 / LABEL_RADIUS, 0, 2 * Math.PI);
+        // The last tick would sit on top of position 1.
+        const ticks = tickPositions(length, niceStep(length / 16)).filter(position => position < length);
+
+        return (
+            <svg
+                ref={mapRef}
+                width={CIRCLE_SIZE}
+                height={CIRCLE_SIZE}
+                viewBox={`0 0 ${CIRCLE_SIZE} ${CIRCLE_SIZE}`}
+                fontFamily={FONT}
+                style={{ display: 'block', margin: '0 auto' }}
+            >
+                <circle cx={cx} cy={cy} r={CIRCLE_RADIUS} fill="none" stroke="#9ca3af" strokeWidth={2} />
+                {ticks.map(position => {
+                    const angle = angleFor(position - 0.5, length);
+                    const from = polar(cx, cy, inner - 2, angle);
+                    const to = polar(cx, cy, inner - 7, angle);
+                    const label = polar(cx, cy, inner - 18, angle);
+                    return (
+                        <g key={position}>
+                            <line x1={from.x} y1={from.y} x2={to.x} y2={to.y} stroke="#6b7280" />
+                            <text x={label.x} y={label.y} dy="0.35em" textAnchor="middle" fontSize={9} fill="#6b7280">{position}</text>
+                        </g>
+                    );
+                })}
+                {shownFeatures.map(feature => {
+                    const outline = arcArrowPath(
+                        cx, cy, inner, outer,
+                        angleFor(feature.start - 1, length), angleFor(feature.end, length),
+                        feature.orientation === 'reverse', 0.08,
+                    );
+                    return (
+                        <g
+                            key={feature.elementId}
+                            style={{ cursor: 'pointer' }}
+                            onClick={() => onSelectElement(selectedElementId === feature.elementId ? null : feature.elementId)}
+                        >
+                            <title>{featureTitle(feature)}</title>
+                            <path d={outline} fill={ELEMENT_COLORS[feature.type]} />
+                            {selectedElementId === feature.elementId && (
+                                <path data-export="omit" d={outline} fill="none" stroke={SELECTED_COLOR} strokeWidth={3} />
+                            )}
+                        </g>
+                    );
+                })}
+                {showSites && sites.map(site => {
+                    const angle = angleFor(site.cut, length);
+                    const from = polar(cx, cy, inner - 3, angle);
+                    const to = polar(cx, cy, outer + 3, angle);
+                    return <line key={site.name} x1={from.x} y1={from.y} x2={to.x} y2={to.y} stroke={SITE_COLOR} strokeWidth={1.5} />;
+                })}
+                {showGuides && mapGuides.map(guide => {
+                    const radius = outer + 5;
+                    const start = angleFor(guide.start - 1, length);
+                    const end = Math.max(angleFor(guide.end, length), start + 0.01);
+                    const from = polar(cx, cy, radius, start);
+                    const to = polar(cx, cy, radius, end);
+                    return (
+                        <path
+                            key={guide.id}
+                            d={`M ${from.x} ${from.y} A ${radius} ${radius} 0 0 1 ${to.x} ${to.y}`}
+                            fill="none"
+                            stroke={selectedGuideId === guide.id ? SELECTED_COLOR : GUIDE_COLORS[guide.strand]}
+                            strokeWidth={selectedGuideId === guide.id ? 6 : 4}
+                            style={{ cursor: 'pointer' }}
+                            onClick={() => onSelectGuide(selectedGuideId === guide.id ? null : guide.id)}
+                        >
+                            <title>{guideTitle(guide)}</title>
+                        </path>
+                    );
+                })}
+                {labels.map(label => {
+                    const from = polar(cx, cy, outer + 10, label.position);
+                    const to = polar(cx, cy, LABEL_RADIUS - 6, label.labelPosition);
+                    const at = polar(cx, cy, LABEL_RADIUS, label.labelPosition);
+                    const side = Math.sin(label.labelPosition);
+                    const anchor = Math.abs(side) < 0.15 ? 'middle' : side > 0 ? 'start' : 'end';
+                    return (
+                        <g key={label.key}>
+                            <line x1={from.x} y1={from.y} x2={to.x} y2={to.y} stroke="#d1d5db" />
+                            <text x={at.x} y={at.y} dy="0.35em" textAnchor={anchor} fontSize={11} fill={label.color}>{label.text}</text>
+                        </g>
+                    );
+                })}
+                <text x={cx} y={cy - 6} textAnchor="middle" fontSize={14} fontWeight="bold" fill="#1f2937">{designName}</text>
+                <text x={cx} y={cy + 14} textAnchor="middle" fontSize={11} fill="#6b7280">{length} bp · {topology}</text>
+            </svg>
+        );
+    };
+
+    const buttonClass = (active) => `px-2 py-1 rounded-md text-sm font-semibold ${active ? 'bg-blue-600 text-white' : 'bg-gray-200 hover:bg-gray-300 disabled:opacity-50 text-gray-800'}`;
+
+    return (
+        <div ref={containerRef} className="mt-4">
+            <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+                <h3 className="text-lg font-medium text-gray-700 mr-2">Construct Map</h3>
+                <button className={buttonClass(view === 'linear')} onClick={() => setView('linear')}>Linear</button>
+                <button className={buttonClass(view === 'circular')} onClick={() => setView('circular')}>Circular</button>
+                <label className="ml-2">
+                    <input type="checkbox" className="mr-1" checked={showSites} onChange={(e) => setShowSites(e.target.checked)} />
+                    Single cutters ({sites.length})
+                </label>
+                <label>
+                    <input type="checkbox" className="mr-1" checked={showGuides} onChange={(e) => setShowGuides(e.target.checked)} />
+                    Guides ({mapGuides.length})
+                </label>
+                <span className="flex-grow" />
+                <button className={buttonClass(false)} onClick={() => exportFigure('SVG')}>SVG</button>
+                <button className={buttonClass(false)} onClick={() => exportFigure('PNG')}>PNG</button>
+            </div>
+            <div className="overflow-x-auto border border-gray-200 rounded-md bg-white">
+                {renderStrip()}
+            </div>
+            {length === 0 ? (
+                <p className="mt-2 text-sm text-gray-500 italic">Add element sequences to draw the map to scale.</p>
+            ) : (
+                <>
+                    {view === 'linear' && (
+                        <div className="flex items-center gap-2 mt-2 text-sm">
+                            <button className={buttonClass(false)} onClick={() => changeZoom(zoom / ZOOM_FACTOR)} disabled={zoom <= 1} title="Zoom out">−</button>
+                            <button className={buttonClass(false)} onClick={() => changeZoom(zoom * ZOOM_FACTOR)} disabled={zoom >= maxZoom} title="Zoom in">+</button>
+                            <button className={buttonClass(false)} onClick={() => changeZoom(1)}>Fit</button>
+                            <button
+                                className={buttonClass(false)}
+                                onClick={() => changeZoom((SEQUENCE_BASE_WIDTH * length + 2 * LINEAR_PADDING) / viewWidth)}
+                            >
+                                Bases
+                            </button>
+                            <span className="text-gray-500">
+                                {Math.min(length, Math.round(scroll.width / baseWidth))} of {length} bp in view
+                            </span>
+                        </div>
+                    )}
+                    <div
+                        ref={scrollRef}
+                        className="mt-2 overflow-x-auto border border-gray-200 rounded-md bg-white"
+                        onScroll={(e) => setScroll({ left: e.currentTarget.scrollLeft, width: e.currentTarget.clientWidth })}
+                    >
+                        {view === 'linear' ? renderLinearMap() : renderCircularMap()}
+                    </div>
+                    <p className="mt-1 text-xs text-gray-500">
+                        Single cutters assume dam+/dcm+ E. coli DNA (blocked sites are left out).
+                        {guides.length > 0 && (
+                            <>
+                                {' '}Guides are the {MAX_GUIDES} best ranked CRISPR results on this construct
+                                (<span style={{ color: GUIDE_COLORS['+'] }}>+ strand</span>, <span style={{ color: GUIDE_COLORS['-'] }}>− strand</span>).
+                            </>
+                        )}
+                    </p>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default PlasmidMap;
@@ -0,0 +1,72 @@
+import React from 'react';
+
+// --- ProjectBar Component ---
+// Toolbar for the open project: rename it, switch between saved projects, create, delete,
+// export and import project files, and undo/redo design changes. Shows the autosave status.
+
+const STATUS_TEXT = {
+    loading: 'Loading projects…',
+    saving: 'Saving…',
+    saved: 'All changes saved',
+    error: 'Autosave failed',
+    unavailable: 'Autosave unavailable',
+};
+
+const buttonClass = 'bg-gray-200 hover:bg-gray-300 disabled:opacity-50 text-gray-800 text-sm font-semibold py-1 px-3 rounded-md';
+
+const ProjectBar = ({
+    projects, projectId, projectName, saveStatus, onRename, onOpen, onNew, onDelete, onExport, onImport,
+    canUndo, canRedo, onUndo, onRedo,
+}) => {
+    const handleImportInput = (event) => {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow re-selecting the same file.
+        if (file) onImport(file);
+    };
+
+    return (
+        <div className="bg-white p-3 rounded-lg shadow-md mb-6 flex flex-wrap items-center gap-3 text-sm">
+            <label className="text-gray-700 font-semibold">
+                Project
+                <input
+                    className="ml-2 p-1 border border-gray-300 rounded-md font-normal"
+                    value={projectName}
+                    onChange={(e) => onRename(e.target.value)}
+                />
+            </label>
+            {projects.length > 0 && (
+                <select
+                    className="p-1 border border-gray-300 rounded-md bg-white"
+                    value={projects.some(project => project.id === projectId) ? projectId : ''}
+                    onChange={(e) => onOpen(e.target.value)}
+                    title="Open a saved project"
+                >
+                    {!projects.some(project => project.id === projectId) && <option value="">(unsaved)</option>}
+                    {projects.map(project => (
+                        <option key={project.id} value={project.id}>
+                            {project.name} — {new Date(project.updatedAt).toLocaleString()}
+                        </option>
+                    ))}
+                </select>
+            )}
+            <button onClick={onNew} className={buttonClass}>New</button>
+            <button onClick={onDelete} className={buttonClass} disabled={!projects.some(project => project.id === projectId)}>Delete</button>
+            <button onClick={onExport} className={buttonClass}>Export</button>
+            <label className={`${buttonClass} cursor-pointer`}>
+                Import
+                <input type="file" accept=".json" className="hidden" onChange={handleImportInput} />
+            </label>
+            <span className="flex-grow" />
+            <button onClick={onUndo} disabled={!canUndo} className={buttonClass} title="Undo (Ctrl+Z)">Undo</button>
+            <button onClick={onRedo} disabled={!canRedo} className={buttonClass} title="Redo (Ctrl+Shift+Z)">Redo</button>
+            <span
+                className={`text-xs ${saveStatus.state === 'error' || saveStatus.state === 'unavailable' ? 'text-red-600' : 'text-gray-500'}`}
+                title={saveStatus.message}
+            >
+                {STATUS_TEXT[saveStatus.state] || ''}
+            </span>
+        </div>
+    );
+};
+
+export default ProjectBar;
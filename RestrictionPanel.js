@@ -0,0 +1,173 @@
+import React, { useState, useMemo } from 'react';
+import { ENZYME_DATABASE } from './enzymeDatabase';
+import { DEFAULT_METHYLATION, restrictionSummary, digest, overhangType } from './restriction';
+import VirtualGel, { GEL_LADDERS, GEL_PERCENTAGES } from './VirtualGel';
+
+// --- RestrictionPanel Component ---
+// Restriction analysis of the assembled construct: which enzymes cut (single cutters first), a
+// single or double digest of the chosen enzymes with its fragment list, and a virtual gel with
+// uncut, single and double digest lanes. Methylation switches model DNA grown in dam+/dcm+ E. coli
+// (or CpG-methylated DNA); blocked sites are left uncut.
+
+const LISTS = [
+    { key: 'singleCutters', label: 'Single cutters' },
+    { key: 'cutters', label: 'All cutters' },
+    { key: 'nonCutters', label: 'Non-cutters' },
+];
+
+const METHYLATION_LABELS = { dam: 'dam+', dcm: 'dcm+', cpg: 'CpG' };
+
+// "EcoRI 5' AATT" / "EcoRV blunt" for a fragment end; "—" for the end of linear DNA.
+const describeEnd = (end) => {
+    if (!end) return '—';
+    return end.type === 'blunt' ? `${end.enzyme} blunt` : `${end.enzyme} ${end.type} ${end.overhang}`;
+};
+
+const RestrictionPanel = ({ sequence, topology }) => {
+    const [methylation, setMethylation] = useState(DEFAULT_METHYLATION);
+    const [listKey, setListKey] = useState('singleCutters');
+    const [enzymeA, setEnzymeA] = useState('EcoRI');
+    const [enzymeB, setEnzymeB] = useState('');
+    const [ladder, setLadder] = useState(Object.keys(GEL_LADDERS)[0]);
+    const [percentage, setPercentage] = useState('1%');
+
+    const summary = useMemo(() => restrictionSummary(sequence, topology, methylation), [sequence, topology, methylation]);
+
+    const digests = useMemo(() => {
+        const selected = [enzymeA, enzymeB].filter((name, index, names) => name && names.indexOf(name) === index);
+        const single = selected.map(name => ({ label: name, result: digest(sequence, topology, [name], methylation) }));
+        const double = selected.length === 2
+            ? [{ label: `${selected[0]} + ${selected[1]}`, result: digest(sequence, topology, selected, methylation) }]
+            : [];
+        return [...single, ...double];
+    }, [sequence, topology, methylation, enzymeA, enzymeB]);
+
+    const uncut = { label: 'Uncut', fragments: [{ length: sequence.length, supercoiled: topology === 'circular' }] };
+    const lanes = [uncut, ...digests.map(({ label, result }) => ({
+        label,
+        // An uncut circular molecule stays supercoiled.
+        fragments: result.fragments.map(fragment => ({ length: fragment.length, supercoiled: result.uncut && result.circular })),
+    }))];
+    const shownDigest = digests[digests.length - 1];
+
+    const enzymeSelect = (value, onChange, allowNone) => (
+        <select
+            className="ml-2 p-1 border border-gray-300 rounded-md bg-white"
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+        >
+            {allowNone && <option value="">None</option>}
+            {ENZYME_DATABASE.map(enzyme => <option key={enzyme.name} value={enzyme.name}>{enzyme.name}</option>)}
+        </select>
+    );
+
+    return (
+        <div className="space-y-3 text-sm">
+            <div className="flex flex-wrap gap-4 items-center">
+                {Object.keys(METHYLATION_LABELS).map(kind => (
+                    <label key={kind} className="text-gray-700">
+                        <input
+                            type="checkbox"
+                            className="mr-1"
+                            checked={methylation[kind]}
+                            onChange={(e) => setMethylation({ ...methylation, [kind]: e.target.checked })}
+                        />
+                        {METHYLATION_LABELS[kind]} methylation
+                    </label>
+                ))}
+            </div>
+
+            <div>
+                <div className="flex gap-2 mb-2">
+                    {LISTS.map(list => (
+                        <button
+                            key={list.key}
+                            onClick={() => setListKey(list.key)}
+                            className={`px-3 py-1 rounded-md text-xs font-semibold ${listKey === list.key ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+                        >
+                            {list.label} ({summary[list.key].length})
+                        </button>
+                    ))}
+                </div>
+                <div className="flex flex-wrap gap-1 max-h-32 overflow-y-auto">
+                    {summary[listKey].map(({ enzyme, sites, cutCount, blockedCount }) => {
+                        const { type } = overhangType(enzyme);
+                        const firstSite = sites.find(site => site.cut !== null && site.blockedBy.length === 0);
+                        const impaired = sites.some(site => site.impairedBy.length > 0);
+                        return (
+                            <button
+                                key={enzyme.name}
+                                onClick={() => setEnzymeA(enzyme.name)}
+                                title={`${enzyme.site} (${type === 'blunt' ? 'blunt' : `${type} overhang`})${blockedCount > 0 ? `, ${blockedCount} site(s) blocked by methylation` : ''}${impaired ? ', cutting impaired by methylation at some sites' : ''}`}
+                                className={`px-2 py-0.5 rounded border text-xs ${blockedCount > 0 || impaired ? 'border-orange-400 bg-orange-50' : 'border-gray-300 bg-white'} hover:bg-blue-50`}
+                            >
+                                {enzyme.name}
+                                {cutCount > 0 && <span className="text-gray-500"> ×{cutCount}{cutCount === 1 && firstSite ? ` @${firstSite.position}` : ''}</span>}
+                            </button>
+                        );
+                    })}
+                </div>
+            </div>
+
+            <div className="flex flex-wrap gap-3 items-center">
+                <label className="text-gray-700">Enzyme 1{enzymeSelect(enzymeA, setEnzymeA, false)}</label>
+                <label className="text-gray-700">Enzyme 2{enzymeSelect(enzymeB, setEnzymeB, true)}</label>
+                <label className="text-gray-700">
+                    Ladder
+                    <select
+                        className="ml-2 p-1 border border-gray-300 rounded-md bg-white"
+                        value={ladder}
+                        onChange={(e) => setLadder(e.target.value)}
+                    >
+                        {Object.keys(GEL_LADDERS).map(name => <option key={name} value={name}>{name}</option>)}
+                    </select>
+                </label>
+                <label className="text-gray-700">
+                    Agarose
+                    <select
+                        className="ml-2 p-1 border border-gray-300 rounded-md bg-white"
+                        value={percentage}
+                        onChange={(e) => setPercentage(e.target.value)}
+                    >
+                        {Object.keys(GEL_PERCENTAGES).map(name => <option key={name} value={name}>{name}</option>)}
+                    </select>
+                </label>
+            </div>
+
+            <VirtualGel lanes={lanes} ladder={ladder} percentage={percentage} />
+
+            {shownDigest && (
+                <div>
+                    <h4 className="font-semibold text-gray-700 mb-1">
+                        {shownDigest.label} digest ({topology}):{' '}
+                        {shownDigest.result.uncut ? 'no cuts' : `${shownDigest.result.fragments.length} fragment(s)`}
+                    </h4>
+                    {!shownDigest.result.uncut && (
+                        <table className="min-w-full text-xs border border-gray-200">
+                            <thead className="bg-gray-100">
+                                <tr>
+                                    <th className="p-1 text-left">Length (bp)</th>
+                                    <th className="p-1 text-left">Position</th>
+                                    <th className="p-1 text-left">Left end</th>
+                                    <th className="p-1 text-left">Right end</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {shownDigest.result.fragments.map((fragment, index) => (
+                                    <tr key={index} className="border-t border-gray-200">
+                                        <td className="p-1">{fragment.length}</td>
+                                        <td className="p-1">{fragment.start}–{fragment.end}{fragment.wrapsOrigin ? ' (through origin)' : ''}</td>
+                                        <td className="p-1 font-mono">{describeEnd(fragment.leftEnd)}</td>
+                                        <td className="p-1 font-mono">{describeEnd(fragment.rightEnd)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RestrictionPanel;
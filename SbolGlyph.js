@@ -0,0 +1,64 @@
+import React from 'react';
+import { ELEMENT_COLORS } from './construct';
+
+// --- SbolGlyph Component ---
+// Draws the SBOL Visual glyph for an element type inside a `size` × `size` box whose backbone
+// runs through its vertical middle. Reverse-strand elements are rotated 180° about the box
+// centre, as SBOL Visual draws them below the backbone pointing left.
+//   Promoter -> bent arrow, RBS -> ribosome entry site (half circle), Gene/Reporter -> CDS,
+//   Terminator -> T, CRISPR Guide -> non-coding RNA gene, Linker -> engineered region.
+
+// SBOL Visual glyph name per element type, for tooltips and legends.
+export const SBOL_GLYPH_NAMES = {
+    Promoter: 'Promoter',
+    RBS: 'Ribosome entry site',
+    Gene: 'CDS',
+    Reporter: 'CDS',
+    Terminator: 'Terminator',
+    'CRISPR Guide': 'Non-coding RNA gene',
+    Linker: 'Engineered region',
+};
+
+// Glyph outline relative to a box with the backbone at y = 0 and the glyph's width `w`.
+const glyphShape = (type, w, color) => {
+    const stroke = { stroke: color, strokeWidth: 2.5, fill: 'none', strokeLinejoin: 'round', strokeLinecap: 'round' };
+    const filled = { stroke: color, strokeWidth: 1.5, fill: color, fillOpacity: 0.85, strokeLinejoin: 'round' };
+    switch (type) {
+        case 'Promoter':
+            return (
+                <>
+                    <path d={`M ${w * 0.15} 0 V ${-w * 0.4} H ${w * 0.8}`} {...stroke} />
+                    <path d={`M ${w * 0.66} ${-w * 0.52} L ${w * 0.84} ${-w * 0.4} L ${w * 0.66} ${-w * 0.28}`} {...stroke} />
+                </>
+            );
+        case 'RBS':
+            return <path d={`M ${w * 0.2} 0 A ${w * 0.3} ${w * 0.3} 0 0 1 ${w * 0.8} 0 Z`} {...filled} />;
+        case 'Gene':
+        case 'Reporter':
+            return <path d={`M 0 ${-w * 0.2} H ${w * 0.68} L ${w} 0 L ${w * 0.68} ${w * 0.2} H 0 Z`} {...filled} />;
+        case 'Terminator':
+            return <path d={`M ${w / 2} 0 V ${-w * 0.42} M ${w * 0.22} ${-w * 0.42} H ${w * 0.78}`} {...stroke} />;
+        case 'CRISPR Guide':
+            return (
+                <>
+                    <path d={`M 0 ${-w * 0.14} H ${w * 0.72} L ${w} 0 L ${w * 0.72} ${w * 0.14} H 0 Z`} {...filled} />
+                    <path
+                        d={`M ${w * 0.1} ${-w * 0.3} q ${w * 0.1} ${-w * 0.12} ${w * 0.2} 0 t ${w * 0.2} 0 t ${w * 0.2} 0`}
+                        {...stroke}
+                        strokeWidth={2}
+                    />
+                </>
+            );
+        case 'Linker':
+        default:
+            return <rect x={0} y={-w * 0.14} width={w} height={w * 0.28} {...stroke} strokeWidth={2} />;
+    }
+};
+
+const SbolGlyph = ({ type, x, y, size, reverse = false, color = ELEMENT_COLORS[type] || '#6b7280' }) => (
+    <g transform={`translate(${x}, ${y})${reverse ? ` rotate(180, ${size / 2}, 0)` : ''}`}>
+        {glyphShape(type, size, color)}
+    </g>
+);
+
+export default SbolGlyph;
@@ -0,0 +1,422 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { SIMULATION_LIMITS, defaultRule, defaultSimulation, simulationSchedule, expressionTargets, formatSimulationCsv } from './organoidSimulation';
+import { downloadFile } from './download';
+
+// --- SimulationPanel Component ---
+// Settings and playback for the organoid growth simulation (see organoidSimulation.js). Runs go
+// to a Web Worker, which streams back one frame per time step; the timeline (slider, play/pause
+// and the population charts) can be scrubbed while the run is still going. The frame under the
+// cursor is reported through `onFrameChange` for the 3D viewer, or null when there is none or the
+// organoid, settings or construct have changed since the run.
+
+const inputClass = 'p-1 border border-gray-300 rounded-md bg-white text-sm';
+const linkButtonClass = 'text-blue-500 hover:text-blue-700 text-sm font-semibold disabled:opacity-50';
+
+// Time between frames during playback, in milliseconds.
+const PLAYBACK_INTERVAL = 150;
+
+const CHART = { width: 480, height: 110, left: 40, right: 8, top: 8, bottom: 18 };
+const TOTAL_COLOR = '#6b7280';
+
+// A line chart of `series` ([{ name, color, values }]) against hours, with the current step
+// marked. Clicking seeks to the nearest step.
+const TimelineChart = ({ title, hours, series, maxValue, formatValue, currentStep, onSeek }) => {
+    const plotWidth = CHART.width - CHART.left - CHART.right;
+    const plotHeight = CHART.height - CHART.top - CHART.bottom;
+    const lastHour = hours[hours.length - 1] || 1;
+    const xFor = (hour) => CHART.left + (hour / lastHour) * plotWidth;
+    const yFor = (value) => CHART.top + plotHeight - (maxValue > 0 ? (value / maxValue) * plotHeight : 0);
+
+    const seek = (event) => {
+        const box = event.currentTarget.getBoundingClientRect();
+        const hour = (((event.clientX - box.left) / box.width) * CHART.width - CHART.left) / plotWidth * lastHour;
+        let nearest = 0;
+        hours.forEach((value, index) => {
+            if (Math.abs(value - hour) < Math.abs(hours[nearest] - hour)) nearest = index;
+        });
+        onSeek(nearest);
+    };
+
+    return (
+        <div>
+            <div className="flex flex-wrap gap-x-3 text-xs text-gray-600">
+                <span className="font-semibold text-gray-700">{title}</span>
+                {series.map((line, index) => (
+                    <span key={index}>
+                        <span className="inline-block w-3 h-0.5 align-middle mr-1" style={{ backgroundColor: line.color }} />
+                        {line.name}: {formatValue(line.values[currentStep])}
+                    </span>
+                ))}
+            </div>
+            <svg
+                viewBox={`0 0 ${CHART.width} ${CHART.height}`}
+                className="w-full max-w-xl cursor-pointer"
+                onClick={seek}
+                role="img"
+                aria-label={title}
+            >
+                <line x1={CHART.left} y1={CHART.top + plotHeight} x2={CHART.left + plotWidth} y2={CHART.top + plotHeight} stroke="#d1d5db" />
+                <line x1={CHART.left} y1={CHART.top} x2={CHART.left} y2={CHART.top + plotHeight} stroke="#d1d5db" />
+                <text x={CHART.left - 4} y={CHART.top + 4} textAnchor="end" fontSize="10" fill="#6b7280">{formatValue(maxValue)}</text>
+                <text x={CHART.left - 4} y={CHART.top + plotHeight} textAnchor="end" fontSize="10" fill="#6b7280">0</text>
+                <text x={CHART.left} y={CHART.height - 4} fontSize="10" fill="#6b7280">0 h</text>
+                <text x={CHART.left + plotWidth} y={CHART.height - 4} textAnchor="end" fontSize="10" fill="#6b7280">{Math.round(lastHour)} h</text>
+                {series.map((line, index) => (
+                    <polyline
+                        key={index}
+                        points={line.values.map((value, index) => `${xFor(hours[index]).toFixed(1)},${yFor(value).toFixed(1)}`).join(' ')}
+                        fill="none"
+                        stroke={line.color}
+                        strokeWidth="1.5"
+                    />
+                ))}
+                {hours.length > 0 && (
+                    <line
+                        x1={xFor(hours[currentStep])}
+                        y1={CHART.top}
+                        x2={xFor(hours[currentStep])}
+                        y2={CHART.top + plotHeight}
+                        stroke="#ef4444"
+                        strokeDasharray="3 2"
+                    />
+                )}
+            </svg>
+        </div>
+    );
+};
+
+const SimulationPanel = ({ organoidParameters, organoid, elements, settings, onSettingsChange, onFrameChange, designName }) => {
+    const workerRef = useRef(null);
+    // Frames of the current run, by step; kept out of state as they can be large.
+    const framesRef = useRef([]);
+    // The run shown: { requestId, key, steps, cellTypes, status: 'running' | 'done' | 'error', error }.
+    const [run, setRun] = useState(null);
+    // Per-step stats of the run (see runSimulation), one entry per frame received.
+    const [stats, setStats] = useState([]);
+    const [currentStep, setCurrentStep] = useState(0);
+    const [isPlaying, setIsPlaying] = useState(false);
+
+    const expression = useMemo(() => expressionTargets(organoid.cellTypes, elements), [organoid, elements]);
+    // Identifies what a run was computed from, to tell when it no longer matches the inputs.
+    const inputKey = JSON.stringify([organoidParameters, settings, expression]);
+    const isStale = run !== null && run.key !== inputKey;
+    const { steps, stepHours } = simulationSchedule(settings);
+
+    // Keep the latest callback in a ref so the effects below don't re-run when it changes.
+    const onFrameChangeRef = useRef(onFrameChange);
+    onFrameChangeRef.current = onFrameChange;
+
+    // Stop the worker and clear the viewer's frame on unmount.
+    useEffect(() => () => {
+        if (workerRef.current) workerRef.current.terminate();
+        onFrameChangeRef.current(null);
+    }, []);
+
+    const shownStep = Math.min(currentStep, Math.max(stats.length - 1, 0));
+    useEffect(() => {
+        const frame = framesRef.current[shownStep];
+        onFrameChangeRef.current(run && !isStale && frame ? { cells: frame, cellTypes: run.cellTypes } : null);
+    }, [run, isStale, shownStep, stats.length]);
+
+    // Advance one step per interval while playing, waiting at the end for frames still being
+    // computed and stopping once the run has finished.
+    const isRunning = run !== null && run.status === 'running';
+    useEffect(() => {
+        if (!isPlaying || stats.length === 0) return undefined;
+        if (shownStep >= stats.length - 1 && !isRunning) {
+            setIsPlaying(false);
+            return undefined;
+        }
+        const timer = setTimeout(() => setCurrentStep(step => Math.min(step + 1, stats.length - 1)), PLAYBACK_INTERVAL);
+        return () => clearTimeout(timer);
+    }, [isPlaying, shownStep, stats.length, isRunning]);
+
+    const startRun = () => {
+        // A run can't be interrupted from inside the worker, so a new run gets a new worker.
+        if (workerRef.current) workerRef.current.terminate();
+        const worker = new Worker(new URL('./simulationWorker.js', import.meta.url));
+        workerRef.current = worker;
+        const requestId = Date.now();
+        framesRef.current = [];
+        setStats([]);
+        setCurrentStep(0);
+        setIsPlaying(true);
+        setRun({ requestId, key: inputKey, steps, cellTypes: organoid.cellTypes, status: 'running', error: '' });
+
+        worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.requestId !== requestId) return; // Stale message.
+            if (message.type === 'frame') {
+                framesRef.current.push(message.frame);
+                setStats(current => [...current, message.stats]);
+            } else if (message.type === 'complete') {
+                setRun(current => ({ ...current, status: 'done' }));
+                worker.terminate();
+                workerRef.current = null;
+            } else if (message.type === 'error') {
+                console.error('Simulation failed:', message.message);
+                setRun(current => ({ ...current, status: 'error', error: message.message }));
+                setIsPlaying(false);
+            }
+        };
+        worker.postMessage({
+            type: 'run',
+            requestId,
+            organoid: {
+                lumenRadius: organoid.lumenRadius,
+                outerRadius: organoid.outerRadius,
+                cells: organoid.cells,
+                cellTypes: organoid.cellTypes,
+            },
+            simulation: settings,
+            expression,
+        });
+    };
+
+    const togglePlaying = () => {
+        // Playing from the end starts over.
+        if (!isPlaying && shownStep >= stats.length - 1 && !isRunning) setCurrentStep(0);
+        setIsPlaying(!isPlaying);
+    };
+
+    const update = (changes) => onSettingsChange({ ...settings, ...changes });
+    const ruleValues = (cellTypeId) => ({ ...defaultRule(), ...(settings.rules && settings.rules[cellTypeId]) });
+    const updateRule = (cellTypeId, changes) => update({
+        rules: { ...settings.rules, [cellTypeId]: { ...ruleValues(cellTypeId), ...changes } },
+    });
+
+    const exportCsv = () => {
+        downloadFile(`${designName}_organoid_simulation.csv`, formatSimulationCsv(stats, run.cellTypes), 'text/csv');
+    };
+
+    const hours = stats.map(row => row.hours);
+    const reporterTypes = run ? run.cellTypes.map((cellType, index) => ({ cellType, index })).filter(({ cellType }) => cellType.reporter) : [];
+    const rateInput = (cellTypeId, field, title) => (
+        <input
+            type="number"
+            min={SIMULATION_LIMITS.rate.min}
+            max={SIMULATION_LIMITS.rate.max}
+            step="0.05"
+            className={`${inputClass} w-20`}
+            value={ruleValues(cellTypeId)[field]}
+            onChange={(e) => updateRule(cellTypeId, { [field]: e.target.value })}
+            title={title}
+        />
+    );
+
+    return (
+        <div className="mt-4 border border-gray-300 rounded-md p-4 bg-gray-50 text-sm">
+            <div className="flex flex-wrap items-center gap-3 mb-3">
+                <h3 className="text-lg font-medium text-gray-700 mr-auto">Growth Simulation</h3>
+                <label className="text-gray-700">
+                    Seed
+                    <input
+                        type="number"
+                        min={SIMULATION_LIMITS.seed.min}
+                        max={SIMULATION_LIMITS.seed.max}
+                        className={`${inputClass} ml-1 w-28`}
+                        value={settings.seed}
+                        onChange={(e) => update({ seed: e.target.value })}
+                    />
+                </label>
+                <button className={linkButtonClass} onClick={() => onSettingsChange(defaultSimulation())}>Reset</button>
+            </div>
+            <div className="flex flex-wrap items-center gap-3 mb-3">
+                <label className="text-gray-700">
+                    Duration
+                    <input
+                        type="number"
+                        min={SIMULATION_LIMITS.durationHours.min}
+                        max={SIMULATION_LIMITS.durationHours.max}
+                        className={`${inputClass} ml-1 w-20`}
+                        value={settings.durationHours}
+                        onChange={(e) => update({ durationHours: e.target.value })}
+                    />
+                    {' '}h
+                </label>
+                <label className="text-gray-700">
+                    Time step
+                    <input
+                        type="number"
+                        min={SIMULATION_LIMITS.stepHours.min}
+                        max={SIMULATION_LIMITS.stepHours.max}
+                        step="0.25"
+                        className={`${inputClass} ml-1 w-20`}
+                        value={settings.stepHours}
+                        onChange={(e) => update({ stepHours: e.target.value })}
+                    />
+                    {' '}h
+                </label>
+                <label className="text-gray-700">
+                    Max cells
+                    <input
+                        type="number"
+                        min={SIMULATION_LIMITS.maxCells.min}
+                        max={SIMULATION_LIMITS.maxCells.max}
+                        className={`${inputClass} ml-1 w-20`}
+                        value={settings.maxCells}
+                        onChange={(e) => update({ maxCells: e.target.value })}
+                    />
+                </label>
+                <span className="text-gray-500">
+                    {steps} steps of {Number(stepHours.toFixed(2))} h
+                </span>
+            </div>
+
+            <h4 className="font-semibold text-gray-700 mb-1">Cell behaviour (events per cell per day)</h4>
+            <div className="overflow-x-auto">
+                <table className="min-w-full mb-3">
+                    <thead>
+                        <tr className="text-left text-gray-600">
+                            <th className="pr-2 font-medium">Cell type</th>
+                            <th className="pr-2 font-medium">Division</th>
+                            <th className="pr-2 font-medium">Death</th>
+                            <th className="pr-2 font-medium">Differentiates into</th>
+                            <th className="pr-2 font-medium">Rate</th>
+                            <th className="pr-2 font-medium">Reporter</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {organoid.cellTypes.map((cellType, index) => {
+                            const rule = ruleValues(cellType.id);
+                            const target = expression[index];
+                            return (
+                                <tr key={cellType.id}>
+                                    <td className="pr-2 py-0.5 whitespace-nowrap">
+                                        <span className="inline-block w-3 h-3 rounded-full mr-1 align-middle" style={{ backgroundColor: cellType.color }} />
+                                        {cellType.name}
+                                    </td>
+                                    <td className="pr-2 py-0.5">{rateInput(cellType.id, 'divisionRate', 'Divisions per cell per day, when there is room')}</td>
+                                    <td className="pr-2 py-0.5">{rateInput(cellType.id, 'deathRate', 'Deaths per cell per day')}</td>
+                                    <td className="pr-2 py-0.5">
+                                        <select
+                                            className={inputClass}
+                                            value={rule.differentiateTo || ''}
+                                            onChange={(e) => updateRule(cellType.id, { differentiateTo: e.target.value || null })}
+                                        >
+                                            <option value="">Nothing</option>
+                                            {organoid.cellTypes.filter(other => other.id !== cellType.id).map(other => (
+                                                <option key={other.id} value={other.id}>{other.name}</option>
+                                            ))}
+                                        </select>
+                                    </td>
+                                    <td className="pr-2 py-0.5">
+                                        {rule.differentiateTo ? rateInput(cellType.id, 'differentiationRate', 'Differentiations per cell per day') : '—'}
+                                    </td>
+                                    <td className="pr-2 py-0.5 text-gray-600">
+                                        {!cellType.reporter ? '—' : !target.promoter ? (
+                                            <span className="text-yellow-700" title="No promoter upstream of the reporter on its strand before a terminator">
+                                                {cellType.reporter.name}, not expressed
+                                            </span>
+                                        ) : (
+                                            <span title={target.promoter.assumed ? 'The promoter has no strength set, so a medium strength is assumed' : 'Promoter strength set on the promoter element'}>
+                                                {cellType.reporter.name} from {target.promoter.name} ({target.level.toFixed(2)}{target.promoter.assumed ? ', assumed' : ''})
+                                            </span>
+                                        )}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-3 mb-2">
+                <button
+                    className="py-1 px-3 rounded-md font-semibold bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50"
+                    onClick={startRun}
+                    disabled={organoid.cells.length === 0}
+                >
+                    {isRunning ? 'Restart' : 'Run'}
+                </button>
+                {run && (
+                    <span className="text-gray-600">
+                        {run.status === 'running' && `Running… ${Math.max(stats.length - 1, 0)} / ${run.steps} steps`}
+                        {run.status === 'done' && `${run.steps} steps simulated.`}
+                        {run.status === 'error' && <span className="text-red-600">{run.error}</span>}
+                    </span>
+                )}
+                {stats.length > 0 && (
+                    <button className={`${linkButtonClass} ml-auto`} onClick={exportCsv} disabled={isRunning}>
+                        Export CSV
+                    </button>
+                )}
+            </div>
+            {isStale && (
+                <p className="text-yellow-700 mb-2">
+                    The organoid, settings or construct have changed since this run; the viewer shows the unsimulated organoid until it is run again.
+                </p>
+            )}
+
+            {stats.length > 0 && (
+                <>
+                    <div className="flex items-center gap-2 mb-2">
+                        <button
+                            className="px-2 py-0.5 border border-gray-300 rounded bg-white hover:bg-gray-100"
+                            onClick={() => { setIsPlaying(false); setCurrentStep(0); }}
+                            title="Back to the start"
+                        >
+                            ⏮
+                        </button>
+                        <button
+                            className="px-2 py-0.5 border border-gray-300 rounded bg-white hover:bg-gray-100 w-9"
+                            onClick={togglePlaying}
+                            title={isPlaying ? 'Pause' : 'Play'}
+                        >
+                            {isPlaying ? '⏸' : '▶'}
+                        </button>
+                        <input
+                            type="range"
+                            min={0}
+                            max={stats.length - 1}
+                            value={shownStep}
+                            onChange={(e) => { setIsPlaying(false); setCurrentStep(Number(e.target.value)); }}
+                            className="flex-grow"
+                            aria-label="Simulation time"
+                        />
+                        <span className="text-gray-700 w-32 text-right">
+                            {Number(stats[shownStep].hours.toFixed(2))} h · {stats[shownStep].total} cells
+                        </span>
+                    </div>
+                    <TimelineChart
+                        title="Cells"
+                        hours={hours}
+                        series={[
+                            { name: 'Total', color: TOTAL_COLOR, values: stats.map(row => row.total) },
+                            ...run.cellTypes.map((cellType, index) => ({
+                                name: cellType.name,
+                                color: cellType.color,
+                                values: stats.map(row => row.counts[index]),
+                            })),
+                        ]}
+                        maxValue={Math.max(1, ...stats.map(row => row.total))}
+                        formatValue={(value) => String(value)}
+                        currentStep={shownStep}
+                        onSeek={(step) => { setIsPlaying(false); setCurrentStep(step); }}
+                    />
+                    {reporterTypes.length > 0 && (
+                        <TimelineChart
+                            title="Mean reporter level"
+                            hours={hours}
+                            series={reporterTypes.map(({ cellType, index }) => ({
+                                name: `${cellType.reporter.name} in ${cellType.name}`,
+                                color: cellType.reporter.color,
+                                values: stats.map(row => row.meanLevels[index]),
+                            }))}
+                            maxValue={Math.max(1, ...stats.flatMap(row => reporterTypes.map(({ index }) => row.meanLevels[index])))}
+                            formatValue={(value) => value.toFixed(2)}
+                            currentStep={shownStep}
+                            onSeek={(step) => { setIsPlaying(false); setCurrentStep(step); }}
+                        />
+                    )}
+                </>
+            )}
+            <p className="mt-2 text-gray-500">
+                A simple model for exploring designs: cells divide into free space next to them, die and differentiate at the rates above,
+                and reporter levels follow the strength of the promoter driving them. The same seed and inputs always give the same run.
+            </p>
+        </div>
+    );
+};
+
+export default SimulationPanel;
@@ -0,0 +1,314 @@
+import React, { useState, useEffect, useRef } from 'react';
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { RISE_NM, featureAtPosition } from './helixGeometry';
+import { createHelixModel, colorHelixModel, disposeHelixModel, pickableMeshes, basePairAtHit, buildHelixOverlays } from './helixModel';
+import { createOrganoidModel } from './organoidModel';
+import { createOrigamiModel, origamiRadius } from './origamiModel';
+
+// --- ThreeDViewer Component ---
+// This component encapsulates all the logic for the 3D visualization using Three.js.
+// In 'dna' mode it draws the construct as a B-DNA double helix (see helixModel.js), coloured by
+// base or by owning element, with the selected element and CRISPR guides/PAMs overlaid as
+// translucent sleeves. Clicking a base pair reports its element. In 'organoid' mode it draws the
+// parametric organoid laid out by organoidGeometry.js (see organoidModel.js), or a time step of
+// its growth simulation. In 'origami' mode it draws a DNA origami design from origami.js as
+// parallel helices with their scaffold and staple strands (see origamiModel.js).
+//
+// The scene is only rendered when something changes (camera movement, model or overlay
+// updates, resizes), not on every animation frame. The helix is rebuilt only when the sequence
+// length changes and recoloured in place otherwise, and hidden in the other modes; the organoid
+// is rebuilt whenever its layout or the shown simulation step changes, and the origami whenever
+// its design does.
+//
+// Props:
+//   type             - 'dna', 'organoid' or 'origami'
+//   sceneRef         - ref owned by the parent, so the scene can be exported outside the viewer
+//   sequence         - assembled construct sequence
+//   features         - per-element features from assembleConstruct
+//   colorMode        - 'base' or 'element'
+//   guides           - CRISPR sites on this sequence (may be empty)
+//   organoid         - organoid layout from buildOrganoid + applyReporters (organoid mode)
+//   organoidFrame    - simulation step to draw instead of the layout: { cells, cellTypes }, or null
+//   origamiDesign    - DNA origami design from designOrigami (origami mode)
+//   selectedGuideId, selectedElementId, onSelectElement(elementId)
+
+// Stable defaults, so omitted props don't re-trigger the model effects on every render.
+const NO_ITEMS = [];
+
+// Pointer movement (px) above which a press is treated as an orbit drag rather than a click.
+const CLICK_TOLERANCE = 4;
+
+// Frees the GPU resources of a plain (non-helix) model.
+const disposeModel = (model) => {
+    model.traverse((object) => {
+        if (object.isMesh || object.isLine) {
+            object.geometry.dispose();
+            object.material.dispose();
+        }
+        if (object.isInstancedMesh) object.dispose();
+    });
+};
+
+const ThreeDViewer = ({
+    type,
+    sceneRef,
+    sequence = '',
+    features = NO_ITEMS,
+    colorMode = 'base',
+    guides = NO_ITEMS,
+    selectedGuideId = null,
+    selectedElementId = null,
+    onSelectElement = () => {},
+    organoid = null,
+    organoidFrame = null,
+    origamiDesign = null,
+}) => {
+    // useRef hooks to get direct access to DOM elements and Three.js objects.
+    const mountRef = useRef(null); // Reference to the DOM element where the Three.js canvas will be mounted.
+    const cameraRef = useRef(null);
+    const controlsRef = useRef(null);
+    // Schedules a single render on the next animation frame (replaced once the renderer exists).
+    const requestRenderRef = useRef(() => {});
+    // Overlays (selection, guides) live in their own group, excluded from 3D exports.
+    const overlayGroupRef = useRef(null);
+    // The current helix model; state so the colour and overlay effects re-run when it is rebuilt.
+    const [helixModel, setHelixModel] = useState(null);
+    // Latest props for the click handler, which is attached once on mount.
+    const pickStateRef = useRef(null);
+    pickStateRef.current = { type, features, helixModel, onSelectElement };
+
+    const length = sequence.length;
+
+    // useEffect hook for setting up and tearing down the Three.js scene.
+    // This runs once on component mount and cleans up on unmount.
+    useEffect(() => {
+        const currentMount = mountRef.current;
+        if (!currentMount) return; // Exit if the mount point is not available.
+
+        // --- Three.js Scene Setup ---
+        const scene = new THREE.Scene();
+        sceneRef.current = scene;
+        scene.background = new THREE.Color(0xf0f0f0); // Set a light gray background color.
+
+        // Camera setup: PerspectiveCamera with field of view, aspect ratio, near and far clipping planes.
+        const camera = new THREE.PerspectiveCamera(75, currentMount.clientWidth / currentMount.clientHeight, 0.1, 1000);
+        cameraRef.current = camera;
+        camera.position.z = 5; // Position the camera back from the origin.
+
+        // Renderer setup: WebGLRenderer for rendering 3D graphics.
+        const renderer = new THREE.WebGLRenderer({ antialias: true }); // antialias for smoother edges.
+        renderer.setSize(currentMount.clientWidth, currentMount.clientHeight); // Set renderer size to container size.
+        renderer.setPixelRatio(window.devicePixelRatio); // Adjust for high-DPI screens.
+        currentMount.appendChild(renderer.domElement); // Add the renderer's canvas to the DOM.
+
+        // OrbitControls setup: Allows interactive camera control (rotate, pan, zoom).
+        const controls = new OrbitControls(camera, renderer.domElement);
+        controlsRef.current = controls;
+        controls.enableDamping = true; // Enables smooth camera movement.
+        controls.dampingFactor = 0.25;
+        controls.screenSpacePanning = true; // Lets long helices be panned along their length.
+        controls.maxPolarAngle = Math.PI / 2; // Restricts vertical rotation to prevent going "underground".
+
+        // Lighting: Essential for seeing 3D objects.
+        const ambientLight = new THREE.AmbientLight(0xffffff, 0.6); // Soft, general light from all directions.
+        scene.add(ambientLight);
+        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8); // Light from a specific direction.
+        directionalLight.position.set(0, 10, 5).normalize(); // Position and normalize for consistent intensity.
+        scene.add(directionalLight);
+
+        const overlayGroup = new THREE.Group();
+        overlayGroup.userData.excludeFromExport = true;
+        overlayGroupRef.current = overlayGroup;
+        scene.add(overlayGroup);
+
+        // Render on demand: at most one frame per animation frame, and only when asked. While
+        // damping is still settling, controls.update() fires 'change' and asks for the next frame.
+        let animationFrameId = null;
+        const renderFrame = () => {
+            animationFrameId = null;
+            controls.update();
+            renderer.render(scene, camera);
+        };
+        const requestRender = () => {
+            if (animationFrameId === null) {
+                animationFrameId = requestAnimationFrame(renderFrame);
+            }
+        };
+        requestRenderRef.current = requestRender;
+        controls.addEventListener('change', requestRender);
+
+        // Handle window resize events to make the 3D canvas responsive.
+        const onWindowResize = () => {
+            camera.aspect = currentMount.clientWidth / currentMount.clientHeight; // Update aspect ratio.
+            camera.updateProjectionMatrix(); // Recalculate projection matrix.
+            renderer.setSize(currentMount.clientWidth, currentMount.clientHeight); // Resize renderer.
+            requestRender();
+        };
+        window.addEventListener('resize', onWindowResize); // Attach event listener.
+
+        // Picking: a click (not a drag) on a base pair selects the element that owns it.
+        const raycaster = new THREE.Raycaster();
+        let pointerDown = null;
+        const onPointerDown = (event) => {
+            pointerDown = { x: event.clientX, y: event.clientY };
+        };
+        const onPointerUp = (event) => {
+            const { type: currentType, features: currentFeatures, helixModel: model, onSelectElement: select } = pickStateRef.current;
+            if (!pointerDown || currentType !== 'dna' || !model) return;
+            const moved = Math.hypot(event.clientX - pointerDown.x, event.clientY - pointerDown.y);
+            pointerDown = null;
+            if (moved > CLICK_TOLERANCE) return;
+
+            const bounds = renderer.domElement.getBoundingClientRect();
+            const pointer = new THREE.Vector2(
+                ((event.clientX - bounds.left) / bounds.width) * 2 - 1,
+                -((event.clientY - bounds.top) / bounds.height) * 2 + 1,
+            );
+            raycaster.setFromCamera(pointer, camera);
+            const [hit] = raycaster.intersectObjects(pickableMeshes(model), false);
+            const feature = hit && featureAtPosition(currentFeatures, basePairAtHit(hit) + 1);
+            select(feature ? feature.elementId : null);
+        };
+        renderer.domElement.addEventListener('pointerdown', onPointerDown);
+        renderer.domElement.addEventListener('pointerup', onPointerUp);
+
+        requestRender();
+
+        // Cleanup function for useEffect. This runs when the component unmounts.
+        return () => {
+            if (animationFrameId !== null) cancelAnimationFrame(animationFrameId); // Drop any pending frame.
+            requestRenderRef.current = () => {};
+            controls.removeEventListener('change', requestRender);
+            window.removeEventListener('resize', onWindowResize); // Remove resize listener.
+            renderer.domElement.removeEventListener('pointerdown', onPointerDown);
+            renderer.domElement.removeEventListener('pointerup', onPointerUp);
+            if (currentMount && renderer.domElement) {
+                currentMount.removeChild(renderer.domElement); // Remove canvas from DOM.
+            }
+            // Dispose of the remaining Three.js objects to prevent memory leaks (the helix and
+            // organoid are disposed by their own effects).
+            disposeModel(overlayGroup);
+            renderer.dispose(); // Dispose of the WebGL renderer's resources.
+            controls.dispose(); // Dispose of OrbitControls resources.
+            sceneRef.current = null;
+        };
+    }, [sceneRef]);
+
+    // Rebuild the helix geometry only when the sequence length changes.
+    useEffect(() => {
+        const scene = sceneRef.current;
+        if (!scene || length === 0) {
+            setHelixModel(null);
+            return undefined;
+        }
+        const model = createHelixModel(length);
+        scene.add(model);
+        setHelixModel(model);
+        return () => {
+            scene.remove(model);
+            disposeHelixModel(model);
+        };
+    }, [length, sceneRef]);
+
+    // Recolour the helix in place.
+    useEffect(() => {
+        if (!helixModel) return;
+        colorHelixModel(helixModel, sequence, features, colorMode);
+        requestRenderRef.current();
+    }, [helixModel, sequence, features, colorMode]);
+
+    // Build the organoid while it is shown, again whenever its layout or simulation step changes.
+    useEffect(() => {
+        const scene = sceneRef.current;
+        if (!scene || type !== 'organoid' || !organoid) return undefined;
+        const model = createOrganoidModel(organoid, organoidFrame);
+        scene.add(model);
+        requestRenderRef.current();
+        return () => {
+            scene.remove(model);
+            disposeModel(model);
+        };
+    }, [type, organoid, organoidFrame, sceneRef]);
+
+    // Build the origami design while it is shown.
+    useEffect(() => {
+        const scene = sceneRef.current;
+        if (!scene || type !== 'origami' || !origamiDesign) return undefined;
+        const model = createOrigamiModel(origamiDesign);
+        scene.add(model);
+        requestRenderRef.current();
+        return () => {
+            scene.remove(model);
+            disposeModel(model);
+        };
+    }, [type, origamiDesign, sceneRef]);
+
+    // Show the helix and its overlays only in 'dna' mode.
+    useEffect(() => {
+        if (!sceneRef.current) return;
+        if (helixModel) helixModel.visible = type === 'dna';
+        overlayGroupRef.current.visible = type === 'dna';
+        requestRenderRef.current();
+    }, [type, helixModel, sceneRef]);
+
+    // Frame the model whenever its size changes: the helix is sequence.length * 0.34 nm long, the
+    // organoid is a sphere of its outer radius, in micrometres, and the origami is a bundle of
+    // helices of the design's length.
+    let modelLength = 0;
+    let modelRadius = 0;
+    if (type === 'dna') modelLength = length * RISE_NM;
+    if (type === 'organoid' && organoid) modelRadius = organoid.outerRadius;
+    if (type === 'origami' && origamiDesign) {
+        modelLength = origamiDesign.length * RISE_NM;
+        modelRadius = origamiRadius(origamiDesign);
+    }
+    useEffect(() => {
+        const camera = cameraRef.current;
+        const controls = controlsRef.current;
+        if (!camera || !controls) return;
+        const halfFov = (camera.fov * Math.PI) / 360;
+        const halfWidth = Math.max(modelLength, 2.4) / 2;
+        // A sphere just fills the view from radius / sin(half fov) away (further in a narrow view).
+        const sphereDistance = modelRadius / Math.sin(halfFov) / Math.min(camera.aspect, 1);
+        const distance = Math.max((halfWidth / Math.tan(halfFov) / Math.max(camera.aspect, 0.5)) * 1.2 + 3, sphereDistance * 1.1);
+        camera.position.set(0, 0, distance);
+        camera.far = distance * 4;
+        camera.updateProjectionMatrix();
+        controls.target.set(0, 0, 0);
+        controls.update();
+        requestRenderRef.current();
+    }, [modelLength, modelRadius]);
+
+    // useEffect hook to redraw the selection and CRISPR overlays.
+    useEffect(() => {
+        const overlayGroup = overlayGroupRef.current;
+        if (!overlayGroup) return;
+        if (helixModel) {
+            buildHelixOverlays(overlayGroup, helixModel, { features, guides, selectedGuideId, selectedElementId });
+        } else {
+            disposeModel(overlayGroup);
+            overlayGroup.clear();
+        }
+        requestRenderRef.current();
+    }, [helixModel, features, guides, selectedGuideId, selectedElementId]);
+
+    const message = type === 'dna' && length === 0
+        ? 'Add sequences in the DNA Editor to see the construct as a double helix.'
+        : '';
+
+    // The component's render method returns a div that serves as the mount point for the Three.js canvas.
+    // Tailwind CSS classes are used for styling this container.
+    return (
+        <div className="relative">
+            <div ref={mountRef} className="w-full h-96 rounded-md overflow-hidden border border-gray-300 bg-gray-200"></div>
+            {message && (
+                <p className="absolute inset-0 flex items-center justify-center p-6 text-center text-gray-500 italic pointer-events-none">
+                    {message}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default ThreeDViewer;
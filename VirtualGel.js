@@ -0,0 +1,92 @@
+import React from 'react';
+
+// --- VirtualGel Component ---
+// Draws digest lanes next to a DNA ladder as an SVG agarose gel. Migration is linear in
+// log10(size) between the gel's resolving limits; larger fragments (more mass at equal molarity)
+// are drawn brighter. Uncut supercoiled plasmid runs ahead of its linear size, which is
+// approximated by drawing it at 70% of its length.
+
+export const GEL_LADDERS = {
+    '1 kb ladder': [10000, 8000, 6000, 5000, 4000, 3000, 2000, 1500, 1000, 500],
+    '1 kb Plus ladder': [10000, 8000, 6000, 5000, 4000, 3000, 2000, 1500, 1200, 1000, 900, 800, 700, 600, 500, 400, 300, 200, 100],
+    '100 bp ladder': [1517, 1200, 1000, 900, 800, 700, 600, 500, 400, 300, 200, 100],
+    'λ DNA / HindIII': [23130, 9416, 6557, 4361, 2322, 2027, 564, 125],
+};
+
+// Resolving range (bp) per agarose percentage.
+export const GEL_PERCENTAGES = {
+    '0.7%': { min: 800, max: 20000 },
+    '1%': { min: 400, max: 12000 },
+    '1.5%': { min: 200, max: 5000 },
+    '2%': { min: 80, max: 2500 },
+};
+
+const SUPERCOILED_FACTOR = 0.7;
+
+const WIDTH_PER_LANE = 70;
+const HEIGHT = 320;
+const WELL_Y = 30;
+const FRONT_Y = HEIGHT - 20;
+
+// Band position: 0 at the well, 1 at the dye front, clamped at both ends.
+const migration = (size, { min, max }) => {
+    const fraction = (Math.log10(max) - Math.log10(size)) / (Math.log10(max) - Math.log10(min));
+    return Math.min(1, Math.max(0, fraction));
+};
+
+// lanes: [{ label, fragments: [{ length, supercoiled? }] }]
+const VirtualGel = ({ lanes, ladder, percentage }) => {
+    const range = GEL_PERCENTAGES[percentage];
+    const ladderSizes = GEL_LADDERS[ladder] || [];
+    const allLanes = [{ label: ladder, fragments: ladderSizes.map(length => ({ length })), isLadder: true }, ...lanes];
+    const width = allLanes.length * WIDTH_PER_LANE + 50;
+    const yFor = (size) => WELL_Y + 8 + migration(size, range) * (FRONT_Y - WELL_Y - 8);
+
+    return (
+        <svg
+            viewBox={`0 0 ${width} ${HEIGHT}`}
+            className="w-full max-w-xl bg-gray-900 rounded-md"
+            role="img"
+            aria-label="Virtual agarose gel"
+        >
+            {allLanes.map((lane, laneIndex) => {
+                const x = 50 + laneIndex * WIDTH_PER_LANE;
+                const maxLength = Math.max(1, ...lane.fragments.map(fragment => fragment.length));
+                return (
+                    <g key={laneIndex}>
+                        <text x={x + WIDTH_PER_LANE / 2 - 5} y={16} fill="#d1d5db" fontSize="10" textAnchor="middle">
+                            {lane.label.length > 12 ? `${lane.label.slice(0, 11)}…` : lane.label}
+                        </text>
+                        <rect x={x + 5} y={WELL_Y - 6} width={WIDTH_PER_LANE - 20} height={6} fill="#374151" />
+                        {lane.fragments.map((fragment, index) => {
+                            const apparent = fragment.supercoiled ? fragment.length * SUPERCOILED_FACTOR : fragment.length;
+                            const opacity = lane.isLadder ? 0.75 : 0.35 + 0.65 * Math.sqrt(fragment.length / maxLength);
+                            return (
+                                <rect
+                                    key={index}
+                                    x={x + 5}
+                                    y={yFor(apparent) - 2}
+                                    width={WIDTH_PER_LANE - 20}
+                                    height={4}
+                                    rx={1}
+                                    fill="#fde68a"
+                                    opacity={opacity}
+                                >
+                                    <title>{`${fragment.length} bp${fragment.supercoiled ? ' (uncut, supercoiled)' : ''}`}</title>
+                                </rect>
+                            );
+                        })}
+                    </g>
+                );
+            })}
+            {/* Ladder sizes down the left edge */}
+            {ladderSizes.map(size => (
+                <text key={size} x={46} y={yFor(size) + 3} fill="#9ca3af" fontSize="8" textAnchor="end">
+                    {size >= 1000 ? `${size / 1000} kb` : `${size}`}
+                </text>
+            ))}
+        </svg>
+    );
+};
+
+export default VirtualGel;
@@ -0,0 +1,13 @@
+// --- AiError ---
+// Error thrown by the AI provider layer (aiProviders.js). `code` says what went wrong so callers
+// can react without parsing messages: 'config', 'auth', 'rate-limit', 'server', 'http',
+// 'network', 'timeout', 'cancelled' or 'invalid-reply'. `status` is the HTTP status, if any.
+
+export class AiError extends Error {
+    constructor(message, code, status = null) {
+        super(message);
+        this.name = 'AiError';
+        this.code = code;
+        this.status = status;
+    }
+}
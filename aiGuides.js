@@ -0,0 +1,106 @@
+import { AiError } from './aiError';
+import { NUCLEASES, findPamSites } from './crispr';
+import { rankGuides } from './grnaScoring';
+
+// --- AI Guide Suggestions ---
+// The AI task behind "Ask AI" in CRISPR Targeting (see aiProviders.js for how tasks are run):
+// ask a model to pick guides for a sequence and explain its choices. The local scanner stays the
+// source of truth, so every suggested guide is checked against it: the reply says which ones are
+// real PAM sites at the stated position, and why the others aren't.
+//
+// Input: { sequence, nucleaseKey }.
+// Result: { guides: [{ protospacer, pam, strand, start, rationale, site, problem }], notes }
+// where `site` is the matching scanner site (null if there is none) and `problem` says what is
+// wrong with a guide that didn't match ('' for verified guides).
+
+// Guides asked for.
+const GUIDE_COUNT = 5;
+
+// Strict-mode friendly: every property required and no extra properties.
+const SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['guides', 'notes'],
+    properties: {
+        guides: {
+            type: 'array',
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['protospacer', 'pam', 'strand', 'start', 'rationale'],
+                properties: {
+                    protospacer: { type: 'string', description: "Protospacer, 5'->3' on its own strand" },
+                    pam: { type: 'string', description: "PAM, 5'->3' on the protospacer's strand" },
+                    strand: { type: 'string', enum: ['+', '-'] },
+                    start: { type: 'integer', description: '1-based top-strand coordinate of the protospacer\'s leftmost base' },
+                    rationale: { type: 'string' },
+                },
+            },
+        },
+        notes: { type: 'string' },
+    },
+};
+
+const prompt = ({ sequence, nucleaseKey }) => {
+    const nuclease = NUCLEASES[nucleaseKey];
+    return `You are helping design CRISPR guide RNAs for ${nuclease.label}.
+The PAM is ${nuclease.pam} (IUPAC), ${nuclease.pamSide === '3prime' ? "immediately 3' of" : "immediately 5' of"} a ${nuclease.protospacerLength} nt protospacer.
+
+Suggest up to ${GUIDE_COUNT} good guides in the DNA sequence below, considering both strands. For each give the protospacer and PAM 5'->3' on the strand they lie on, the strand ('+' for the sequence as given, '-' for its reverse complement), the 1-based position on the given sequence of the protospacer's leftmost base, and a one-sentence rationale (GC content, homopolymers, seed region, position). Use "notes" for anything else worth knowing, such as repeats that could cause off-target cutting.
+
+DNA sequence (${sequence.length} bp):
+${sequence}`;
+};
+
+// Checks the reply's shape and each guide against the scanner.
+const validate = (data, { sequence, nucleaseKey }) => {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.guides)) {
+        throw new AiError('The answer did not contain a list of guides.', 'invalid-reply');
+    }
+    const { protospacerLength } = NUCLEASES[nucleaseKey];
+    const sites = findPamSites(sequence, nucleaseKey);
+    const guides = data.guides.filter(guide => guide && typeof guide === 'object').map(guide => {
+        const protospacer = String(guide.protospacer || '').toUpperCase().replace(/\s+/g, '');
+        const strand = guide.strand === '-' ? '-' : '+';
+        const start = Number(guide.start);
+        const result = {
+            protospacer,
+            pam: String(guide.pam || '').toUpperCase(),
+            strand,
+            start: Number.isInteger(start) ? start : null,
+            rationale: String(guide.rationale || ''),
+            site: null,
+            problem: '',
+        };
+        if (!/^[ACGT]+$/.test(protospacer)) {
+            result.problem = 'Not a DNA sequence.';
+        } else if (protospacer.length !== protospacerLength) {
+            result.problem = `${protospacer.length} nt long; ${NUCLEASES[nucleaseKey].label} uses ${protospacerLength} nt protospacers.`;
+        } else {
+            const matches = sites.filter(site => site.protospacer === protospacer);
+            result.site = matches.find(site => site.strand === strand && site.start === result.start) || null;
+            if (!result.site) {
+                result.problem = matches.length > 0
+                    ? `Found at ${matches.map(site => `${site.strand}${site.start}`).join(', ')}, not ${strand}${result.start}.`
+                    : `Not next to a ${NUCLEASES[nucleaseKey].pam} PAM in this sequence.`;
+            }
+        }
+        return result;
+    });
+    return { guides, notes: String(data.notes || '') };
+};
+
+// The offline mock answers with the scanner's own top guides, so the panel can be tried and
+// tested without a network connection or API key.
+const mock = ({ sequence, nucleaseKey }) => ({
+    guides: rankGuides(findPamSites(sequence, nucleaseKey)).slice(0, GUIDE_COUNT).map(site => ({
+        protospacer: site.protospacer,
+        pam: site.pam,
+        strand: site.strand,
+        start: site.start,
+        rationale: `Ranked #${site.rank} by the built-in scorer (score ${site.score}).`,
+    })),
+    notes: 'Offline mock: these are the built-in scanner\'s top-ranked guides, returned without contacting an AI service.',
+});
+
+export const GUIDE_SUGGESTION_TASK = { name: 'guide_suggestions', schema: SCHEMA, prompt, validate, mock };
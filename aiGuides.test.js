@@ -0,0 +1,66 @@
+import { GUIDE_SUGGESTION_TASK } from './aiGuides';
+import { AiError } from './aiError';
+import { findPamSites } from './crispr';
+import { requestAi } from './aiProviders';
+
+const { mock, validate } = GUIDE_SUGGESTION_TASK;
+const input = {
+    sequence: 'ATGCGTAGCTAGCGTACGGTAGCTAGGCTAGCTAGGCTAGCATCGATCGGACTTACGGATCCATGGTCAGCTTGCAGG',
+    nucleaseKey: 'SpCas9',
+};
+const sites = findPamSites(input.sequence, input.nucleaseKey);
+
+// A reply suggesting the given guides.
+const reply = (...guides) => ({ guides: guides.map(guide => ({ pam: 'AGG', rationale: '', ...guide })), notes: '' });
+const fromSite = ({ protospacer, strand, start }) => ({ protospacer, strand, start });
+
+describe('guide suggestion task', () => {
+    it('verifies every guide the offline mock suggests', async () => {
+        const direct = validate(mock(input), input);
+        expect(sites.length).toBeGreaterThan(0);
+        expect(direct.guides).toHaveLength(Math.min(5, sites.length));
+        direct.guides.forEach(guide => {
+            expect(guide.problem).toBe('');
+            expect(guide.site).toMatchObject(fromSite(guide));
+        });
+
+        await expect(requestAi(GUIDE_SUGGESTION_TASK, input, { provider: 'mock' })).resolves.toEqual(direct);
+    });
+
+    it('flags guides of the wrong length', () => {
+        const site = sites[0];
+        const { guides } = validate(reply({ ...fromSite(site), protospacer: site.protospacer.slice(1) }), input);
+
+        expect(guides[0].site).toBeNull();
+        expect(guides[0].problem).toBe('19 nt long; SpCas9 (NGG) uses 20 nt protospacers.');
+    });
+
+    it('flags guides at the wrong position or strand and says where they are', () => {
+        const site = sites[0];
+        const { guides } = validate(reply(
+            { ...fromSite(site), start: site.start + 1 },
+            { ...fromSite(site), strand: site.strand === '+' ? '-' : '+' },
+        ), input);
+
+        guides.forEach(guide => expect(guide.site).toBeNull());
+        expect(guides[0].problem).toBe(`Found at ${site.strand}${site.start}, not ${site.strand}${site.start + 1}.`);
+        expect(guides[1].problem).toMatch(new RegExp(`^Found at \\${site.strand}${site.start}, not`));
+    });
+
+    it('flags guides that are not DNA or not next to a PAM', () => {
+        const { guides } = validate(reply(
+            { protospacer: 'ACGUACGUACGUACGUACGU', strand: '+', start: 1 },
+            { protospacer: 'TTTTTTTTTTTTTTTTTTTT', strand: '+', start: 1 },
+        ), input);
+
+        expect(guides.map(guide => guide.problem)).toEqual([
+            'Not a DNA sequence.',
+            'Not next to a NGG PAM in this sequence.',
+        ]);
+    });
+
+    it('rejects a reply without a list of guides', () => {
+        expect(() => validate({ notes: 'none' }, input)).toThrow(AiError);
+        expect(() => validate(null, input)).toThrow('The answer did not contain a list of guides.');
+    });
+});
@@ -0,0 +1,330 @@
+import { AiError } from './aiError';
+
+// --- AI Providers ---
+// One interface over the AI services the app can ask for help: Google Gemini, any
+// OpenAI-compatible chat completions endpoint, a local HTTP server and an offline mock.
+//
+// Requests are made for a *task* (see aiGuides.js), which supplies
+//   { name, schema, prompt(input), validate(data, input), mock(input) }
+// `schema` is the JSON Schema of the reply. Gemini and OpenAI-compatible services are asked to
+// answer in that shape (their structured output modes); the local server gets the schema with
+// the prompt; the mock answers with task.mock(input) without touching the network. Whatever
+// comes back is parsed and checked by task.validate before it reaches the UI.
+//
+// Each attempt has a timeout; network errors, timeouts, rate limits and server errors are
+// retried with exponential backoff. Passing an AbortSignal cancels the request (and any wait
+// between attempts). Failures are thrown as AiError with a readable message.
+//
+// Configuration comes from the settings the user saved in this browser, falling back to
+// REACT_APP_* environment variables (see README), so API keys never end up in project files.
+
+const SETTINGS_KEY = 'biosynth-ai-settings';
+
+// Wait before the first retry, doubled for each further one (unless the service says otherwise).
+const RETRY_BASE_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+// How long the mock takes to answer, so loading and cancelling can be tried out offline.
+const MOCK_DELAY_MS = 400;
+
+export const AI_LIMITS = {
+    timeoutSeconds: { min: 5, max: 300 },
+    retries: { min: 0, max: 5 },
+};
+
+// Drops the JSON Schema keywords Gemini's response schemas don't accept and upper-cases types
+// the way its API documents them.
+const toGeminiSchema = (schema) => {
+    if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+    return Object.fromEntries(Object.entries(schema)
+        .filter(([key]) => key !== 'additionalProperties')
+        .map(([key, value]) => {
+            if (key === 'type') return [key, String(value).toUpperCase()];
+            if (key === 'properties') return [key, Object.fromEntries(Object.entries(value).map(([name, property]) => [name, toGeminiSchema(property)]))];
+            return [key, toGeminiSchema(value)];
+        }));
+};
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+// Each provider builds the HTTP request for a prompt and pulls the reply out of the response
+// body. `reply` returns either the model's text (to be parsed as JSON) or the parsed object.
+export const AI_PROVIDERS = {
+    gemini: {
+        label: 'Google Gemini',
+        defaultModel: 'gemini-2.0-flash',
+        defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        needsApiKey: true,
+        request: ({ baseUrl, model, apiKey }, task, prompt) => ({
+            url: `${trimSlash(baseUrl)}/models/${encodeURIComponent(model)}:generateContent`,
+            headers: { 'x-goog-api-key': apiKey },
+            body: {
+                contents: [{ role: 'user', parts: [{ text: prompt }] }],
+                generationConfig: { responseMimeType: 'application/json', responseSchema: toGeminiSchema(task.schema) },
+            },
+        }),
+        reply: (result) => {
+            const candidate = result.candidates && result.candidates[0];
+            const parts = candidate && candidate.content && candidate.content.parts;
+            if (!parts || parts.length === 0) {
+                const reason = (candidate && candidate.finishReason) || (result.promptFeedback && result.promptFeedback.blockReason);
+                throw new AiError(`Gemini returned no answer${reason ? ` (${reason})` : ''}.`, 'invalid-reply');
+            }
+            return parts.map(part => part.text || '').join('');
+        },
+    },
+    openai: {
+        label: 'OpenAI-compatible',
+        defaultModel: 'gpt-4o-mini',
+        defaultBaseUrl: 'https://api.openai.com/v1',
+        // Many self-hosted OpenAI-compatible servers don't check keys, so one isn't required.
+        needsApiKey: false,
+        request: ({ baseUrl, model, apiKey }, task, prompt) => ({
+            url: `${trimSlash(baseUrl)}/chat/completions`,
+            headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+            body: {
+                model,
+                messages: [{ role: 'user', content: prompt }],
+                response_format: { type: 'json_schema', json_schema: { name: task.name, strict: true, schema: task.schema } },
+            },
+        }),
+        reply: (result) => {
+            const message = result.choices && result.choices[0] && result.choices[0].message;
+            if (message && message.refusal) throw new AiError(`The model declined to answer: ${message.refusal}`, 'invalid-reply');
+            if (!message || typeof message.content !== 'string') throw new AiError('The service returned no answer.', 'invalid-reply');
+            return message.content;
+        },
+    },
+    // A stand-in service on this machine: POST { task, prompt, schema } to <base URL>/generate and
+    // answer with a JSON body matching the schema.
+    local: {
+        label: 'Local HTTP server',
+        defaultModel: '',
+        defaultBaseUrl: 'http://localhost:8787',
+        needsApiKey: false,
+        request: ({ baseUrl }, task, prompt) => ({
+            url: `${trimSlash(baseUrl)}/generate`,
+            headers: {},
+            body: { task: task.name, prompt, schema: task.schema },
+        }),
+        reply: (result) => result,
+    },
+    mock: {
+        label: 'Offline mock',
+        defaultModel: '',
+        defaultBaseUrl: '',
+        needsApiKey: false,
+    },
+};
+
+// REACT_APP_* variables, spelled out in full so the build can inline them.
+const environment = () => ({
+    provider: process.env.REACT_APP_AI_PROVIDER || '',
+    model: process.env.REACT_APP_AI_MODEL || '',
+    geminiKey: process.env.REACT_APP_GEMINI_API_KEY || '',
+    openaiKey: process.env.REACT_APP_OPENAI_API_KEY || '',
+    openaiUrl: process.env.REACT_APP_OPENAI_BASE_URL || '',
+    localUrl: process.env.REACT_APP_LOCAL_AI_URL || '',
+});
+
+// Settings for `provider` from the environment. Empty model and base URL mean the provider's
+// defaults; REACT_APP_AI_MODEL only applies to the provider named by REACT_APP_AI_PROVIDER.
+export const providerSettings = (provider) => {
+    const env = environment();
+    return {
+        provider,
+        model: provider === env.provider ? env.model : '',
+        baseUrl: provider === 'openai' ? env.openaiUrl : provider === 'local' ? env.localUrl : '',
+        apiKey: provider === 'gemini' ? env.geminiKey : provider === 'openai' ? env.openaiKey : '',
+        timeoutSeconds: 60,
+        retries: 2,
+    };
+};
+
+// The provider named by REACT_APP_AI_PROVIDER, else Gemini if its key is set, else the mock.
+export const defaultAiSettings = () => {
+    const env = environment();
+    return providerSettings(AI_PROVIDERS[env.provider] ? env.provider : env.geminiKey ? 'gemini' : 'mock');
+};
+
+export const loadAiSettings = () => {
+    const defaults = defaultAiSettings();
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(SETTINGS_KEY) || 'null');
+        return saved && typeof saved === 'object' ? { ...defaults, ...saved } : defaults;
+    } catch (error) {
+        return defaults;
+    }
+};
+
+export const saveAiSettings = (settings) => {
+    try {
+        window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+        // Storage can be disabled; the settings then last for this visit only.
+    }
+};
+
+const clamp = (value, { min, max }, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+};
+
+// The settings with the provider's defaults filled in and numbers clamped.
+export const resolveAiSettings = (settings) => {
+    const provider = AI_PROVIDERS[settings.provider] ? settings.provider : 'mock';
+    const definition = AI_PROVIDERS[provider];
+    return {
+        provider,
+        model: settings.model || definition.defaultModel,
+        baseUrl: settings.baseUrl || definition.defaultBaseUrl,
+        apiKey: settings.apiKey || '',
+        timeoutSeconds: clamp(settings.timeoutSeconds, AI_LIMITS.timeoutSeconds, 60),
+        retries: Math.round(clamp(settings.retries, AI_LIMITS.retries, 2)),
+    };
+};
+
+// Resolves after `ms`, or rejects with a 'cancelled' AiError as soon as `signal` aborts.
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+        reject(new AiError('Request cancelled.', 'cancelled'));
+        return;
+    }
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(new AiError('Request cancelled.', 'cancelled'));
+    };
+    const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+// A readable message from an error response body, whichever shape the service uses.
+const errorDetail = (body) => {
+    if (!body) return '';
+    if (typeof body === 'string') return body.trim().slice(0, 200);
+    const error = body.error;
+    if (error && typeof error === 'object' && error.message) return error.message;
+    if (typeof error === 'string') return error;
+    return body.message || body.detail || '';
+};
+
+const httpError = (status, statusText, body, providerLabel) => {
+    const detail = errorDetail(body) || statusText || 'no details given';
+    if (status === 401 || status === 403) {
+        return new AiError(`${providerLabel} rejected the API key (${status}): ${detail}`, 'auth', status);
+    }
+    if (status === 404) {
+        return new AiError(`${providerLabel} has no such model or endpoint (404): ${detail}`, 'http', status);
+    }
+    if (status === 429) {
+        return new AiError(`${providerLabel} is rate limiting requests (429): ${detail}`, 'rate-limit', status);
+    }
+    if (status >= 500) {
+        return new AiError(`${providerLabel} had a server error (${status}): ${detail}`, 'server', status);
+    }
+    return new AiError(`${providerLabel} refused the request (${status}): ${detail}`, 'http', status);
+};
+
+const RETRYABLE = ['network', 'timeout', 'rate-limit', 'server'];
+
+// One HTTP attempt with its own timeout. Returns the provider's reply (text or object).
+const attempt = async (settings, definition, task, prompt, signal) => {
+    // A signal that is already aborted fires no 'abort' event, so it has to be checked up front.
+    if (signal && signal.aborted) throw new AiError('Request cancelled.', 'cancelled');
+    const { url, headers, body } = definition.request(settings, task, prompt);
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, settings.timeoutSeconds * 1000);
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+                signal: controller.signal,
+            });
+        } catch (error) {
+            if (timedOut) throw new AiError(`${definition.label} did not answer within ${settings.timeoutSeconds} s.`, 'timeout');
+            if (signal && signal.aborted) throw new AiError('Request cancelled.', 'cancelled');
+            throw new AiError(`Could not reach ${definition.label} at ${url} (${error.message}).`, 'network');
+        }
+        const text = await response.text();
+        let parsed = null;
+        try {
+            parsed = text ? JSON.parse(text) : null;
+        } catch (error) {
+            parsed = text;
+        }
+        if (!response.ok) {
+            const failure = httpError(response.status, response.statusText, parsed, definition.label);
+            const retryAfter = Number(response.headers.get('Retry-After'));
+            if (Number.isFinite(retryAfter) && retryAfter > 0) failure.retryAfterMs = retryAfter * 1000;
+            throw failure;
+        }
+        if (!parsed || typeof parsed !== 'object') {
+            throw new AiError(`${definition.label} answered with something other than JSON.`, 'invalid-reply');
+        }
+        return definition.reply(parsed);
+    } catch (error) {
+        // Reading the body can also be cut short by a timeout or cancellation.
+        if (error instanceof AiError) throw error;
+        if (timedOut) throw new AiError(`${definition.label} did not answer within ${settings.timeoutSeconds} s.`, 'timeout');
+        if (signal && signal.aborted) throw new AiError('Request cancelled.', 'cancelled');
+        throw new AiError(`${definition.label} request failed (${error.message}).`, 'network');
+    } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+    }
+};
+
+// Parses a reply that should be JSON, allowing for models that wrap it in a Markdown fence.
+const parseReply = (reply) => {
+    if (typeof reply !== 'string') return reply;
+    const text = reply.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new AiError('The answer was not valid JSON.', 'invalid-reply');
+    }
+};
+
+// Runs `task` for `input` with the given settings. Returns task.validate's result.
+// Options: signal (AbortSignal), onRetry({ attempt, attempts, delayMs, error }) before each retry.
+export const requestAi = async (task, input, settings, { signal, onRetry = () => {} } = {}) => {
+    const resolved = resolveAiSettings(settings);
+    const definition = AI_PROVIDERS[resolved.provider];
+
+    if (resolved.provider === 'mock') {
+        await wait(MOCK_DELAY_MS, signal);
+        return task.validate(task.mock(input), input);
+    }
+    if (definition.needsApiKey && !resolved.apiKey) {
+        throw new AiError(`${definition.label} needs an API key. Add one in the AI settings or the environment (see README).`, 'config');
+    }
+    if (!resolved.baseUrl) throw new AiError(`${definition.label} needs a base URL.`, 'config');
+    if (!resolved.model && resolved.provider !== 'local') throw new AiError(`${definition.label} needs a model name.`, 'config');
+
+    const prompt = task.prompt(input);
+    const attempts = resolved.retries + 1;
+    for (let number = 1; ; number++) {
+        try {
+            const reply = await attempt(resolved, definition, task, prompt, signal);
+            return task.validate(parseReply(reply), input);
+        } catch (error) {
+            if (!(error instanceof AiError) || !RETRYABLE.includes(error.code) || number >= attempts) throw error;
+            const delayMs = Math.min(error.retryAfterMs || RETRY_BASE_DELAY_MS * 2 ** (number - 1), MAX_RETRY_DELAY_MS);
+            onRetry({ attempt: number + 1, attempts, delayMs, error });
+            await wait(delayMs, signal);
+        }
+    }
+};
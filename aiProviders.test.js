@@ -0,0 +1,173 @@
+import { requestAi } from './aiProviders';
+
+// A task whose replies are passed through unchanged, so only the transport is under test.
+const task = {
+    name: 'echo',
+    schema: { type: 'object' },
+    prompt: () => 'prompt',
+    validate: (data) => data,
+    mock: () => ({ mocked: true }),
+};
+const settings = { provider: 'local', baseUrl: 'http://localhost:8787', timeoutSeconds: 5, retries: 2 };
+
+// A minimal fetch Response with `body` (an object is sent as JSON).
+const respond = (status, body = '', headers = {}) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: { 200: 'OK', 400: 'Bad Request', 401: 'Unauthorized', 429: 'Too Many Requests', 503: 'Service Unavailable' }[status] || '',
+    headers: { get: (name) => headers[name] || null },
+    text: () => Promise.resolve(typeof body === 'string' ? body : JSON.stringify(body)),
+});
+
+// Starts a request and runs the retry waits and timeouts to completion.
+const settle = async (options = {}, requestSettings = settings) => {
+    const result = requestAi(task, {}, requestSettings, options).then(
+        value => ({ value }),
+        error => ({ error }),
+    );
+    await jest.runAllTimersAsync();
+    return result;
+};
+
+const realFetch = global.fetch;
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    global.fetch = jest.fn();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    global.fetch = realFetch;
+});
+
+describe('requestAi retries', () => {
+    it('retries rate limits and server errors with exponential backoff', async () => {
+        global.fetch
+            .mockResolvedValueOnce(respond(429, { error: { message: 'Slow down' } }))
+            .mockResolvedValueOnce(respond(503, { error: 'Overloaded' }))
+            .mockResolvedValueOnce(respond(200, { answer: 42 }));
+        const onRetry = jest.fn();
+
+        const { value } = await settle({ onRetry });
+
+        expect(value).toEqual({ answer: 42 });
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+        expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:8787/generate');
+        expect(onRetry.mock.calls.map(([retry]) => [retry.attempt, retry.attempts, retry.delayMs, retry.error.code])).toEqual([
+            [2, 3, 1000, 'rate-limit'],
+            [3, 3, 2000, 'server'],
+        ]);
+    });
+
+    it('waits as long as Retry-After asks', async () => {
+        global.fetch
+            .mockResolvedValueOnce(respond(429, {}, { 'Retry-After': '7' }))
+            .mockResolvedValueOnce(respond(200, { answer: 42 }));
+        const onRetry = jest.fn();
+
+        await settle({ onRetry });
+
+        expect(onRetry.mock.calls[0][0].delayMs).toBe(7000);
+    });
+
+    it('gives up after the last retry', async () => {
+        global.fetch.mockResolvedValue(respond(503, { error: { message: 'Overloaded' } }));
+
+        const { error } = await settle();
+
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+        expect(error).toMatchObject({ name: 'AiError', code: 'server', status: 503 });
+        expect(error.message).toBe('Local HTTP server had a server error (503): Overloaded');
+    });
+
+    it('does not retry a rejected API key', async () => {
+        global.fetch.mockResolvedValue(respond(401, { error: { message: 'Bad key' } }));
+
+        const { error } = await settle();
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(error).toMatchObject({ code: 'auth', status: 401 });
+    });
+
+    it('times out a request that never answers, then retries it', async () => {
+        global.fetch.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('aborted')));
+        }));
+
+        const { error } = await settle({}, { ...settings, retries: 1 });
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(error).toMatchObject({ code: 'timeout', message: 'Local HTTP server did not answer within 5 s.' });
+    });
+});
+
+describe('requestAi cancellation', () => {
+    it('does not send a request once the signal has aborted', async () => {
+        const controller = new AbortController();
+        controller.abort();
+
+        const { error } = await settle({ signal: controller.signal });
+
+        expect(global.fetch).not.toHaveBeenCalled();
+        expect(error).toMatchObject({ code: 'cancelled', message: 'Request cancelled.' });
+    });
+
+    it('cancels a request in flight', async () => {
+        const controller = new AbortController();
+        global.fetch.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('aborted')));
+            controller.abort();
+        }));
+
+        const { error } = await settle({ signal: controller.signal });
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(error.code).toBe('cancelled');
+    });
+
+    it('cancels the wait between attempts', async () => {
+        const controller = new AbortController();
+        global.fetch.mockResolvedValue(respond(503));
+
+        const { error } = await settle({ signal: controller.signal, onRetry: () => controller.abort() });
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(error.code).toBe('cancelled');
+    });
+
+    it('cancels the offline mock', async () => {
+        const controller = new AbortController();
+        const result = settle({ signal: controller.signal }, { provider: 'mock' });
+        controller.abort();
+
+        expect((await result).error.code).toBe('cancelled');
+    });
+});
+
+describe('requestAi error details', () => {
+    it.each([
+        ['an error object', { error: { message: 'Model not loaded' } }, 'Model not loaded'],
+        ['an error string', { error: 'Model not loaded' }, 'Model not loaded'],
+        ['a top-level message', { message: 'Model not loaded' }, 'Model not loaded'],
+        ['a detail field', { detail: 'Model not loaded' }, 'Model not loaded'],
+        ['plain text', '  Model not loaded\n', 'Model not loaded'],
+        ['no known field', { status: 'failed' }, 'Bad Request'],
+        ['an empty body', '', 'Bad Request'],
+    ])('reads the reason from %s', async (description, body, detail) => {
+        global.fetch.mockResolvedValue(respond(400, body));
+
+        const { error } = await settle();
+
+        expect(error).toMatchObject({ code: 'http', status: 400 });
+        expect(error.message).toBe(`Local HTTP server refused the request (400): ${detail}`);
+    });
+
+    it('says so when neither the body nor the status text explain the error', async () => {
+        global.fetch.mockResolvedValue({ ...respond(400, {}), statusText: '' });
+
+        const { error } = await settle();
+
+        expect(error.message).toBe('Local HTTP server refused the request (400): no details given');
+    });
+});
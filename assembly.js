@@ -0,0 +1,526 @@
+import { reverseComplement, GENETIC_CODE, SYNONYMOUS_CODONS } from './sequenceUtils';
+import { meltingTemperature, designBindingRegion } from './primerDesign';
+
+// --- Assembly Planner ---
+// Turns the assembled construct into a cloning plan: one fragment per part (short parts ride in a
+// neighbouring fragment), the junctions between them and the primers or oligos that make each
+// fragment.
+//
+// Golden Gate plans are scarless: every 4-nt overhang is taken from the construct's own sequence
+// near a part boundary, chosen so the whole set ligates with high fidelity. Type IIS sites already
+// inside the construct are listed for domestication, with a synonymous codon change where the
+// site sits in a coding part. Gibson/HiFi plans grow an overlap around each boundary until it
+// reaches the target Tm and length.
+//
+// Plans share one shape:
+//   { method, topology, fragments, junctions, primers, domestication, warnings, errors }
+//   fragments - { index, name, partNames, kind: 'PCR' | 'Oligos', start, end, product, primers }
+//   junctions - { index, position, sequence, tm? } (position is 1-based on the construct)
+//   primers   - { name, sequence, length, tm, bindingLength, fragment, notes }
+// Coordinates inside the planner are 0-based; a circular construct is read through the origin,
+// so a junction there may have a negative start.
+
+export const ASSEMBLY_METHODS = ['Golden Gate', 'Gibson'];
+
+// Type IIS enzymes: recognition site, then a one-base spacer before the 4-nt overhang (N1/N5).
+export const TYPE_IIS_ENZYMES = {
+    BsaI: { site: 'GGTCTC', spacer: 1 },
+    BsmBI: { site: 'CGTCTC', spacer: 1 },
+};
+
+export const DEFAULT_GOLDEN_GATE_OPTIONS = {
+    enzyme: 'BsaI',
+    // Destination-vector overhangs for linear constructs (MoClo-style defaults).
+    vectorLeft: 'GGAG',
+    vectorRight: 'CGCT',
+    // How far an overhang may move away from its part boundary, in bp.
+    window: 8,
+    primerTm: 58,
+    // Parts shorter than this ride in a neighbouring fragment's primer tail (or oligos) instead of
+    // being made on their own.
+    minPartLength: 30,
+};
+
+export const DEFAULT_GIBSON_OPTIONS = {
+    overlapTm: 50,
+    minOverlap: 15,
+    maxOverlap: 40,
+    primerTm: 58,
+    // Vector homology for linear constructs: the vector sequence just upstream/downstream of the insert.
+    vectorLeft: '',
+    vectorRight: '',
+    // Parts shorter than this ride in a neighbouring fragment's primer tail instead of being amplified.
+    minPartLength: 60,
+};
+
+// Extra bases 5' of a Type IIS site so the enzyme can bind near the end of a PCR product.
+const SITE_PADDING = 'TTCA';
+// Filler base between a Type IIS site and its overhang.
+const SPACER_BASE = 'A';
+// Golden Gate fragments up to this length are ordered as annealed oligo pairs.
+const MAX_OLIGO_FRAGMENT = 80;
+// Shortest double-stranded stretch an annealed oligo pair should have between its overhangs.
+const MIN_OLIGO_DUPLEX = 15;
+// Primers longer than this usually need a more expensive synthesis scale.
+const MAX_STANDARD_PRIMER = 60;
+// Upper bound on overhang combinations tried before giving up.
+const SEARCH_LIMIT = 50000;
+const CODING_TYPES = ['Gene', 'Reporter'];
+
+// Reads `sequence[start, end)`, wrapping through the origin for circular constructs.
+const sliceAt = (sequence, start, end) => {
+    const length = sequence.length;
+    let result = '';
+    for (let i = start; i < end; i++) result += sequence[((i % length) + length) % length];
+    return result;
+};
+
+const mismatches = (a, b) => {
+    let count = 0;
+    for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) count++;
+    return count;
+};
+
+const primerName = (index, name, suffix) => {
+    const safeName = name.replace(/[^A-Za-z0-9_-]+/g, '_').replace(/^_+|_+$/g, '');
+    return `${String(index + 1).padStart(2, '0')}_${safeName}_${suffix}`;
+};
+
+// Warns when a primer's binding region could not reach the target Tm within the length limit.
+const checkBinding = (plan, partName, end, binding, targetTm) => {
+    if (!binding.reachedTarget) {
+        plan.warnings.push(`The ${end} of '${partName}' gives only a ${binding.tm.toFixed(1)} °C primer binding site (target ${targetTm} °C).`);
+    }
+};
+
+// Parts with a sequence, as { name, start, end } in 0-based construct coordinates.
+const sequencedParts = (construct) => construct.features
+    .filter(feature => feature.length > 0)
+    .map(feature => ({ feature, name: feature.name, start: feature.start - 1, end: feature.end }));
+
+// --- Type IIS sites and domestication ---
+
+// Every occurrence of an enzyme's site on either strand, reading through the origin when circular.
+export const findTypeIISSites = (sequence, enzymeName, topology = 'linear') => {
+    const { site } = TYPE_IIS_ENZYMES[enzymeName];
+    const siteRc = reverseComplement(site);
+    const searchable = topology === 'circular' ? sequence + sequence.slice(0, site.length - 1) : sequence;
+    const sites = [];
+    for (let i = 0; i + site.length <= searchable.length; i++) {
+        const word = searchable.slice(i, i + site.length);
+        if (word === site) sites.push({ enzyme: enzymeName, start: i, end: i + site.length, strand: '+' });
+        else if (word === siteRc) sites.push({ enzyme: enzymeName, start: i, end: i + site.length, strand: '-' });
+    }
+    return sites;
+};
+
+const hasAnySite = (sequence) => Object.keys(TYPE_IIS_ENZYMES).some(name => findTypeIISSites(sequence, name).length > 0);
+
+// A synonymous codon change inside a coding element that removes the site without creating a
+// site for any supported enzyme. Returns { codon (1-based), from, to, aminoAcid, sequence } or null.
+const synonymousFix = (element, siteStart, siteEnd) => {
+    const sequence = element.sequence.toUpperCase();
+    const firstCodon = Math.floor(siteStart / 3);
+    const lastCodon = Math.floor((siteEnd - 1) / 3);
+    for (let codon = firstCodon; codon <= lastCodon; codon++) {
+        const from = sequence.slice(codon * 3, codon * 3 + 3);
+        const aminoAcid = GENETIC_CODE[from];
+        if (!aminoAcid) continue;
+        // Prefer the alternatives that change the fewest bases.
+        const alternatives = SYNONYMOUS_CODONS[aminoAcid]
+            .filter(to => to !== from)
+            .sort((a, b) => mismatches(a, from) - mismatches(b, from));
+        for (const to of alternatives) {
+            const candidate = sequence.slice(0, codon * 3) + to + sequence.slice(codon * 3 + 3);
+            const context = candidate.slice(Math.max(0, siteStart - 6), siteEnd + 6);
+            if (!hasAnySite(context)) return { codon: codon + 1, from, to, aminoAcid, sequence: candidate };
+        }
+    }
+    return null;
+};
+
+// Internal sites for `enzymeName` with the part each one falls in and, for coding parts, a fix.
+export const findDomesticationSites = (elements, construct, enzymeName, topology = 'linear') => {
+    const elementsById = new Map(elements.map(element => [element.id, element]));
+    return findTypeIISSites(construct.sequence, enzymeName, topology).map(site => {
+        const feature = construct.features.find(candidate => (
+            candidate.length > 0 && site.start >= candidate.start - 1 && site.end <= candidate.end
+        ));
+        const result = { ...site, position: site.start + 1, elementId: feature ? feature.elementId : null, elementName: feature ? feature.name : null, fix: null };
+        if (!feature) return result;
+        const element = elementsById.get(feature.elementId);
+        if (element && CODING_TYPES.includes(element.type)) {
+            // Site coordinates within the element as it reads.
+            const offset = site.start - (feature.start - 1);
+            const [start, end] = feature.orientation === 'reverse'
+                ? [feature.length - offset - (site.end - site.start), feature.length - offset]
+                : [offset, offset + (site.end - site.start)];
+            result.fix = synonymousFix(element, start, end);
+        }
+        return result;
+    });
+};
+
+// --- Golden Gate ---
+
+// Heuristic ligation-fidelity penalty for one overhang (lower is better). Overhangs with no G/C or
+// only G/C ligate poorly, runs of three identical bases mis-pair more often, and overhangs far from
+// the part boundary need longer primer tails.
+const overhangPenalty = (overhang, distance) => {
+    const gc = [...overhang].filter(base => base === 'G' || base === 'C').length;
+    let penalty = distance * 0.1;
+    if (gc === 0 || gc === 4) penalty += 2;
+    if (/(.)\1\1/.test(overhang)) penalty += 1;
+    return penalty;
+};
+
+// Two overhangs are compatible when each differs from the other and from its reverse complement
+// in at least `minDistance` positions.
+const compatible = (a, b, minDistance) => (
+    mismatches(a, b) >= minDistance && mismatches(a, reverseComplement(b)) >= minDistance
+);
+
+// Picks one overhang per junction by depth-first search over each junction's candidates (best
+// first). Vector ends have a single candidate with a null start. Positioned overhangs must not
+// overlap the previous one, nor (for a circular construct of length `period`) the first one.
+// Returns the chosen candidates or null when no compatible set exists within the search limit.
+const chooseOverhangs = (junctions, minDistance, period = null) => {
+    const chosen = [];
+    let visited = 0;
+    const search = (index) => {
+        if (index === junctions.length) return true;
+        for (const candidate of junctions[index].candidates) {
+            if (++visited > SEARCH_LIMIT) return false;
+            const previous = chosen[index - 1];
+            if (previous && previous.start !== null && candidate.start !== null && candidate.start < previous.start + 4) continue;
+            if (period && index > 0 && index === junctions.length - 1 && candidate.start + 4 > chosen[0].start + period) continue;
+            if (!chosen.every(other => compatible(candidate.sequence, other.sequence, minDistance))) continue;
+            chosen.push(candidate);
+            if (search(index + 1)) return true;
+            chosen.pop();
+        }
+        return false;
+    };
+    return search(0) ? chosen : null;
+};
+
+// Overhang candidates around a boundary, best first.
+const overhangCandidates = (sequence, boundary, window, circular, lowest, highest) => {
+    const candidates = [];
+    for (let start = boundary - window; start <= boundary + window - 4; start++) {
+        if (start < lowest || start > highest) continue;
+        if (!circular && (start < 0 || start + 4 > sequence.length)) continue;
+        const overhang = sliceAt(sequence, start, start + 4);
+        if (!/^[ACGT]{4}$/.test(overhang) || overhang === reverseComplement(overhang)) continue;
+        const distance = Math.abs(start + 2 - boundary);
+        candidates.push({ start, sequence: overhang, penalty: overhangPenalty(overhang, distance) });
+    }
+    return candidates.sort((a, b) => a.penalty - b.penalty);
+};
+
+export const planGoldenGate = (elements, construct, topology = 'linear', options = {}) => {
+    const settings = { ...DEFAULT_GOLDEN_GATE_OPTIONS, ...options };
+    const enzyme = TYPE_IIS_ENZYMES[settings.enzyme];
+    const sequence = construct.sequence.toUpperCase();
+    const circular = topology === 'circular';
+    const parts = sequencedParts(construct);
+    const plan = { method: 'Golden Gate', enzyme: settings.enzyme, topology, fragments: [], junctions: [], primers: [], domestication: [], warnings: [], errors: [] };
+    if (!enzyme) {
+        plan.errors.push(`Unknown enzyme: ${settings.enzyme}`);
+        return plan;
+    }
+    if (parts.length === 0) {
+        plan.errors.push('Add sequences to your DNA elements to plan an assembly.');
+        return plan;
+    }
+
+    plan.domestication = findDomesticationSites(elements, construct, settings.enzyme, topology);
+    if (plan.domestication.length > 0) {
+        plan.errors.push(`${plan.domestication.length} internal ${settings.enzyme} site(s) must be removed (domesticated) first.`);
+        Object.keys(TYPE_IIS_ENZYMES).filter(name => name !== settings.enzyme).forEach(name => {
+            if (findTypeIISSites(sequence, name, topology).length === 0) plan.warnings.push(`The construct has no internal ${name} sites; ${name} could be used instead.`);
+        });
+    }
+
+    // Group parts into fragments: a short part joins the next part's fragment (the last one's at
+    // the end of a linear construct, the first one's through the origin of a circular one) and rides
+    // in its primer tail. When every part is short, the whole construct is one fragment.
+    const groups = [];
+    let pending = [];
+    parts.forEach(part => {
+        if (part.end - part.start < settings.minPartLength) {
+            pending.push(part);
+            return;
+        }
+        groups.push({ parts: [...pending, part], template: part });
+        pending = [];
+    });
+    if (groups.length === 0) {
+        groups.push({ parts: pending, template: null });
+    } else if (pending.length > 0) {
+        if (circular) groups[0].parts.unshift(...pending.map(part => ({ ...part, start: part.start - sequence.length, end: part.end - sequence.length })));
+        else groups[groups.length - 1].parts.push(...pending);
+    }
+    const fragments = groups.map(group => {
+        const name = group.parts.map(part => part.name).join(' + ');
+        const start = group.parts[0].start;
+        const end = group.parts[group.parts.length - 1].end;
+        return { ...group, name, start, end, template: group.template || { name, start, end } };
+    });
+
+    // Junction i sits before fragment i; linear constructs add the two vector ends as fixed junctions.
+    const vectorLeft = settings.vectorLeft.toUpperCase();
+    const vectorRight = settings.vectorRight.toUpperCase();
+    const junctions = [];
+    if (!circular) {
+        if (!/^[ACGT]{4}$/.test(vectorLeft) || !/^[ACGT]{4}$/.test(vectorRight)) {
+            plan.errors.push('Vector overhangs must be 4 bases of A, C, G or T.');
+            return plan;
+        }
+        junctions.push({ boundary: fragments[0].start, vector: true, candidates: [{ start: null, sequence: vectorLeft, penalty: 0 }] });
+    }
+    fragments.forEach((fragment, index) => {
+        if (!circular && index === 0) return;
+        const previous = fragments[index - 1];
+        // Keep each overhang within the neighbouring fragments so they stay in order.
+        const lowest = previous ? previous.start + 1 : fragment.start - settings.window;
+        const highest = fragment.end - 4;
+        junctions.push({ boundary: fragment.start, vector: false, candidates: overhangCandidates(sequence, fragment.start, settings.window, circular, lowest, highest) });
+    });
+    if (!circular) junctions.push({ boundary: fragments[fragments.length - 1].end, vector: true, candidates: [{ start: null, sequence: vectorRight, penalty: 0 }] });
+
+    const period = circular ? sequence.length : null;
+    let chosen = chooseOverhangs(junctions, 2, period);
+    if (!chosen) {
+        chosen = chooseOverhangs(junctions, 1, period);
+        if (chosen) plan.warnings.push('No overhang set differs by 2+ bases at every junction; some overhangs differ by a single base, so check colonies for misassembly.');
+    }
+    if (!chosen) {
+        plan.errors.push('Could not find a compatible set of overhangs; try a wider overhang window or fewer parts.');
+        return plan;
+    }
+    const wrap = (position) => ((position % sequence.length) + sequence.length) % sequence.length;
+    const firstPart = (fragment) => fragment.parts[0].name;
+    const lastPart = (fragment) => fragment.parts[fragment.parts.length - 1].name;
+    plan.junctions = junctions.map((junction, index) => ({
+        index,
+        position: chosen[index].start === null ? null : wrap(chosen[index].start) + 1,
+        sequence: chosen[index].sequence,
+        vector: junction.vector,
+        between: junction.vector
+            ? (index === 0 ? `vector → ${firstPart(fragments[0])}` : `${lastPart(fragments[fragments.length - 1])} → vector`)
+            : `${lastPart(fragments[(index - 1 + fragments.length) % fragments.length])} → ${firstPart(fragments[index])}`,
+    }));
+
+    // Fragment i runs from its left overhang to the end of its right overhang.
+    const tailStart = SITE_PADDING + enzyme.site + SPACER_BASE.repeat(enzyme.spacer);
+    fragments.forEach((fragment, index) => {
+        const { template } = fragment;
+        const left = chosen[index];
+        const right = circular
+            ? (index + 1 < fragments.length ? chosen[index + 1] : { ...chosen[0], start: chosen[0].start + sequence.length })
+            : chosen[index + 1];
+
+        // The construct bases this fragment supplies, and the product: [left overhang ... right
+        // overhang], with the vector's overhangs at the ends of a linear construct.
+        const coreStart = left.start === null ? fragment.start : Math.max(left.start, fragment.start);
+        const coreEnd = right.start === null ? fragment.end : Math.min(right.start + 4, fragment.end);
+        const productStart = left.start === null ? coreStart : left.start;
+        const productEnd = right.start === null ? coreEnd : right.start + 4;
+        const leftVector = left.start === null ? left.sequence : '';
+        const rightVector = right.start === null ? right.sequence : '';
+        const product = leftVector + sliceAt(sequence, productStart, productEnd) + rightVector;
+
+        const planned = {
+            index,
+            name: fragment.name,
+            partNames: fragment.parts.map(part => part.name),
+            start: wrap(coreStart) + 1,
+            end: coreEnd,
+            leftOverhang: left.sequence,
+            rightOverhang: right.sequence,
+            product,
+            primers: [],
+        };
+
+        if (product.length <= MAX_OLIGO_FRAGMENT) {
+            // Annealed oligos leave the 4-nt overhangs single-stranded; no digestion needed.
+            planned.kind = 'Oligos';
+            planned.primers = [
+                { name: primerName(index, template.name, 'top'), sequence: product.slice(0, -4), notes: `Anneal with ${primerName(index, template.name, 'bottom')}` },
+                { name: primerName(index, template.name, 'bottom'), sequence: reverseComplement(product.slice(4)), notes: `Anneal with ${primerName(index, template.name, 'top')}` },
+            ].map(oligo => ({ ...oligo, length: oligo.sequence.length, tm: null, bindingLength: null, fragment: template.name }));
+            const duplex = product.length - 8;
+            if (duplex < MIN_OLIGO_DUPLEX) {
+                plan.warnings.push(`The '${fragment.name}' oligos anneal over only ${duplex} bp; a narrower overhang window keeps the overhangs further apart.`);
+            }
+        } else {
+            // Primers bind the template part; the rest of the fragment goes in their tails.
+            planned.kind = 'PCR';
+            const bindStart = Math.max(coreStart, template.start);
+            const bindEnd = Math.min(coreEnd, template.end);
+            const leftTail = leftVector + sliceAt(sequence, productStart, bindStart);
+            const rightTail = sliceAt(sequence, bindEnd, productEnd) + rightVector;
+            const templateSequence = sliceAt(sequence, bindStart, bindEnd);
+            const forward = designBindingRegion(templateSequence, 0, 'forward', { targetTm: settings.primerTm });
+            const reverse = designBindingRegion(templateSequence, templateSequence.length, 'reverse', { targetTm: settings.primerTm });
+            planned.primers = [
+                { name: primerName(index, template.name, 'F'), sequence: tailStart + leftTail + forward.sequence, binding: forward },
+                { name: primerName(index, template.name, 'R'), sequence: tailStart + reverseComplement(rightTail) + reverse.sequence, binding: reverse },
+            ].map(({ binding, ...primer }) => ({
+                ...primer,
+                length: primer.sequence.length,
+                tm: binding.tm,
+                bindingLength: binding.length,
+                fragment: template.name,
+                notes: `${settings.enzyme} tail, overhang ${primer.name.endsWith('_F') ? left.sequence : right.sequence}`,
+            }));
+            planned.product = tailStart + product + reverseComplement(tailStart);
+            checkBinding(plan, template.name, 'start', forward, settings.primerTm);
+            checkBinding(plan, template.name, 'end', reverse, settings.primerTm);
+        }
+        plan.fragments.push(planned);
+    });
+
+    plan.primers = plan.fragments.flatMap(fragment => fragment.primers);
+    plan.primers.filter(primer => primer.length > MAX_STANDARD_PRIMER).forEach(primer => {
+        plan.warnings.push(`${primer.name} is ${primer.length} nt; order it at a long-oligo scale.`);
+    });
+    return plan;
+};
+
+// --- Gibson / HiFi ---
+
+// Grows an overlap outwards from `boundary`, alternating sides, until it reaches both the target
+// Tm and the minimum length (or the maximum length).
+const designOverlap = (sequence, boundary, { overlapTm, minOverlap, maxOverlap }, lowest, highest) => {
+    let start = boundary;
+    let end = boundary;
+    let growLeft = true;
+    while (end - start < maxOverlap) {
+        const canLeft = start > lowest;
+        const canRight = end < highest;
+        if (!canLeft && !canRight) break;
+        if ((growLeft && canLeft) || !canRight) start--;
+        else end++;
+        growLeft = !growLeft;
+        if (end - start >= minOverlap && meltingTemperature(sliceAt(sequence, start, end)) >= overlapTm) break;
+    }
+    const overlap = sliceAt(sequence, start, end);
+    return { start, end, sequence: overlap, tm: meltingTemperature(overlap) };
+};
+
+export const planGibson = (elements, construct, topology = 'linear', options = {}) => {
+    const settings = { ...DEFAULT_GIBSON_OPTIONS, ...options };
+    const sequence = construct.sequence.toUpperCase();
+    const circular = topology === 'circular';
+    const parts = sequencedParts(construct);
+    const plan = { method: 'Gibson', topology, fragments: [], junctions: [], primers: [], domestication: [], warnings: [], errors: [] };
+    if (parts.length === 0) {
+        plan.errors.push('Add sequences to your DNA elements to plan an assembly.');
+        return plan;
+    }
+
+    // Group parts into fragments: each long part is amplified, short parts join the next one's
+    // forward primer tail (or the last fragment's reverse tail, or wrap round when circular).
+    const fragments = [];
+    let pending = [];
+    parts.forEach(part => {
+        if (part.end - part.start < settings.minPartLength) {
+            pending.push(part);
+            return;
+        }
+        fragments.push({ parts: [...pending, part], template: part });
+        pending = [];
+    });
+    if (fragments.length === 0) {
+        plan.errors.push(`Every part is shorter than ${settings.minPartLength} bp; order the construct as a synthetic fragment instead.`);
+        return plan;
+    }
+    if (pending.length > 0) {
+        if (circular) fragments[0].parts.unshift(...pending.map(part => ({ ...part, start: part.start - sequence.length, end: part.end - sequence.length })));
+        else fragments[fragments.length - 1].parts.push(...pending);
+    }
+    fragments.forEach(fragment => {
+        fragment.coreStart = fragment.parts[0].start;
+        fragment.coreEnd = fragment.parts[fragment.parts.length - 1].end;
+    });
+
+    // Junction i joins fragment i - 1 to fragment i; its overlap stays inside the two templates.
+    const overlaps = fragments.map((fragment, index) => {
+        if (!circular && index === 0) return null;
+        const previous = index > 0 ? fragments[index - 1] : { ...fragments[fragments.length - 1], template: { start: fragments[fragments.length - 1].template.start - sequence.length } };
+        return designOverlap(sequence, fragment.coreStart, settings, previous.template.start + 1, fragment.template.end - 1);
+    });
+    overlaps.forEach((overlap, index) => {
+        if (!overlap) return;
+        const names = `${fragments[(index - 1 + fragments.length) % fragments.length].template.name} → ${fragments[index].template.name}`;
+        plan.junctions.push({
+            index: plan.junctions.length,
+            position: ((overlap.start % sequence.length) + sequence.length) % sequence.length + 1,
+            sequence: overlap.sequence,
+            tm: overlap.tm,
+            between: names,
+        });
+        if (overlap.tm < settings.overlapTm || overlap.sequence.length < settings.minOverlap) {
+            plan.warnings.push(`Overlap ${names} only reaches ${overlap.tm.toFixed(1)} °C over ${overlap.sequence.length} bp.`);
+        }
+    });
+
+    const vectorLeft = settings.vectorLeft.toUpperCase().replace(/[^ACGT]/g, '');
+    const vectorRight = settings.vectorRight.toUpperCase().replace(/[^ACGT]/g, '');
+    fragments.forEach((fragment, index) => {
+        const { template } = fragment;
+        const leftOverlap = overlaps[index];
+        const rightOverlap = circular
+            ? (index + 1 < fragments.length ? overlaps[index + 1] : { ...overlaps[0], end: overlaps[0].end + sequence.length })
+            : overlaps[index + 1];
+        const productStart = leftOverlap ? leftOverlap.start : fragment.coreStart;
+        const productEnd = rightOverlap ? rightOverlap.end : fragment.coreEnd;
+        const leftTail = (!circular && index === 0 ? vectorLeft : '') + sliceAt(sequence, productStart, template.start);
+        const rightTail = sliceAt(sequence, template.end, productEnd) + (!circular && index === fragments.length - 1 ? vectorRight : '');
+
+        const templateSequence = sequence.slice(template.start, template.end);
+        const forward = designBindingRegion(templateSequence, 0, 'forward', { targetTm: settings.primerTm });
+        const reverse = designBindingRegion(templateSequence, templateSequence.length, 'reverse', { targetTm: settings.primerTm });
+        const partNames = fragment.parts.map(part => part.name);
+        const primers = [
+            { name: primerName(index, template.name, 'F'), sequence: leftTail + forward.sequence, binding: forward, tail: leftTail },
+            { name: primerName(index, template.name, 'R'), sequence: reverseComplement(rightTail) + reverse.sequence, binding: reverse, tail: rightTail },
+        ].map(({ binding, tail, ...primer }) => ({
+            ...primer,
+            length: primer.sequence.length,
+            tm: binding.tm,
+            bindingLength: binding.length,
+            fragment: template.name,
+            notes: tail.length > 0 ? `${tail.length} nt overlap/tail` : 'No tail',
+        }));
+        checkBinding(plan, template.name, 'start', forward, settings.primerTm);
+        checkBinding(plan, template.name, 'end', reverse, settings.primerTm);
+
+        plan.fragments.push({
+            index,
+            name: partNames.join(' + '),
+            partNames,
+            kind: 'PCR',
+            start: template.start + 1,
+            end: template.end,
+            product: leftTail + templateSequence + rightTail,
+            primers,
+        });
+    });
+
+    if (!circular && (!vectorLeft || !vectorRight)) {
+        plan.warnings.push('No vector homology given: the outer primers have no tails for the destination vector.');
+    }
+    plan.primers = plan.fragments.flatMap(fragment => fragment.primers);
+    plan.primers.filter(primer => primer.length > MAX_STANDARD_PRIMER).forEach(primer => {
+        plan.warnings.push(`${primer.name} is ${primer.length} nt; order it at a long-oligo scale.`);
+    });
+    return plan;
+};
+
+// Plans an assembly with the chosen method.
+export const planAssembly = (method, elements, construct, topology, options) => (
+    method === 'Gibson' ? planGibson(elements, construct, topology, options) : planGoldenGate(elements, construct, topology, options)
+);
@@ -0,0 +1,141 @@
+import { formatCsv } from './csv';
+
+// --- Assembly Plan Output ---
+// Formats an assembly plan (see assembly.js) as a CSV primer order sheet and as a printable HTML
+// protocol. Reaction volumes are typical kit conditions; the protocol says so.
+
+// One row per primer or oligo, in the column layout most oligo vendors accept for bulk upload.
+export const formatPrimerCsv = (plan, designName) => {
+    const header = ['Name', 'Sequence', 'Length', 'Binding Tm (°C)', 'Fragment', 'Scale', 'Purification', 'Notes'];
+    const rows = plan.primers.map(primer => [
+        `${designName}_${primer.name}`,
+        primer.sequence,
+        primer.length,
+        primer.tm === null ? '' : primer.tm.toFixed(1),
+        primer.fragment,
+        primer.length > 60 ? '100 nmol' : '25 nmol',
+        primer.length > 60 ? 'PAGE' : 'Standard desalting',
+        primer.notes,
+    ]);
+    return formatCsv([header, ...rows]);
+};
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const table = (headers, rows) => `
+<table>
+  <thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+  <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody>
+</table>`;
+
+const list = (items) => `<ol>${items.map(item => `<li>${item}</li>`).join('')}</ol>`;
+
+// Steps to make each fragment: PCR with the plan's primers, or annealing an oligo pair.
+const fragmentSteps = (plan) => {
+    const pcr = plan.fragments.filter(fragment => fragment.kind === 'PCR');
+    const oligos = plan.fragments.filter(fragment => fragment.kind === 'Oligos');
+    const steps = [];
+    if (pcr.length > 0) {
+        const lowestTm = Math.min(...pcr.flatMap(fragment => fragment.primers.map(primer => primer.tm)));
+        steps.push(`Amplify the PCR fragments with a high-fidelity polymerase. The lowest primer binding Tm is ${lowestTm.toFixed(1)} °C; set the annealing temperature with your polymerase's Tm calculator.`);
+        steps.push('Check each product on an agarose gel against the expected sizes below, then column-purify (gel-purify if there are extra bands).');
+    }
+    if (oligos.length > 0) {
+        steps.push('Anneal each oligo pair: mix 1 µL of each 100 µM oligo with 48 µL of annealing buffer, heat to 95 °C for 3 min, then cool slowly to room temperature. Dilute 1:100 before use.');
+    }
+    return steps;
+};
+
+const assemblySteps = (plan) => {
+    if (plan.method === 'Gibson') {
+        return [
+            'Mix the fragments equimolar (0.03–0.2 pmol each; 2–3× molar excess of fragments under 200 bp) with water to 10 µL.',
+            'Add 10 µL of 2× Gibson/HiFi assembly master mix.',
+            'Incubate at 50 °C for 15 min (2–3 fragments) or 60 min (4 or more).',
+            'Transform 2 µL into competent E. coli.',
+        ];
+    }
+    return [
+        `Combine 75 ng destination vector, a 2:1 molar ratio of each fragment to vector, 2 µL T4 DNA ligase buffer, 1 µL ${escapeHtml(plan.enzyme)}, 1 µL T4 DNA ligase and water to 20 µL.`,
+        'Cycle 30 × (37 °C for 1 min, 16 °C for 1 min), then 60 °C for 5 min.',
+        'Transform 2 µL into competent E. coli.',
+    ];
+};
+
+// A self-contained HTML page with the full protocol, styled for printing.
+export const formatProtocolHtml = (plan, designName) => {
+    const fragments = table(
+        ['#', 'Fragment', 'Type', 'Construct region', 'Product (bp)', 'Primers / oligos'],
+        plan.fragments.map(fragment => [
+            fragment.index + 1,
+            escapeHtml(fragment.name),
+            fragment.kind === 'PCR' ? 'PCR' : 'Annealed oligos',
+            `${fragment.start}–${fragment.end}`,
+            fragment.product.length,
+            fragment.primers.map(primer => escapeHtml(primer.name)).join('<br>'),
+        ]),
+    );
+    const junctions = table(
+        plan.method === 'Gibson' ? ['#', 'Junction', 'Overlap', 'Length', 'Tm (°C)'] : ['#', 'Junction', 'Overhang'],
+        plan.junctions.map(junction => [
+            junction.index + 1,
+            escapeHtml(junction.between),
+            `<code>${junction.sequence}</code>`,
+            ...(plan.method === 'Gibson' ? [junction.sequence.length, junction.tm.toFixed(1)] : []),
+        ]),
+    );
+    const primers = table(
+        ['Name', 'Sequence (5′→3′)', 'Length', 'Binding Tm (°C)', 'Notes'],
+        plan.primers.map(primer => [
+            escapeHtml(primer.name),
+            `<code>${primer.sequence}</code>`,
+            primer.length,
+            primer.tm === null ? '—' : primer.tm.toFixed(1),
+            escapeHtml(primer.notes),
+        ]),
+    );
+    const notes = [...plan.errors, ...plan.warnings];
+    const domestication = plan.domestication.map(site => escapeHtml(site.fix
+        ? `${site.enzyme} site at ${site.position} in '${site.elementName}': change codon ${site.fix.codon} ${site.fix.from} → ${site.fix.to} (${site.fix.aminoAcid}).`
+        : `${site.enzyme} site at ${site.position}${site.elementName ? ` in '${site.elementName}'` : ''}: remove by hand.`));
+    const title = `${plan.method} assembly of ${designName}`;
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; color: #1f2937; }
+  h1 { font-size: 1.5em; } h2 { font-size: 1.15em; margin-top: 1.5em; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.85em; }
+  th, td { border: 1px solid #9ca3af; padding: 4px 6px; text-align: left; vertical-align: top; }
+  code { font-size: 0.95em; word-break: break-all; }
+  .notes { color: #92400e; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(plan.topology)} construct · ${plan.fragments.length} fragment(s) · ${plan.primers.length} primer(s)/oligo(s)${plan.enzyme ? ` · ${escapeHtml(plan.enzyme)}` : ''}</p>
+${notes.length > 0 ? `<h2>Notes</h2><ul class="notes">${notes.map(note => `<li>${escapeHtml(note)}</li>`).join('')}</ul>` : ''}
+${domestication.length > 0 ? `<h2>Domestication</h2>${list(domestication)}` : ''}
+<h2>Fragments</h2>
+${fragments}
+<h2>Junctions</h2>
+${junctions}
+<h2>Primers and oligos</h2>
+${primers}
+<h2>1. Prepare the fragments</h2>
+${list(fragmentSteps(plan))}
+<h2>2. Assemble</h2>
+${list(assemblySteps(plan))}
+<p><small>Volumes and cycling are typical kit conditions; follow your enzyme supplier's instructions where they differ.</small></p>
+</body>
+</html>
+`;
+};
@@ -0,0 +1,218 @@
+import { GENETIC_CODE, SYNONYMOUS_CODONS, reverseComplement, gcContent } from './sequenceUtils';
+import { matchesAt } from './crispr';
+import { ENZYMES_BY_NAME } from './enzymeDatabase';
+import { CODON_USAGE_TABLES } from './codonUsage';
+
+// --- Translation and Codon Optimization ---
+// Tools for coding parts (Gene and Reporter elements): translation in all six frames, the Codon
+// Adaptation Index (CAI) against a host's codon usage, and a codon optimizer.
+//
+// The optimizer re-encodes a protein with each amino acid's most-used codon in the host, then
+// removes unwanted features one at a time with the synonymous change that costs least
+// adaptiveness: sites the user wants to avoid (on either strand) and homopolymer runs longer than
+// allowed. Codons rarer than MIN_ADAPTIVENESS are only used when nothing else fixes a problem.
+// Problems it can't remove are reported, never hidden.
+
+export const CODING_TYPES = ['Gene', 'Reporter'];
+
+// Codons with a relative adaptiveness below this are avoided where possible.
+const MIN_ADAPTIVENESS = 0.1;
+// Floor for codons missing from a table, so one of them doesn't zero the CAI.
+const ADAPTIVENESS_FLOOR = 0.01;
+// Amino acids with a single codon (and stops) say nothing about codon choice, so CAI skips them.
+const CAI_EXCLUDED = new Set(['M', 'W', '*']);
+
+export const AMINO_ACIDS = 'ACDEFGHIKLMNPQRSTVWY';
+
+// The amino acid for a codon, 'X' if it has ambiguous or invalid bases.
+const aminoAcidFor = (codon) => GENETIC_CODE[codon.replace(/U/g, 'T')] || 'X';
+
+// Translates `sequence` from `offset`, ignoring a trailing partial codon. Stops are '*'.
+export const translate = (sequence, offset = 0) => {
+    let protein = '';
+    for (let i = offset; i + 3 <= sequence.length; i += 3) protein += aminoAcidFor(sequence.slice(i, i + 3));
+    return protein;
+};
+
+// The six reading frames: [{ label, strand, offset, protein, start(index) }] where start(index)
+// is the 1-based top-strand position of the first base of the index-th codon as read.
+export const sixFrameTranslation = (sequence) => {
+    const reverse = reverseComplement(sequence);
+    return [0, 1, 2].map(offset => ({
+        label: `+${offset + 1}`,
+        strand: '+',
+        offset,
+        protein: translate(sequence, offset),
+        start: (index) => offset + 3 * index + 1,
+    })).concat([0, 1, 2].map(offset => ({
+        label: `-${offset + 1}`,
+        strand: '-',
+        offset,
+        protein: translate(reverse, offset),
+        start: (index) => sequence.length - offset - 3 * index,
+    })));
+};
+
+// Longest stretch without a stop codon, in amino acids.
+export const longestOpenStretch = (protein) => Math.max(0, ...protein.split('*').map(part => part.length));
+
+// Relative adaptiveness w of every codon: its frequency over that of the most-used synonymous codon.
+export const relativeAdaptiveness = (hostKey) => {
+    const usage = CODON_USAGE_TABLES[hostKey].perThousand;
+    const weights = {};
+    Object.values(SYNONYMOUS_CODONS).forEach(codons => {
+        const best = Math.max(...codons.map(codon => usage[codon]));
+        codons.forEach(codon => {
+            weights[codon] = best > 0 ? Math.max(usage[codon] / best, ADAPTIVENESS_FLOOR) : 1;
+        });
+    });
+    return weights;
+};
+
+// Codon Adaptation Index (Sharp & Li): the geometric mean of w over the codons of a CDS, leaving
+// out Met, Trp, stops and codons with ambiguous bases. Null if nothing is left to score.
+export const codonAdaptationIndex = (cds, hostKey) => {
+    const weights = relativeAdaptiveness(hostKey);
+    let logSum = 0;
+    let count = 0;
+    for (let i = 0; i + 3 <= cds.length; i += 3) {
+        const codon = cds.slice(i, i + 3);
+        const aminoAcid = GENETIC_CODE[codon];
+        if (!aminoAcid || CAI_EXCLUDED.has(aminoAcid)) continue;
+        logSum += Math.log(weights[codon]);
+        count += 1;
+    }
+    return count > 0 ? Math.exp(logSum / count) : null;
+};
+
+// Reads a pasted protein (one-letter codes; whitespace, digits and a FASTA header are ignored).
+// Returns { protein, error }.
+export const parseProtein = (text) => {
+    const protein = text
+        .split(/\r?\n/)
+        .filter(line => !line.startsWith('>'))
+        .join('')
+        .replace(/[\s\d]/g, '')
+        .toUpperCase();
+    if (!protein) return { protein: '', error: 'Enter a protein sequence.' };
+    const invalid = protein.split('').find(letter => !AMINO_ACIDS.includes(letter) && letter !== '*');
+    if (invalid) return { protein: '', error: `'${invalid}' is not one of the 20 standard amino acids.` };
+    return { protein, error: '' };
+};
+
+// Reads the protein encoded by a CDS. Returns { protein, error }.
+export const proteinFromCds = (cds) => {
+    if (!cds) return { protein: '', error: 'The element has no sequence to optimize.' };
+    if (cds.length % 3 !== 0) return { protein: '', error: `The sequence is ${cds.length} bp, not a whole number of codons.` };
+    const protein = translate(cds);
+    const ambiguous = protein.indexOf('X');
+    if (ambiguous >= 0) return { protein: '', error: `Codon ${ambiguous + 1} has ambiguous bases.` };
+    return { protein, error: '' };
+};
+
+// Reads a list of sites to avoid: enzyme names from the enzyme database and/or IUPAC sequences,
+// separated by commas or spaces. Returns { sites: [{ name, site }], unknown: [tokens] }.
+export const parseAvoidList = (text) => {
+    const sites = [];
+    const unknown = [];
+    const enzymesByLowerName = new Map([...ENZYMES_BY_NAME.values()].map(enzyme => [enzyme.name.toLowerCase(), enzyme]));
+    text.split(/[\s,;]+/).filter(Boolean).forEach(token => {
+        const enzyme = enzymesByLowerName.get(token.toLowerCase());
+        if (enzyme) sites.push({ name: enzyme.name, site: enzyme.site });
+        else if (/^[ACGTRYSWKMBDHVN]{4,}$/i.test(token)) sites.push({ name: token.toUpperCase(), site: token.toUpperCase() });
+        else unknown.push(token);
+    });
+    return { sites, unknown };
+};
+
+// Unwanted features of `sequence`: [{ start, end (0-based, exclusive), description, excess }], where
+// `excess` is how bad each is: 1 per site, and the bases over the limit for a homopolymer run.
+export const findSequenceProblems = (sequence, avoidSites, maxHomopolymer) => {
+    const problems = [];
+    avoidSites.forEach(({ name, site }) => {
+        const patterns = [...new Set([site, reverseComplement(site)])];
+        for (let i = 0; i + site.length <= sequence.length; i++) {
+            if (patterns.some(pattern => matchesAt(sequence, pattern, i))) {
+                problems.push({ start: i, end: i + site.length, description: `${name} site`, excess: 1 });
+            }
+        }
+    });
+    for (let i = 0; i < sequence.length;) {
+        let j = i + 1;
+        while (j < sequence.length && sequence[j] === sequence[i]) j++;
+        if (j - i > maxHomopolymer) {
+            problems.push({ start: i, end: j, description: `${j - i} nt run of ${sequence[i]}`, excess: j - i - maxHomopolymer });
+        }
+        i = j;
+    }
+    return problems.sort((a, b) => a.start - b.start);
+};
+
+// Re-encodes `protein` for a host. Options: avoidSites ([{ name, site }]), maxHomopolymer.
+// Returns { sequence, cai, gc, unresolved: [{ position (1-based), description }] }.
+export const optimizeCodons = (protein, hostKey, { avoidSites = [], maxHomopolymer = 6 } = {}) => {
+    const weights = relativeAdaptiveness(hostKey);
+    // Synonymous codons per amino acid, best first.
+    const ranked = Object.fromEntries(Object.entries(SYNONYMOUS_CODONS).map(([aminoAcid, codons]) => [
+        aminoAcid,
+        [...codons].sort((a, b) => weights[b] - weights[a]),
+    ]));
+    const codons = protein.split('').map(aminoAcid => ranked[aminoAcid][0]);
+    // Total excess, so shortening a long run counts as progress even while it is still too long.
+    const badness = (problems) => problems.reduce((sum, problem) => sum + problem.excess, 0);
+
+    // Problems that no single synonymous change improves, by position and description.
+    const stuck = new Set();
+    const keyOf = (problem) => `${problem.start}:${problem.description}`;
+    for (let round = 0; round < codons.length * 4; round++) {
+        const problems = findSequenceProblems(codons.join(''), avoidSites, maxHomopolymer);
+        const problem = problems.find(candidate => !stuck.has(keyOf(candidate)));
+        if (!problem) break;
+
+        // The cheapest change to a codon touching the problem that makes things better overall,
+        // trying common codons before rare ones.
+        const current = badness(problems);
+        let best = null;
+        for (const commonOnly of [true, false]) {
+            if (best) break;
+            for (let index = Math.floor(problem.start / 3); index <= Math.floor((problem.end - 1) / 3); index++) {
+                for (const codon of ranked[protein[index]]) {
+                    if (codon === codons[index] || (weights[codon] >= MIN_ADAPTIVENESS) !== commonOnly) continue;
+                    const candidate = [...codons];
+                    candidate[index] = codon;
+                    const count = badness(findSequenceProblems(candidate.join(''), avoidSites, maxHomopolymer));
+                    const cost = Math.log(weights[codons[index]]) - Math.log(weights[codon]);
+                    if (count < current && (!best || count < best.count || (count === best.count && cost < best.cost))) {
+                        best = { index, codon, count, cost };
+                    }
+                }
+            }
+        }
+        if (best) codons[best.index] = best.codon;
+        else stuck.add(keyOf(problem));
+    }
+
+    const sequence = codons.join('');
+    return {
+        sequence,
+        cai: codonAdaptationIndex(sequence, hostKey),
+        gc: gcContent(sequence),
+        unresolved: findSequenceProblems(sequence, avoidSites, maxHomopolymer).map(problem => ({
+            position: problem.start + 1,
+            description: problem.description,
+        })),
+    };
+};
+
+// Codon-by-codon comparison of two CDSs: [{ index, from, to }] for every codon that differs
+// (a missing codon is '').
+export const codonChanges = (original, current) => {
+    const changes = [];
+    const length = Math.max(original.length, current.length);
+    for (let i = 0; i < length; i += 3) {
+        const from = original.slice(i, i + 3);
+        const to = current.slice(i, i + 3);
+        if (from !== to) changes.push({ index: i / 3, from, to });
+    }
+    return changes;
+};
@@ -0,0 +1,73 @@
+import { GENETIC_CODE } from './sequenceUtils';
+
+// --- Codon Usage Tables ---
+// Codon frequencies (per thousand codons) for the hosts the codon optimizer supports. The values
+// are APPROXIMATE: rounded genome-wide figures in the style of the Codon Usage Database
+// (Kazusa, from GenBank CDS), good enough to rank synonymous codons but not a substitute for a
+// curated table of your strain or cell line. Highly expressed genes often prefer a narrower set.
+
+// Each table lists the 64 codons with their frequency, in any order.
+const parseTable = (text) => {
+    const table = {};
+    const tokens = text.trim().split(/\s+/);
+    for (let i = 0; i < tokens.length; i += 2) table[tokens[i]] = Number(tokens[i + 1]);
+    if (Object.keys(table).length !== 64 || Object.keys(GENETIC_CODE).some(codon => !(table[codon] >= 0))) {
+        throw new Error('A codon usage table must list all 64 codons.');
+    }
+    return table;
+};
+
+export const CODON_USAGE_TABLES = {
+    ecoli: {
+        label: 'E. coli (K-12)',
+        perThousand: parseTable(`
+            TTT 22.1 TTC 16.0 TTA 14.3 TTG 13.0  TCT 10.4 TCC  9.1 TCA  8.9 TCG  8.5
+            TAT 17.5 TAC 12.2 TAA  2.0 TAG  0.3  TGT  5.2 TGC  6.1 TGA  1.0 TGG 13.9
+            CTT 11.9 CTC 10.2 CTA  4.2 CTG 48.4  CCT  7.5 CCC  5.4 CCA  8.6 CCG 20.9
+            CAT 12.5 CAC  9.3 CAA 14.6 CAG 28.4  CGT 20.0 CGC 19.7 CGA  3.8 CGG  5.9
+            ATT 29.8 ATC 23.7 ATA  6.8 ATG 26.4  ACT 10.3 ACC 22.0 ACA  9.3 ACG 13.7
+            AAT 20.6 AAC 21.4 AAA 35.3 AAG 12.4  AGT  9.9 AGC 15.2 AGA  3.6 AGG  2.1
+            GTT 19.8 GTC 14.3 GTA 11.6 GTG 24.4  GCT 17.1 GCC 24.2 GCA 21.2 GCG 30.1
+            GAT 32.7 GAC 19.2 GAA 39.1 GAG 18.7  GGT 25.5 GGC 27.1 GGA  9.5 GGG 11.3
+        `),
+    },
+    yeast: {
+        label: 'S. cerevisiae',
+        perThousand: parseTable(`
+            TTT 26.1 TTC 18.4 TTA 26.2 TTG 27.2  TCT 23.5 TCC 14.2 TCA 18.7 TCG  8.6
+            TAT 18.8 TAC 14.8 TAA  1.1 TAG  0.5  TGT  8.1 TGC  4.8 TGA  0.7 TGG 10.4
+            CTT 12.3 CTC  5.4 CTA 13.4 CTG 10.5  CCT 13.5 CCC  6.8 CCA 18.3 CCG  5.3
+            CAT 13.6 CAC  7.8 CAA 27.3 CAG 12.1  CGT  6.4 CGC  2.6 CGA  3.0 CGG  1.7
+            ATT 30.1 ATC 17.2 ATA 17.8 ATG 20.9  ACT 20.3 ACC 12.7 ACA 17.8 ACG  8.0
+            AAT 35.7 AAC 24.8 AAA 41.9 AAG 30.8  AGT 14.2 AGC  9.8 AGA 21.3 AGG  9.2
+            GTT 22.1 GTC 11.8 GTA 11.8 GTG 10.8  GCT 21.2 GCC 12.6 GCA 16.2 GCG  6.2
+            GAT 37.6 GAC 20.2 GAA 45.6 GAG 19.2  GGT 23.9 GGC  9.8 GGA 10.9 GGG  6.0
+        `),
+    },
+    human: {
+        label: 'Human',
+        perThousand: parseTable(`
+            TTT 17.6 TTC 20.3 TTA  7.7 TTG 12.9  TCT 15.2 TCC 17.7 TCA 12.2 TCG  4.4
+            TAT 12.2 TAC 15.3 TAA  1.0 TAG  0.8  TGT 10.6 TGC 12.6 TGA  1.6 TGG 13.2
+            CTT 13.2 CTC 19.6 CTA  7.2 CTG 39.6  CCT 17.5 CCC 19.8 CCA 16.9 CCG  6.9
+            CAT 10.9 CAC 15.1 CAA 12.3 CAG 34.2  CGT  4.5 CGC 10.4 CGA  6.2 CGG 11.4
+            ATT 16.0 ATC 20.8 ATA  7.5 ATG 22.0  ACT 13.1 ACC 18.9 ACA 15.1 ACG  6.1
+            AAT 17.0 AAC 19.1 AAA 24.4 AAG 31.9  AGT 12.1 AGC 19.5 AGA 12.2 AGG 12.0
+            GTT 11.0 GTC 14.5 GTA  7.1 GTG 28.1  GCT 18.4 GCC 27.7 GCA 15.8 GCG  7.4
+            GAT 21.8 GAC 25.1 GAA 29.0 GAG 39.6  GGT 10.8 GGC 22.2 GGA 16.5 GGG 16.5
+        `),
+    },
+    cho: {
+        label: 'CHO (C. griseus)',
+        perThousand: parseTable(`
+            TTT 19.6 TTC 22.0 TTA  6.4 TTG 14.1  TCT 16.0 TCC 17.5 TCA 10.3 TCG  4.0
+            TAT 12.1 TAC 16.0 TAA  0.8 TAG  0.5  TGT  9.1 TGC 10.0 TGA  1.1 TGG 12.6
+            CTT 13.2 CTC 18.4 CTA  8.0 CTG 39.5  CCT 18.0 CCC 17.7 CCA 16.2 CCG  4.7
+            CAT 10.4 CAC 13.4 CAA 10.3 CAG 33.6  CGT  5.6 CGC  9.7 CGA  7.1 CGG  9.7
+            ATT 16.4 ATC 22.9 ATA  7.2 ATG 23.0  ACT 14.4 ACC 20.1 ACA 15.4 ACG  5.0
+            AAT 17.6 AAC 20.6 AAA 25.2 AAG 38.0  AGT 12.3 AGC 16.5 AGA 10.4 AGG 10.4
+            GTT 11.3 GTC 15.6 GTA  7.9 GTG 28.6  GCT 22.4 GCC 26.9 GCA 15.9 GCG  4.5
+            GAT 23.5 GAC 27.2 GAA 28.4 GAG 40.3  GGT 11.4 GGC 21.3 GGA 16.8 GGG 14.5
+        `),
+    },
+};
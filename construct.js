@@ -0,0 +1,100 @@
+import { reverseComplement } from './sequenceUtils';
+
+// --- Construct Assembly ---
+// Turns the ordered `dnaElements` list into one construct sequence with per-element coordinates.
+//
+// Element shape:
+//   { id, type, name, sequence, orientation: 'forward' | 'reverse', annotations: [{ name, type, start, end }] }
+// Element sequences are stored 5'->3' as the part itself reads; reverse elements are inserted as
+// their reverse complement. Annotation coordinates are 1-based and relative to the element.
+
+export const ELEMENT_TYPES = ['Gene', 'Promoter', 'RBS', 'CRISPR Guide', 'Terminator', 'Reporter', 'Linker'];
+
+// Display colour per element type, matching the DNA Editor's add buttons.
+export const ELEMENT_COLORS = {
+    Gene: '#22c55e',
+    Promoter: '#eab308',
+    RBS: '#14b8a6',
+    'CRISPR Guide': '#ef4444',
+    Terminator: '#6366f1',
+    Reporter: '#a855f7',
+    Linker: '#6b7280',
+};
+
+// Time-based ids, kept strictly increasing so bulk inserts never collide.
+let nextElementId = Date.now();
+
+// Creates a new element with defaults filled in.
+export const createElement = (type, name, fields = {}) => ({
+    id: nextElementId++,
+    type,
+    name,
+    sequence: '',
+    orientation: 'forward',
+    annotations: [],
+    ...fields,
+});
+
+// Concatenates all element sequences. Returns:
+//   sequence - the full construct, 5'->3'
+//   features - one per element: { elementId, name, type, orientation, start, end, length, annotations }
+//              with 1-based inclusive construct coordinates; elements without a sequence
+//              have length 0 (and start = end + 1)
+export const assembleConstruct = (elements) => {
+    let sequence = '';
+    const features = elements.map(element => {
+        const elementSequence = element.sequence || '';
+        const length = elementSequence.length;
+        const offset = sequence.length;
+        const reverse = element.orientation === 'reverse';
+        sequence += reverse ? reverseComplement(elementSequence) : elementSequence;
+
+        // Map sub-annotations into construct coordinates, mirroring them for reverse elements.
+        const annotations = (element.annotations || []).map(annotation => ({
+            ...annotation,
+            start: reverse ? offset + length - annotation.end + 1 : offset + annotation.start,
+            end: reverse ? offset + length - annotation.start + 1 : offset + annotation.end,
+            orientation: reverse ? 'reverse' : 'forward',
+        }));
+
+        return {
+            elementId: element.id,
+            name: element.name,
+            type: element.type,
+            orientation: element.orientation || 'forward',
+            start: offset + 1,
+            end: offset + length,
+            length,
+            annotations,
+        };
+    });
+    return { sequence, features };
+};
+
+// Builds elements from a sequence plus annotated features ({ name, type, start, end, orientation },
+// 1-based, top strand, non-overlapping after sorting). Regions no feature covers become Linker
+// elements so no sequence is lost. Feature sequences are stored as the part reads (reverse
+// features are reverse-complemented back).
+export const elementsFromAnnotatedSequence = (sequence, features) => {
+    const elements = [];
+    let position = 1;
+    const addLinker = (start, end) => {
+        elements.push(createElement('Linker', `Linker ${start}..${end}`, { sequence: sequence.slice(start - 1, end) }));
+    };
+
+    [...features].sort((a, b) => a.start - b.start).forEach(feature => {
+        if (feature.start < position) return; // Overlaps an earlier feature; skip it.
+        if (feature.start > position) addLinker(position, feature.start - 1);
+        const topStrand = sequence.slice(feature.start - 1, feature.end);
+        const reverse = feature.orientation === 'reverse';
+        elements.push(createElement(feature.type, feature.name, {
+            sequence: reverse ? reverseComplement(topStrand) : topStrand,
+            orientation: reverse ? 'reverse' : 'forward',
+            annotations: feature.annotations || [],
+        }));
+        position = feature.end + 1;
+    });
+    if (position <= sequence.length) addLinker(position, sequence.length);
+
+    return elements;
+};
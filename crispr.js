@@ -0,0 +1,144 @@
+import { reverseComplement, iupacMatches } from './sequenceUtils';
+
+// --- CRISPR PAM Scanner ---
+// Deterministic, in-browser search for PAM sites and their protospacers on both strands.
+// Every nuclease is described by its PAM (IUPAC), which side of the protospacer the PAM
+// sits on, the protospacer length and where the nuclease cuts relative to the protospacer.
+// `offTargetPam` is the (more permissive) PAM accepted when searching for off-target sites,
+// and `seedLength` the number of PAM-proximal bases that make up the seed region.
+
+export const NUCLEASES = {
+    SpCas9: {
+        label: 'SpCas9 (NGG)',
+        pam: 'NGG',
+        pamSide: '3prime', // PAM follows the protospacer.
+        protospacerLength: 20,
+        cutOffset: 17, // Blunt cut 3 bp upstream of the PAM.
+        offTargetPam: 'NRG', // SpCas9 also cleaves, less efficiently, at NAG PAMs.
+        seedLength: 12,
+    },
+    SpCas9_NAG: {
+        label: 'SpCas9 (NAG)',
+        pam: 'NAG',
+        pamSide: '3prime',
+        protospacerLength: 20,
+        cutOffset: 17,
+        offTargetPam: 'NRG',
+        seedLength: 12,
+    },
+    SaCas9: {
+        label: 'SaCas9 (NNGRRT)',
+        pam: 'NNGRRT',
+        pamSide: '3prime',
+        protospacerLength: 21,
+        cutOffset: 18,
+        offTargetPam: 'NNGRRT',
+        seedLength: 12,
+    },
+    Cas12a: {
+        label: 'Cas12a (TTTV)',
+        pam: 'TTTV',
+        pamSide: '5prime', // PAM precedes the protospacer.
+        protospacerLength: 23,
+        cutOffset: 18, // Staggered cut: 18 nt after the PAM on the non-target strand (23 on the target strand).
+        offTargetPam: 'TTTV',
+        seedLength: 8,
+    },
+};
+
+// Tests whether `pattern` (IUPAC) matches `sequence` starting at `index`.
+export const matchesAt = (sequence, pattern, index) => {
+    for (let k = 0; k < pattern.length; k++) {
+        if (!iupacMatches(pattern[k], sequence[index + k])) return false;
+    }
+    return true;
+};
+
+// Number of flanking bases kept either side of a site, used by the on-target scoring model.
+const CONTEXT_UPSTREAM = 4;
+const CONTEXT_DOWNSTREAM = 3;
+
+// Scans one strand (given 5'->3') and returns hits in that strand's own coordinates.
+// `protospacerStart` is the 0-based index of the first protospacer base on that strand.
+// `context` is the site plus its flanks on the same strand, or null near the sequence ends.
+const scanStrand = (strandSequence, nuclease) => {
+    const { pam, pamSide, protospacerLength } = nuclease;
+    const siteLength = pam.length + protospacerLength;
+    const hits = [];
+
+    for (let i = 0; i + siteLength <= strandSequence.length; i++) {
+        const pamStart = pamSide === '3prime' ? i + protospacerLength : i;
+        const protospacerStart = pamSide === '3prime' ? i : i + pam.length;
+        if (!matchesAt(strandSequence, pam, pamStart)) continue;
+
+        const protospacer = strandSequence.slice(protospacerStart, protospacerStart + protospacerLength);
+        // Only keep guides made of concrete bases; ambiguity codes can't be synthesised as a gRNA.
+        if (!/^[ACGT]+$/.test(protospacer)) continue;
+
+        const contextStart = i - CONTEXT_UPSTREAM;
+        const contextEnd = i + siteLength + CONTEXT_DOWNSTREAM;
+        hits.push({
+            protospacerStart,
+            protospacer,
+            pam: strandSequence.slice(pamStart, pamStart + pam.length),
+            context: contextStart >= 0 && contextEnd <= strandSequence.length
+                ? strandSequence.slice(contextStart, contextEnd)
+                : null,
+        });
+    }
+    return hits;
+};
+
+// Finds all PAM sites for the chosen nuclease on both strands of a cleaned sequence.
+// Coordinates are 1-based on the top (+) strand:
+//   start/end  - span of the protospacer
+//   cutSite    - the top strand is cut between cutSite and cutSite + 1
+// `protospacer`, `pam` and `context` are given 5'->3' on the strand the site was found on.
+export const findPamSites = (sequence, nucleaseKey = 'SpCas9') => {
+    const nuclease = NUCLEASES[nucleaseKey];
+    if (!nuclease) {
+        throw new Error(`Unknown nuclease: ${nucleaseKey}`);
+    }
+    const length = sequence.length;
+    const { protospacerLength, cutOffset } = nuclease;
+    const sites = [];
+
+    scanStrand(sequence, nuclease).forEach(hit => {
+        sites.push({
+            strand: '+',
+            start: hit.protospacerStart + 1,
+            end: hit.protospacerStart + protospacerLength,
+            protospacer: hit.protospacer,
+            pam: hit.pam,
+            context: hit.context,
+            cutSite: hit.protospacerStart + cutOffset,
+        });
+    });
+
+    // The bottom strand is scanned as its reverse complement, then mapped back to top-strand coordinates.
+    scanStrand(reverseComplement(sequence), nuclease).forEach(hit => {
+        const topEnd = length - hit.protospacerStart; // 1-based end of the protospacer on the top strand.
+        sites.push({
+            strand: '-',
+            start: topEnd - protospacerLength + 1,
+            end: topEnd,
+            protospacer: hit.protospacer,
+            pam: hit.pam,
+            context: hit.context,
+            cutSite: length - (hit.protospacerStart + cutOffset),
+        });
+    });
+
+    sites.sort((a, b) => a.start - b.start || a.strand.localeCompare(b.strand));
+    return sites.map((site, index) => ({ id: `${nucleaseKey}-${index + 1}`, nuclease: nucleaseKey, ...site }));
+};
+
+// Top-strand coordinates ({ start, end }, 1-based) of a site's PAM. On the bottom strand the
+// PAM sits on the opposite side of the protospacer from where it would be on the top strand.
+export const pamRange = (site) => {
+    const { pam, pamSide } = NUCLEASES[site.nuclease];
+    const pamAfter = (pamSide === '3prime') === (site.strand === '+');
+    return pamAfter
+        ? { start: site.end + 1, end: site.end + pam.length }
+        : { start: site.start - pam.length, end: site.start - 1 };
+};
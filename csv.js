@@ -0,0 +1,9 @@
+// --- CSV Output ---
+// Formats rows of values as CSV text, quoting fields that contain commas, quotes or newlines.
+
+const csvField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const formatCsv = (rows) => rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
@@ -0,0 +1,228 @@
+import { reverseComplement } from './sequenceUtils';
+import { ELEMENT_TYPES, createElement, elementsFromAnnotatedSequence } from './construct';
+import { parseFasta } from './fasta';
+import { parseGenBank } from './genbank';
+import { isSnapGeneFile, parseSnapGene } from './snapgene';
+import { parseSbol, validateSbolDocument, sbolToDesign } from './sbol';
+import { ParseError } from './parseError';
+
+// --- Design Import ---
+// Reads GenBank, FASTA, SnapGene (.dna) and SBOL3 files into candidate designs for the DNA Editor:
+//   { format, designs: [{ label, name, topology, elements, messages }], messages }
+// Multi-record files give one design per record (plus, for FASTA, one with every record as a part);
+// the caller picks one. `messages` are { severity: 'info' | 'warning' | 'error', message }.
+
+// Reporter genes are CDS features too; recognise the common ones by name.
+const REPORTER_PATTERN = /[gyrcb]fp|mcherry|mscarlet|mneongreen|tdtomato|dsred|luciferase|\bluc\b|\blux[a-e]?\b|\blacz\b/i;
+const GUIDE_PATTERN = /\b(sg|g|cr)rna\b|\bguide\b|\bspacer\b/i;
+
+// Display name for a feature from its most descriptive qualifier.
+const featureName = (feature) => {
+    const { qualifiers } = feature;
+    const name = ['label', 'gene', 'product', 'locus_tag', 'note']
+        .map(key => qualifiers[key])
+        .find(value => typeof value === 'string' && value.trim());
+    return name ? name.trim() : feature.key;
+};
+
+// DNA Editor element type for a feature, or null for features that don't map to a part type
+// (rep_origin, primer_bind, ...). Our own exports say so in a /note="type: X" qualifier.
+const elementTypeForFeature = (feature) => {
+    const note = typeof feature.qualifiers.note === 'string' && /^type: (.+)$/.exec(feature.qualifiers.note);
+    if (note && ELEMENT_TYPES.includes(note[1])) return note[1];
+
+    const name = featureName(feature);
+    switch (feature.key) {
+        case 'promoter':
+            return 'Promoter';
+        case 'RBS':
+            return 'RBS';
+        case 'terminator':
+            return 'Terminator';
+        case 'regulatory': {
+            const regulatoryClass = feature.qualifiers.regulatory_class;
+            if (regulatoryClass === 'promoter') return 'Promoter';
+            if (regulatoryClass === 'ribosome_binding_site') return 'RBS';
+            if (regulatoryClass === 'terminator') return 'Terminator';
+            return null;
+        }
+        case 'CDS':
+        case 'gene':
+            return REPORTER_PATTERN.test(name) ? 'Reporter' : 'Gene';
+        case 'misc_RNA':
+        case 'ncRNA':
+        case 'misc_feature':
+            return GUIDE_PATTERN.test(name) ? 'CRISPR Guide' : null;
+        default:
+            return null;
+    }
+};
+
+// Where a feature sits, for messages.
+const describeFeature = (feature) =>
+    `${feature.key} '${featureName(feature)}'${feature.line ? ` (line ${feature.line})` : ''}`;
+
+// True if the segments can't form one contiguous part: mixed strands, or segments that run
+// backwards because the feature wraps the origin of a circular sequence.
+const isDiscontinuous = (feature) => {
+    if (feature.orientation === 'mixed') return true;
+    const ordered = feature.orientation === 'reverse' ? [...feature.ranges].reverse() : feature.ranges;
+    return ordered.some((range, index) => index > 0 && range.start <= ordered[index - 1].end);
+};
+
+// Converts an annotated sequence (GenBank or SnapGene features) into elements. Features with a
+// part type become elements; features without one become named Linker elements where they don't
+// overlap anything. Features inside a chosen element become its sub-annotations. Anything left
+// over is reported. Uncovered sequence becomes Linker elements.
+export const annotatedSequenceToElements = (sequence, features) => {
+    const messages = [];
+    const candidates = [];
+    features.filter(feature => feature.key !== 'source').forEach(feature => {
+        if (isDiscontinuous(feature)) {
+            messages.push({ severity: 'warning', message: `Skipped ${describeFeature(feature)}: its location (${feature.location || feature.ranges.map(range => `${range.start}..${range.end}`).join(', ')}) is not one contiguous region.` });
+            return;
+        }
+        candidates.push({ feature, type: elementTypeForFeature(feature) });
+    });
+
+    // Outer features first, so a part wins over the sub-features it contains; CDS wins over a gene
+    // with the same span.
+    const byPosition = (a, b) => a.feature.start - b.feature.start || b.feature.end - a.feature.end ||
+        (a.feature.key === 'gene') - (b.feature.key === 'gene');
+    const chosen = [];
+    const overlapsChosen = (feature) => chosen.some(({ feature: other }) => feature.start <= other.end && feature.end >= other.start);
+    [candidates.filter(c => c.type), candidates.filter(c => !c.type)].forEach(tier => {
+        tier.sort(byPosition).forEach(candidate => {
+            if (!overlapsChosen(candidate.feature)) chosen.push(candidate);
+        });
+    });
+
+    const annotations = new Map(chosen.map(candidate => [candidate, []]));
+    candidates.filter(candidate => !annotations.has(candidate)).forEach(({ feature }) => {
+        const parent = chosen.find(({ feature: outer }) => feature.start >= outer.start && feature.end <= outer.end);
+        if (!parent) {
+            messages.push({ severity: 'warning', message: `Skipped ${describeFeature(feature)}: it partly overlaps another part.` });
+            return;
+        }
+        // Annotation coordinates are relative to the part as it reads.
+        const outer = parent.feature;
+        const reverse = outer.orientation === 'reverse';
+        annotations.get(parent).push({
+            name: featureName(feature),
+            type: feature.key,
+            start: reverse ? outer.end - feature.end + 1 : feature.start - outer.start + 1,
+            end: reverse ? outer.end - feature.start + 1 : feature.end - outer.start + 1,
+        });
+    });
+
+    const elements = elementsFromAnnotatedSequence(sequence, chosen.map(candidate => ({
+        name: featureName(candidate.feature),
+        type: candidate.type || 'Linker',
+        start: candidate.feature.start,
+        end: candidate.feature.end,
+        orientation: candidate.feature.orientation,
+        annotations: annotations.get(candidate),
+    })));
+    return { elements, messages };
+};
+
+// Element from a FASTA record. Our own "FASTA (parts)" export describes each record as
+// "<type> <start>..<end> <orientation>" with the sequence as it sits in the construct.
+const elementFromFastaRecord = (record) => {
+    const type = ELEMENT_TYPES.find(name => record.description === name || record.description.startsWith(`${name} `)) || 'Linker';
+    const reverse = type !== 'Linker' && /\sreverse$/.test(record.description);
+    return createElement(type, record.id, {
+        sequence: reverse ? reverseComplement(record.sequence) : record.sequence,
+        orientation: reverse ? 'reverse' : 'forward',
+    });
+};
+
+const importFasta = (text) => {
+    const records = parseFasta(text, { strict: true });
+    if (records.length === 0) {
+        throw new ParseError('No sequences found');
+    }
+    const messages = records.filter(record => !record.sequence)
+        .map(record => ({ severity: 'warning', message: `Record '${record.id}' has no sequence and was skipped.` }));
+    const withSequence = records.filter(record => record.sequence);
+    const designs = withSequence.map(record => ({
+        label: `${record.id} (${record.sequence.length} bp)`,
+        name: record.id,
+        topology: /\bcircular\b/.test(record.description) ? 'circular' : 'linear',
+        elements: [elementFromFastaRecord(record)],
+        messages: [],
+    }));
+    if (withSequence.length > 1) {
+        designs.unshift({
+            label: `All ${withSequence.length} records as parts, in order`,
+            name: withSequence[0].id,
+            topology: 'linear',
+            elements: withSequence.map(elementFromFastaRecord),
+            messages: [],
+        });
+    }
+    return { designs, messages };
+};
+
+const importGenBank = (text) => {
+    const records = parseGenBank(text);
+    const designs = records.map(record => {
+        const { elements, messages } = annotatedSequenceToElements(record.sequence, record.features);
+        if (record.length && record.length !== record.sequence.length) {
+            messages.unshift({ severity: 'warning', message: `${record.name}: the LOCUS line says ${record.length} bp but the sequence has ${record.sequence.length} bp.` });
+        }
+        return {
+            label: `${record.name} (${record.sequence.length} bp, ${record.features.length} features)`,
+            name: record.name,
+            topology: record.topology,
+            elements,
+            messages,
+        };
+    });
+    return { designs, messages: [] };
+};
+
+const importSnapGene = (buffer, fileName) => {
+    const { topology, sequence, features } = parseSnapGene(buffer);
+    const name = fileName.replace(/\.[^.]+$/, '');
+    const { elements, messages } = annotatedSequenceToElements(sequence, features);
+    return {
+        designs: [{ label: `${name} (${sequence.length} bp)`, name, topology, elements, messages }],
+        messages: [],
+    };
+};
+
+// SBOL validation errors abort the import; warnings travel with the design.
+const importSbol = (text) => {
+    const sbolDocument = parseSbol(text);
+    const issues = validateSbolDocument(sbolDocument);
+    if (issues.some(issue => issue.severity === 'error')) {
+        return { designs: [], messages: [{ severity: 'error', message: 'The file is not valid SBOL3:' }, ...issues] };
+    }
+    const design = sbolToDesign(sbolDocument);
+    return { designs: [{ label: design.name, ...design, messages: issues }], messages: [] };
+};
+
+// Detects the format from the content (not the extension) and parses the file.
+export const importDesignFile = (fileName, buffer) => {
+    if (isSnapGeneFile(buffer)) {
+        return { format: 'SnapGene', ...importSnapGene(buffer, fileName) };
+    }
+    const text = new TextDecoder('utf-8').decode(buffer);
+    const start = text.trimStart();
+    if (!start) {
+        throw new ParseError('The file is empty');
+    }
+    // Text formats never start with NUL or the control bytes just above it.
+    const head = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 64));
+    if (/\.dna$/i.test(fileName) && head.some(byte => byte < 9)) {
+        throw new ParseError('Unrecognised binary file (expected a SnapGene .dna file)');
+    }
+    if (start.startsWith('LOCUS')) {
+        return { format: 'GenBank', ...importGenBank(text) };
+    }
+    if (start.startsWith('<') || start.startsWith('{') || start.startsWith('[')) {
+        return { format: 'SBOL3', ...importSbol(text) };
+    }
+    return { format: 'FASTA', ...importFasta(text) };
+};
@@ -0,0 +1,372 @@
+import { reverseComplement } from './sequenceUtils';
+
+// --- Design Rule Checker ---
+// Checks a design for genetic grammar problems (per transcription unit), ORF problems in coding
+// parts and sequence hazards in the assembled construct. Grammar rules only need the element
+// list, so they run as soon as elements exist; the other rules run once sequences are present.
+//
+// Issues: { ruleId, severity, elementId (null for construct-wide issues), message, start, end }
+// with optional 1-based construct coordinates. Rules are configured per id:
+//   { [ruleId]: { enabled, severity, params } }
+// Missing entries fall back to the rule's defaults, so saved configs keep working as rules are added.
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+export const DESIGN_RULES = [
+    // Grammar
+    { id: 'missing-promoter', category: 'Grammar', label: 'Gene or guide without an upstream promoter', defaultSeverity: 'error' },
+    { id: 'missing-rbs', category: 'Grammar', label: 'Coding sequence without an RBS', defaultSeverity: 'warning' },
+    { id: 'dangling-rbs', category: 'Grammar', label: 'RBS not followed by a coding sequence', defaultSeverity: 'warning' },
+    { id: 'missing-terminator', category: 'Grammar', label: 'Transcription unit without a terminator', defaultSeverity: 'error' },
+    { id: 'empty-transcription-unit', category: 'Grammar', label: 'Promoter that drives no gene or guide', defaultSeverity: 'info' },
+    { id: 'orphan-guide', category: 'Grammar', label: 'CRISPR guide without a scaffold', defaultSeverity: 'error' },
+    { id: 'orientation-clash', category: 'Grammar', label: 'Part reading into an opposite-facing part', defaultSeverity: 'warning' },
+    { id: 'convergent-promoters', category: 'Grammar', label: 'Convergent promoters with no terminator between them', defaultSeverity: 'warning' },
+    // ORFs
+    { id: 'orf-start', category: 'ORF', label: 'Coding sequence not starting with ATG', defaultSeverity: 'warning' },
+    { id: 'orf-stop', category: 'ORF', label: 'Coding sequence not ending in a stop codon', defaultSeverity: 'warning' },
+    { id: 'orf-internal-stop', category: 'ORF', label: 'In-frame stop codon inside a coding sequence', defaultSeverity: 'error' },
+    { id: 'orf-length', category: 'ORF', label: 'Coding sequence length not a multiple of 3', defaultSeverity: 'error' },
+    // Sequence
+    {
+        id: 'repeats',
+        category: 'Sequence',
+        label: 'Long direct or inverted repeats',
+        defaultSeverity: 'warning',
+        params: { minLength: { label: 'Minimum repeat length (bp)', default: 20, min: 8, max: 200 } },
+    },
+    {
+        id: 'gc-window',
+        category: 'Sequence',
+        label: 'Extreme GC content in a sliding window',
+        defaultSeverity: 'warning',
+        params: {
+            windowSize: { label: 'Window (bp)', default: 50, min: 10, max: 1000 },
+            minGc: { label: 'Minimum GC %', default: 25, min: 0, max: 100 },
+            maxGc: { label: 'Maximum GC %', default: 75, min: 0, max: 100 },
+        },
+    },
+];
+
+const RULES_BY_ID = new Map(DESIGN_RULES.map(rule => [rule.id, rule]));
+
+// Default configuration: every rule enabled at its default severity and parameters.
+export const defaultRuleConfig = () => Object.fromEntries(DESIGN_RULES.map(rule => [rule.id, {
+    enabled: true,
+    severity: rule.defaultSeverity,
+    params: Object.fromEntries(Object.entries(rule.params || {}).map(([key, param]) => [key, param.default])),
+}]));
+
+// A rule's effective settings from a (possibly partial) config.
+export const resolveRule = (config, ruleId) => {
+    const rule = RULES_BY_ID.get(ruleId);
+    const defaults = defaultRuleConfig()[ruleId];
+    const settings = (config && config[ruleId]) || {};
+    return {
+        rule,
+        enabled: settings.enabled !== undefined ? settings.enabled : defaults.enabled,
+        severity: SEVERITIES.includes(settings.severity) ? settings.severity : defaults.severity,
+        params: { ...defaults.params, ...settings.params },
+    };
+};
+
+// --- Grammar ---
+
+const SCAFFOLD_CORE = 'GTTTTAGAGCTA'; // Start of the SpCas9 sgRNA scaffold (repeat:anti-repeat).
+
+const hasAnnotation = (element, type) => (element.annotations || []).some(annotation => annotation.type === type);
+
+const isScaffold = (element) => /scaffold/i.test(element.name) || hasAnnotation(element, 'scaffold') ||
+    (element.sequence || '').includes(SCAFFOLD_CORE);
+
+// Grammatical role of an element within a transcription unit.
+const roleOf = (element) => {
+    switch (element.type) {
+        case 'Promoter': return 'promoter';
+        case 'RBS': return 'rbs';
+        case 'Gene':
+        case 'Reporter': return 'cds';
+        case 'Terminator': return 'terminator';
+        case 'CRISPR Guide': return 'guide';
+        default: return 'other';
+    }
+};
+
+const arrow = (element) => (element.orientation === 'reverse' ? '←' : '→');
+
+// Walks each strand in its reading direction (forward parts left to right, reverse parts right
+// to left) as promoter → RBS → CDS → terminator transcription units. Guides are transcribed
+// like genes but need no RBS; a part carrying a 'terminator' annotation (e.g. an sgRNA scaffold)
+// ends its unit.
+const checkTranscriptionUnits = (elements) => {
+    const issues = [];
+    const issue = (ruleId, element, message) => issues.push({ ruleId, elementId: element.id, message });
+
+    ['forward', 'reverse'].forEach(orientation => {
+        const strand = elements.filter(element => (element.orientation || 'forward') === orientation);
+        if (orientation === 'reverse') strand.reverse();
+
+        let promoter = null;
+        let pendingRbs = null;
+        let hasProduct = false;
+        let products = [];
+        const closeUnit = () => {
+            if (pendingRbs) issue('dangling-rbs', pendingRbs, `RBS '${pendingRbs.name}' is not followed by a coding sequence.`);
+            if (promoter && !hasProduct) issue('empty-transcription-unit', promoter, `Promoter '${promoter.name}' does not drive any gene or guide.`);
+            promoter = null;
+            pendingRbs = null;
+            hasProduct = false;
+            products = [];
+        };
+
+        strand.forEach((element, index) => {
+            const role = roleOf(element);
+            if (role === 'promoter') {
+                if (!promoter) promoter = element;
+            } else if (role === 'rbs') {
+                if (pendingRbs) issue('dangling-rbs', pendingRbs, `RBS '${pendingRbs.name}' is followed by another RBS instead of a coding sequence.`);
+                pendingRbs = element;
+            } else if (role === 'cds' || role === 'guide') {
+                if (!promoter) issue('missing-promoter', element, `${element.type} '${element.name}' has no promoter upstream on its strand.`);
+                if (role === 'cds' && !pendingRbs) issue('missing-rbs', element, `${element.type} '${element.name}' has no RBS directly upstream.`);
+                if (role === 'guide' && pendingRbs) issue('dangling-rbs', pendingRbs, `RBS '${pendingRbs.name}' is followed by a guide RNA, not a coding sequence.`);
+                if (role === 'guide' && !isScaffold(element)) {
+                    const next = strand[index + 1];
+                    if (!next || !isScaffold(next)) {
+                        issue('orphan-guide', element, `Guide '${element.name}' is not followed by an sgRNA scaffold.`);
+                    }
+                }
+                pendingRbs = null;
+                hasProduct = true;
+                products.push(element);
+            }
+
+            if (role === 'terminator' || hasAnnotation(element, 'terminator')) {
+                closeUnit();
+            }
+        });
+
+        products.forEach(product => issue('missing-terminator', product, `${product.type} '${product.name}' has no terminator downstream on its strand.`));
+        closeUnit();
+    });
+    return issues;
+};
+
+// Adjacent parts (ignoring linkers) that face each other: a promoter or RBS reading straight
+// into a part on the other strand, and convergent promoters with no terminator between them.
+const checkOrientation = (elements) => {
+    const issues = [];
+    const parts = elements.filter(element => element.type !== 'Linker');
+
+    const drives = (element) => ['promoter', 'rbs'].includes(roleOf(element));
+    const isExpressed = (element) => ['rbs', 'cds', 'guide'].includes(roleOf(element));
+    const clash = (reader, target) => issues.push({
+        ruleId: 'orientation-clash',
+        elementId: target.id,
+        message: `${reader.type} '${reader.name}' (${arrow(reader)}) reads into '${target.name}' (${arrow(target)}), which faces the other way.`,
+    });
+
+    // Only a forward part followed by a reverse part face each other.
+    parts.forEach((left, index) => {
+        const right = parts[index + 1];
+        if (!right || left.orientation === 'reverse' || right.orientation !== 'reverse') return;
+        if (drives(left) && isExpressed(right)) clash(left, right);
+        if (drives(right) && isExpressed(left)) clash(right, left);
+    });
+
+    parts.forEach((element, index) => {
+        if (element.type !== 'Promoter' || element.orientation === 'reverse') return;
+        for (let j = index + 1; j < parts.length; j++) {
+            const other = parts[j];
+            if (other.type === 'Terminator' || hasAnnotation(other, 'terminator')) return;
+            if (other.type === 'Promoter' && other.orientation === 'reverse') {
+                issues.push({ ruleId: 'convergent-promoters', elementId: other.id, message: `Promoters '${element.name}' (→) and '${other.name}' (←) converge with no terminator between them.` });
+                return;
+            }
+        }
+    });
+    return issues;
+};
+
+// --- ORFs ---
+
+const STOP_CODONS = new Set(['TAA', 'TAG', 'TGA']);
+
+// Checks each Gene/Reporter as an ORF in its own reading direction (element sequences are
+// stored as the part reads).
+const checkOrfs = (elements, features) => {
+    const issues = [];
+    elements.forEach((element, index) => {
+        const sequence = element.sequence || '';
+        if (roleOf(element) !== 'cds' || sequence.length === 0) return;
+        const { start, end } = features[index];
+        const issue = (ruleId, message) => issues.push({ ruleId, elementId: element.id, message, start, end });
+
+        if (sequence.length % 3 !== 0) {
+            issue('orf-length', `'${element.name}' is ${sequence.length} bp, not a whole number of codons (${sequence.length % 3} extra).`);
+        }
+        if (!sequence.startsWith('ATG')) {
+            issue('orf-start', `'${element.name}' starts with ${sequence.slice(0, 3) || 'nothing'} instead of ATG.`);
+        }
+        const codonCount = Math.floor(sequence.length / 3);
+        const lastCodon = sequence.slice((codonCount - 1) * 3, codonCount * 3);
+        if (sequence.length % 3 === 0 && !STOP_CODONS.has(lastCodon)) {
+            issue('orf-stop', `'${element.name}' ends with ${lastCodon} rather than a stop codon.`);
+        }
+        // Stops before the final run of stop codons (TAATAA double stops are common) are internal.
+        let lastSense = codonCount - 1;
+        while (lastSense >= 0 && STOP_CODONS.has(sequence.slice(lastSense * 3, lastSense * 3 + 3))) lastSense--;
+        const internalStops = [];
+        for (let codon = 0; codon < lastSense; codon++) {
+            if (STOP_CODONS.has(sequence.slice(codon * 3, codon * 3 + 3))) internalStops.push(codon + 1);
+        }
+        if (internalStops.length > 0) {
+            const listed = internalStops.slice(0, 5).join(', ') + (internalStops.length > 5 ? ', ...' : '');
+            issue('orf-internal-stop', `'${element.name}' has ${internalStops.length} in-frame stop codon(s) before its end (codon ${listed}).`);
+        }
+    });
+    return issues;
+};
+
+// --- Sequence hazards ---
+
+// Element feature containing 1-based construct position `position`.
+const elementIdAt = (features, position) => {
+    const feature = features.find(f => f.length > 0 && position >= f.start && position <= f.end);
+    return feature ? feature.elementId : null;
+};
+
+// Direct and inverted repeats of at least `minLength` bp. Every k-mer (k = minLength) is indexed
+// by its first occurrence; a later occurrence (or one of its reverse complement) seeds a match
+// that is extended as far as it goes. Seeds starting inside an already reported copy are
+// skipped, so each repeat (including tandem and palindromic runs) is reported once.
+const checkRepeats = (sequence, features, { minLength }) => {
+    const issues = [];
+    const k = Math.max(8, Math.floor(minLength));
+    if (sequence.length < k * 2) return issues;
+    const firstSeen = new Map();
+    let skipUntil = 0;
+
+    for (let i = 0; i + k <= sequence.length; i++) {
+        const kmer = sequence.slice(i, i + k);
+        if (kmer.includes('N')) continue;
+
+        // Direct repeat: an earlier, non-overlapping copy of this k-mer. The extension may run
+        // into the second copy, which is what a tandem repeat looks like.
+        const j = firstSeen.get(kmer);
+        if (j === undefined) {
+            firstSeen.set(kmer, i);
+        } else if (j + k <= i && i >= skipUntil) {
+            let length = k;
+            while (i + length < sequence.length && sequence[i + length] === sequence[j + length]) length++;
+            skipUntil = i + length;
+            issues.push({
+                ruleId: 'repeats',
+                elementId: elementIdAt(features, j + 1),
+                start: j + 1,
+                end: i + length,
+                message: `${length} bp direct repeat at ${j + 1}–${j + length} and ${i + 1}–${i + length}.`,
+            });
+        }
+
+        // Inverted repeat: the reverse complement occurs earlier (hairpin / recombination risk).
+        // Extend rightwards on this copy and leftwards on the earlier one.
+        const mirror = firstSeen.get(reverseComplement(kmer));
+        if (mirror !== undefined && mirror + k <= i && i >= skipUntil) {
+            let extra = 0;
+            while (i + k + extra < sequence.length && mirror - extra - 1 >= 0 &&
+                sequence[i + k + extra] === reverseComplement(sequence[mirror - extra - 1])) {
+                extra++;
+            }
+            const start = mirror - extra;
+            const length = k + extra;
+            skipUntil = i + length;
+            issues.push({
+                ruleId: 'repeats',
+                elementId: elementIdAt(features, start + 1),
+                start: start + 1,
+                end: i + length,
+                message: `${length} bp inverted repeat at ${start + 1}–${start + length} and ${i + 1}–${i + length}.`,
+            });
+        }
+    }
+    return issues;
+};
+
+// Windows whose GC content falls outside [minGc, maxGc] %. Consecutive offending windows are
+// merged into one region and reported with the most extreme value seen.
+const checkGcWindows = (sequence, features, { windowSize, minGc, maxGc }) => {
+    const issues = [];
+    const size = Math.floor(windowSize);
+    if (sequence.length < size || size < 1) return issues;
+    const isGc = (base) => base === 'G' || base === 'C' || base === 'S';
+    let gc = 0;
+    for (let i = 0; i < size; i++) if (isGc(sequence[i])) gc++;
+
+    let region = null;
+    const flush = () => {
+        if (!region) return;
+        const kind = region.low ? 'low' : 'high';
+        issues.push({
+            ruleId: 'gc-window',
+            elementId: elementIdAt(features, region.start),
+            start: region.start,
+            end: region.end,
+            message: `GC content ${kind} (${region.extreme.toFixed(0)}% in a ${size} bp window) over ${region.start}–${region.end}.`,
+        });
+        region = null;
+    };
+
+    for (let start = 0; start + size <= sequence.length; start++) {
+        if (start > 0) {
+            if (isGc(sequence[start - 1])) gc--;
+            if (isGc(sequence[start + size - 1])) gc++;
+        }
+        const percent = (gc / size) * 100;
+        const low = percent < minGc;
+        const high = percent > maxGc;
+        if ((low || high) && region && region.low === low) {
+            region.end = start + size;
+            region.extreme = low ? Math.min(region.extreme, percent) : Math.max(region.extreme, percent);
+        } else {
+            flush();
+            if (low || high) region = { low, start: start + 1, end: start + size, extreme: percent };
+        }
+    }
+    flush();
+    return issues;
+};
+
+// --- Running the checks ---
+
+// Runs every enabled rule over the design. `construct` comes from assembleConstruct(elements).
+// Issues are sorted by severity, then position.
+export const checkDesign = (elements, construct, config) => {
+    const settings = Object.fromEntries(DESIGN_RULES.map(rule => [rule.id, resolveRule(config, rule.id)]));
+    // Clamp numeric parameters to their declared limits (the settings UI accepts anything typed).
+    Object.values(settings).forEach(({ rule, params }) => {
+        Object.entries(rule.params || {}).forEach(([key, param]) => {
+            const value = Number(params[key]);
+            params[key] = Number.isFinite(value) ? Math.min(param.max, Math.max(param.min, value)) : param.default;
+        });
+    });
+    const enabled = (ruleId) => settings[ruleId].enabled;
+    const anyEnabled = (category) => DESIGN_RULES.some(rule => rule.category === category && enabled(rule.id));
+
+    const raw = [];
+    if (anyEnabled('Grammar')) {
+        raw.push(...checkTranscriptionUnits(elements), ...checkOrientation(elements));
+    }
+    if (anyEnabled('ORF')) {
+        raw.push(...checkOrfs(elements, construct.features));
+    }
+    if (construct.sequence.length > 0) {
+        if (enabled('repeats')) raw.push(...checkRepeats(construct.sequence, construct.features, settings.repeats.params));
+        if (enabled('gc-window')) raw.push(...checkGcWindows(construct.sequence, construct.features, settings['gc-window'].params));
+    }
+
+    return raw
+        .filter(issue => enabled(issue.ruleId))
+        .map(issue => ({ elementId: null, ...issue, severity: settings[issue.ruleId].severity }))
+        .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || (a.start || 0) - (b.start || 0));
+};
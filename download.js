@@ -0,0 +1,15 @@
+// --- File Downloads ---
+// Triggers a browser download of in-memory content (text or binary).
+
+export const downloadFile = (filename, content, mimeType = 'text/plain') => {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // Revoke on the next tick so the download has started before the URL goes away.
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
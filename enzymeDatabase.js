@@ -0,0 +1,78 @@
+// --- Restriction Enzyme Database ---
+// Commonly used commercial restriction enzymes. Each entry lists:
+//   site   - recognition sequence 5'->3' (IUPAC)
+//   cut    - top-strand cut, as the number of bases from the start of the site (may be past its end
+//            for Type IIS enzymes)
+//   cutComplement - bottom-strand cut, on the same top-strand scale
+//   methylation - { dam, dcm, cpg }: 'blocked' or 'impaired' when an overlapping methylated base
+//            stops or slows cutting; absent when the enzyme is not sensitive. Sensitivity usually
+//            depends on the flanking sequence, so treat these as warnings and confirm with the supplier.
+// cut < cutComplement gives a 5' overhang, cut > cutComplement a 3' overhang, equal cuts are blunt.
+
+export const ENZYME_DATABASE = [
+    { name: 'AatII', site: 'GACGTC', cut: 5, cutComplement: 1, methylation: { cpg: 'blocked' } },
+    { name: 'AflII', site: 'CTTAAG', cut: 1, cutComplement: 5, methylation: {} },
+    { name: 'AgeI', site: 'ACCGGT', cut: 1, cutComplement: 5, methylation: { cpg: 'impaired' } },
+    { name: 'AluI', site: 'AGCT', cut: 2, cutComplement: 2, methylation: {} },
+    { name: 'ApaI', site: 'GGGCCC', cut: 5, cutComplement: 1, methylation: { dcm: 'impaired', cpg: 'impaired' } },
+    { name: 'ApaLI', site: 'GTGCAC', cut: 1, cutComplement: 5, methylation: {} },
+    { name: 'AscI', site: 'GGCGCGCC', cut: 2, cutComplement: 6, methylation: { cpg: 'blocked' } },
+    { name: 'AseI', site: 'ATTAAT', cut: 2, cutComplement: 4, methylation: {} },
+    { name: 'AvaII', site: 'GGWCC', cut: 1, cutComplement: 4, methylation: { dcm: 'blocked' } },
+    { name: 'AvrII', site: 'CCTAGG', cut: 1, cutComplement: 5, methylation: {} },
+    { name: 'BamHI', site: 'GGATCC', cut: 1, cutComplement: 5, methylation: {} },
+    { name: 'BbsI', site: 'GAAGAC', cut: 8, cutComplement: 12, methylation: {} },
+    { name: 'BclI', site: 'TGATCA', cut: 1, cutComplement: 5, methylation: { dam: 'blocked' } },
+    { name: 'BglII', site: 'AGATCT', cut: 1, cutComplement: 5, methylation: {} },
+    { name: 'BsaI', site: 'GGTCTC', cut: 7, cutComplement: 11, methylation: { dcm: 'impaired', cpg: 'impaired' } },
+    { name: 'BsiWI', site: 'CGTACG', cut: 1, cutComplement: 5, methylation: { cpg: 'blocked' } },
+    { name: 'BsmBI', site: 'CGTCTC', cut: 7, cutComplement: 11, methylation: {} },
+    { name: 'BspHI', site: 'TCATGA', cut: 1, cutComplement: 5, methylation: { dam: 'blocked' } },
+    { name: 'BsrGI', site: 'TGTACA', cut: 1, cutComplement: 5, methylation: {} },
+    { name: 'ClaI', site: 'ATCGAT', cut: 2, cutComplement: 4, methylation: { dam: 'blocked', cpg: 'blocked' } },
+    { name: 'DpnII', site: 'GATC', cut: 0, cutComplement: 4, methylation: { dam: 'blocked' } },
+    { name: 'DraI', site: 'TTTAAA', cut: 3, cutComplement: 3, methylation: {} },
+    { name: 'EagI', site: 'CGGCCG', cut: 1, cutComplement: 5, methylation: { cpg: 'blocked' } },
+    { name: 'EcoRI', site: 'GAATTC', cut: 1, cutComplement: 5, methylation: {} },
+    { name: 'EcoRV', site: 'GATATC', cut: 3, cutComplement: 3, methylation: {} },
+    { name: 'FseI', site: 'GGCCGGCC', cut: 6, cutComplement: 2, methylation: { cpg: 'blocked' } },
+    { name: 'HaeIII', site: 'GGCC', cut: 2, cutComplement: 2, methylation: {} },
+    { name: 'HindIII', site: 'AAGCTT', cut: 1, cutComplement: 5, methylation: {} },
+    { name: 'HpaI', site: 'GTTAAC', cut: 3, cutComplement: 3, methylation: {} },
+    { name: 'HpaII', site: 'CCGG', cut: 1, cutComplement: 3, methylation: { cpg: 'blocked' } },
+    { name: 'KpnI', site: 'GGTACC', cut: 5, cutComplement: 1, methylation: {} },
+    { name: 'MboI', site: 'GATC', cut: 0, cutComplement: 4, methylation: { dam: 'blocked' } },
+    { name: 'MfeI', site: 'CAATTG', cut: 1, cutComplement: 5, methylation: {} },
+    { name: 'MluI', site: 'ACGCGT', cut: 1, cutComplement: 5, methylation: { cpg: 'blocked' } },
+    { name: 'MspI', site: 'CCGG', cut: 1, cutComplement: 3, methylation: {} },
+    { name: 'NaeI', site: 'GCCGGC', cut: 3, cutComplement: 3, methylation: { cpg: 'blocked' } },
+    { name: 'NarI', site: 'GGCGCC', cut: 2, cutComplement: 4, methylation: { cpg: 'blocked' } },
+    { name: 'NcoI', site: 'CCATGG', cut: 1, cutComplement: 5, methylation: {} },
+    { name: 'NdeI', site: 'CATATG', cut: 2, cutComplement: 4, methylation: {} },
+    { name: 'NheI', site: 'GCTAGC', cut: 1, cutComplement: 5, methylation: {} },
+    { name: 'NotI', site: 'GCGGCCGC', cut: 2, cutComplement: 6, methylation: { cpg: 'blocked' } },
+    { name: 'NsiI', site: 'ATGCAT', cut: 5, cutComplement: 1, methylation: {} },
+    { name: 'PacI', site: 'TTAATTAA', cut: 5, cutComplement: 3, methylation: {} },
+    { name: 'PmeI', site: 'GTTTAAAC', cut: 4, cutComplement: 4, methylation: {} },
+    { name: 'PstI', site: 'CTGCAG', cut: 5, cutComplement: 1, methylation: {} },
+    { name: 'PvuI', site: 'CGATCG', cut: 4, cutComplement: 2, methylation: { cpg: 'blocked' } },
+    { name: 'PvuII', site: 'CAGCTG', cut: 3, cutComplement: 3, methylation: {} },
+    { name: 'SacI', site: 'GAGCTC', cut: 5, cutComplement: 1, methylation: {} },
+    { name: 'SacII', site: 'CCGCGG', cut: 4, cutComplement: 2, methylation: { cpg: 'blocked' } },
+    { name: 'SalI', site: 'GTCGAC', cut: 1, cutComplement: 5, methylation: { cpg: 'blocked' } },
+    { name: 'SapI', site: 'GCTCTTC', cut: 8, cutComplement: 11, methylation: {} },
+    { name: 'SbfI', site: 'CCTGCAGG', cut: 6, cutComplement: 2, methylation: {} },
+    { name: 'ScaI', site: 'AGTACT', cut: 3, cutComplement: 3, methylation: {} },
+    { name: 'SfiI', site: 'GGCCNNNNNGGCC', cut: 8, cutComplement: 5, methylation: { dcm: 'impaired' } },
+    { name: 'SmaI', site: 'CCCGGG', cut: 3, cutComplement: 3, methylation: { cpg: 'blocked' } },
+    { name: 'SpeI', site: 'ACTAGT', cut: 1, cutComplement: 5, methylation: {} },
+    { name: 'SphI', site: 'GCATGC', cut: 5, cutComplement: 1, methylation: {} },
+    { name: 'StuI', site: 'AGGCCT', cut: 3, cutComplement: 3, methylation: { dcm: 'blocked' } },
+    { name: 'SwaI', site: 'ATTTAAAT', cut: 4, cutComplement: 4, methylation: {} },
+    { name: 'XbaI', site: 'TCTAGA', cut: 1, cutComplement: 5, methylation: { dam: 'blocked' } },
+    { name: 'XhoI', site: 'CTCGAG', cut: 1, cutComplement: 5, methylation: { cpg: 'impaired' } },
+    { name: 'XmaI', site: 'CCCGGG', cut: 1, cutComplement: 5, methylation: {} },
+    { name: 'XmnI', site: 'GAANNNNTTC', cut: 5, cutComplement: 5, methylation: {} },
+];
+
+export const ENZYMES_BY_NAME = new Map(ENZYME_DATABASE.map(enzyme => [enzyme.name, enzyme]));
@@ -0,0 +1,57 @@
+import { cleanSequence, findInvalidCharacters } from './sequenceUtils';
+import { ParseError } from './parseError';
+
+// --- FASTA Reading and Writing ---
+// Parses single- and multi-record FASTA text into { id, description, sequence } records,
+// and writes such records back out. Text before the first header is treated as an unnamed
+// record, so bare sequences work too. With `strict`, characters that aren't IUPAC DNA throw a
+// ParseError naming the line instead of being passed through.
+
+export const parseFasta = (text, { strict = false } = {}) => {
+    const records = [];
+    let current = null;
+    let lines = [];
+
+    const flush = () => {
+        if (current) {
+            records.push({ ...current, sequence: cleanSequence(lines.join('')) });
+        }
+    };
+
+    text.split(/\r?\n/).forEach((line, lineIndex) => {
+        if (line.startsWith('>')) {
+            flush();
+            const header = line.slice(1).trim();
+            const spaceIndex = header.search(/\s/);
+            current = {
+                id: spaceIndex === -1 ? header : header.slice(0, spaceIndex),
+                description: spaceIndex === -1 ? '' : header.slice(spaceIndex + 1).trim(),
+            };
+            lines = [];
+        } else if (!line.startsWith(';')) {
+            if (!current && line.trim()) {
+                current = { id: 'sequence', description: '' };
+            }
+            if (strict) {
+                const invalid = findInvalidCharacters(cleanSequence(line));
+                if (invalid.length > 0) {
+                    throw new ParseError(`Invalid sequence character '${invalid[0].char}'`, lineIndex + 1);
+                }
+            }
+            lines.push(line);
+        }
+    });
+    flush();
+
+    return records;
+};
+
+// Writes records as FASTA with `lineWidth` bases per line. Ids may not contain whitespace.
+export const formatFasta = (records, lineWidth = 60) => records.map(({ id, description, sequence }) => {
+    const header = `>${String(id).replace(/\s+/g, '_')}${description ? ` ${description}` : ''}`;
+    const lines = [header];
+    for (let i = 0; i < sequence.length; i += lineWidth) {
+        lines.push(sequence.slice(i, i + lineWidth));
+    }
+    return lines.join('\n');
+}).join('\n') + '\n';
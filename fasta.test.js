@@ -0,0 +1,51 @@
+import fs from 'fs';
+import path from 'path';
+import { formatFasta, parseFasta } from './fasta';
+import { ParseError } from './parseError';
+
+const readSample = (name) => fs.readFileSync(path.join(__dirname, 'samples', name), 'utf8');
+
+describe('parseFasta', () => {
+    it('reads the sample parts', () => {
+        const records = parseFasta(readSample('parts.fasta'), { strict: true });
+
+        expect(records.map(({ id, description }) => [id, description])).toEqual([
+            ['J23100', 'Promoter'],
+            ['B0034', 'RBS'],
+            ['hisPep', 'Gene'],
+            ['hairpin_terminator', 'Terminator'],
+        ]);
+        expect(records[0].sequence).toBe('TTGACGGCTAGCTCAGTCCTAGGTACAGTGCTAGC');
+        expect(records[2].sequence).toHaveLength(210);
+        expect(records[2].sequence).toMatch(/^ATGCATCACCATCACCATCAC[ACGT]+TAA$/);
+    });
+
+    it('treats text before the first header as an unnamed record', () => {
+        expect(parseFasta('acgt\nACGT\n')).toEqual([{ id: 'sequence', description: '', sequence: 'ACGTACGT' }]);
+    });
+
+    it('names the line of an invalid character in strict mode', () => {
+        const parse = () => parseFasta('>bad\nACGT\nACXT\n', { strict: true });
+        expect(parse).toThrow(ParseError);
+        expect(parse).toThrow('Line 3: Invalid sequence character \'X\'');
+    });
+});
+
+describe('FASTA round trip', () => {
+    it('re-reads formatted records unchanged', () => {
+        const records = parseFasta(readSample('parts.fasta'));
+        const text = formatFasta(records);
+
+        text.split('\n').filter(line => !line.startsWith('>')).forEach(line => {
+            expect(line.length).toBeLessThanOrEqual(60);
+        });
+        expect(parseFasta(text)).toEqual(records);
+    });
+
+    it('keeps descriptions and replaces whitespace in ids', () => {
+        const text = formatFasta([{ id: 'pTet promoter', description: 'Promoter 1..54 forward', sequence: 'TCCCTATCAGTGATAGAGA' }], 10);
+
+        expect(text).toBe('>pTet_promoter Promoter 1..54 forward\nTCCCTATCAG\nTGATAGAGA\n');
+        expect(parseFasta(text)).toEqual([{ id: 'pTet_promoter', description: 'Promoter 1..54 forward', sequence: 'TCCCTATCAGTGATAGAGA' }]);
+    });
+});
@@ -0,0 +1,76 @@
+// --- Figure Export ---
+// Turns on-screen SVG drawings into standalone SVG files or PNG images for figures.
+// Interactive-only parts of a drawing (buttons, inline editors) are marked with
+// data-export="omit" and left out.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// A standalone copy of `svg` showing the region { x, y, width, height } of its own coordinates
+// (the whole drawing by default), positioned at (`offsetX`, `offsetY`) when nested in another SVG.
+const exportableCopy = (svg, region, offsetX = 0, offsetY = 0) => {
+    const copy = svg.cloneNode(true);
+    copy.querySelectorAll('[data-export="omit"], foreignObject').forEach(node => node.remove());
+    copy.removeAttribute('class');
+    copy.removeAttribute('style');
+    copy.setAttribute('x', offsetX);
+    copy.setAttribute('y', offsetY);
+    copy.setAttribute('width', region.width);
+    copy.setAttribute('height', region.height);
+    copy.setAttribute('viewBox', `${region.x} ${region.y} ${region.width} ${region.height}`);
+    return copy;
+};
+
+// Stacks drawings vertically on a white background and returns the SVG markup with its size.
+// `parts` are { svg, region } where `region` (optional) crops the drawing, e.g. to the part of
+// a zoomed map scrolled into view.
+export const composeFigure = (parts, { padding = 16 } = {}) => {
+    const regions = parts.map(({ svg, region }) => region || {
+        x: 0,
+        y: 0,
+        width: Number(svg.getAttribute('width')),
+        height: Number(svg.getAttribute('height')),
+    });
+    const width = Math.max(...regions.map(region => region.width)) + 2 * padding;
+    const height = regions.reduce((total, region) => total + region.height + padding, padding);
+
+    const figure = document.createElementNS(SVG_NS, 'svg');
+    figure.setAttribute('xmlns', SVG_NS);
+    figure.setAttribute('width', width);
+    figure.setAttribute('height', height);
+    figure.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    figure.setAttribute('font-family', 'Helvetica, Arial, sans-serif');
+    const background = document.createElementNS(SVG_NS, 'rect');
+    background.setAttribute('width', width);
+    background.setAttribute('height', height);
+    background.setAttribute('fill', '#ffffff');
+    figure.appendChild(background);
+
+    let y = padding;
+    parts.forEach(({ svg }, index) => {
+        figure.appendChild(exportableCopy(svg, regions[index], padding, y));
+        y += regions[index].height + padding;
+    });
+    return { markup: new XMLSerializer().serializeToString(figure), width, height };
+};
+
+// Rasterises SVG markup to a PNG blob at `scale` × its size.
+export const svgToPngBlob = (markup, width, height, scale = 2) => new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+    const image = new Image();
+    image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The browser could not encode the PNG.'))), 'image/png');
+    };
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('The figure could not be rendered as an image.'));
+    };
+    image.src = url;
+});
@@ -0,0 +1,356 @@
+import { ParseError } from './parseError';
+
+// --- GenBank Flat File Writing ---
+// Produces INSDC/GenBank flat files from an assembled construct: a column-exact LOCUS line,
+// FEATURES with true coordinates (complement() for reverse parts) and an ORIGIN block.
+
+// GenBank feature key for each DNA Editor element type.
+export const FEATURE_KEYS = {
+    Promoter: 'promoter',
+    RBS: 'RBS',
+    Gene: 'CDS',
+    Reporter: 'CDS',
+    Terminator: 'terminator',
+    'CRISPR Guide': 'misc_feature',
+    Linker: 'misc_feature',
+};
+
+// Feature keys written as-is for sub-annotations; anything else becomes misc_feature.
+const KNOWN_FEATURE_KEYS = new Set([
+    'promoter', 'terminator', 'CDS', 'RBS', 'misc_feature', 'protein_bind', 'primer_bind',
+    'rep_origin', 'regulatory', 'misc_RNA', 'ncRNA', 'sig_peptide', 'polyA_signal', 'enhancer', 'gene',
+]);
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// Formats a date as GenBank's dd-MMM-yyyy.
+const formatDate = (date) =>
+    `${String(date.getDate()).padStart(2, '0')}-${MONTHS[date.getMonth()]}-${date.getFullYear()}`;
+
+// Locus names may not contain whitespace and are limited to 16 characters.
+export const sanitizeLocusName = (name) => (name || 'Unnamed').replace(/\s+/g, '_').slice(0, 16);
+
+// LOCUS line laid out on the fixed GenBank columns (name 13-28, length 30-40, 'bp' 42-43,
+// molecule 48-53, topology 56-63, division 65-67, date 69-79).
+const formatLocusLine = (name, length, topology, date) =>
+    `LOCUS       ${sanitizeLocusName(name).padEnd(16)} ${String(length).padStart(11)} bp    DNA     ` +
+    `${topology.padEnd(8)} SYN ${formatDate(date)}`;
+
+// Location string for a feature on the top strand (1-based, inclusive).
+const formatLocation = ({ start, end, orientation }) => {
+    const span = start === end ? `${start}` : `${start}..${end}`;
+    return orientation === 'reverse' ? `complement(${span})` : span;
+};
+
+// Qualifier text per line: columns 22-79.
+const QUALIFIER_WIDTH = 58;
+
+// Wraps a qualifier (`/key="value"`) onto 21-space indented lines of at most 79 characters.
+// Lines break at a space, which readers put back when joining them. A word too long for a line (a
+// /translation, say) is split mid-word into full-width lines, which is how readers tell the two
+// apart, so lines broken at a space stay at least one character short of full width.
+const formatQualifier = (key, value) => {
+    let text = typeof value === 'number' ? `/${key}=${value}` : `/${key}="${String(value).replace(/"/g, '""')}"`;
+    const indent = ' '.repeat(21);
+    const lines = [];
+    while (text.length > QUALIFIER_WIDTH) {
+        // Break after a word rather than inside a run of spaces, so no line ends in a space.
+        let space = text.lastIndexOf(' ', QUALIFIER_WIDTH - 1);
+        while (space > 0 && text[space - 1] === ' ') {
+            space = text.lastIndexOf(' ', space - 1);
+        }
+        const breakAt = space > 0 ? space : QUALIFIER_WIDTH;
+        lines.push(indent + text.slice(0, breakAt));
+        text = text.slice(space > 0 ? space + 1 : QUALIFIER_WIDTH);
+    }
+    lines.push(indent + text);
+    return lines.join('\n');
+};
+
+const formatFeature = (key, location, qualifiers) => [
+    `     ${key.padEnd(16)}${location}`,
+    ...qualifiers.map(([qualifierKey, value]) => formatQualifier(qualifierKey, value)),
+].join('\n');
+
+// ORIGIN block: 60 bases per line in groups of 10, numbered from 1, lower case.
+const formatOrigin = (sequence) => {
+    const lines = ['ORIGIN'];
+    const lower = sequence.toLowerCase();
+    for (let i = 0; i < lower.length; i += 60) {
+        const groups = [];
+        for (let j = i; j < Math.min(i + 60, lower.length); j += 10) {
+            groups.push(lower.slice(j, j + 10));
+        }
+        lines.push(`${String(i + 1).padStart(9)} ${groups.join(' ')}`);
+    }
+    return lines.join('\n');
+};
+
+// Builds a GenBank record. `features` are the per-element features from assembleConstruct.
+export const formatGenBank = ({
+    name,
+    definition = 'Synthetic construct designed with BioSynth Designer.',
+    sequence,
+    features,
+    topology = 'linear',
+    date = new Date(),
+}) => {
+    const featureBlocks = [
+        formatFeature('source', `1..${sequence.length}`, [
+            ['organism', 'synthetic DNA construct'],
+            ['mol_type', 'other DNA'],
+        ]),
+    ];
+
+    features.filter(feature => feature.length > 0).forEach(feature => {
+        const key = FEATURE_KEYS[feature.type] || 'misc_feature';
+        const qualifiers = [['label', feature.name], ['note', `type: ${feature.type}`]];
+        if (key === 'CDS') {
+            qualifiers.push(['codon_start', 1]);
+        }
+        featureBlocks.push(formatFeature(key, formatLocation(feature), qualifiers));
+
+        feature.annotations.forEach(annotation => {
+            const annotationKey = KNOWN_FEATURE_KEYS.has(annotation.type) ? annotation.type : 'misc_feature';
+            featureBlocks.push(formatFeature(annotationKey, formatLocation(annotation), [['label', annotation.name]]));
+        });
+    });
+
+    return [
+        formatLocusLine(name, sequence.length, topology, date),
+        `DEFINITION  ${definition}`,
+        'ACCESSION   .',
+        'VERSION     .',
+        'KEYWORDS    .',
+        'SOURCE      synthetic DNA construct',
+        '  ORGANISM  synthetic DNA construct',
+        '            other sequences; artificial sequences.',
+        'FEATURES             Location/Qualifiers',
+        ...featureBlocks,
+        formatOrigin(sequence),
+        '//',
+        '',
+    ].join('\n');
+};
+
+// --- GenBank Flat File Reading ---
+// Parses one or more records into:
+//   { name, length, topology, definition, sequence, features: [{ key, ranges, start, end, orientation,
+//     qualifiers, line }], line }
+// `ranges` are the location's segments in the order given ({ start, end, orientation }, 1-based,
+// top strand); `start`/`end` span all segments. Malformed input throws a ParseError with the line.
+
+// Parses an INSDC location string (complement, join, order, partial '<'/'>' markers and 'a^b' sites).
+export const parseLocation = (text) => {
+    const location = text.replace(/\s+/g, '');
+    let index = 0;
+
+    const parseRange = () => {
+        const match = /^<?(\d+)(?:(\.\.|\^)>?(\d+))?>?/.exec(location.slice(index));
+        if (!match) {
+            throw new Error(`Invalid location '${text}'`);
+        }
+        index += match[0].length;
+        const start = Number(match[1]);
+        const end = match[3] ? Number(match[3]) : start;
+        if (match[2] === '..' && end < start) {
+            throw new Error(`Location '${text}' ends before it starts`);
+        }
+        // A site between two bases ('a^b') has no length of its own; keep its left base.
+        return [{ start, end: match[2] === '^' ? start : end, orientation: 'forward' }];
+    };
+
+    const parseOperand = () => {
+        const operator = /^(complement|join|order)\(/.exec(location.slice(index));
+        if (!operator) {
+            if (/^[A-Za-z]/.test(location.slice(index))) {
+                throw new Error(`Unsupported location '${text}' (references to other entries are not supported)`);
+            }
+            return parseRange();
+        }
+        index += operator[0].length;
+        const operands = [parseOperand()];
+        while (location[index] === ',') {
+            index++;
+            operands.push(parseOperand());
+        }
+        if (location[index] !== ')') {
+            throw new Error(`Unbalanced parentheses in location '${text}'`);
+        }
+        index++;
+        const ranges = operands.flat();
+        if (operator[1] === 'complement') {
+            // complement(join(a,b)) reads b then a on the bottom strand.
+            return ranges.reverse().map(range => ({
+                ...range,
+                orientation: range.orientation === 'forward' ? 'reverse' : 'forward',
+            }));
+        }
+        return ranges;
+    };
+
+    const ranges = parseOperand();
+    if (index !== location.length) {
+        throw new Error(`Unexpected '${location.slice(index)}' in location '${text}'`);
+    }
+    return ranges;
+};
+
+// Splits `/key="value"` text into [key, value]. Flags without a value map to true.
+const parseQualifier = (text) => {
+    const match = /^\/([^=]+)(?:=([\s\S]*))?$/.exec(text);
+    if (!match[2]) return [match[1], true];
+    const value = match[2].startsWith('"') ? match[2].slice(1, -1).replace(/""/g, '"') : match[2];
+    return [match[1], value];
+};
+
+// Quote marks are doubled inside values, so an odd count means the value continues on the next line.
+const isQuoteOpen = (text) => (text.match(/"/g) || []).length % 2 === 1;
+
+export const parseGenBank = (text) => {
+    const records = [];
+    const lines = text.split(/\r?\n/);
+    let record = null;
+    let section = null; // 'header' | 'features' | 'origin'
+    let feature = null;
+    let qualifierText = null;
+    let qualifierLine = null; // The qualifier's last line, to tell how the next one continues it.
+    let locationText = null;
+    let sequenceParts = [];
+
+    const finishQualifier = () => {
+        if (qualifierText !== null) {
+            const [key, value] = parseQualifier(qualifierText);
+            // Repeated qualifiers (several /note lines, say) keep their first value.
+            if (!(key in feature.qualifiers)) feature.qualifiers[key] = value;
+            qualifierText = null;
+        }
+    };
+    const finishFeature = () => {
+        if (!feature) return;
+        finishQualifier();
+        let ranges;
+        try {
+            ranges = parseLocation(locationText);
+        } catch (error) {
+            throw new ParseError(error.message, feature.line);
+        }
+        if (record.length && ranges.some(range => range.end > record.length)) {
+            throw new ParseError(`Feature location ${locationText} extends past the ${record.length} bp record`, feature.line);
+        }
+        const orientations = new Set(ranges.map(range => range.orientation));
+        record.features.push({
+            ...feature,
+            location: locationText,
+            ranges,
+            start: Math.min(...ranges.map(range => range.start)),
+            end: Math.max(...ranges.map(range => range.end)),
+            orientation: orientations.size === 1 ? ranges[0].orientation : 'mixed',
+        });
+        feature = null;
+    };
+
+    lines.forEach((line, lineIndex) => {
+        const lineNumber = lineIndex + 1;
+        if (!record) {
+            if (!line.trim()) return;
+            if (!line.startsWith('LOCUS')) {
+                throw new ParseError(`Expected a LOCUS line to start a GenBank record, found '${line.trim().slice(0, 30)}'`, lineNumber);
+            }
+            const tokens = line.trim().split(/\s+/);
+            const unitIndex = tokens.findIndex(token => token === 'bp' || token === 'aa');
+            if (tokens[unitIndex] === 'aa') {
+                throw new ParseError('Protein records cannot be imported as DNA', lineNumber);
+            }
+            record = {
+                name: tokens[1] && unitIndex !== 1 ? tokens[1] : 'Unnamed',
+                length: unitIndex > 0 ? Number(tokens[unitIndex - 1]) || 0 : 0,
+                topology: tokens.some(token => token.toLowerCase() === 'circular') ? 'circular' : 'linear',
+                definition: '',
+                sequence: '',
+                features: [],
+                line: lineNumber,
+            };
+            section = 'header';
+            sequenceParts = [];
+            return;
+        }
+
+        if (line.startsWith('//')) {
+            finishFeature();
+            record.sequence = sequenceParts.join('');
+            records.push(record);
+            record = null;
+            return;
+        }
+
+        if (section === 'origin') {
+            const bases = line.replace(/[\s\d]/g, '');
+            const invalid = /[^ACGTURYSWKMBDHVN]/i.exec(bases);
+            if (invalid) {
+                throw new ParseError(`Invalid sequence character '${invalid[0]}' in ORIGIN`, lineNumber);
+            }
+            sequenceParts.push(bases.toUpperCase().replace(/U/g, 'T'));
+            return;
+        }
+
+        // A keyword in the first column ends the FEATURES table.
+        if (/^[A-Z]/.test(line)) {
+            finishFeature();
+            if (line.startsWith('DEFINITION')) {
+                record.definition = line.slice(12).trim();
+                section = 'definition';
+            } else if (line.startsWith('FEATURES')) {
+                section = 'features';
+            } else if (line.startsWith('ORIGIN')) {
+                section = 'origin';
+            } else {
+                section = 'header';
+            }
+            return;
+        }
+
+        if (section === 'definition' && /^ {12}\S/.test(line)) {
+            record.definition += ` ${line.trim()}`;
+            return;
+        }
+        if (section !== 'features' || !line.trim()) return;
+
+        const keyMatch = /^ {5}(\S+)\s+(\S.*)$/.exec(line);
+        if (keyMatch && line[5] !== ' ') {
+            finishFeature();
+            feature = { key: keyMatch[1], qualifiers: {}, line: lineNumber };
+            locationText = keyMatch[2].trim();
+            return;
+        }
+        if (!feature || !/^ {21}/.test(line)) {
+            throw new ParseError('Malformed FEATURES line (expected a feature key in column 6 or a qualifier in column 22)', lineNumber);
+        }
+
+        const content = line.slice(21).trimEnd();
+        if (qualifierText !== null && isQuoteOpen(qualifierText)) {
+            // Translations, and words too long for a line (a full line without a space), are
+            // split mid-word; everything else wraps at word boundaries.
+            const midWord = qualifierText.startsWith('/translation') ||
+                (qualifierLine.length >= QUALIFIER_WIDTH && !qualifierLine.trim().includes(' '));
+            qualifierText += midWord ? content : ` ${content}`;
+            qualifierLine = content;
+        } else if (content.startsWith('/')) {
+            finishQualifier();
+            qualifierText = content;
+            qualifierLine = content;
+        } else if (qualifierText === null) {
+            locationText += content;
+        } else {
+            throw new ParseError(`Unexpected text '${content.slice(0, 30)}' after qualifier`, lineNumber);
+        }
+    });
+
+    if (record) {
+        throw new ParseError(`Record '${record.name}' is missing its closing '//' line`, record.line);
+    }
+    if (records.length === 0) {
+        throw new ParseError('No GenBank records found');
+    }
+    return records;
+};
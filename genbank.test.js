@@ -0,0 +1,186 @@
+import fs from 'fs';
+import path from 'path';
+import { formatGenBank, parseGenBank } from './genbank';
+import { annotatedSequenceToElements } from './designImport';
+import { assembleConstruct, createElement } from './construct';
+
+const readSample = (name) => fs.readFileSync(path.join(__dirname, 'samples', name), 'utf8');
+
+const INDENT = ' '.repeat(21);
+
+// Writes the elements as a GenBank record the way the DNA Editor does.
+const exportElements = (elements, options = {}) => {
+    const { sequence, features } = assembleConstruct(elements);
+    return formatGenBank({ name: 'pTest', sequence, features, ...options });
+};
+
+// The text of each line of the first `key` qualifier, without its indent.
+const qualifierLines = (text, key) => {
+    const lines = text.split('\n');
+    const first = lines.findIndex(line => line.startsWith(`${INDENT}/${key}=`));
+    const rest = lines.slice(first + 1);
+    const end = rest.findIndex(line => !line.startsWith(INDENT) || line.startsWith(`${INDENT}/`));
+    return [lines[first], ...rest.slice(0, end)].map(line => line.slice(INDENT.length));
+};
+
+// Location and label of each feature, for comparing records.
+const placements = (record) => record.features
+    .filter(feature => feature.key !== 'source')
+    .map(({ start, end, orientation, qualifiers }) => ({ start, end, orientation, label: qualifiers.label }));
+
+// Exports elements like exportElements and reads the file back.
+const exportAndReread = (elements, options = {}) => {
+    const { sequence, features } = assembleConstruct(elements);
+    const records = parseGenBank(formatGenBank({ name: 'pRoundTrip', sequence, features, ...options }));
+    expect(records).toHaveLength(1);
+    return { sequence, record: records[0] };
+};
+
+describe('formatGenBank', () => {
+    it('lays out the LOCUS line, features and sequence on the GenBank columns', () => {
+        const text = exportElements([
+            createElement('Promoter', 'pTet', { sequence: 'TCCCTATCAGTGATAGAGATTGACATCCCTATCAGTGATAGAGATACTGAGCAC' }),
+            createElement('Gene', 'tetR', { sequence: 'ATGTCTAGATTAGATAAAAGTAAAGTGATTAACAGCGCA', orientation: 'reverse' }),
+        ], { name: 'pTet tetR', topology: 'circular', date: new Date(2025, 0, 5) });
+        const lines = text.split('\n');
+
+        expect(lines[0]).toBe('LOCUS       pTet_tetR                 93 bp    DNA     circular SYN 05-JAN-2025');
+        expect(lines[0]).toHaveLength(79);
+        expect(lines).toContain('     promoter        1..54');
+        expect(lines).toContain('     CDS             complement(55..93)');
+        expect(lines).toContain(`${INDENT}/codon_start=1`);
+        // The reverse part is written as its reverse complement.
+        expect(lines).toContain('        1 tccctatcag tgatagagat tgacatccct atcagtgata gagatactga gcactgcgct');
+        expect(lines).toContain('       61 gttaatcact ttacttttat ctaatctaga cat');
+        expect(lines.slice(-2)).toEqual(['//', '']);
+    });
+
+    it('wraps long values at spaces, inside the line width', () => {
+        const name = 'Spacing   that  is kept  exactly as written, even   where a line has to break inside a run';
+        const text = exportElements([createElement('Linker', name, { sequence: 'ACGTACGTAC' })]);
+        const lines = qualifierLines(text, 'label');
+
+        expect(lines.length).toBeGreaterThan(1);
+        lines.forEach(line => {
+            expect(line.length).toBeLessThan(58);
+            expect(line).not.toMatch(/ $/);
+        });
+        expect(lines.join(' ')).toBe(`/label="${name}"`);
+    });
+
+    it('splits words longer than a line into full-width lines', () => {
+        const name = 'BBa_K000001_'.repeat(12);
+        const text = exportElements([createElement('Linker', `see ${name}`, { sequence: 'ACGTACGTAC' })]);
+        const lines = qualifierLines(text, 'label');
+
+        expect(lines[0]).toBe('/label="see');
+        lines.slice(1, -1).forEach(line => expect(line).toHaveLength(58));
+        expect(lines.slice(1).join('')).toBe(`${name}"`);
+    });
+});
+
+describe('parseGenBank', () => {
+    it('reads the sample record', () => {
+        const [record] = parseGenBank(readSample('pSample.gb'));
+
+        expect(record.name).toBe('pSample');
+        expect(record.length).toBe(438);
+        expect(record.sequence).toHaveLength(438);
+        expect(record.topology).toBe('circular');
+        expect(record.definition).toBe('Sample plasmid with a His-tagged peptide cassette and a reverse promoter.');
+        expect(record.features.map(feature => feature.key)).toEqual([
+            'source', 'promoter', 'RBS', 'CDS', 'misc_feature', 'terminator', 'rep_origin', 'promoter',
+        ]);
+
+        const reversePromoter = record.features[7];
+        expect(reversePromoter).toMatchObject({ start: 398, end: 432, orientation: 'reverse', location: 'complement(398..432)' });
+
+        const cds = record.features[3];
+        expect(cds.qualifiers).toEqual({
+            label: 'hisPep',
+            codon_start: '1',
+            note: 'Short His-tagged test peptide; the note is long enough that it has to be wrapped over several lines at word boundaries',
+            translation: 'MHHHHHHPSRGNTSDTRANLDIKTLRTQTALNSATIGGANAARNIKAWRHRSDTAPASVSTAAGIRTAV',
+        });
+        expect(record.sequence.slice(cds.start - 1, cds.start + 20)).toBe('ATGCATCACCATCACCATCAC');
+    });
+});
+
+describe('GenBank round trip', () => {
+    it('keeps the sample\'s features, coordinates and topology through import and export', () => {
+        const [original] = parseGenBank(readSample('pSample.gb'));
+        const { elements, messages } = annotatedSequenceToElements(original.sequence, original.features);
+        expect(messages).toEqual([]);
+
+        const { record } = exportAndReread(elements, { topology: original.topology });
+
+        expect(record.topology).toBe('circular');
+        expect(record.sequence).toBe(original.sequence);
+        const reread = placements(record);
+        placements(original).forEach(placement => expect(reread).toContainEqual(placement));
+
+        const byLabel = (label) => record.features.find(feature => feature.qualifiers.label === label);
+        expect(byLabel('J23100').key).toBe('promoter');
+        expect(byLabel('B0034').key).toBe('RBS');
+        expect(byLabel('hisPep').key).toBe('CDS');
+        expect(byLabel('hisPep').qualifiers).toMatchObject({ note: 'type: Gene', codon_start: '1' });
+        expect(byLabel('6xHis').key).toBe('misc_feature');
+        expect(byLabel('hairpin terminator').key).toBe('terminator');
+        expect(byLabel('J23100 reverse')).toMatchObject({ key: 'promoter', location: 'complement(398..432)' });
+    });
+
+    it('keeps reverse parts, sub-annotations and a linear topology', () => {
+        const elements = [
+            createElement('Promoter', 'pTet', { sequence: 'TCCCTATCAGTGATAGAGATTGACATCCCTATCAGTGATAGAGATACTGAGCAC' }),
+            createElement('Gene', 'tetR', {
+                sequence: 'ATGTCTAGATTAGATAAAAGTAAAGTGATTAACAGCGCATTAGAGCTGCTTAATGAGGTCGGA',
+                orientation: 'reverse',
+                annotations: [{ name: 'start', type: 'misc_feature', start: 1, end: 3 }],
+            }),
+        ];
+        const { sequence, record } = exportAndReread(elements);
+
+        expect(record.topology).toBe('linear');
+        expect(record.sequence).toBe(sequence);
+        expect(placements(record)).toEqual([
+            { start: 1, end: 54, orientation: 'forward', label: 'pTet' },
+            { start: 55, end: 117, orientation: 'reverse', label: 'tetR' },
+            { start: 115, end: 117, orientation: 'reverse', label: 'start' },
+        ]);
+        expect(record.features[2].location).toBe('complement(55..117)');
+    });
+
+    it('re-reads long qualifier values exactly', () => {
+        const names = [
+            'A long descriptive label that keeps going well past the fifty-eight character qualifier width',
+            'Spacing   that  is kept  exactly as written, even   where a line has to break inside a run',
+            'Say "hello" to the "quoted" words, which are doubled when they are written into a qualifier',
+        ];
+        const elements = names.map(name => createElement('Linker', name, { sequence: 'ACGTACGTAC' }));
+        const { sequence, features } = assembleConstruct(elements);
+        const text = formatGenBank({ sequence, features });
+
+        text.split('\n').forEach(line => {
+            expect(line.length).toBeLessThanOrEqual(79);
+            expect(line).not.toMatch(/ $/);
+        });
+        const [record] = parseGenBank(text);
+        expect(placements(record).map(placement => placement.label)).toEqual(names);
+    });
+
+    it('re-reads values with words longer than a line', () => {
+        const names = [
+            'BBa_K000001_'.repeat(12),
+            `see https://example.org/parts/${'a'.repeat(100)} for details`,
+            `${'y'.repeat(50)} ends one character before the line is full, then carries on`,
+            `${'z'.repeat(58)}  spaces straight after a full-width word`,
+        ];
+        const elements = names.map(name => createElement('Linker', name, { sequence: 'ACGTACGTAC' }));
+        const { sequence, features } = assembleConstruct(elements);
+        const text = formatGenBank({ sequence, features });
+
+        text.split('\n').forEach(line => expect(line.length).toBeLessThanOrEqual(79));
+        const [record] = parseGenBank(text);
+        expect(placements(record).map(placement => placement.label)).toEqual(names);
+    });
+});
@@ -0,0 +1,145 @@
+import { gcContent, reverseComplement } from './sequenceUtils';
+
+// --- gRNA On-Target Quality Scoring ---
+// Pure scoring functions for candidate guides. `scoreGuide` takes a protospacer plus
+// its genomic context and returns a 0-100 score together with the penalties that
+// explain every lost point, so guides can be ranked and the ranking justified.
+
+// Position-specific weights of the Rule Set 1 on-target model (Doench et al., 2014,
+// Nat Biotechnol 32:1262). Each entry is [0-based position in the 30-mer, nucleotide(s), weight].
+// The 30-mer is 4 nt upstream + 20 nt protospacer + NGG PAM + 3 nt downstream.
+const RULE_SET_1_WEIGHTS = [
+    [1, 'G', -0.2753771], [2, 'A', -0.3238875], [2, 'C', 0.17212887], [3, 'C', -0.1006662],
+    [4, 'C', -0.2018029], [4, 'G', 0.24595663], [5, 'A', 0.03644004], [5, 'C', 0.09837684],
+    [6, 'C', -0.7411813], [6, 'G', -0.3932644], [11, 'A', -0.466099], [14, 'A', 0.08537695],
+    [14, 'C', -0.013814], [15, 'A', 0.27262051], [15, 'C', -0.1190226], [15, 'T', -0.2859442],
+    [16, 'A', 0.09745459], [16, 'G', -0.1755462], [17, 'C', -0.3457955], [17, 'G', -0.6780964],
+    [18, 'A', 0.22508903], [18, 'C', -0.5077941], [19, 'G', -0.4173736], [19, 'T', -0.054307],
+    [20, 'G', 0.37989937], [20, 'T', -0.0907126], [21, 'C', 0.05782332], [21, 'T', -0.5305673],
+    [22, 'T', -0.8770074], [23, 'C', -0.8762358], [23, 'G', 0.27891626], [23, 'T', -0.4031022],
+    [24, 'A', -0.0773007], [24, 'C', 0.28793562], [24, 'T', -0.2216372], [27, 'G', -0.6890167],
+    [27, 'T', 0.11787758], [28, 'C', -0.1604453], [29, 'G', 0.38634258],
+    [1, 'GT', -0.6257787], [4, 'GC', 0.30004332], [5, 'AA', -0.8348362], [5, 'TA', 0.76062777],
+    [6, 'GG', -0.4908167], [11, 'GG', -1.5169074], [11, 'TA', 0.7092612], [11, 'TC', 0.49629861],
+    [11, 'TT', -0.5868739], [12, 'GG', -0.3345637], [13, 'GA', 0.76384993], [13, 'GC', -0.5370252],
+    [16, 'TG', -0.7981461], [18, 'GG', -0.6668087], [18, 'TC', 0.35318325], [19, 'CC', 0.74807209],
+    [19, 'TG', -0.3672668], [20, 'AC', 0.56820913], [20, 'CG', 0.32907207], [20, 'GA', -0.8364568],
+    [20, 'GG', -0.7822076], [21, 'TC', -1.029693], [22, 'CG', 0.85619782], [22, 'CT', -0.4632077],
+    [23, 'AA', -0.5794924], [23, 'AG', 0.64907554], [24, 'AG', -0.0773007], [24, 'CG', 0.28793562],
+    [24, 'TG', -0.2216372], [26, 'GT', 0.11787758], [28, 'GG', -0.69774],
+];
+const RULE_SET_1_INTERCEPT = 0.59763615;
+const RULE_SET_1_GC_HIGH = -0.1665878;
+const RULE_SET_1_GC_LOW = -0.2026259;
+
+// Maximum number of points each criterion can remove from the combined score.
+export const PENALTY_WEIGHTS = {
+    onTarget: 40,
+    gcContent: 20,
+    polyT: 30,
+    homopolymer: 10,
+    selfComplementarity: 15,
+};
+
+// Rule Set 1 probability (0-1) for a 30-mer context, or null when the model does not apply
+// (it was trained on SpCas9 20-mers with an NGG PAM).
+export const ruleSet1Score = (context30) => {
+    if (!context30 || context30.length !== 30 || !/^[ACGT]+$/.test(context30) || context30.slice(25, 27) !== 'GG') {
+        return null;
+    }
+    let score = RULE_SET_1_INTERCEPT;
+    const gcCount = (context30.slice(4, 24).match(/[GC]/g) || []).length;
+    score += Math.abs(10 - gcCount) * (gcCount < 10 ? RULE_SET_1_GC_LOW : RULE_SET_1_GC_HIGH);
+    RULE_SET_1_WEIGHTS.forEach(([position, nucleotides, weight]) => {
+        if (context30.substr(position, nucleotides.length) === nucleotides) {
+            score += weight;
+        }
+    });
+    return 1 / (1 + Math.exp(-score));
+};
+
+// Length of the longest run of a single base, along with that base. Runs of `ignoredBase` are skipped.
+const longestRun = (sequence, ignoredBase = null) => {
+    let best = { base: '', length: 0 };
+    let runLength = 0;
+    for (let i = 0; i < sequence.length; i++) {
+        runLength = i > 0 && sequence[i] === sequence[i - 1] ? runLength + 1 : 1;
+        if (sequence[i] !== ignoredBase && runLength > best.length) best = { base: sequence[i], length: runLength };
+    }
+    return best;
+};
+
+// Longest hairpin stem the sequence can fold into: a segment whose reverse complement
+// occurs further downstream, separated by a loop of at least `minLoop` bases.
+export const longestHairpinStem = (sequence, minLoop = 3) => {
+    for (let stem = Math.floor((sequence.length - minLoop) / 2); stem >= 3; stem--) {
+        for (let i = 0; i + 2 * stem + minLoop <= sequence.length; i++) {
+            const arm = reverseComplement(sequence.slice(i, i + stem));
+            if (sequence.indexOf(arm, i + stem + minLoop) !== -1) {
+                return stem;
+            }
+        }
+    }
+    return 0;
+};
+
+// Scores a single guide. `context` is the site with flanks as returned by findPamSites
+// (may be null). Returns { score, gc, onTarget, penalties: [{ rule, points, reason }] }.
+export const scoreGuide = (protospacer, context = null) => {
+    const penalties = [];
+    const addPenalty = (rule, points, reason) => {
+        if (points > 0) penalties.push({ rule, points: Math.round(points * 10) / 10, reason });
+    };
+
+    // Position-specific on-target activity. Where the model can't be applied (other nucleases,
+    // or too little flanking sequence) a neutral 0.5 is assumed so such guides rank fairly.
+    const onTarget = ruleSet1Score(context);
+    if (onTarget !== null) {
+        addPenalty('onTarget', (1 - onTarget) * PENALTY_WEIGHTS.onTarget, `Rule Set 1 on-target score ${onTarget.toFixed(2)}`);
+    } else {
+        addPenalty('onTarget', 0.5 * PENALTY_WEIGHTS.onTarget, 'On-target model not applicable (needs SpCas9 NGG site with 30 nt context); neutral score assumed');
+    }
+
+    // GC content: 40-60% is ideal; penalty grows linearly to the maximum at 20% / 80%.
+    const gc = gcContent(protospacer);
+    const gcDistance = gc < 0.4 ? 0.4 - gc : gc > 0.6 ? gc - 0.6 : 0;
+    addPenalty('gcContent', Math.min(1, gcDistance / 0.2) * PENALTY_WEIGHTS.gcContent,
+        `GC content ${Math.round(gc * 100)}% is outside 40-60%`);
+
+    // Four or more Ts terminate Pol III (U6/H1) transcription of the guide.
+    const polyT = protospacer.match(/T{4,}/);
+    if (polyT) {
+        addPenalty('polyT', PENALTY_WEIGHTS.polyT, `Poly-T run (${polyT[0].length} nt) terminates Pol III transcription`);
+    }
+
+    // Other homopolymer runs of five or more bases reduce synthesis and activity.
+    const run = longestRun(protospacer, polyT ? 'T' : null);
+    if (run.length >= 5) {
+        addPenalty('homopolymer', Math.min(1, (run.length - 4) / 3) * PENALTY_WEIGHTS.homopolymer,
+            `Homopolymer run of ${run.length} ${run.base}`);
+    }
+
+    // Self-complementary stems compete with target binding and scaffold folding.
+    const stem = longestHairpinStem(protospacer);
+    if (stem >= 4) {
+        addPenalty('selfComplementarity', Math.min(1, (stem - 3) / 3) * PENALTY_WEIGHTS.selfComplementarity,
+            `Self-complementary stem of ${stem} bp (hairpin potential)`);
+    }
+
+    const totalPenalty = penalties.reduce((sum, penalty) => sum + penalty.points, 0);
+    return {
+        score: Math.max(0, Math.round((100 - totalPenalty) * 10) / 10),
+        gc,
+        onTarget,
+        penalties,
+    };
+};
+
+// Scores every site and returns copies sorted best-first, each with `rank`, `score` and `quality`.
+export const rankGuides = (sites) => sites
+    .map(site => {
+        const quality = scoreGuide(site.protospacer, site.context);
+        return { ...site, score: quality.score, quality };
+    })
+    .sort((a, b) => b.score - a.score || a.start - b.start)
+    .map((site, index) => ({ ...site, rank: index + 1 }));
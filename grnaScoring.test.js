@@ -0,0 +1,95 @@
+import { PENALTY_WEIGHTS, longestHairpinStem, rankGuides, ruleSet1Score, scoreGuide } from './grnaScoring';
+
+// 50% GC, no runs and no self-complementary 4-mer, so only the neutral on-target penalty applies.
+const CLEAN = 'GACTGACTGACTGACTGACT';
+
+const penaltyFor = (quality, rule) => quality.penalties.find(penalty => penalty.rule === rule);
+
+describe('ruleSet1Score', () => {
+    it('scores a known 30-mer', () => {
+        // Intercept, ten GC below the ideal count, and the single/dinucleotide A weights at
+        // positions 2, 5, 11, 14-16, 18, 23 and 24 add up to -3.0706.
+        const context = `${'A'.repeat(25)}GGAAA`;
+        expect(ruleSet1Score(context)).toBeCloseTo(1 / (1 + Math.exp(3.07055823)), 6);
+        expect(ruleSet1Score(context)).toBeCloseTo(0.0443, 4);
+    });
+
+    it('applies only to 30-mers with an NGG PAM', () => {
+        expect(ruleSet1Score(`${'A'.repeat(25)}AGAAA`)).toBeNull();
+        expect(ruleSet1Score(`${'A'.repeat(24)}GGAAA`)).toBeNull();
+        expect(ruleSet1Score(`${'N'.repeat(25)}GGAAA`)).toBeNull();
+        expect(ruleSet1Score(null)).toBeNull();
+    });
+});
+
+describe('longestHairpinStem', () => {
+    it('finds the longest arm with a loop of at least three bases', () => {
+        expect(longestHairpinStem('GGGGAAACCCC')).toBe(4);
+        expect(longestHairpinStem('GGGGAACCCC')).toBe(3);
+        expect(longestHairpinStem(CLEAN)).toBe(0);
+    });
+});
+
+describe('scoreGuide', () => {
+    it('assumes a neutral on-target score without a usable context', () => {
+        const quality = scoreGuide(CLEAN, null);
+
+        expect(quality.onTarget).toBeNull();
+        expect(quality.gc).toBe(0.5);
+        expect(quality.penalties).toEqual([expect.objectContaining({ rule: 'onTarget', points: PENALTY_WEIGHTS.onTarget / 2 })]);
+        expect(quality.score).toBe(80);
+    });
+
+    it('penalizes GC content outside 40-60% in proportion to the distance', () => {
+        expect(penaltyFor(scoreGuide('AACTAACTAACTAACTAACT'), 'gcContent').points).toBe(15);
+        expect(penaltyFor(scoreGuide('AAATAAATAAATAAATAAAT'), 'gcContent').points).toBe(PENALTY_WEIGHTS.gcContent);
+        expect(penaltyFor(scoreGuide('GGCCGGCCGGCCGACTGGCC'), 'gcContent').points).toBe(PENALTY_WEIGHTS.gcContent);
+    });
+
+    it('penalizes poly-T runs fully and does not count them as homopolymers', () => {
+        const quality = scoreGuide('GACTTTTTGACTGACTGACT');
+
+        expect(quality.penalties.map(penalty => penalty.rule)).toEqual(['onTarget', 'polyT']);
+        expect(penaltyFor(quality, 'polyT')).toMatchObject({ points: PENALTY_WEIGHTS.polyT, reason: expect.stringContaining('5 nt') });
+        expect(quality.score).toBe(50);
+    });
+
+    it('penalizes homopolymer runs of five or more by length', () => {
+        expect(penaltyFor(scoreGuide('GACTGAAAACGACTGACTGA'), 'homopolymer')).toBeUndefined();
+        expect(penaltyFor(scoreGuide('GACTGAAAAACGACTGACTG'), 'homopolymer').points).toBe(3.3);
+        expect(penaltyFor(scoreGuide('GACTGAAAAAAACGACTGAC'), 'homopolymer').points).toBe(PENALTY_WEIGHTS.homopolymer);
+    });
+
+    it('penalizes self-complementary stems of four or more base pairs', () => {
+        const quality = scoreGuide('GACGGGGAAACCCCGACTGA');
+
+        expect(longestHairpinStem('GACGGGGAAACCCCGACTGA')).toBe(5);
+        expect(penaltyFor(quality, 'selfComplementarity')).toMatchObject({ points: 10, reason: expect.stringContaining('5 bp') });
+    });
+
+    it('uses Rule Set 1 when the context allows it', () => {
+        const context = `${'A'.repeat(25)}GGAAA`;
+        const quality = scoreGuide(context.slice(4, 24), context);
+
+        expect(quality.onTarget).toBeCloseTo(0.0443, 4);
+        expect(penaltyFor(quality, 'onTarget').points).toBe(38.2);
+    });
+});
+
+describe('rankGuides', () => {
+    it('orders by score, then by position, and numbers the ranks', () => {
+        const sites = [
+            { start: 40, protospacer: 'GACTTTTTGACTGACTGACT', context: null },
+            { start: 30, protospacer: CLEAN, context: null },
+            { start: 10, protospacer: 'AACTAACTAACTAACTAACT', context: null },
+            { start: 20, protospacer: CLEAN, context: null },
+        ];
+        const ranked = rankGuides(sites);
+
+        expect(ranked.map(site => [site.rank, site.start, site.score])).toEqual([
+            [1, 20, 80], [2, 30, 80], [3, 10, 65], [4, 40, 50],
+        ]);
+        expect(ranked[0].quality).toEqual(scoreGuide(CLEAN, null));
+        expect(sites[0]).not.toHaveProperty('rank');
+    });
+});
@@ -0,0 +1,47 @@
+// --- B-DNA Helix Geometry ---
+// Positions for a straight B-DNA double helix laid along the x axis, in nanometres. Base pair i
+// (0-based) sits at x = i * rise, centred so the whole helix straddles the origin. The two
+// backbones are not opposite each other: they are MINOR_GROOVE_ANGLE apart on the minor-groove
+// side, which is what gives B-DNA its wide major and narrow minor grooves.
+
+export const RISE_NM = 0.34;
+export const BP_PER_TURN = 10.5;
+export const HELIX_RADIUS_NM = 1.0; // Radius of the phosphate backbone.
+export const MINOR_GROOVE_ANGLE = (144 * Math.PI) / 180;
+
+export const TWIST = (2 * Math.PI) / BP_PER_TURN;
+
+// Standard base colours (A green, T red, G amber, C blue); ambiguity codes are grey.
+export const BASE_COLORS = {
+    A: '#22c55e',
+    T: '#ef4444',
+    G: '#f59e0b',
+    C: '#3b82f6',
+};
+export const UNKNOWN_BASE_COLOR = '#9ca3af';
+
+// x coordinate of base pair `index` in a helix of `length` base pairs.
+export const basePairX = (index, length) => (index - (length - 1) / 2) * RISE_NM;
+
+// Backbone point of base pair `index` on strand 0 (top) or 1 (bottom), as [x, y, z].
+export const backbonePoint = (index, strand, length) => {
+    const angle = index * TWIST + (strand === 1 ? MINOR_GROOVE_ANGLE : 0);
+    return [basePairX(index, length), HELIX_RADIUS_NM * Math.cos(angle), HELIX_RADIUS_NM * Math.sin(angle)];
+};
+
+// The two backbone points of a base pair are a fixed chord apart; each base spans half of it.
+export const BASE_PAIR_SPAN = 2 * HELIX_RADIUS_NM * Math.sin(MINOR_GROOVE_ANGLE / 2);
+
+// Distance between consecutive backbone points of one strand.
+export const BACKBONE_STEP = Math.hypot(RISE_NM, 2 * HELIX_RADIUS_NM * Math.sin(TWIST / 2));
+
+// Range of base-pair x coordinates covered by 1-based positions start..end, padded by half a
+// rise on each side so adjacent ranges meet.
+export const regionExtent = (start, end, length) => ({
+    from: basePairX(start - 1, length) - RISE_NM / 2,
+    to: basePairX(end - 1, length) + RISE_NM / 2,
+});
+
+// The element feature ({ elementId, start, end }) containing 1-based position `position`.
+export const featureAtPosition = (features, position) =>
+    features.find(feature => feature.length > 0 && position >= feature.start && position <= feature.end) || null;
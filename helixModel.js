@@ -0,0 +1,228 @@
+import * as THREE from 'three';
+import { ELEMENT_COLORS } from './construct';
+import { pamRange } from './crispr';
+import {
+    RISE_NM, HELIX_RADIUS_NM, BASE_COLORS, UNKNOWN_BASE_COLOR, BASE_PAIR_SPAN, BACKBONE_STEP,
+    basePairX, backbonePoint, regionExtent, featureAtPosition,
+} from './helixGeometry';
+
+// --- Helix Scene Model ---
+// Three.js objects for the construct helix, built to stay interactive at 20k+ bp:
+//   - The helix is cut into CHUNK_SIZE bp chunks, each a THREE.LOD whose levels are InstancedMeshes
+//     (one draw call per part per chunk) sharing a handful of geometries and materials.
+//   - Near chunks show backbones plus one half-rung per base; mid-distance chunks use low-poly
+//     backbones and whole rungs; far chunks are a stack of coloured slabs, one per base pair.
+//   - Geometry only depends on the length, so recolouring (new sequence of the same length,
+//     element edits, colour mode) only rewrites instance colours.
+// Instance i of every per-base-pair mesh in a chunk is base pair chunk.start + i.
+
+const CHUNK_SIZE = 128;
+// Camera distance (nm, to the chunk centre) at which each level takes over.
+const LOD_DISTANCES = { detail: 0, coarse: 50, far: 150 };
+
+const COMPLEMENT_BASES = { A: 'T', T: 'A', G: 'C', C: 'G' };
+const BACKBONE_COLORS = [0x1e3a8a, 0x64748b]; // Top strand, bottom strand.
+const GUIDE_COLOR = 0xf97316;
+const PAM_COLOR = 0xdc2626;
+const SELECTION_COLOR = 0xfacc15;
+
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+// Rotation that lays a y-aligned cylinder along the helix axis (x).
+const ALONG_X = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), Math.PI / 2);
+
+// Matrix for a y-aligned geometry centred between points `a` and `b` ([x, y, z]), shifted by -offsetX.
+const matrixBetween = (a, b, offsetX, matrix) => {
+    const from = new THREE.Vector3(a[0] - offsetX, a[1], a[2]);
+    const to = new THREE.Vector3(b[0] - offsetX, b[1], b[2]);
+    const position = from.clone().add(to).multiplyScalar(0.5);
+    const quaternion = new THREE.Quaternion().setFromUnitVectors(Y_AXIS, to.sub(from).normalize());
+    return matrix.compose(position, quaternion, new THREE.Vector3(1, 1, 1));
+};
+
+// Creates the geometries and materials shared by every chunk of a helix.
+const createSharedResources = () => ({
+    geometries: {
+        backbone: new THREE.CylinderGeometry(0.08, 0.08, BACKBONE_STEP, 8),
+        halfRung: new THREE.CylinderGeometry(0.1, 0.1, BASE_PAIR_SPAN / 2, 6),
+        coarseBackbone: new THREE.CylinderGeometry(0.12, 0.12, BACKBONE_STEP, 3),
+        coarseRung: new THREE.CylinderGeometry(0.12, 0.12, BASE_PAIR_SPAN, 3),
+        slab: new THREE.CylinderGeometry(HELIX_RADIUS_NM, HELIX_RADIUS_NM, RISE_NM, 8),
+        sleeve: new THREE.CylinderGeometry(1, 1, 1, 32, 1, true), // Scaled per use.
+    },
+    materials: {
+        backbones: BACKBONE_COLORS.map(color => new THREE.MeshPhongMaterial({ color, shininess: 60 })),
+        // White so the per-instance colours show unaltered.
+        instanceColored: new THREE.MeshPhongMaterial({ color: 0xffffff, shininess: 40 }),
+    },
+});
+
+// Builds one chunk (base pairs start..end-1, 0-based) as a LOD positioned at its centre.
+const createChunk = (start, end, length, resources) => {
+    const { geometries, materials } = resources;
+    const centerX = (basePairX(start, length) + basePairX(end - 1, length)) / 2;
+    const count = end - start;
+    // Backbone segments join each base pair to the next, so the helix's last pair has none.
+    const segmentCount = end === length ? count - 1 : count;
+    const matrix = new THREE.Matrix4();
+
+    const instanced = (geometry, material, instances) => {
+        const mesh = new THREE.InstancedMesh(geometry, material, Math.max(instances, 0));
+        mesh.userData.firstBasePair = start;
+        return mesh;
+    };
+    const detail = {
+        backbones: [0, 1].map(strand => instanced(geometries.backbone, materials.backbones[strand], segmentCount)),
+        halfRungs: [0, 1].map(() => instanced(geometries.halfRung, materials.instanceColored, count)),
+    };
+    const coarse = {
+        backbones: [0, 1].map(strand => instanced(geometries.coarseBackbone, materials.backbones[strand], segmentCount)),
+        rungs: instanced(geometries.coarseRung, materials.instanceColored, count),
+    };
+    const far = instanced(geometries.slab, materials.instanceColored, count);
+
+    for (let i = 0; i < count; i++) {
+        const index = start + i;
+        const ends = [backbonePoint(index, 0, length), backbonePoint(index, 1, length)];
+        const middle = ends[0].map((value, axis) => (value + ends[1][axis]) / 2);
+
+        ends.forEach((point, strand) => {
+            detail.halfRungs[strand].setMatrixAt(i, matrixBetween(point, middle, centerX, matrix));
+            if (i < segmentCount) {
+                const next = backbonePoint(index + 1, strand, length);
+                detail.backbones[strand].setMatrixAt(i, matrixBetween(point, next, centerX, matrix));
+                coarse.backbones[strand].setMatrixAt(i, matrix);
+            }
+        });
+        coarse.rungs.setMatrixAt(i, matrixBetween(ends[0], ends[1], centerX, matrix));
+        far.setMatrixAt(i, matrix.compose(new THREE.Vector3(basePairX(index, length) - centerX, 0, 0), ALONG_X, new THREE.Vector3(1, 1, 1)));
+    }
+
+    const levelGroup = (meshes) => {
+        const group = new THREE.Group();
+        group.add(...meshes);
+        return group;
+    };
+    const lod = new THREE.LOD();
+    lod.position.x = centerX;
+    lod.addLevel(levelGroup([...detail.backbones, ...detail.halfRungs]), LOD_DISTANCES.detail);
+    lod.addLevel(levelGroup([...coarse.backbones, coarse.rungs]), LOD_DISTANCES.coarse);
+    lod.addLevel(levelGroup([far]), LOD_DISTANCES.far);
+    lod.userData.chunk = { start, end, halfRungs: detail.halfRungs, rungs: coarse.rungs, slabs: far };
+    return lod;
+};
+
+// Builds the helix for a construct of `length` bp. Colours are applied with colorHelixModel.
+export const createHelixModel = (length) => {
+    const resources = createSharedResources();
+    const model = new THREE.Group();
+    model.userData = { length, resources };
+    for (let start = 0; start < length; start += CHUNK_SIZE) {
+        model.add(createChunk(start, Math.min(start + CHUNK_SIZE, length), length, resources));
+    }
+    return model;
+};
+
+// Colours every base pair by nucleotide ('base') or by owning element ('element').
+export const colorHelixModel = (model, sequence, features, colorMode) => {
+    const baseColor = (base) => BASE_COLORS[base] || UNKNOWN_BASE_COLOR;
+    const color = new THREE.Color();
+    let feature = null;
+
+    model.children.forEach(lod => {
+        const { start, end, halfRungs, rungs, slabs } = lod.userData.chunk;
+        for (let index = start; index < end; index++) {
+            let colors;
+            if (colorMode === 'element') {
+                if (!feature || index + 1 > feature.end) feature = featureAtPosition(features, index + 1);
+                const elementColor = feature ? ELEMENT_COLORS[feature.type] || UNKNOWN_BASE_COLOR : UNKNOWN_BASE_COLOR;
+                colors = [elementColor, elementColor];
+            } else {
+                colors = [baseColor(sequence[index]), baseColor(COMPLEMENT_BASES[sequence[index]])];
+            }
+            const i = index - start;
+            halfRungs[0].setColorAt(i, color.set(colors[0]));
+            halfRungs[1].setColorAt(i, color.set(colors[1]));
+            rungs.setColorAt(i, color.set(colors[0]));
+            slabs.setColorAt(i, color);
+        }
+        [...halfRungs, rungs, slabs].forEach(mesh => {
+            if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+        });
+    });
+};
+
+// Frees the model's shared geometries and materials. InstancedMeshes hold their own buffers.
+export const disposeHelixModel = (model) => {
+    const { geometries, materials } = model.userData.resources;
+    Object.values(geometries).forEach(geometry => geometry.dispose());
+    [...materials.backbones, materials.instanceColored].forEach(material => material.dispose());
+    model.traverse(object => {
+        if (object.isInstancedMesh) object.dispose();
+    });
+};
+
+// Meshes to raycast for picking: only the level each chunk currently shows.
+export const pickableMeshes = (model) => model.children.flatMap(lod => {
+    const level = lod.levels.find(({ object }) => object.visible) || lod.levels[0];
+    return level.object.children;
+});
+
+// 0-based base pair under a raycast hit on the helix.
+export const basePairAtHit = (intersection) => {
+    const { object, instanceId } = intersection;
+    return object.userData.firstBasePair + instanceId;
+};
+
+// Builds the selection and CRISPR overlays into `group` (emptied first). Unselected guides and
+// PAMs are drawn as two InstancedMeshes however many sites there are.
+export const buildHelixOverlays = (group, model, { features, guides, selectedGuideId, selectedElementId }) => {
+    group.traverse(object => {
+        if (object.isMesh) object.material.dispose();
+        if (object.isInstancedMesh) object.dispose();
+    });
+    group.clear();
+    const { length, resources } = model.userData;
+    const sleeveMaterial = (color, opacity) => new THREE.MeshBasicMaterial({
+        color, transparent: true, opacity, side: THREE.DoubleSide, depthWrite: false,
+    });
+    const sleeveMatrix = ({ from, to }, radius, matrix = new THREE.Matrix4()) =>
+        matrix.compose(new THREE.Vector3((from + to) / 2, 0, 0), ALONG_X, new THREE.Vector3(radius, to - from, radius));
+    const addSleeve = (extent, radius, color, opacity) => {
+        const sleeve = new THREE.Mesh(resources.geometries.sleeve, sleeveMaterial(color, opacity));
+        sleeve.applyMatrix4(sleeveMatrix(extent, radius));
+        group.add(sleeve);
+    };
+
+    const selected = features.find(feature => feature.elementId === selectedElementId && feature.length > 0);
+    if (selected) {
+        addSleeve(regionExtent(selected.start, selected.end, length), HELIX_RADIUS_NM + 0.45, SELECTION_COLOR, 0.3);
+    }
+
+    const others = guides.filter(guide => guide.id !== selectedGuideId);
+    const pams = others.map(pamRange).filter(pam => pam.start >= 1 && pam.end <= length);
+    const matrix = new THREE.Matrix4();
+    if (others.length > 0) {
+        const protospacers = new THREE.InstancedMesh(resources.geometries.sleeve, sleeveMaterial(GUIDE_COLOR, 0.15), others.length);
+        others.forEach((guide, i) => protospacers.setMatrixAt(i, sleeveMatrix(regionExtent(guide.start, guide.end, length), HELIX_RADIUS_NM + 0.25, matrix)));
+        group.add(protospacers);
+    }
+    if (pams.length > 0) {
+        const pamSleeves = new THREE.InstancedMesh(resources.geometries.sleeve, sleeveMaterial(PAM_COLOR, 0.25), pams.length);
+        pams.forEach((pam, i) => pamSleeves.setMatrixAt(i, sleeveMatrix(regionExtent(pam.start, pam.end, length), HELIX_RADIUS_NM + 0.3, matrix)));
+        group.add(pamSleeves);
+    }
+
+    const guide = guides.find(site => site.id === selectedGuideId);
+    if (guide) {
+        addSleeve(regionExtent(guide.start, guide.end, length), HELIX_RADIUS_NM + 0.25, GUIDE_COLOR, 0.55);
+        const pam = pamRange(guide);
+        if (pam.start >= 1 && pam.end <= length) {
+            addSleeve(regionExtent(pam.start, pam.end, length), HELIX_RADIUS_NM + 0.3, PAM_COLOR, 0.65);
+        }
+        // The cut falls between cutSite and cutSite + 1: mark it with a thin ring.
+        if (guide.cutSite >= 1 && guide.cutSite < length) {
+            const x = (basePairX(guide.cutSite - 1, length) + basePairX(guide.cutSite, length)) / 2;
+            addSleeve({ from: x - 0.02, to: x + 0.02 }, HELIX_RADIUS_NM + 0.6, PAM_COLOR, 0.8);
+        }
+    }
+};
@@ -0,0 +1,104 @@
+// --- Map Layout ---
+// Geometry shared by the linear and circular construct maps: tick spacing, polar coordinates,
+// arrow-shaped feature outlines and label placement that keeps labels from overlapping.
+// Angles are in radians, measured clockwise from 12 o'clock, as plasmid maps are drawn.
+
+// The smallest 1/2/5 × 10^n step that is at least `minStep` (e.g. 37 -> 50, 120 -> 200).
+export const niceStep = (minStep) => {
+    const magnitude = 10 ** Math.floor(Math.log10(Math.max(minStep, 1)));
+    const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= minStep);
+    return Math.max(1, step);
+};
+
+// Tick positions (1-based bp) every `step` bp, starting at 1 and then at multiples of the step.
+export const tickPositions = (length, step) => {
+    const ticks = [1];
+    for (let position = step; position <= length; position += step) ticks.push(position);
+    return ticks;
+};
+
+// Angle of a position between bases (0 .. length) on a circular map.
+export const angleFor = (position, length) => (2 * Math.PI * position) / length;
+
+export const polar = (cx, cy, radius, angle) => ({
+    x: cx + radius * Math.sin(angle),
+    y: cy - radius * Math.cos(angle),
+});
+
+// Outline of a feature on a ring between radii `inner` and `outer`, from angle `start` to `end`,
+// with an arrowhead at its 3' end (`reverse` puts the point at the start). The arrowhead is at
+// most `headAngle` long and never more than half the feature.
+export const arcArrowPath = (cx, cy, inner, outer, start, end, reverse, headAngle) => {
+    const head = Math.min(headAngle, (end - start) / 2);
+    const middle = (inner + outer) / 2;
+    const arc = (radius, from, to) => {
+        const point = polar(cx, cy, radius, to);
+        const sweep = to > from ? 1 : 0;
+        const large = Math.abs(to - from) > Math.PI ? 1 : 0;
+        return `A ${radius} ${radius} 0 ${large} ${sweep} ${point.x} ${point.y}`;
+    };
+    const move = (radius, angle) => {
+        const point = polar(cx, cy, radius, angle);
+        return `${point.x} ${point.y}`;
+    };
+    if (reverse) {
+        return [
+            `M ${move(middle, start)}`,
+            `L ${move(outer, start + head)}`,
+            arc(outer, start + head, end),
+            `L ${move(inner, end)}`,
+            arc(inner, end, start + head),
+            'Z',
+        ].join(' ');
+    }
+    return [
+        `M ${move(outer, start)}`,
+        arc(outer, start, end - head),
+        `L ${move(middle, end)}`,
+        `L ${move(inner, end - head)}`,
+        arc(inner, end - head, start),
+        'Z',
+    ].join(' ');
+};
+
+// Outline of a feature on a linear map from x `start` to `end`, `height` tall and centred on `y`.
+export const linearArrowPath = (start, end, y, height, reverse, headLength) => {
+    const head = Math.min(headLength, (end - start) / 2);
+    const top = y - height / 2;
+    const bottom = y + height / 2;
+    return reverse
+        ? `M ${start} ${y} L ${start + head} ${top} H ${end} V ${bottom} H ${start + head} Z`
+        : `M ${start} ${top} H ${end - head} L ${end} ${y} L ${end - head} ${bottom} H ${start} Z`;
+};
+
+// Spreads labels along one axis so neighbours are at least `gap` apart, moving each as little
+// as possible from its wanted position and keeping all of them within [min, max].
+// `items` are { position, ... }; returns copies with `labelPosition` added, in position order.
+export const spreadLabels = (items, gap, min, max) => {
+    const sorted = [...items].sort((a, b) => a.position - b.position);
+    const placed = sorted.map(item => Math.min(Math.max(item.position, min), max));
+    // Push labels forward past their left neighbours, then back inside the upper bound.
+    for (let i = 1; i < placed.length; i++) placed[i] = Math.max(placed[i], placed[i - 1] + gap);
+    if (placed.length > 0) placed[placed.length - 1] = Math.min(placed[placed.length - 1], max);
+    for (let i = placed.length - 2; i >= 0; i--) placed[i] = Math.min(placed[i], placed[i + 1] - gap);
+    return sorted.map((item, index) => ({ ...item, labelPosition: placed[index] }));
+};
+
+// Stacks horizontal spans ({ from, to, ... }, sorted by `from`) into rows so spans in one row are at least `gap`
+// apart, filling the lowest free row first. Spans that need more than `maxRows` rows are dropped.
+// Returns copies with `row` added.
+export const assignRows = (items, gap, maxRows = Infinity) => {
+    const rowEnds = [];
+    const placed = [];
+    items.forEach(item => {
+        let row = rowEnds.findIndex(end => item.from >= end + gap);
+        if (row === -1) {
+            if (rowEnds.length >= maxRows) return;
+            row = rowEnds.length;
+            rowEnds.push(-Infinity);
+        }
+        rowEnds[row] = item.to;
+        placed.push({ ...item, row });
+    });
+    return placed;
+};
@@ -0,0 +1,267 @@
+import { reverseComplement } from './sequenceUtils';
+import { NUCLEASES, matchesAt } from './crispr';
+
+// --- Off-Target Search ---
+// Finds sites in a reference that a guide could still bind: up to N mismatches and,
+// optionally, DNA bulges (extra base in the target) or RNA bulges (extra base in the guide).
+// References are indexed once per nuclease by the positions of every permissive PAM on both
+// strands; each search then only aligns the guide against the bases next to those PAMs.
+//
+// Internally guide and target are compared "PAM-proximal first", so the same code handles
+// nucleases with a 3' PAM (Cas9) and a 5' PAM (Cas12a).
+
+// Mismatch tolerance per protospacer position (1 = PAM-distal ... 20 = PAM-proximal),
+// from Hsu et al., 2013 (Nat Biotechnol 31:827). Higher means a mismatch there hurts more.
+const POSITION_WEIGHTS = [
+    0, 0, 0.014, 0, 0, 0.395, 0.317, 0, 0.389, 0.079,
+    0.445, 0.508, 0.613, 0.851, 0.732, 0.828, 0.615, 0.804, 0.685, 0.583,
+];
+// rG:dT and rU:dG wobble pairs are tolerated roughly twice as well as other mismatches.
+const WOBBLE_TOLERANCE = 0.5;
+// Activity retained per DNA or RNA bulge.
+const BULGE_FACTOR = 0.3;
+// Relative SpCas9 activity for non-canonical PAMs (last two PAM bases).
+const SPCAS9_PAM_FACTORS = { GG: 1, AG: 0.259, GA: 0.069 };
+
+// Builds the PAM index for one reference sequence. Positions are 0-based PAM starts on each
+// strand; the '-' strand is stored as the reverse complement, read 5'->3'.
+export const buildPamIndex = (sequence, nucleaseKey) => {
+    const { offTargetPam } = NUCLEASES[nucleaseKey];
+    const indexStrand = (strandSequence) => {
+        const positions = [];
+        for (let i = 0; i + offTargetPam.length <= strandSequence.length; i++) {
+            if (matchesAt(strandSequence, offTargetPam, i)) positions.push(i);
+        }
+        return { sequence: strandSequence, pamPositions: Int32Array.from(positions) };
+    };
+    return {
+        nucleaseKey,
+        length: sequence.length,
+        strands: {
+            '+': indexStrand(sequence),
+            '-': indexStrand(reverseComplement(sequence)),
+        },
+    };
+};
+
+// True when the guide base and protospacer base form a wobble pair on the target strand.
+const isWobble = (guideBase, targetBase) =>
+    (guideBase === 'G' && targetBase === 'A') || (guideBase === 'T' && targetBase === 'C');
+
+// CFD-style off-target score (0-1): the product of the activity retained at every mismatch,
+// every bulge and the PAM. 1 means cleaved as well as a perfect site.
+export const cfdStyleScore = ({ mismatches, bulges, pam }, nucleaseKey) => {
+    let score = 1;
+    mismatches.forEach(({ distanceFromPam, guideBase, targetBase }) => {
+        const weight = POSITION_WEIGHTS[Math.max(0, POSITION_WEIGHTS.length - distanceFromPam)];
+        score *= 1 - weight * (isWobble(guideBase, targetBase) ? WOBBLE_TOLERANCE : 1);
+    });
+    score *= Math.pow(BULGE_FACTOR, bulges.length);
+    if (nucleaseKey === 'SpCas9' || nucleaseKey === 'SpCas9_NAG') {
+        score *= SPCAS9_PAM_FACTORS[pam.slice(-2)] || 0;
+    }
+    return Math.round(score * 1000) / 1000;
+};
+
+// Ungapped comparison. Mismatches are { guideIndex, targetIndex } pairs (PAM-proximal first),
+// or null is returned if there are too many.
+const hammingAlign = (guide, target, maxMismatches) => {
+    if (target.length < guide.length) return null;
+    const mismatches = [];
+    for (let k = 0; k < guide.length; k++) {
+        if (guide[k] !== target[k]) {
+            mismatches.push({ guideIndex: k, targetIndex: k });
+            if (mismatches.length > maxMismatches) return null;
+        }
+    }
+    return { mismatches, bulges: [], ops: 'M'.repeat(guide.length) };
+};
+
+// Pigeonhole filter: with E edits, at least one of E + 1 guide chunks must occur intact
+// in the target, shifted by no more than the number of bulges.
+const passesChunkFilter = (guide, target, edits, maxBulges) => {
+    const chunkLength = Math.floor(guide.length / (edits + 1));
+    if (chunkLength < 1) return true;
+    for (let c = 0; c <= edits; c++) {
+        const start = c * chunkLength;
+        const chunk = guide.substr(start, chunkLength);
+        for (let shift = -maxBulges; shift <= maxBulges; shift++) {
+            if (start + shift >= 0 && target.substr(start + shift, chunkLength) === chunk) return true;
+        }
+    }
+    return false;
+};
+
+// Gapped alignment of the whole guide against a prefix of the target (both PAM-proximal first),
+// minimising mismatches + bulges. Bulges are not allowed directly next to the PAM.
+// `ops` spells the alignment: M = paired base, R = RNA bulge, D = DNA bulge.
+const bulgeAlign = (guide, target, maxMismatches, maxBulges) => {
+    const rows = guide.length + 1;
+    const cols = target.length + 1;
+    const size = (maxBulges + 1) * rows * cols;
+    const cost = new Int16Array(size).fill(0x7fff);
+    const back = new Uint8Array(size); // 1 = pair, 2 = RNA bulge, 3 = DNA bulge
+    const at = (b, i, j) => (b * rows + i) * cols + j;
+    cost[at(0, 0, 0)] = 0;
+
+    for (let b = 0; b <= maxBulges; b++) {
+        for (let i = 0; i < rows; i++) {
+            for (let j = 0; j < cols; j++) {
+                const current = cost[at(b, i, j)];
+                if (current > maxMismatches) continue;
+                const relax = (nb, ni, nj, value, op) => {
+                    const index = at(nb, ni, nj);
+                    if (value < cost[index]) {
+                        cost[index] = value;
+                        back[index] = op;
+                    }
+                };
+                if (i < guide.length && j < target.length) {
+                    relax(b, i + 1, j + 1, current + (guide[i] === target[j] ? 0 : 1), 1);
+                }
+                if (b < maxBulges && i > 0) {
+                    if (i < guide.length) relax(b + 1, i + 1, j, current, 2);
+                    if (j < target.length) relax(b + 1, i, j + 1, current, 3);
+                }
+            }
+        }
+    }
+
+    // Pick the end state with the fewest total edits, preferring fewer bulges.
+    let best = null;
+    for (let b = 0; b <= maxBulges; b++) {
+        for (let j = 0; j < cols; j++) {
+            const mismatchCount = cost[at(b, guide.length, j)];
+            if (mismatchCount > maxMismatches) continue;
+            if (!best || mismatchCount + b < best.edits || (mismatchCount + b === best.edits && b < best.b)) {
+                best = { b, j, edits: mismatchCount + b };
+            }
+        }
+    }
+    if (!best) return null;
+
+    // Trace back to recover mismatch and bulge positions.
+    const mismatches = [];
+    const bulges = [];
+    let ops = '';
+    let { b, j } = best;
+    let i = guide.length;
+    while (i > 0 || j > 0) {
+        const op = back[at(b, i, j)];
+        if (op === 1) {
+            i--; j--;
+            if (guide[i] !== target[j]) mismatches.push({ guideIndex: i, targetIndex: j });
+            ops = 'M' + ops;
+        } else if (op === 2) {
+            i--; b--;
+            bulges.push({ type: 'RNA', guideIndex: i });
+            ops = 'R' + ops;
+        } else {
+            j--; b--;
+            bulges.push({ type: 'DNA', guideIndex: i });
+            ops = 'D' + ops;
+        }
+    }
+    return { mismatches: mismatches.reverse(), bulges: bulges.reverse(), ops };
+};
+
+// Searches one indexed reference for every guide. `guides` are { id, protospacer } (5'->3').
+// Returns hits with top-strand 1-based coordinates, aligned sequences (5'->3', mismatches in
+// lower case, bulges as '-'), per-mismatch seed flags and a CFD-style score.
+export const searchIndex = (index, guides, { maxMismatches = 3, maxBulges = 0 } = {}) => {
+    const nuclease = NUCLEASES[index.nucleaseKey];
+    const { offTargetPam, pamSide, seedLength } = nuclease;
+    const threePrime = pamSide === '3prime';
+    const reverse = (text) => text.split('').reverse().join('');
+    const hits = [];
+
+    guides.forEach(guide => {
+        const length = guide.protospacer.length;
+        // Guide oriented PAM-proximal first.
+        const guideP = threePrime ? reverse(guide.protospacer) : guide.protospacer;
+
+        Object.entries(index.strands).forEach(([strand, { sequence, pamPositions }]) => {
+            for (const pamStart of pamPositions) {
+                // Cheap ungapped pre-check straight on the strand, before any strings are built.
+                if (maxBulges === 0) {
+                    let mismatchCount = 0;
+                    for (let k = 0; k < length && mismatchCount <= maxMismatches; k++) {
+                        const targetBase = threePrime ? sequence[pamStart - 1 - k] : sequence[pamStart + offTargetPam.length + k];
+                        if (targetBase !== guideP[k]) mismatchCount++;
+                    }
+                    if (mismatchCount > maxMismatches) continue;
+                }
+
+                const windowStart = threePrime ? Math.max(0, pamStart - length - maxBulges) : pamStart + offTargetPam.length;
+                const windowEnd = threePrime ? pamStart : Math.min(sequence.length, windowStart + length + maxBulges);
+                const window = sequence.slice(windowStart, windowEnd);
+                const targetP = threePrime ? reverse(window) : window;
+
+                let alignment;
+                if (maxBulges === 0) {
+                    alignment = hammingAlign(guideP, targetP, maxMismatches);
+                } else if (passesChunkFilter(guideP, targetP, maxMismatches + maxBulges, maxBulges)) {
+                    alignment = bulgeAlign(guideP, targetP, maxMismatches, maxBulges);
+                }
+                if (!alignment) continue;
+
+                // Rebuild the aligned strings (PAM-proximal first), then flip for 3' PAM nucleases.
+                let alignedGuide = '';
+                let alignedTarget = '';
+                let gi = 0;
+                let tj = 0;
+                for (const op of alignment.ops) {
+                    if (op === 'M') {
+                        const match = guideP[gi] === targetP[tj];
+                        alignedGuide += guideP[gi];
+                        alignedTarget += match ? targetP[tj] : targetP[tj].toLowerCase();
+                        gi++; tj++;
+                    } else if (op === 'R') {
+                        alignedGuide += guideP[gi];
+                        alignedTarget += '-';
+                        gi++;
+                    } else {
+                        alignedGuide += '-';
+                        alignedTarget += targetP[tj].toLowerCase();
+                        tj++;
+                    }
+                }
+                const targetLength = tj;
+                const from = threePrime ? pamStart - targetLength : windowStart;
+                const to = threePrime ? pamStart : windowStart + targetLength;
+
+                // Guide positions are reported 1-based from the guide's 5' end.
+                const toGuidePosition = (k) => (threePrime ? length - k : k + 1);
+                const mismatches = alignment.mismatches.map(({ guideIndex, targetIndex }) => ({
+                    position: toGuidePosition(guideIndex),
+                    distanceFromPam: guideIndex + 1,
+                    guideBase: guideP[guideIndex],
+                    targetBase: targetP[targetIndex],
+                    inSeed: guideIndex < seedLength,
+                }));
+                const bulges = alignment.bulges.map(({ type, guideIndex }) => ({
+                    type,
+                    position: toGuidePosition(guideIndex),
+                    inSeed: guideIndex < seedLength,
+                }));
+                const pam = sequence.slice(pamStart, pamStart + offTargetPam.length);
+
+                hits.push({
+                    guideId: guide.id,
+                    strand,
+                    start: strand === '+' ? from + 1 : index.length - to + 1,
+                    end: strand === '+' ? to : index.length - from,
+                    pam,
+                    alignedGuide: threePrime ? reverse(alignedGuide) : alignedGuide,
+                    alignedTarget: threePrime ? reverse(alignedTarget) : alignedTarget,
+                    mismatches,
+                    bulges,
+                    seedMismatches: mismatches.filter(m => m.inSeed).length,
+                    cfd: cfdStyleScore({ mismatches, bulges, pam }, index.nucleaseKey),
+                });
+            }
+        });
+    });
+
+    return hits;
+};
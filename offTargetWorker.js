@@ -0,0 +1,82 @@
+/* global globalThis */
+import { parseFasta } from './fasta';
+import { buildPamIndex, searchIndex } from './offTarget';
+
+// --- Off-Target Search Worker ---
+// Parses and indexes reference FASTA files off the main thread and answers search requests,
+// so large references don't freeze the UI.
+//
+// Messages in:
+//   { type: 'addReference', id, name, text, nucleaseKey }
+//   { type: 'removeReference', id }
+//   { type: 'search', requestId, nucleaseKey, guides, construct, maxMismatches, maxBulges }
+// Messages out:
+//   { type: 'referenceIndexed', id, records: [{ id, length }] }
+//   { type: 'searchComplete', requestId, hits }
+//   { type: 'error', id?, requestId?, message }
+
+// Reference files by id: { name, records: [{ id, sequence }], indexes: { [nucleaseKey]: [index per record] } }
+const references = new Map();
+
+// Returns (building and caching on first use) the per-record indexes of a reference for a nuclease.
+const indexesFor = (reference, nucleaseKey) => {
+    if (!reference.indexes[nucleaseKey]) {
+        reference.indexes[nucleaseKey] = reference.records.map(record => buildPamIndex(record.sequence, nucleaseKey));
+    }
+    return reference.indexes[nucleaseKey];
+};
+
+const handlers = {
+    addReference: ({ id, name, text, nucleaseKey }) => {
+        const records = parseFasta(text).filter(record => record.sequence.length > 0);
+        if (records.length === 0) {
+            throw new Error(`${name} contains no FASTA sequences.`);
+        }
+        const reference = { name, records, indexes: {} };
+        indexesFor(reference, nucleaseKey);
+        references.set(id, reference);
+        postMessage({
+            type: 'referenceIndexed',
+            id,
+            records: records.map(record => ({ id: record.id, length: record.sequence.length })),
+        });
+    },
+
+    removeReference: ({ id }) => {
+        references.delete(id);
+    },
+
+    search: ({ requestId, nucleaseKey, guides, construct, maxMismatches, maxBulges }) => {
+        const options = { maxMismatches, maxBulges };
+        const hits = [];
+        const collect = (referenceId, referenceName, index) => {
+            searchIndex(index, guides, options).forEach(hit => hits.push({
+                ...hit,
+                id: `${hit.guideId}@${referenceName}:${hit.strand}${hit.start}-${hit.end}`,
+                referenceId,
+                referenceName,
+            }));
+        };
+
+        // The construct changes with every edit, so it is indexed per search rather than cached.
+        if (construct) {
+            collect('construct', 'Construct', buildPamIndex(construct, nucleaseKey));
+        }
+        references.forEach((reference, referenceId) => {
+            indexesFor(reference, nucleaseKey).forEach((index, i) => {
+                collect(referenceId, `${reference.name}:${reference.records[i].id}`, index);
+            });
+        });
+
+        postMessage({ type: 'searchComplete', requestId, hits });
+    },
+};
+
+globalThis.onmessage = (event) => {
+    const message = event.data;
+    try {
+        handlers[message.type](message);
+    } catch (error) {
+        postMessage({ type: 'error', id: message.id, requestId: message.requestId, message: error.message });
+    }
+};
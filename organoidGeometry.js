@@ -0,0 +1,229 @@
+import { ELEMENT_COLORS } from './construct';
+
+// --- Organoid Geometry ---
+// A parametric organoid: a spherical lumen surrounded by concentric layers (listed from the
+// inside out), each holding cells of one or more cell types. Lengths are in micrometres.
+//
+// Parameters (as stored in App state and project files):
+//   { seed, lumenRadius,
+//     layers: [{ id, name, thickness }],
+//     cellTypes: [{ id, name, layerId, count, radius, color, reporterElementId }] }
+// `reporterElementId` is the id (as a string) of the construct's Reporter element the cell type
+// expresses, or null.
+//
+// Cells are placed by random sequential addition with a seeded generator: each cell tries random
+// points in its layer until it overlaps no cell placed before it, so the same parameters always
+// give the same organoid, and cells that find no room are reported rather than overlapped.
+
+export const ORGANOID_LIMITS = {
+    seed: { min: 0, max: 4294967295 },
+    lumenRadius: { min: 0, max: 500 },
+    thickness: { min: 1, max: 500 },
+    count: { min: 0, max: 1500 },
+    radius: { min: 1, max: 50 },
+    layers: 6,
+    cellTypes: 6,
+};
+
+// Random points tried for each cell before giving up on it.
+const MAX_ATTEMPTS = 100;
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+export const createOrganoidId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const defaultOrganoid = () => ({
+    seed: 1,
+    lumenRadius: 20,
+    layers: [
+        { id: 'layer-stroma', name: 'Stromal core', thickness: 45 },
+        { id: 'layer-epithelium', name: 'Epithelial shell', thickness: 15 },
+    ],
+    cellTypes: [
+        { id: 'cells-fibroblast', name: 'Fibroblast', layerId: 'layer-stroma', count: 150, radius: 6, color: '#f59e0b', reporterElementId: null },
+        { id: 'cells-epithelial', name: 'Epithelial', layerId: 'layer-epithelium', count: 250, radius: 5, color: '#60a5fa', reporterElementId: null },
+    ],
+});
+
+// Display colour for a reporter element, from the fluorescent protein its name mentions.
+// Checked in order, so e.g. "EYFP" is yellow rather than matching "GFP".
+const REPORTER_COLORS = [
+    [/mcherry|rfp|mscarlet|dsred|tdtomato|mkate/i, '#ef4444'],
+    [/yfp|venus|citrine|ypet/i, '#facc15'],
+    [/cfp|cerulean|turquoise/i, '#22d3ee'],
+    [/bfp|azurite/i, '#3b82f6'],
+    [/gfp|neongreen|clover/i, '#22c55e'],
+    [/lux|luc/i, '#fde047'],
+];
+
+export const reporterColor = (name) => {
+    const match = REPORTER_COLORS.find(([pattern]) => pattern.test(name));
+    return match ? match[1] : ELEMENT_COLORS.Reporter;
+};
+
+// Mulberry32: a small, fast 32-bit generator, plenty for layout. Returns numbers in [0, 1).
+export const createSeededRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+const clampNumber = (value, { min, max }, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+};
+
+// Fills gaps and clamps every value to ORGANOID_LIMITS, so hand-edited files and half-typed form
+// values always describe a buildable organoid. Cell types pointing at a missing layer move to
+// the first layer.
+export const normalizeOrganoid = (value) => {
+    const defaults = defaultOrganoid();
+    if (!value || typeof value !== 'object') return defaults;
+    const layers = (Array.isArray(value.layers) ? value.layers : defaults.layers)
+        .filter(layer => layer && typeof layer === 'object')
+        .slice(0, ORGANOID_LIMITS.layers)
+        .map((layer, index) => ({
+            id: String(layer.id || `layer-${index + 1}`),
+            name: String(layer.name || `Layer ${index + 1}`),
+            thickness: clampNumber(layer.thickness, ORGANOID_LIMITS.thickness, 10),
+        }));
+    if (layers.length === 0) return defaults;
+    const cellTypes = (Array.isArray(value.cellTypes) ? value.cellTypes : defaults.cellTypes)
+        .filter(cellType => cellType && typeof cellType === 'object')
+        .slice(0, ORGANOID_LIMITS.cellTypes)
+        .map((cellType, index) => ({
+            id: String(cellType.id || `cells-${index + 1}`),
+            name: String(cellType.name || `Cell type ${index + 1}`),
+            layerId: layers.some(layer => layer.id === cellType.layerId) ? cellType.layerId : layers[0].id,
+            count: Math.round(clampNumber(cellType.count, ORGANOID_LIMITS.count, 0)),
+            radius: clampNumber(cellType.radius, ORGANOID_LIMITS.radius, 5),
+            color: HEX_COLOR.test(cellType.color) ? cellType.color : '#9ca3af',
+            reporterElementId: cellType.reporterElementId ? String(cellType.reporterElementId) : null,
+        }));
+    return {
+        seed: Math.round(clampNumber(value.seed, ORGANOID_LIMITS.seed, defaults.seed)),
+        lumenRadius: clampNumber(value.lumenRadius, ORGANOID_LIMITS.lumenRadius, defaults.lumenRadius),
+        layers,
+        cellTypes,
+    };
+};
+
+// Layers with their inner and outer radii.
+export const layerBounds = (organoid) => {
+    let inner = organoid.lumenRadius;
+    return organoid.layers.map(layer => {
+        const bounds = { ...layer, inner, outer: inner + layer.thickness };
+        inner = bounds.outer;
+        return bounds;
+    });
+};
+
+// Radii between which a cell's centre may lie so the whole cell stays inside `layer`. A layer
+// starting at the centre (no lumen) can hold a cell right at the middle.
+const centreRange = (layer, radius) => ({
+    inner: layer.inner > 0 ? layer.inner + radius : 0,
+    outer: layer.outer - radius,
+});
+
+// Places the cells. Returns
+//   { lumenRadius, outerRadius, layers (with bounds), cells: [{ cellTypeId, x, y, z, radius }],
+//     cellTypes: [{ ...cellType, placed }], warnings }
+export const buildOrganoid = (parameters) => {
+    const organoid = normalizeOrganoid(parameters);
+    const random = createSeededRandom(organoid.seed);
+    const layers = layerBounds(organoid);
+    const outerRadius = layers[layers.length - 1].outer;
+    const warnings = [];
+
+    // All cells to place, biggest first (large cells are the hardest to fit into gaps), in a
+    // seeded shuffle so cell types sharing a layer mix rather than fill it one after the other.
+    const pending = organoid.cellTypes.flatMap(cellType => Array.from({ length: cellType.count }, () => cellType));
+    for (let i = pending.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [pending[i], pending[j]] = [pending[j], pending[i]];
+    }
+    pending.sort((a, b) => b.radius - a.radius);
+
+    // Spatial hash of placed cells, in buckets as wide as the largest cell.
+    const bucketSize = 2 * Math.max(1, ...organoid.cellTypes.map(cellType => cellType.radius));
+    const buckets = new Map();
+    const bucketKey = (ix, iy, iz) => `${ix},${iy},${iz}`;
+    const overlapsPlaced = (x, y, z, radius) => {
+        const ix = Math.floor(x / bucketSize);
+        const iy = Math.floor(y / bucketSize);
+        const iz = Math.floor(z / bucketSize);
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dz = -1; dz <= 1; dz++) {
+                    const bucket = buckets.get(bucketKey(ix + dx, iy + dy, iz + dz));
+                    if (bucket && bucket.some(cell => (cell.x - x) ** 2 + (cell.y - y) ** 2 + (cell.z - z) ** 2 < (cell.radius + radius) ** 2)) {
+                        return true;
+                    }
+                }
+            }
+        }
+        return false;
+    };
+
+    const cells = [];
+    const placedCounts = new Map(organoid.cellTypes.map(cellType => [cellType.id, 0]));
+    pending.forEach(cellType => {
+        const layer = layers.find(candidate => candidate.id === cellType.layerId);
+        const { inner, outer } = centreRange(layer, cellType.radius);
+        if (outer < inner) return;
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            // Uniform in the shell's volume: radius from the cube-root law, direction from a
+            // uniform z and azimuth.
+            const r = Math.cbrt(inner ** 3 + random() * (outer ** 3 - inner ** 3));
+            const z = 2 * random() - 1;
+            const azimuth = 2 * Math.PI * random();
+            const ring = Math.sqrt(1 - z * z);
+            const x = r * ring * Math.cos(azimuth);
+            const y = r * ring * Math.sin(azimuth);
+            if (!overlapsPlaced(x, y, r * z, cellType.radius)) {
+                const cell = { cellTypeId: cellType.id, x, y, z: r * z, radius: cellType.radius };
+                cells.push(cell);
+                const key = bucketKey(Math.floor(x / bucketSize), Math.floor(y / bucketSize), Math.floor(cell.z / bucketSize));
+                if (!buckets.has(key)) buckets.set(key, []);
+                buckets.get(key).push(cell);
+                placedCounts.set(cellType.id, placedCounts.get(cellType.id) + 1);
+                return;
+            }
+        }
+    });
+
+    const cellTypes = organoid.cellTypes.map(cellType => {
+        const layer = layers.find(candidate => candidate.id === cellType.layerId);
+        const placed = placedCounts.get(cellType.id);
+        if (placed < cellType.count) {
+            const { inner, outer } = centreRange(layer, cellType.radius);
+            warnings.push(outer < inner
+                ? `${cellType.name} cells (${2 * cellType.radius} µm across) are wider than the ${layer.name} layer (${layer.thickness} µm).`
+                : `Only ${placed} of ${cellType.count} ${cellType.name} cells fit in the ${layer.name} layer; thicken the layer or use fewer or smaller cells.`);
+        }
+        return { ...cellType, placed };
+    });
+
+    return { lumenRadius: organoid.lumenRadius, outerRadius, layers, cells, cellTypes, warnings };
+};
+
+// Looks up each cell type's reporter in the construct's elements, adding
+// `reporter: { id, name, color }` (or null) to the cell types of a built organoid. Kept apart from
+// buildOrganoid so editing the construct doesn't re-pack the cells.
+export const applyReporters = (organoid, elements) => {
+    const reporters = new Map(elements.filter(el => el.type === 'Reporter').map(el => [String(el.id), el]));
+    const warnings = [...organoid.warnings];
+    const cellTypes = organoid.cellTypes.map(cellType => {
+        const element = cellType.reporterElementId ? reporters.get(cellType.reporterElementId) : null;
+        if (cellType.reporterElementId && !element) {
+            warnings.push(`${cellType.name} cells express a reporter that is no longer in the construct.`);
+        }
+        return { ...cellType, reporter: element ? { id: element.id, name: element.name, color: reporterColor(element.name) } : null };
+    });
+    return { ...organoid, cellTypes, warnings };
+};
@@ -0,0 +1,104 @@
+import * as THREE from 'three';
+import { FRAME_STRIDE } from './organoidSimulation';
+
+// --- Organoid Model ---
+// Three.js objects for an organoid laid out by organoidGeometry.js, one scene unit per micrometre:
+// a translucent lumen, a faint shell at the outer surface of each layer, and the cells as one
+// instanced mesh per cell type. Cells of a type that expresses a reporter take the reporter's
+// colour and glow slightly; the others keep their cell type's colour.
+//
+// Given a simulation frame (see organoidSimulation.js), the cells are drawn from the frame
+// instead, and reporter-expressing cells are tinted from their cell type's colour towards the
+// reporter's by their reporter level, in a few steps so each step is one instanced mesh (and
+// exported files keep the colours).
+
+const CELL_SEGMENTS = { width: 16, height: 12 };
+
+// Number of reporter level steps cells are tinted in.
+const LEVEL_STEPS = 5;
+
+// Shell colours from the inside out (repeated when there are more layers).
+const LAYER_COLORS = [0xfde68a, 0xbfdbfe, 0xc4b5fd, 0xa7f3d0, 0xfecaca, 0xe5e7eb];
+
+// `organoid` is the result of buildOrganoid + applyReporters; `frame`, if given, is
+// { cells: simulation frame, cellTypes: the cell types the simulation ran with }.
+export const createOrganoidModel = (organoid, frame = null) => {
+    const model = new THREE.Group();
+    model.name = 'organoid';
+
+    if (organoid.lumenRadius > 0) {
+        const lumen = new THREE.Mesh(
+            new THREE.SphereGeometry(organoid.lumenRadius, 32, 24),
+            new THREE.MeshPhongMaterial({ color: 0xe0f2fe, transparent: true, opacity: 0.35, depthWrite: false }),
+        );
+        lumen.name = 'lumen';
+        model.add(lumen);
+    }
+
+    organoid.layers.forEach((layer, index) => {
+        const shell = new THREE.Mesh(
+            new THREE.SphereGeometry(layer.outer, 48, 32),
+            new THREE.MeshPhongMaterial({
+                color: LAYER_COLORS[index % LAYER_COLORS.length],
+                transparent: true,
+                opacity: 0.12,
+                depthWrite: false,
+                side: THREE.DoubleSide,
+            }),
+        );
+        shell.name = layer.name;
+        // Draw the shells after the cells so the cells show through them.
+        shell.renderOrder = 1;
+        model.add(shell);
+    });
+
+    // Cells as [{ x, y, z, radius, type (index into cellTypes), level }], from the frame if there
+    // is one. Without a frame, reporters are shown fully expressed.
+    const cellTypes = frame ? frame.cellTypes : organoid.cellTypes;
+    const typeIndex = new Map(cellTypes.map((cellType, index) => [cellType.id, index]));
+    const cells = [];
+    if (frame) {
+        for (let i = 0; i < frame.cells.length; i += FRAME_STRIDE) {
+            const [x, y, z, radius, type, level] = frame.cells.subarray(i, i + FRAME_STRIDE);
+            cells.push({ x, y, z, radius, type, level });
+        }
+    } else {
+        organoid.cells.forEach(cell => cells.push({ ...cell, type: typeIndex.get(cell.cellTypeId), level: 1 }));
+    }
+
+    // Group the cells by cell type and level step.
+    const groups = new Map();
+    cells.forEach(cell => {
+        const step = cellTypes[cell.type].reporter ? Math.round(Math.min(Math.max(cell.level, 0), 1) * (LEVEL_STEPS - 1)) : 0;
+        const key = cell.type * LEVEL_STEPS + step;
+        if (!groups.has(key)) groups.set(key, { cellType: cellTypes[cell.type], step, cells: [] });
+        groups.get(key).cells.push(cell);
+    });
+
+    // A unit sphere scaled per instance to each cell's radius.
+    const sphere = new THREE.SphereGeometry(1, CELL_SEGMENTS.width, CELL_SEGMENTS.height);
+    const matrix = new THREE.Matrix4();
+    [...groups.keys()].sort((a, b) => a - b).forEach(key => {
+        const { cellType, step, cells: groupCells } = groups.get(key);
+        const expression = step / (LEVEL_STEPS - 1);
+        const color = new THREE.Color(cellType.color);
+        if (cellType.reporter) color.lerp(new THREE.Color(cellType.reporter.color), expression);
+        const material = new THREE.MeshPhongMaterial({
+            color,
+            emissive: cellType.reporter ? color.clone().multiplyScalar(0.35 * expression) : new THREE.Color(0x000000),
+            shininess: 30,
+        });
+        const mesh = new THREE.InstancedMesh(sphere, material, groupCells.length);
+        groupCells.forEach((cell, index) => {
+            matrix.makeScale(cell.radius, cell.radius, cell.radius).setPosition(cell.x, cell.y, cell.z);
+            mesh.setMatrixAt(index, matrix);
+        });
+        mesh.instanceMatrix.needsUpdate = true;
+        mesh.name = cellType.reporter
+            ? `${cellType.name} (${cellType.reporter.name}${frame ? ` ${Math.round(expression * 100)}%` : ''})`
+            : cellType.name;
+        model.add(mesh);
+    });
+
+    return model;
+};
@@ -0,0 +1,311 @@
+import { createSeededRandom } from './organoidGeometry';
+import { formatCsv } from './csv';
+
+// --- Organoid Growth Simulation ---
+// A simple agent-based model of an organoid over time. Starting from a built organoid (see
+// organoidGeometry.js), every cell is an agent that, each time step, may
+//   - die, with its cell type's death rate;
+//   - differentiate into another cell type, with its type's differentiation rate;
+//   - divide, with its type's division rate, if its daughter fits next to it without
+//     overlapping another cell (crowded cells stop dividing) and the population is below the cap.
+// Rates are per day and turned into per-step probabilities as 1 - exp(-rate · dt). Cells don't
+// move; the organoid grows outwards from where there is room, up to MAX_GROWTH × its start size.
+//
+// Cell types expressing a reporter relax their reporter level towards the strength of the
+// promoter driving it in the construct (times a fixed per-cell noise factor), starting from zero
+// at t = 0 when the construct is introduced.
+//
+// Everything random comes from one seeded generator consumed in a fixed order, so a seed and
+// a set of inputs always give the same run.
+//
+// Settings (App state and project files):
+//   { seed, durationHours, stepHours, maxCells,
+//     rules: { [cellTypeId]: { divisionRate, deathRate, differentiateTo, differentiationRate } } }
+
+export const SIMULATION_LIMITS = {
+    seed: { min: 0, max: 4294967295 },
+    durationHours: { min: 1, max: 720 },
+    stepHours: { min: 0.25, max: 24 },
+    maxCells: { min: 10, max: 5000 },
+    rate: { min: 0, max: 20 },
+    // Longer runs take proportionally bigger steps.
+    steps: 300,
+};
+
+// Relative strength assumed for promoters that don't have one set.
+export const DEFAULT_PROMOTER_STRENGTH = 0.5;
+// Reporter levels relax towards their target with this time constant (maturation and turnover).
+const EXPRESSION_TIME_CONSTANT_HOURS = 6;
+// Spread of the per-cell expression noise factor around 1.
+const EXPRESSION_NOISE = 0.25;
+// Directions tried for a daughter cell before the division fails for lack of room.
+const PLACEMENT_ATTEMPTS = 12;
+// How far the organoid may grow, as a multiple of its starting outer radius.
+const MAX_GROWTH = 2;
+// Values per cell in a frame: x, y, z, radius, cell type index, reporter level.
+export const FRAME_STRIDE = 6;
+
+export const defaultRule = () => ({ divisionRate: 0.5, deathRate: 0.05, differentiateTo: null, differentiationRate: 0 });
+
+// Rules for the cell types of defaultOrganoid().
+export const defaultSimulation = () => ({
+    seed: 1,
+    durationHours: 72,
+    stepHours: 1,
+    maxCells: 3000,
+    rules: {
+        'cells-fibroblast': { divisionRate: 0.3, deathRate: 0.05, differentiateTo: null, differentiationRate: 0 },
+        'cells-epithelial': { divisionRate: 0.8, deathRate: 0.1, differentiateTo: null, differentiationRate: 0 },
+    },
+});
+
+const clampNumber = (value, { min, max }, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+};
+
+// The rule for a cell type, with defaults filled in and values clamped.
+export const ruleFor = (simulation, cellTypeId) => {
+    const defaults = defaultRule();
+    const rule = (simulation.rules && simulation.rules[cellTypeId]) || {};
+    return {
+        divisionRate: clampNumber(rule.divisionRate, SIMULATION_LIMITS.rate, defaults.divisionRate),
+        deathRate: clampNumber(rule.deathRate, SIMULATION_LIMITS.rate, defaults.deathRate),
+        differentiateTo: rule.differentiateTo ? String(rule.differentiateTo) : null,
+        differentiationRate: clampNumber(rule.differentiationRate, SIMULATION_LIMITS.rate, defaults.differentiationRate),
+    };
+};
+
+// Fills gaps and clamps values, like normalizeOrganoid. Rules for cell types that no longer
+// exist are kept, so removing and re-adding a cell type (or undoing) doesn't lose them.
+export const normalizeSimulation = (value) => {
+    const defaults = defaultSimulation();
+    if (!value || typeof value !== 'object') return defaults;
+    const rules = value.rules && typeof value.rules === 'object' ? value.rules : {};
+    return {
+        seed: Math.round(clampNumber(value.seed, SIMULATION_LIMITS.seed, defaults.seed)),
+        durationHours: clampNumber(value.durationHours, SIMULATION_LIMITS.durationHours, defaults.durationHours),
+        stepHours: clampNumber(value.stepHours, SIMULATION_LIMITS.stepHours, defaults.stepHours),
+        maxCells: Math.round(clampNumber(value.maxCells, SIMULATION_LIMITS.maxCells, defaults.maxCells)),
+        rules: Object.fromEntries(Object.keys(rules).map(id => [id, ruleFor({ rules }, id)])),
+    };
+};
+
+// Time step and step count: the step is lengthened if the run would need more than
+// SIMULATION_LIMITS.steps of them.
+export const simulationSchedule = (simulation) => {
+    const settings = normalizeSimulation(simulation);
+    const stepHours = Math.max(settings.stepHours, settings.durationHours / SIMULATION_LIMITS.steps);
+    return { stepHours, steps: Math.max(1, Math.round(settings.durationHours / stepHours)) };
+};
+
+const isTerminator = (element) => element.type === 'Terminator' ||
+    (element.annotations || []).some(annotation => annotation.type === 'terminator');
+
+// The promoter transcribing elements[index]: the nearest promoter upstream on the same strand,
+// unless a terminator comes first. Returns the element or null.
+export const drivingPromoter = (elements, index) => {
+    const orientation = elements[index].orientation || 'forward';
+    const step = orientation === 'reverse' ? 1 : -1;
+    for (let i = index + step; i >= 0 && i < elements.length; i += step) {
+        const element = elements[i];
+        if ((element.orientation || 'forward') !== orientation) continue;
+        if (element.type === 'Promoter') return element;
+        if (isTerminator(element)) return null;
+    }
+    return null;
+};
+
+// Target reporter level per cell type (in the order of organoid.cellTypes), with what drives it:
+//   { level, promoter: { name, strength, assumed } | null }
+// Cell types without a reporter, or whose reporter has no promoter, have level 0.
+export const expressionTargets = (cellTypes, elements) => cellTypes.map(cellType => {
+    const index = cellType.reporter ? elements.findIndex(el => el.id === cellType.reporter.id) : -1;
+    const promoter = index >= 0 ? drivingPromoter(elements, index) : null;
+    if (!promoter) return { level: 0, promoter: null };
+    const strength = Number(promoter.strength);
+    const assumed = promoter.strength === undefined || promoter.strength === null || promoter.strength === '' || !Number.isFinite(strength);
+    const level = assumed ? DEFAULT_PROMOTER_STRENGTH : Math.min(Math.max(strength, 0), 1);
+    return { level, promoter: { name: promoter.name, strength: level, assumed } };
+});
+
+// Runs the simulation. `organoid` is a built organoid (buildOrganoid + applyReporters) and
+// `expression` the matching expressionTargets. Calls onFrame(frame, stats) for the starting
+// state and after every step, where `frame` is a Float32Array of FRAME_STRIDE values per cell
+// and `stats` is
+//   { step, hours, total, counts, meanLevels, births, deaths, differentiations }
+// with `counts` and `meanLevels` per cell type.
+export const runSimulation = (organoid, simulation, expression, onFrame) => {
+    const settings = normalizeSimulation(simulation);
+    const { stepHours, steps } = simulationSchedule(settings);
+    const random = createSeededRandom(settings.seed);
+    const typeCount = organoid.cellTypes.length;
+    const typeIndex = new Map(organoid.cellTypes.map((cellType, index) => [cellType.id, index]));
+    const perStep = (ratePerDay) => 1 - Math.exp((-ratePerDay * stepHours) / 24);
+    const rules = organoid.cellTypes.map(cellType => {
+        const rule = ruleFor(settings, cellType.id);
+        const target = typeIndex.has(rule.differentiateTo) ? typeIndex.get(rule.differentiateTo) : -1;
+        return {
+            death: perStep(rule.deathRate),
+            division: perStep(rule.divisionRate),
+            differentiation: target >= 0 && target !== typeIndex.get(cellType.id) ? perStep(rule.differentiationRate) : 0,
+            target,
+        };
+    });
+    const targets = organoid.cellTypes.map((_, index) => (expression[index] ? expression[index].level : 0));
+    const relax = 1 - Math.exp(-stepHours / EXPRESSION_TIME_CONSTANT_HOURS);
+    const innerLimit = organoid.lumenRadius;
+    const outerLimit = organoid.outerRadius * MAX_GROWTH;
+
+    // Spatial hash of living cells, in buckets as wide as the largest cell.
+    const bucketSize = 2 * Math.max(1, ...organoid.cellTypes.map(cellType => cellType.radius));
+    const buckets = new Map();
+    const keyOf = (x, y, z) => `${Math.floor(x / bucketSize)},${Math.floor(y / bucketSize)},${Math.floor(z / bucketSize)}`;
+    const addToHash = (cell) => {
+        const key = keyOf(cell.x, cell.y, cell.z);
+        if (!buckets.has(key)) buckets.set(key, new Set());
+        buckets.get(key).add(cell);
+    };
+    const removeFromHash = (cell) => buckets.get(keyOf(cell.x, cell.y, cell.z)).delete(cell);
+    const fits = (x, y, z, radius, ignore) => {
+        const distance = Math.hypot(x, y, z);
+        if (distance - radius < innerLimit || distance + radius > outerLimit) return false;
+        const ix = Math.floor(x / bucketSize);
+        const iy = Math.floor(y / bucketSize);
+        const iz = Math.floor(z / bucketSize);
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dz = -1; dz <= 1; dz++) {
+                    const bucket = buckets.get(`${ix + dx},${iy + dy},${iz + dz}`);
+                    if (!bucket) continue;
+                    for (const other of bucket) {
+                        if (other !== ignore && (other.x - x) ** 2 + (other.y - y) ** 2 + (other.z - z) ** 2 < (other.radius + radius) ** 2) {
+                            return false;
+                        }
+                    }
+                }
+            }
+        }
+        return true;
+    };
+    const noise = () => 1 + EXPRESSION_NOISE * (2 * random() - 1);
+
+    let cells = organoid.cells.map(cell => ({
+        x: cell.x,
+        y: cell.y,
+        z: cell.z,
+        radius: cell.radius,
+        type: typeIndex.get(cell.cellTypeId),
+        level: 0,
+        noise: noise(),
+        alive: true,
+    }));
+    cells.forEach(addToHash);
+
+    const report = (step, events) => {
+        const frame = new Float32Array(cells.length * FRAME_STRIDE);
+        const counts = new Array(typeCount).fill(0);
+        const levelSums = new Array(typeCount).fill(0);
+        cells.forEach((cell, index) => {
+            frame.set([cell.x, cell.y, cell.z, cell.radius, cell.type, cell.level], index * FRAME_STRIDE);
+            counts[cell.type] += 1;
+            levelSums[cell.type] += cell.level;
+        });
+        onFrame(frame, {
+            step,
+            hours: step * stepHours,
+            total: cells.length,
+            counts,
+            meanLevels: levelSums.map((sum, index) => (counts[index] > 0 ? sum / counts[index] : 0)),
+            ...events,
+        });
+    };
+    report(0, { births: 0, deaths: 0, differentiations: 0 });
+
+    for (let step = 1; step <= steps; step++) {
+        const events = { births: 0, deaths: 0, differentiations: 0 };
+        // Visit cells in a fresh seeded order each step so no cell is systematically first to
+        // claim free space.
+        const order = cells.slice();
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        let population = cells.length;
+        const born = [];
+
+        order.forEach(cell => {
+            const rule = rules[cell.type];
+            if (random() < rule.death) {
+                cell.alive = false;
+                removeFromHash(cell);
+                population -= 1;
+                events.deaths += 1;
+                return;
+            }
+            if (rule.differentiation > 0 && random() < rule.differentiation) {
+                const radius = organoid.cellTypes[rule.target].radius;
+                // A cell that would grow into its neighbours stays as it is this step.
+                if (fits(cell.x, cell.y, cell.z, radius, cell)) {
+                    cell.type = rule.target;
+                    cell.radius = radius;
+                    events.differentiations += 1;
+                }
+            }
+            if (population < settings.maxCells && random() < rules[cell.type].division) {
+                for (let attempt = 0; attempt < PLACEMENT_ATTEMPTS; attempt++) {
+                    const z = 2 * random() - 1;
+                    const azimuth = 2 * Math.PI * random();
+                    const ring = Math.sqrt(1 - z * z);
+                    const distance = 2 * cell.radius;
+                    const daughter = {
+                        x: cell.x + distance * ring * Math.cos(azimuth),
+                        y: cell.y + distance * ring * Math.sin(azimuth),
+                        z: cell.z + distance * z,
+                        radius: cell.radius,
+                        type: cell.type,
+                        level: cell.level,
+                        noise: 0,
+                        alive: true,
+                    };
+                    if (fits(daughter.x, daughter.y, daughter.z, daughter.radius, null)) {
+                        daughter.noise = noise();
+                        addToHash(daughter);
+                        born.push(daughter);
+                        population += 1;
+                        events.births += 1;
+                        break;
+                    }
+                }
+            }
+            cell.level += (targets[cell.type] * cell.noise - cell.level) * relax;
+        });
+
+        cells = cells.filter(cell => cell.alive).concat(born);
+        report(step, events);
+    }
+    return { steps, stepHours };
+};
+
+// One row per time step: time, total and per-cell-type counts, mean reporter levels (for cell
+// types with a reporter) and the step's births, deaths and differentiations.
+export const formatSimulationCsv = (stats, cellTypes) => {
+    const withReporter = cellTypes.map((cellType, index) => ({ cellType, index })).filter(({ cellType }) => cellType.reporter);
+    const header = [
+        'Step', 'Time (h)', 'Total cells',
+        ...cellTypes.map(cellType => `${cellType.name} cells`),
+        ...withReporter.map(({ cellType }) => `${cellType.name} mean ${cellType.reporter.name} level`),
+        'Births', 'Deaths', 'Differentiations',
+    ];
+    const rows = stats.map(row => [
+        row.step,
+        Number(row.hours.toFixed(3)),
+        row.total,
+        ...row.counts,
+        ...withReporter.map(({ index }) => row.meanLevels[index].toFixed(4)),
+        row.births,
+        row.deaths,
+        row.differentiations,
+    ]);
+    return formatCsv([header, ...rows]);
+};
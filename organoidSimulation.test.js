@@ -0,0 +1,53 @@
+import { buildOrganoid, defaultOrganoid } from './organoidGeometry';
+import { FRAME_STRIDE, defaultSimulation, runSimulation } from './organoidSimulation';
+
+const organoid = buildOrganoid(defaultOrganoid());
+
+// Runs a day of the default simulation (with `changes`) and collects every step's stats and frame.
+const run = (changes = {}) => {
+    const stats = [];
+    const frames = [];
+    runSimulation(organoid, { ...defaultSimulation(), durationHours: 24, ...changes }, [], (frame, step) => {
+        stats.push(step);
+        frames.push(Array.from(frame));
+    });
+    return { stats, frames };
+};
+
+describe('runSimulation', () => {
+    const first = run();
+
+    it('reproduces every step for the same seed', () => {
+        const second = run();
+
+        expect(first.stats).toHaveLength(25);
+        expect(first.stats[0]).toMatchObject({ step: 0, hours: 0, total: organoid.cells.length });
+        expect(first.stats[24].total).not.toBe(organoid.cells.length);
+        expect(second.stats).toEqual(first.stats);
+        expect(second.frames).toEqual(first.frames);
+        first.stats.forEach((step, index) => {
+            expect(first.frames[index]).toHaveLength(step.total * FRAME_STRIDE);
+            expect(step.counts.reduce((sum, count) => sum + count, 0)).toBe(step.total);
+        });
+    });
+
+    it('gives a different run for a different seed', () => {
+        const other = run({ seed: 2 });
+
+        expect(other.stats[0]).toEqual(first.stats[0]);
+        expect(other.stats.map(step => step.total)).not.toEqual(first.stats.map(step => step.total));
+    });
+
+    it('never grows past maxCells', () => {
+        const maxCells = organoid.cells.length + 50;
+        const rules = {
+            'cells-fibroblast': { divisionRate: 10, deathRate: 0 },
+            'cells-epithelial': { divisionRate: 10, deathRate: 0 },
+        };
+        const { stats } = run({ maxCells, rules });
+
+        stats.forEach(step => expect(step.total).toBeLessThanOrEqual(maxCells));
+        expect(stats[stats.length - 1].total).toBe(maxCells);
+        expect(stats[stats.length - 1].births).toBe(0);
+    });
+});
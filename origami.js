@@ -0,0 +1,468 @@
+import { meltingTemperature } from './primerDesign';
+import { cleanSequence } from './sequenceUtils';
+import { formatCsv } from './csv';
+
+// --- DNA Origami ---
+// A basic scaffolded DNA origami designer for simple shapes: a flat sheet, a six-helix bundle and
+// a hollow tube, on the honeycomb or square lattice used by caDNAno.
+//
+// The scaffold is routed as a raster: it runs the full length of each helix and crosses to the
+// next helix of the shape at the crossover site nearest the end, so helices may end a few bases
+// short of the nominal length. Staple strands pair with the scaffold on every helix and are joined
+// across neighbouring helices at every staple crossover site the lattice allows, then broken into
+// staples of about STAPLE_LENGTH.target bases, never within MIN_CROSSOVER_GAP bases of a crossover.
+// Crossover sites, strand directions and helix numbering follow caDNAno's conventions, so designs
+// open in caDNAno 2 for further editing.
+//
+// Bases are addressed as helix index * length + base index. A design is:
+//   { shape, lattice, length, helices: [{ num, row, col, x, y, lo, hi }],
+//     scaffold: { next, prev, order }, staple: { next, prev } (Int32Arrays of base addresses, -1 for none),
+//     staples: [{ name, start, end, bases, length, sequence, tm, color }],
+//     scaffoldNeeded, scaffoldCrossovers, stapleCrossovers, warnings }
+// where a helix's scaffold and staples cover bases lo..hi, x and y are its axis position in nm,
+// `order` is each base's position along the routed scaffold, and staple sequences and Tm are null
+// until a scaffold sequence long enough is loaded.
+
+// Axis-to-axis distance of neighbouring helices, as caDNAno assumes.
+export const HELIX_SPACING_NM = 2.25;
+
+const mod = (value, n) => ((value % n) + n) % n;
+const isEvenParity = (row, col) => mod(row, 2) === mod(col, 2);
+
+// Each lattice lists, per neighbour direction of an even-parity helix, the crossover sites within
+// one repeat of `step` bases: a site p joins the helices between bases p and p + 1.
+export const ORIGAMI_LATTICES = {
+    honeycomb: {
+        label: 'Honeycomb',
+        step: 21, // Two turns at 10.5 bp per turn.
+        bpPerTurn: 10.5,
+        scaffoldSites: [[1, 11], [8, 18], [4, 15]],
+        stapleSites: [[6], [13], [20]],
+        neighbors: (row, col) => (isEvenParity(row, col)
+            ? [[row, col + 1], [row - 1, col], [row, col - 1]]
+            : [[row, col - 1], [row + 1, col], [row, col + 1]]),
+        position: (row, col) => ({
+            x: col * (HELIX_SPACING_NM / 2) * Math.sqrt(3),
+            y: row * 1.5 * HELIX_SPACING_NM + (isEvenParity(row, col) ? 0 : HELIX_SPACING_NM / 2),
+        }),
+    },
+    square: {
+        label: 'Square',
+        step: 32, // Three turns at 10.67 bp per turn.
+        bpPerTurn: 32 / 3,
+        scaffoldSites: [[4, 15, 26], [7, 18, 28], [10, 20, 31], [2, 12, 23]],
+        stapleSites: [[31], [23], [15], [7]],
+        neighbors: (row, col) => (isEvenParity(row, col)
+            ? [[row, col + 1], [row + 1, col], [row, col - 1], [row - 1, col]]
+            : [[row, col - 1], [row - 1, col], [row, col + 1], [row + 1, col]]),
+        position: (row, col) => ({ x: col * HELIX_SPACING_NM, y: row * HELIX_SPACING_NM }),
+    },
+};
+
+export const ORIGAMI_SHAPES = {
+    sheet: { label: 'Rectangular sheet', lattices: ['square', 'honeycomb'] },
+    sixHelixBundle: { label: 'Six-helix bundle', lattices: ['honeycomb'] },
+    tube: { label: 'Hollow tube', lattices: ['square', 'honeycomb'] },
+};
+
+// Tube size is the side of a square ring, in helices, or the number of rings of hexagons around
+// the centre of a honeycomb ring (0 would be the six-helix bundle).
+export const ORIGAMI_LIMITS = {
+    helixCount: { min: 2, max: 32 },
+    tubeSize: { square: { min: 3, max: 8 }, honeycomb: { min: 1, max: 3 } },
+    length: { min: 42, max: 2048 },
+    scaffoldStart: { min: 1, max: 1000000 },
+};
+
+export const STAPLE_LENGTH = { min: 18, target: 42, max: 60 };
+// Fewest bases between a staple break and a crossover.
+const MIN_CROSSOVER_GAP = 3;
+// Fewest bases between a staple crossover and the end of either helix.
+const END_GAP = Math.ceil(STAPLE_LENGTH.min / 2);
+
+// Staple Tm conditions: 100 nM staples in a folding buffer with 12.5 mM MgCl2, taken as
+// 120·√[Mg²⁺] mM of sodium (von Ahsen et al., 2001). Real staples melt cooperatively with their
+// neighbours, so this is a per-staple duplex estimate for comparing staples, not a folding
+// temperature.
+export const ORIGAMI_TM_CONDITIONS = { sodiumMolar: (120 * Math.sqrt(12.5)) / 1000, primerMolar: 100e-9 };
+
+// caDNAno's default staple colours.
+const STAPLE_COLORS = ['#cc0000', '#f74308', '#f7931e', '#aaaa00', '#57bb00', '#007200', '#03b6a2', '#1700de', '#7300de', '#b8056c', '#333333', '#888888'];
+
+const COMPLEMENT = { A: 'T', T: 'A', G: 'C', C: 'G' };
+
+const clampNumber = (value, { min, max }, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+};
+
+export const defaultOrigami = () => ({
+    shape: 'sixHelixBundle',
+    lattice: 'honeycomb',
+    helixCount: 8,
+    tubeSize: 1,
+    length: 420,
+    scaffold: null, // { name, sequence } once one is loaded
+    scaffoldStart: 1,
+});
+
+// Fills gaps and clamps values, like normalizeOrganoid. The lattice falls back to one the shape
+// supports.
+export const normalizeOrigami = (value) => {
+    const defaults = defaultOrigami();
+    if (!value || typeof value !== 'object') return defaults;
+    const shape = ORIGAMI_SHAPES[value.shape] ? value.shape : defaults.shape;
+    const lattice = ORIGAMI_SHAPES[shape].lattices.includes(value.lattice) ? value.lattice : ORIGAMI_SHAPES[shape].lattices[0];
+    const scaffold = value.scaffold && typeof value.scaffold === 'object' && value.scaffold.sequence
+        ? { name: String(value.scaffold.name || 'scaffold'), sequence: cleanSequence(String(value.scaffold.sequence)) }
+        : null;
+    return {
+        shape,
+        lattice,
+        helixCount: Math.round(clampNumber(value.helixCount, ORIGAMI_LIMITS.helixCount, defaults.helixCount)),
+        tubeSize: Math.round(clampNumber(value.tubeSize, ORIGAMI_LIMITS.tubeSize[lattice], ORIGAMI_LIMITS.tubeSize[lattice].min)),
+        length: Math.round(clampNumber(value.length, ORIGAMI_LIMITS.length, defaults.length)),
+        scaffold,
+        scaffoldStart: Math.round(clampNumber(value.scaffoldStart, ORIGAMI_LIMITS.scaffoldStart, 1)),
+    };
+};
+
+// Helix length in bases: whole lattice repeats, at least two.
+export const helixLength = (settings) => {
+    const { step } = ORIGAMI_LATTICES[settings.lattice];
+    return Math.max(2, Math.floor(settings.length / step)) * step;
+};
+
+// --- Shapes ---
+// Each shape is a list of [row, col] lattice cells in scaffold routing order, consecutive cells
+// being lattice neighbours.
+
+// The cycle through `cells`, each of which must have exactly two neighbours among them.
+const walkRing = (cells, lattice) => {
+    const keys = new Set(cells.map(cell => cell.join(',')));
+    const ring = [cells[0]];
+    while (ring.length < cells.length) {
+        const current = ring[ring.length - 1];
+        const previous = ring.length > 1 ? ring[ring.length - 2].join(',') : null;
+        ring.push(lattice.neighbors(...current).find(cell => keys.has(cell.join(',')) && cell.join(',') !== previous));
+    }
+    return ring;
+};
+
+// The helices around the outside of a hexagonal patch of honeycomb hexagons `rings` deep. A
+// hexagon at (r, c) (c and r of opposite parity) is the cells r..r+1 × c..c+2; cells in fewer
+// than three of the patch's hexagons are on its outside.
+const honeycombRing = (rings) => {
+    const membership = new Map();
+    for (let r = -rings; r <= rings; r++) {
+        for (let c = 1 - 2 * rings; c <= 1 + 2 * rings; c++) {
+            const dr = Math.abs(r);
+            const dc = Math.abs(c - 1);
+            if (mod(c, 2) === mod(r, 2) || dr + Math.max(0, (dc - dr) / 2) > rings) continue;
+            [0, 1].forEach(i => [0, 1, 2].forEach(j => {
+                const key = `${r + i},${c + j}`;
+                membership.set(key, (membership.get(key) || 0) + 1);
+            }));
+        }
+    }
+    const cells = [...membership].filter(([, count]) => count < 3).map(([key]) => key.split(',').map(Number));
+    return walkRing(cells, ORIGAMI_LATTICES.honeycomb);
+};
+
+const squareRing = (side) => {
+    const cells = [];
+    for (let col = 0; col < side; col++) cells.push([0, col]);
+    for (let row = 1; row < side; row++) cells.push([row, side - 1]);
+    for (let col = side - 2; col >= 0; col--) cells.push([side - 1, col]);
+    for (let row = side - 2; row > 0; row--) cells.push([row, 0]);
+    return cells;
+};
+
+const shapeCells = (settings) => {
+    if (settings.shape === 'sheet') return Array.from({ length: settings.helixCount }, (_, col) => [0, col]);
+    if (settings.shape === 'sixHelixBundle') return honeycombRing(0);
+    return settings.lattice === 'square' ? squareRing(settings.tubeSize) : honeycombRing(settings.tubeSize);
+};
+
+// Starts a ring at an even-parity helix (the scaffold's 5' end) and moves every cell to
+// non-negative rows and columns, as caDNAno needs, by even amounts so parities don't change.
+const placeCells = (cells) => {
+    const start = Math.max(0, cells.findIndex(([row, col]) => isEvenParity(row, col)));
+    const ordered = cells.slice(start).concat(cells.slice(0, start));
+    const evenShift = (values) => 2 * Math.ceil(Math.max(0, -Math.min(...values)) / 2);
+    const rowShift = evenShift(ordered.map(([row]) => row));
+    const colShift = evenShift(ordered.map(([, col]) => col));
+    return ordered.map(([row, col]) => [row + rowShift, col + colShift]);
+};
+
+// The neighbour direction of a pair of helices, from the even-parity helix's side (caDNAno's
+// tables are symmetric, so either side would do).
+const pairDirection = (lattice, a, b) => {
+    const [even, odd] = isEvenParity(a.row, a.col) ? [a, b] : [b, a];
+    return lattice.neighbors(even.row, even.col).findIndex(([row, col]) => row === odd.row && col === odd.col);
+};
+
+// Crossover sites p (joining bases p and p + 1) along a helix of `length` bases.
+const crossoverSites = (sites, step, length) => {
+    const positions = [];
+    for (let p = 0; p + 1 < length; p++) {
+        if (sites.includes(p % step)) positions.push(p);
+    }
+    return positions;
+};
+
+// --- Design ---
+
+export const designOrigami = (input) => {
+    const settings = normalizeOrigami(input);
+    const lattice = ORIGAMI_LATTICES[settings.lattice];
+    const length = helixLength(settings);
+    const cells = placeCells(shapeCells(settings));
+    const warnings = [];
+
+    // Helix numbers: even for even parity (scaffold 5'->3' with increasing base index), odd otherwise.
+    const nextNumber = [0, 1];
+    const helices = cells.map(([row, col]) => {
+        const parity = isEvenParity(row, col) ? 0 : 1;
+        const num = nextNumber[parity];
+        nextNumber[parity] += 2;
+        return { num, row, col, ...lattice.position(row, col), lo: 0, hi: length - 1 };
+    });
+    const forwardScaffold = (h) => isEvenParity(helices[h].row, helices[h].col);
+    const size = helices.length * length;
+    const address = (h, i) => h * length + i;
+
+    // Scaffold raster: helix k runs from where it was entered to the crossover nearest its far end.
+    // A forward helix leaves at a site's lower base p, a reverse one at its upper base p + 1.
+    const scaffoldJumps = [];
+    for (let k = 0; k + 1 < helices.length; k++) {
+        const direction = pairDirection(lattice, helices[k], helices[k + 1]);
+        const sites = crossoverSites(lattice.scaffoldSites[direction], lattice.step, length);
+        if (forwardScaffold(k)) {
+            const p = sites[sites.length - 1];
+            helices[k].hi = p;
+            helices[k + 1].hi = p;
+            scaffoldJumps.push([address(k, p), address(k + 1, p)]);
+        } else {
+            const p = sites[0] + 1;
+            helices[k].lo = p;
+            helices[k + 1].lo = p;
+            scaffoldJumps.push([address(k, p), address(k + 1, p)]);
+        }
+    }
+
+    // Strands along each helix, 5'->3': the scaffold forward on even helices, staples the other way.
+    const strand = () => ({ next: new Int32Array(size).fill(-1), prev: new Int32Array(size).fill(-1) });
+    const link = (strands, from, to) => {
+        strands.next[from] = to;
+        strands.prev[to] = from;
+    };
+    const scaffold = strand();
+    const staple = strand();
+    helices.forEach((helix, h) => {
+        for (let i = helix.lo; i < helix.hi; i++) {
+            if (forwardScaffold(h)) {
+                link(scaffold, address(h, i), address(h, i + 1));
+                link(staple, address(h, i + 1), address(h, i));
+            } else {
+                link(scaffold, address(h, i + 1), address(h, i));
+                link(staple, address(h, i), address(h, i + 1));
+            }
+        }
+    });
+    scaffoldJumps.forEach(([from, to]) => link(scaffold, from, to));
+
+    // Scaffold order, from its 5' end on the first helix.
+    scaffold.order = new Int32Array(size).fill(-1);
+    let scaffoldNeeded = 0;
+    for (let base = address(0, helices[0].lo); base !== -1; base = scaffold.next[base]) {
+        scaffold.order[base] = scaffoldNeeded;
+        scaffoldNeeded += 1;
+    }
+
+    // Staple crossovers between every pair of neighbouring helices, as double crossovers: at site
+    // p the forward-running staple jumps across at base p and the reverse-running one at p + 1.
+    // Sites closer to a helix end than half a minimum staple are skipped, so the staples that
+    // reach the ends aren't too short.
+    let stapleCrossovers = 0;
+    const indexByCell = new Map(helices.map((helix, h) => [`${helix.row},${helix.col}`, h]));
+    helices.forEach((helix, a) => {
+        lattice.neighbors(helix.row, helix.col).forEach(([row, col]) => {
+            const b = indexByCell.get(`${row},${col}`);
+            if (b === undefined || b < a) return;
+            const direction = pairDirection(lattice, helix, helices[b]);
+            // The staple runs forward on the odd-parity helix.
+            const [forward, reverse] = forwardScaffold(a) ? [b, a] : [a, b];
+            crossoverSites(lattice.stapleSites[direction], lattice.step, length).forEach(p => {
+                if ([a, b].some(h => p - helices[h].lo < END_GAP || helices[h].hi - p < END_GAP)) return;
+                link(staple, address(forward, p), address(reverse, p));
+                link(staple, address(reverse, p + 1), address(forward, p + 1));
+                stapleCrossovers += 2;
+            });
+        });
+    });
+
+    // Breaking. A strand is an array of base addresses; it may be broken before its j-th base
+    // when the MIN_CROSSOVER_GAP bases on either side stay on one helix.
+    const helixOf = (base) => Math.floor(base / length);
+    const breakable = (bases, j, circular) => {
+        const n = bases.length;
+        if (!circular && (j - MIN_CROSSOVER_GAP < 0 || j + MIN_CROSSOVER_GAP > n)) return false;
+        const helix = helixOf(bases[mod(j, n)]);
+        for (let offset = -MIN_CROSSOVER_GAP; offset < MIN_CROSSOVER_GAP; offset++) {
+            if (helixOf(bases[mod(j + offset, n)]) !== helix) return false;
+        }
+        return true;
+    };
+    const strands = [];
+    const visited = new Uint8Array(size);
+    const follow = (start) => {
+        const bases = [];
+        for (let base = start; base !== -1 && !visited[base]; base = staple.next[base]) {
+            visited[base] = 1;
+            bases.push(base);
+        }
+        return bases;
+    };
+    helices.forEach((helix, h) => {
+        for (let i = helix.lo; i <= helix.hi; i++) {
+            if (staple.prev[address(h, i)] === -1) strands.push(follow(address(h, i)));
+        }
+    });
+    // What's left is closed loops: open each at its first breakable point.
+    helices.forEach((helix, h) => {
+        for (let i = helix.lo; i <= helix.hi; i++) {
+            if (visited[address(h, i)]) continue;
+            const loop = follow(address(h, i));
+            let j = loop.findIndex((_, index) => breakable(loop, index, true));
+            if (j < 0) {
+                warnings.push(`A circular staple on helix ${helix.num} could not be opened away from a crossover.`);
+                j = 0;
+            }
+            strands.push(loop.slice(j).concat(loop.slice(0, j)));
+        }
+    });
+
+    // Splits strands longer than STAPLE_LENGTH.max into pieces of about the target length.
+    const pieces = [];
+    strands.forEach(bases => {
+        let start = 0;
+        while (bases.length - start > STAPLE_LENGTH.max) {
+            const remaining = bases.length - start;
+            const ideal = start + Math.round(remaining / Math.ceil(remaining / STAPLE_LENGTH.target));
+            let best = -1;
+            const last = Math.min(start + STAPLE_LENGTH.max, bases.length - STAPLE_LENGTH.min);
+            for (let j = start + STAPLE_LENGTH.min; j <= last; j++) {
+                if (breakable(bases, j, false) && (best < 0 || Math.abs(j - ideal) < Math.abs(best - ideal))) best = j;
+            }
+            if (best < 0) break;
+            pieces.push(bases.slice(start, best));
+            start = best;
+        }
+        pieces.push(bases.slice(start));
+    });
+    // Rewire the staple strands to match the pieces.
+    pieces.forEach(bases => {
+        staple.prev[bases[0]] = -1;
+        staple.next[bases[bases.length - 1]] = -1;
+    });
+
+    // Staple sequences pair with the scaffold, read from scaffoldStart along the routing and
+    // wrapping around the (circular) scaffold.
+    const scaffoldSequence = settings.scaffold ? settings.scaffold.sequence : '';
+    const hasSequence = scaffoldSequence.length >= scaffoldNeeded;
+    if (!scaffoldSequence) {
+        warnings.push('No scaffold sequence loaded: staple lengths and positions are shown, but not their sequences.');
+    } else if (!hasSequence) {
+        warnings.push(`The scaffold is ${scaffoldSequence.length.toLocaleString()} nt but this shape needs ${scaffoldNeeded.toLocaleString()} nt; shorten the helices or use fewer of them.`);
+    }
+    const scaffoldBase = (base) => scaffoldSequence[(settings.scaffoldStart - 1 + scaffold.order[base]) % scaffoldSequence.length];
+    const baseName = (base) => `${helices[helixOf(base)].num}[${base % length}]`;
+
+    const staples = pieces
+        .map(bases => ({ bases, start: bases[0] }))
+        .sort((a, b) => helices[helixOf(a.start)].num - helices[helixOf(b.start)].num || (a.start % length) - (b.start % length))
+        .map(({ bases }, index) => {
+            const sequence = hasSequence ? bases.map(base => COMPLEMENT[scaffoldBase(base)] || 'N').join('') : null;
+            return {
+                name: `stap${index + 1}`,
+                start: baseName(bases[0]),
+                end: baseName(bases[bases.length - 1]),
+                bases,
+                length: bases.length,
+                sequence,
+                tm: sequence ? meltingTemperature(sequence, ORIGAMI_TM_CONDITIONS) : null,
+                color: STAPLE_COLORS[index % STAPLE_COLORS.length],
+            };
+        });
+
+    const outOfRange = staples.filter(({ length: n }) => n < STAPLE_LENGTH.min || n > STAPLE_LENGTH.max).length;
+    if (outOfRange > 0) {
+        warnings.push(`${outOfRange} staple(s) fall outside ${STAPLE_LENGTH.min}–${STAPLE_LENGTH.max} nt, where no break point was far enough from a crossover.`);
+    }
+
+    return {
+        shape: settings.shape,
+        lattice: settings.lattice,
+        length,
+        helices,
+        scaffold,
+        staple,
+        staples,
+        scaffoldNeeded,
+        scaffoldCrossovers: scaffoldJumps.length,
+        stapleCrossovers,
+        warnings,
+    };
+};
+
+// --- Export ---
+
+// 96-well plate positions, filled row by row (A1, A2, ... A12, B1, ...).
+const PLATE_ROWS = 'ABCDEFGH';
+const PLATE_COLUMNS = 12;
+
+// Staples as a plate map for ordering: plate, well, name, sequence, length, Tm and the caDNAno
+// positions of the 5' and 3' ends (helix[base]).
+export const formatStapleCsv = (design) => formatCsv([
+    ['Plate', 'Well', 'Name', 'Sequence', 'Length', 'Tm (°C)', 'Start', 'End'],
+    ...design.staples.map((staple, index) => {
+        const well = index % (PLATE_ROWS.length * PLATE_COLUMNS);
+        return [
+            `Plate ${Math.floor(index / (PLATE_ROWS.length * PLATE_COLUMNS)) + 1}`,
+            `${PLATE_ROWS[Math.floor(well / PLATE_COLUMNS)]}${(well % PLATE_COLUMNS) + 1}`,
+            staple.name,
+            staple.sequence || '',
+            staple.length,
+            staple.tm === null ? '' : staple.tm.toFixed(1),
+            staple.start,
+            staple.end,
+        ];
+    }),
+]);
+
+// The design as caDNAno 2 JSON: one virtual helix per helix, where each base of the scaffold and
+// staple strands is [previous helix, previous base, next helix, next base] (-1 for none).
+export const formatCadnanoJson = (design, name) => {
+    const { length, helices } = design;
+    const neighbour = (base) => (base === -1 ? [-1, -1] : [helices[Math.floor(base / length)].num, base % length]);
+    const strandEntries = (strands, h) => Array.from({ length }, (_, i) => {
+        const base = h * length + i;
+        return [...neighbour(strands.prev[base]), ...neighbour(strands.next[base])];
+    });
+    const vstrands = helices.map((helix, h) => ({
+        row: helix.row,
+        col: helix.col,
+        num: helix.num,
+        scaf: strandEntries(design.scaffold, h),
+        stap: strandEntries(design.staple, h),
+        loop: new Array(length).fill(0),
+        skip: new Array(length).fill(0),
+        scafLoop: [],
+        stapLoop: [],
+        stap_colors: design.staples
+            .filter(staple => Math.floor(staple.bases[0] / length) === h)
+            .map(staple => [staple.bases[0] % length, parseInt(staple.color.slice(1), 16)]),
+    }));
+    return JSON.stringify({ name: `${name}.json`, vstrands });
+};
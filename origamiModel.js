@@ -0,0 +1,118 @@
+import * as THREE from 'three';
+import { RISE_NM, HELIX_RADIUS_NM } from './helixGeometry';
+import { ORIGAMI_LATTICES } from './origami';
+
+// --- Origami Model ---
+// Three.js objects for a DNA origami design from origami.js, one scene unit per nanometre: the
+// helices as parallel translucent cylinders along x, the scaffold as one blue line through its
+// backbone positions and the staples as lines in their caDNAno colours. Crossovers show as the
+// line segments jumping between helices. Each helix is turned so its backbones face the partner
+// helices at its crossovers as closely as the lattice's twist allows (a crossover lies between two
+// base pairs, so within half a step). Lines don't export to STL/OBJ/glTF, so exported models are
+// the helix cylinders.
+
+const SCAFFOLD_COLOR = 0x1d4ed8;
+const HELIX_COLOR = 0xcbd5e1;
+
+// Rotation that lays a y-aligned cylinder along the helix axis (x).
+const ALONG_X = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), Math.PI / 2);
+
+export const createOrigamiModel = (design) => {
+    const model = new THREE.Group();
+    model.name = 'origami';
+    const { length, helices } = design;
+    const twist = (2 * Math.PI) / ORIGAMI_LATTICES[design.lattice].bpPerTurn;
+
+    // Angles are measured in the lattice plane (caDNAno's x and y), which is turned half a turn
+    // into the scene's y-z plane: centred, with the lattice's columns running down the screen so a
+    // sheet faces the camera.
+    const centerX = helices.reduce((sum, helix) => sum + helix.x, 0) / helices.length;
+    const centerY = helices.reduce((sum, helix) => sum + helix.y, 0) / helices.length;
+    const axes = helices.map(helix => ({ y: centerX - helix.x, z: centerY - helix.y }));
+    const helixOf = (base) => Math.floor(base / length);
+    const baseX = (i) => (i - (length - 1) / 2) * RISE_NM;
+    // In this model the strand running towards higher base indices (the scaffold on even-parity
+    // helices) faces the opposite way to its partner strand.
+    const strandOffset = (strand, h) => ((strand === design.scaffold) === (helices[h].num % 2 === 0) ? 0 : Math.PI);
+
+    // Backbone phase of each helix: the circular mean of the phases its crossovers ask for.
+    const phases = helices.map((helix, h) => {
+        let cos = 0;
+        let sin = 0;
+        for (let i = helix.lo; i <= helix.hi; i++) {
+            const base = h * length + i;
+            for (const strand of [design.scaffold, design.staple]) {
+                for (const other of [strand.next[base], strand.prev[base]]) {
+                    if (other === -1 || helixOf(other) === h) continue;
+                    const partner = helices[helixOf(other)];
+                    const phase = Math.atan2(partner.y - helix.y, partner.x - helix.x) - i * twist - strandOffset(strand, h);
+                    cos += Math.cos(phase);
+                    sin += Math.sin(phase);
+                }
+            }
+        }
+        return Math.atan2(sin, cos);
+    });
+    const backbonePoint = (base, strand) => {
+        const h = helixOf(base);
+        const angle = phases[h] + (base % length) * twist + strandOffset(strand, h);
+        return [
+            baseX(base % length),
+            axes[h].y - HELIX_RADIUS_NM * Math.cos(angle),
+            axes[h].z - HELIX_RADIUS_NM * Math.sin(angle),
+        ];
+    };
+
+    // Helices: a unit cylinder per helix, stretched over the bases it covers.
+    const cylinders = new THREE.InstancedMesh(
+        new THREE.CylinderGeometry(HELIX_RADIUS_NM, HELIX_RADIUS_NM, 1, 16),
+        new THREE.MeshPhongMaterial({ color: HELIX_COLOR, transparent: true, opacity: 0.35, depthWrite: false }),
+        helices.length,
+    );
+    const matrix = new THREE.Matrix4();
+    helices.forEach((helix, h) => {
+        const span = (helix.hi - helix.lo + 1) * RISE_NM;
+        const position = new THREE.Vector3((baseX(helix.lo) + baseX(helix.hi)) / 2, axes[h].y, axes[h].z);
+        cylinders.setMatrixAt(h, matrix.compose(position, ALONG_X, new THREE.Vector3(1, span, 1)));
+    });
+    cylinders.instanceMatrix.needsUpdate = true;
+    cylinders.name = 'helices';
+    model.add(cylinders);
+
+    // Scaffold: one polyline from its 5' end, on the first helix (whose bases are addressed 0..length-1).
+    const scaffoldPoints = [];
+    for (let base = helices[0].lo; base !== -1; base = design.scaffold.next[base]) {
+        scaffoldPoints.push(...backbonePoint(base, design.scaffold));
+    }
+    const scaffoldGeometry = new THREE.BufferGeometry();
+    scaffoldGeometry.setAttribute('position', new THREE.Float32BufferAttribute(scaffoldPoints, 3));
+    const scaffold = new THREE.Line(scaffoldGeometry, new THREE.LineBasicMaterial({ color: SCAFFOLD_COLOR }));
+    scaffold.name = 'scaffold';
+    model.add(scaffold);
+
+    // Staples: one segment per step along each staple, coloured per staple.
+    const staplePoints = [];
+    const stapleColors = [];
+    design.staples.forEach(staple => {
+        const color = new THREE.Color(staple.color);
+        for (let i = 0; i + 1 < staple.bases.length; i++) {
+            staplePoints.push(...backbonePoint(staple.bases[i], design.staple), ...backbonePoint(staple.bases[i + 1], design.staple));
+            stapleColors.push(color.r, color.g, color.b, color.r, color.g, color.b);
+        }
+    });
+    const stapleGeometry = new THREE.BufferGeometry();
+    stapleGeometry.setAttribute('position', new THREE.Float32BufferAttribute(staplePoints, 3));
+    stapleGeometry.setAttribute('color', new THREE.Float32BufferAttribute(stapleColors, 3));
+    const staples = new THREE.LineSegments(stapleGeometry, new THREE.LineBasicMaterial({ vertexColors: true }));
+    staples.name = 'staples';
+    model.add(staples);
+
+    return model;
+};
+
+// Distance (nm) from the centre of the helix axes to the outside of the furthest helix.
+export const origamiRadius = (design) => {
+    const centerX = design.helices.reduce((sum, helix) => sum + helix.x, 0) / design.helices.length;
+    const centerY = design.helices.reduce((sum, helix) => sum + helix.y, 0) / design.helices.length;
+    return Math.max(...design.helices.map(helix => Math.hypot(helix.x - centerX, helix.y - centerY))) + HELIX_RADIUS_NM;
+};
@@ -0,0 +1,12 @@
+// --- ParseError ---
+// Error thrown by the file parsers. Carries the 1-based line number (or null when the problem
+// isn't tied to a line) so the UI can point the user at the offending part of the file.
+
+export class ParseError extends Error {
+    constructor(message, line = null) {
+        super(line ? `Line ${line}: ${message}` : message);
+        this.name = 'ParseError';
+        this.line = line;
+        this.reason = message;
+    }
+}
@@ -0,0 +1,117 @@
+// --- Built-in Part Library ---
+// Common, well-characterised parts (mostly from the iGEM Registry of Standard Biological Parts)
+// that can be dropped straight into the DNA Editor. Each part lists its element `type`, its
+// sequence (5'->3') and optional sub-annotations with 1-based coordinates inside the part.
+
+export const PART_LIBRARY = [
+    // Promoters
+    {
+        id: 'BBa_J23100',
+        name: 'J23100 (strong constitutive)',
+        type: 'Promoter',
+        sequence: 'TTGACGGCTAGCTCAGTCCTAGGTACAGTGCTAGC',
+        annotations: [
+            { name: '-35 box', type: 'misc_feature', start: 1, end: 6 },
+            { name: '-10 box', type: 'misc_feature', start: 24, end: 29 },
+        ],
+    },
+    {
+        id: 'BBa_J23119',
+        name: 'J23119 (consensus constitutive)',
+        type: 'Promoter',
+        sequence: 'TTGACAGCTAGCTCAGTCCTAGGTATAATGCTAGC',
+        annotations: [
+            { name: '-35 box', type: 'misc_feature', start: 1, end: 6 },
+            { name: '-10 box', type: 'misc_feature', start: 24, end: 29 },
+        ],
+    },
+    {
+        id: 'BBa_R0040',
+        name: 'pTet (TetR-repressible)',
+        type: 'Promoter',
+        sequence: 'TCCCTATCAGTGATAGAGATTGACATCCCTATCAGTGATAGAGATACTGAGCAC',
+        annotations: [
+            { name: 'tetO1', type: 'protein_bind', start: 1, end: 19 },
+            { name: 'tetO2', type: 'protein_bind', start: 26, end: 44 },
+        ],
+    },
+    {
+        id: 'T7_promoter',
+        name: 'T7 promoter',
+        type: 'Promoter',
+        sequence: 'TAATACGACTCACTATAGGG',
+        annotations: [],
+    },
+
+    // Ribosome binding sites
+    {
+        id: 'BBa_B0034',
+        name: 'B0034 (strong RBS)',
+        type: 'RBS',
+        sequence: 'AAAGAGGAGAAA',
+        annotations: [],
+    },
+    {
+        id: 'BBa_B0030',
+        name: 'B0030 (medium RBS)',
+        type: 'RBS',
+        sequence: 'ATTAAAGAGGAGAAA',
+        annotations: [],
+    },
+
+    // Reporters
+    {
+        id: 'BBa_E0040',
+        name: 'GFP (GFPmut3b)',
+        type: 'Reporter',
+        sequence: 'ATGCGTAAAGGAGAAGAACTTTTCACTGGAGTTGTCCCAATTCTTGTTGAATTAGATGGTGATGTTAATGGGCACAAATTTTCTGTCAGTGGAGAGGGTGAAGGTGATGCAACATACGGAAAACTTACCCTTAAATTTATTTGCACTACTGGAAAACTACCTGTTCCATGGCCAACACTTGTCACTACTTTCGGTTATGGTGTTCAATGCTTTGCGAGATACCCAGATCATATGAAACAGCATGACTTTTTCAAGAGTGCCATGCCCGAAGGTTATGTACAGGAAAGAACTATATTTTTCAAAGATGACGGGAACTACAAGACACGTGCTGAAGTCAAGTTTGAAGGTGATACCCTTGTTAATAGAATCGAGTTAAAAGGTATTGATTTTAAAGAAGATGGAAACATTCTTGGACACAAATTGGAATACAACTATAACTCACACAATGTATACATCATGGCAGACAAACAAAAGAATGGAATCAAAGTTAACTTCAAAATTAGACACAACATTGAAGATGGAAGCGTTCAACTAGCAGACCATTATCAACAAAATACTCCAATTGGCGATGGCCCTGTCCTTTTACCAGACAACCATTACCTGTCCACACAATCTGCCCTTTCGAAAGATCCCAACGAAAAGAGAGACCACATGGTCCTTCTTGAGTTTGTAACAGCTGCTGGGATTACACATGGCATGGATGAACTATACAAATAATAA',
+        annotations: [],
+    },
+
+    // Terminators
+    {
+        id: 'BBa_B0015',
+        name: 'B0015 (double terminator)',
+        type: 'Terminator',
+        sequence: 'CCAGGCATCAAATAAAACGAAAGGCTCAGTCGAAAGACTGGGCCTTTCGTTTTATCTGTTGTTTGTCGGTGAACGCTCTCTACTAGAGTCACACTGGCTCACCTTCGGGTGGGCCTTTCTGCGTTTATA',
+        annotations: [
+            { name: 'B0010 (rrnB T1)', type: 'terminator', start: 1, end: 80 },
+            { name: 'B0012 (T7 TE)', type: 'terminator', start: 89, end: 129 },
+        ],
+    },
+    {
+        id: 'BBa_B0010',
+        name: 'B0010 (rrnB T1)',
+        type: 'Terminator',
+        sequence: 'CCAGGCATCAAATAAAACGAAAGGCTCAGTCGAAAGACTGGGCCTTTCGTTTTATCTGTTGTTTGTCGGTGAACGCTCTC',
+        annotations: [],
+    },
+
+    // CRISPR
+    {
+        id: 'sgRNA_scaffold_SpCas9',
+        name: 'sgRNA scaffold (SpCas9)',
+        type: 'CRISPR Guide',
+        sequence: 'GTTTTAGAGCTAGAAATAGCAAGTTAAAATAAGGCTAGTCCGTTATCAACTTGAAAAAGTGGCACCGAGTCGGTGCTTTTTT',
+        annotations: [
+            { name: 'sgRNA scaffold', type: 'scaffold', start: 1, end: 76 },
+            { name: 'Pol III terminator', type: 'terminator', start: 77, end: 82 },
+        ],
+    },
+
+    // Linkers
+    {
+        id: 'GS_linker_3x',
+        name: '(GGGGS)x3 protein linker',
+        type: 'Linker',
+        sequence: 'GGTGGTGGTGGTTCTGGTGGTGGTGGTTCTGGTGGTGGTGGTTCT',
+        annotations: [],
+    },
+    {
+        id: 'BioBrick_scar',
+        name: 'BioBrick scar',
+        type: 'Linker',
+        sequence: 'TACTAGAG',
+        annotations: [],
+    },
+];
@@ -0,0 +1,80 @@
+import { reverseComplement } from './sequenceUtils';
+
+// --- Primer Design ---
+// Melting temperatures and template-binding regions for PCR primers and assembly overlaps.
+// Tm uses the SantaLucia (1998) unified nearest-neighbour parameters with a monovalent salt
+// correction. Polymerase vendors' calculators assume their own buffers, so their numbers differ
+// by a few degrees; treat these as consistent relative values.
+
+// Nearest-neighbour stacks: [ΔH kcal/mol, ΔS cal/(K·mol)], keyed 5'->3' on the top strand.
+const NN_PARAMS = {
+    AA: [-7.9, -22.2], TT: [-7.9, -22.2],
+    AT: [-7.2, -20.4],
+    TA: [-7.2, -21.3],
+    CA: [-8.5, -22.7], TG: [-8.5, -22.7],
+    GT: [-8.4, -22.4], AC: [-8.4, -22.4],
+    CT: [-7.8, -21.0], AG: [-7.8, -21.0],
+    GA: [-8.2, -22.2], TC: [-8.2, -22.2],
+    CG: [-10.6, -27.2],
+    GC: [-9.8, -24.4],
+    GG: [-8.0, -19.9], CC: [-8.0, -19.9],
+};
+
+// Initiation terms for a terminal G·C or A·T pair.
+const INIT_GC = [0.1, -2.8];
+const INIT_AT = [2.3, 4.1];
+
+const GAS_CONSTANT = 1.987; // cal/(K·mol)
+
+export const DEFAULT_TM_CONDITIONS = { sodiumMolar: 0.05, primerMolar: 250e-9 };
+
+// Melting temperature (°C) of a primer against its perfect complement. Ambiguous bases are
+// skipped, so they neither raise nor lower the estimate.
+export const meltingTemperature = (sequence, conditions = DEFAULT_TM_CONDITIONS) => {
+    const bases = sequence.toUpperCase().replace(/[^ACGT]/g, '');
+    if (bases.length < 2) return 0;
+    let enthalpy = 0;
+    let entropy = 0;
+    for (const end of [bases[0], bases[bases.length - 1]]) {
+        const [dh, ds] = end === 'G' || end === 'C' ? INIT_GC : INIT_AT;
+        enthalpy += dh;
+        entropy += ds;
+    }
+    for (let i = 0; i < bases.length - 1; i++) {
+        const [dh, ds] = NN_PARAMS[bases.slice(i, i + 2)];
+        enthalpy += dh;
+        entropy += ds;
+    }
+    entropy += 0.368 * (bases.length - 1) * Math.log(conditions.sodiumMolar);
+    const selfComplementary = bases === reverseComplement(bases);
+    const concentration = selfComplementary ? conditions.primerMolar : conditions.primerMolar / 4;
+    if (selfComplementary) entropy += -1.4;
+    return (enthalpy * 1000) / (entropy + GAS_CONSTANT * Math.log(concentration)) - 273.15;
+};
+
+const isGcBase = (base) => base === 'G' || base === 'C';
+
+// Picks the shortest stretch of `template` starting at `start` (reading rightwards) or ending at
+// `start` (reading leftwards, for a reverse primer) whose Tm reaches `targetTm`, then extends it by
+// up to two bases to end on a G or C clamp. Returns the binding region as the primer reads it:
+//   { sequence, length, tm, reachedTarget }
+export const designBindingRegion = (template, start, direction, { targetTm = 58, minLength = 18, maxLength = 35 } = {}) => {
+    const available = direction === 'forward' ? template.length - start : start;
+    const limit = Math.min(maxLength, available);
+    const regionOf = (length) => (direction === 'forward'
+        ? template.slice(start, start + length)
+        : reverseComplement(template.slice(start - length, start)));
+
+    let length = Math.min(minLength, limit);
+    while (length < limit && meltingTemperature(regionOf(length)) < targetTm) length++;
+    for (let extra = 0; extra <= 2 && length + extra <= limit; extra++) {
+        const candidate = regionOf(length + extra);
+        if (isGcBase(candidate[candidate.length - 1])) {
+            length += extra;
+            break;
+        }
+    }
+    const sequence = regionOf(length);
+    const tm = meltingTemperature(sequence);
+    return { sequence, length, tm, reachedTarget: tm >= targetTm };
+};
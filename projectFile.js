@@ -0,0 +1,147 @@
+import { ParseError } from './parseError';
+import { ELEMENT_TYPES, createElement } from './construct';
+import { NUCLEASES } from './crispr';
+import { defaultRuleConfig } from './designRules';
+import { normalizeOrganoid } from './organoidGeometry';
+import { normalizeSimulation } from './organoidSimulation';
+import { normalizeOrigami } from './origami';
+
+// --- Project Files ---
+// The versioned JSON project format used for saved projects (IndexedDB) and project files.
+//
+// Document shape (schema version 1):
+//   { format: 'biosynth-project', schemaVersion: 1, name, savedAt, state }
+// where `state` holds the App state listed in PROJECT_STATE_DEFAULTS. Older documents are brought
+// up to date by MIGRATIONS, one version at a time, before they are read; documents from a newer
+// version of the app are rejected rather than half-read.
+
+export const PROJECT_FORMAT = 'biosynth-project';
+export const PROJECT_SCHEMA_VERSION = 1;
+export const PROJECT_FILE_EXTENSION = '.biosynth.json';
+
+// Saved App state and the value each field takes when a document lacks it.
+export const PROJECT_STATE_DEFAULTS = {
+    dnaElements: [],
+    constructTopology: 'linear',
+    ruleConfig: null, // null means defaultRuleConfig()
+    crisprInputSequence: '',
+    crisprNuclease: 'SpCas9',
+    crisprResults: [],
+    crisprSequence: '',
+    viewerType: 'dna',
+    helixColorMode: 'base',
+    organoid: null, // null means defaultOrganoid()
+    simulation: null, // null means defaultSimulation()
+    origami: null, // null means defaultOrigami()
+};
+
+// Upgrades from version N to N + 1, keyed by N.
+const MIGRATIONS = {
+    // 0 -> 1: documents from before the project format were bare App state (or just the element
+    // list), and their elements predate sequences, orientation and sub-annotations.
+    0: (data) => {
+        if (!Array.isArray(data) && !Array.isArray(data.dnaElements)) throw new ParseError('Not a BioSynth project file.');
+        const state = Array.isArray(data) ? { dnaElements: data } : { ...data };
+        state.dnaElements = (state.dnaElements || []).map(element => ({
+            sequence: '',
+            orientation: 'forward',
+            annotations: [],
+            ...element,
+        }));
+        return {
+            format: PROJECT_FORMAT,
+            schemaVersion: 1,
+            name: state.name || 'Imported project',
+            savedAt: null,
+            state,
+        };
+    },
+};
+
+// Applies every migration from the document's version up to the current one.
+export const migrateProject = (data) => {
+    let document = data;
+    let version = Array.isArray(data) || data.format !== PROJECT_FORMAT ? 0 : data.schemaVersion;
+    if (!Number.isInteger(version) || version < 0) throw new ParseError(`Unknown project schema version: ${data.schemaVersion}`);
+    if (version > PROJECT_SCHEMA_VERSION) {
+        throw new ParseError(`This project was saved by a newer version (schema ${version}); this app reads up to schema ${PROJECT_SCHEMA_VERSION}.`);
+    }
+    while (version < PROJECT_SCHEMA_VERSION) {
+        document = MIGRATIONS[version](document);
+        version = document.schemaVersion;
+    }
+    return document;
+};
+
+// Fills gaps and drops anything malformed so a hand-edited or partial file can't break the App.
+// Elements get fresh ids so they never collide with elements already in this session; the
+// organoid's references to reporter elements follow them to their new ids.
+const normalizeState = (state) => {
+    const normalized = { ...PROJECT_STATE_DEFAULTS };
+    Object.keys(PROJECT_STATE_DEFAULTS).forEach(key => {
+        if (state[key] !== undefined && state[key] !== null) normalized[key] = state[key];
+    });
+    if (!Array.isArray(normalized.dnaElements)) throw new ParseError('The project has no valid element list.');
+    const newIds = new Map();
+    normalized.dnaElements = normalized.dnaElements.map((element, index) => {
+        if (!element || !ELEMENT_TYPES.includes(element.type)) {
+            throw new ParseError(`Element ${index + 1} has an unknown type: ${element && element.type}`);
+        }
+        const { id, ...fields } = element;
+        const created = createElement(element.type, String(element.name || element.type), {
+            ...fields,
+            sequence: String(fields.sequence || '').toUpperCase(),
+            orientation: fields.orientation === 'reverse' ? 'reverse' : 'forward',
+            annotations: Array.isArray(fields.annotations) ? fields.annotations : [],
+        });
+        newIds.set(String(id), String(created.id));
+        return created;
+    });
+    if (!['linear', 'circular'].includes(normalized.constructTopology)) normalized.constructTopology = 'linear';
+    if (!NUCLEASES[normalized.crisprNuclease]) normalized.crisprNuclease = PROJECT_STATE_DEFAULTS.crisprNuclease;
+    if (!Array.isArray(normalized.crisprResults)) normalized.crisprResults = [];
+    if (!['dna', 'organoid', 'origami'].includes(normalized.viewerType)) normalized.viewerType = 'dna';
+    if (!['base', 'element'].includes(normalized.helixColorMode)) normalized.helixColorMode = 'base';
+    if (!normalized.ruleConfig || typeof normalized.ruleConfig !== 'object') normalized.ruleConfig = defaultRuleConfig();
+    const organoid = normalizeOrganoid(normalized.organoid);
+    normalized.organoid = {
+        ...organoid,
+        cellTypes: organoid.cellTypes.map(cellType => ({ ...cellType, reporterElementId: newIds.get(cellType.reporterElementId) || null })),
+    };
+    normalized.simulation = normalizeSimulation(normalized.simulation);
+    normalized.origami = normalizeOrigami(normalized.origami);
+    return normalized;
+};
+
+// State for a new, empty project.
+export const newProjectState = () => normalizeState({});
+
+// Builds a current-version document from App state.
+export const createProjectDocument = (name, state) => ({
+    format: PROJECT_FORMAT,
+    schemaVersion: PROJECT_SCHEMA_VERSION,
+    name,
+    savedAt: new Date().toISOString(),
+    state: Object.fromEntries(Object.keys(PROJECT_STATE_DEFAULTS).map(key => [key, state[key]])),
+});
+
+// Reads a document (already parsed or as JSON text) of any supported version.
+// Returns { name, savedAt, state }; throws ParseError for anything unreadable.
+export const readProjectDocument = (input) => {
+    let data = input;
+    if (typeof input === 'string') {
+        try {
+            data = JSON.parse(input);
+        } catch (error) {
+            throw new ParseError(`Not a valid JSON project file (${error.message}).`);
+        }
+    }
+    if (!data || typeof data !== 'object') throw new ParseError('Not a project file.');
+    const document = migrateProject(data);
+    if (!document.state || typeof document.state !== 'object') throw new ParseError('The project file has no saved state.');
+    return {
+        name: String(document.name || 'Untitled project'),
+        savedAt: document.savedAt || null,
+        state: normalizeState(document.state),
+    };
+};
@@ -0,0 +1,88 @@
+// --- Project Store ---
+// Named projects kept in the browser's IndexedDB. Each record is
+//   { id, name, updatedAt (ms), document }
+// where `document` is a project document from projectFile.js. All functions return promises and
+// reject when IndexedDB is unavailable (e.g. some private browsing modes).
+
+const DB_NAME = 'biosynth-designer';
+const DB_VERSION = 1;
+const STORE_NAME = 'projects';
+// localStorage key remembering which project to reopen on the next visit.
+const LAST_PROJECT_KEY = 'biosynth-designer:lastProjectId';
+
+let databasePromise = null;
+
+const openDatabase = () => {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser.'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'id' }).createIndex('updatedAt', 'updatedAt');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let a later call retry after a failure.
+        databasePromise.catch(() => { databasePromise = null; });
+    }
+    return databasePromise;
+};
+
+// Runs one request against the projects store and resolves with its result.
+const withStore = async (mode, makeRequest) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = makeRequest(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+export const createProjectId = () => `project-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Project summaries ({ id, name, updatedAt }), most recently saved first.
+export const listProjects = async () => {
+    const records = await withStore('readonly', store => store.getAll());
+    return records
+        .map(({ id, name, updatedAt }) => ({ id, name, updatedAt }))
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+// The stored document for `id`, or null.
+export const loadProject = async (id) => {
+    const record = await withStore('readonly', store => store.get(id));
+    return record ? record.document : null;
+};
+
+export const saveProject = async (id, name, document) => {
+    const record = { id, name, updatedAt: Date.now(), document };
+    await withStore('readwrite', store => store.put(record));
+    return record;
+};
+
+export const deleteProject = (id) => withStore('readwrite', store => store.delete(id));
+
+export const getLastProjectId = () => {
+    try {
+        return window.localStorage.getItem(LAST_PROJECT_KEY);
+    } catch (error) {
+        return null;
+    }
+};
+
+export const setLastProjectId = (id) => {
+    try {
+        window.localStorage.setItem(LAST_PROJECT_KEY, id);
+    } catch (error) {
+        // Storage can be disabled; reopening the last project is only a convenience.
+    }
+};
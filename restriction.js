@@ -0,0 +1,169 @@
+import { matchesAt } from './crispr';
+import { reverseComplement, iupacMatches } from './sequenceUtils';
+import { ENZYME_DATABASE, ENZYMES_BY_NAME } from './enzymeDatabase';
+
+// --- Restriction Analysis ---
+// Finds enzyme sites in a construct, sorts enzymes into cutters / single cutters / non-cutters
+// and simulates digests with one or more enzymes on linear or circular DNA.
+//
+// Cut positions are 0-based "between bases" indices on the top strand: a cut at 10 falls between
+// the 10th and 11th bases. Sites are matched on both strands (palindromes once) and, for circular
+// DNA, across the origin.
+
+// Methylation motifs of E. coli Dam (GATC), Dcm (CCWGG) and mammalian CpG.
+export const METHYLATION_MOTIFS = { dam: 'GATC', dcm: 'CCWGG', cpg: 'CG' };
+
+export const DEFAULT_METHYLATION = { dam: true, dcm: true, cpg: false };
+
+const mod = (value, length) => ((value % length) + length) % length;
+
+// The overhang an enzyme leaves: { type: "5'" | "3'" | 'blunt', length }.
+export const overhangType = (enzyme) => {
+    const length = Math.abs(enzyme.cut - enzyme.cutComplement);
+    if (length === 0) return { type: 'blunt', length: 0 };
+    return { type: enzyme.cut < enzyme.cutComplement ? "5'" : "3'", length };
+};
+
+// Which active methylation motifs overlap `sequence[start, end)` (wrapping when circular).
+const overlappingMethylation = (sequence, start, end, circular, methylation) => Object.entries(METHYLATION_MOTIFS)
+    .filter(([kind]) => methylation[kind])
+    .filter(([, motif]) => {
+        for (let i = start - motif.length + 1; i < end; i++) {
+            if (!circular && (i < 0 || i + motif.length > sequence.length)) continue;
+            let matches = true;
+            for (let k = 0; k < motif.length && matches; k++) matches = iupacMatches(motif[k], sequence[mod(i + k, sequence.length)]);
+            if (matches) return true;
+        }
+        return false;
+    })
+    .map(([kind]) => kind);
+
+// Every site of `enzyme` in the sequence:
+//   { enzyme, position (1-based start of the site), strand, cut, cutComplement, blockedBy, impairedBy }
+// cut/cutComplement are null when the cut would fall off the end of a linear sequence.
+// `blockedBy`/`impairedBy` list the methylation types (of those switched on) that affect the site.
+export const findSites = (sequence, enzyme, topology = 'linear', methylation = DEFAULT_METHYLATION) => {
+    const circular = topology === 'circular';
+    const length = sequence.length;
+    const siteLength = enzyme.site.length;
+    const siteRc = reverseComplement(enzyme.site);
+    const palindrome = siteRc === enzyme.site;
+    const searchable = circular ? sequence + sequence.slice(0, siteLength - 1) : sequence;
+    const sites = [];
+
+    const addSite = (start, strand) => {
+        // On the bottom strand the enzyme reads right to left, so its cuts mirror across the site.
+        const [cut, cutComplement] = strand === '+'
+            ? [start + enzyme.cut, start + enzyme.cutComplement]
+            : [start + siteLength - enzyme.cutComplement, start + siteLength - enzyme.cut];
+        const inRange = (position) => circular || (position > 0 && position < length);
+        const affected = overlappingMethylation(sequence, start, start + siteLength, circular, methylation);
+        const sensitivity = enzyme.methylation || {};
+        sites.push({
+            enzyme: enzyme.name,
+            position: start + 1,
+            strand,
+            cut: inRange(cut) ? (circular ? mod(cut, length) : cut) : null,
+            cutComplement: inRange(cutComplement) ? (circular ? mod(cutComplement, length) : cutComplement) : null,
+            blockedBy: affected.filter(kind => sensitivity[kind] === 'blocked'),
+            impairedBy: affected.filter(kind => sensitivity[kind] === 'impaired'),
+        });
+    };
+
+    for (let i = 0; i + siteLength <= searchable.length && i < length; i++) {
+        if (matchesAt(searchable, enzyme.site, i)) addSite(i, '+');
+        else if (!palindrome && matchesAt(searchable, siteRc, i)) addSite(i, '-');
+    }
+    return sites;
+};
+
+// Site counts for every enzyme in the database (or `enzymes`), split into cutters, single cutters
+// and non-cutters. Methylation-blocked sites are counted separately and do not make an enzyme a cutter.
+//   { enzymes: [{ enzyme, sites, cutCount, blockedCount }], cutters, singleCutters, nonCutters }
+export const restrictionSummary = (sequence, topology = 'linear', methylation = DEFAULT_METHYLATION, enzymes = ENZYME_DATABASE) => {
+    const rows = enzymes.map(enzyme => {
+        const sites = findSites(sequence, enzyme, topology, methylation);
+        const cutting = sites.filter(site => site.cut !== null && site.blockedBy.length === 0);
+        return { enzyme, sites, cutCount: cutting.length, blockedCount: sites.length - cutting.length };
+    });
+    return {
+        enzymes: rows,
+        cutters: rows.filter(row => row.cutCount > 0),
+        singleCutters: rows.filter(row => row.cutCount === 1),
+        nonCutters: rows.filter(row => row.cutCount === 0),
+    };
+};
+
+// Describes one end of a fragment: { enzyme, type, overhang } where `overhang` is the single-
+// stranded sequence read 5'->3' on the strand that carries it (empty for blunt ends).
+const fragmentEnd = (sequence, cut, circular) => {
+    if (!cut) return null;
+    const { type } = overhangType(ENZYMES_BY_NAME.get(cut.enzyme));
+    // Both strands' cuts are reduced modulo the length on circular DNA, so order them by type.
+    const from = type === "3'" ? cut.cutComplement : cut.cut;
+    let to = type === "3'" ? cut.cut : cut.cutComplement;
+    if (circular && to < from) to += sequence.length;
+    let overhang = '';
+    for (let i = from; i < to; i++) overhang += sequence[mod(i, sequence.length)];
+    return { enzyme: cut.enzyme, type, overhang };
+};
+
+// Digests the sequence with the named enzymes. Returns
+//   { fragments: [{ start, end, length, leftEnd, rightEnd, wrapsOrigin }], cuts, uncut, circular }
+// with 1-based inclusive coordinates, largest fragment first. Fragment lengths follow the top
+// strand. An uncut circular molecule is returned as a single fragment with `uncut: true`.
+export const digest = (sequence, topology, enzymeNames, methylation = DEFAULT_METHYLATION) => {
+    const circular = topology === 'circular';
+    const length = sequence.length;
+    const cutMap = new Map();
+    enzymeNames.forEach(name => {
+        const enzyme = ENZYMES_BY_NAME.get(name);
+        if (!enzyme) return;
+        findSites(sequence, enzyme, topology, methylation)
+            .filter(site => site.cut !== null && site.cutComplement !== null && site.blockedBy.length === 0)
+            .forEach(site => {
+                // Two enzymes cutting at the same place leave one cut; keep the first.
+                if (!cutMap.has(site.cut)) cutMap.set(site.cut, site);
+            });
+    });
+    const cuts = [...cutMap.values()].sort((a, b) => a.cut - b.cut);
+
+    if (length === 0) return { fragments: [], cuts, uncut: true, circular };
+    if (cuts.length === 0) {
+        return {
+            fragments: [{ start: 1, end: length, length, leftEnd: null, rightEnd: null, wrapsOrigin: false }],
+            cuts,
+            uncut: true,
+            circular,
+        };
+    }
+
+    const fragments = [];
+    const pushFragment = (startCut, endCut, from, to, wrapsOrigin) => {
+        fragments.push({
+            start: mod(from, length) + 1,
+            end: mod(to - 1, length) + 1,
+            length: to - from,
+            leftEnd: fragmentEnd(sequence, startCut, circular),
+            rightEnd: fragmentEnd(sequence, endCut, circular),
+            wrapsOrigin,
+        });
+    };
+    if (circular) {
+        cuts.forEach((cut, index) => {
+            const next = cuts[(index + 1) % cuts.length];
+            const to = next.cut > cut.cut ? next.cut : next.cut + length;
+            pushFragment(cut, next, cut.cut, to, to > length);
+        });
+    } else {
+        let previous = null;
+        [...cuts, null].forEach(cut => {
+            const from = previous ? previous.cut : 0;
+            const to = cut ? cut.cut : length;
+            if (to > from) pushFragment(previous, cut, from, to, false);
+            previous = cut;
+        });
+    }
+    fragments.sort((a, b) => b.length - a.length);
+    return { fragments, cuts, uncut: false, circular };
+};
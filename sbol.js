@@ -0,0 +1,603 @@
+import { reverseComplement, findInvalidCharacters } from './sequenceUtils';
+import { createElement, elementsFromAnnotatedSequence } from './construct';
+
+// --- SBOL3 Export and Import ---
+// Converts the DNA Editor design to and from SBOL3 (https://sbolstandard.org).
+//
+// The design is held in a small RDF graph model: a Map of subject IRI -> { uri, type, props },
+// where `props` maps predicate IRIs to lists of values ({ iri } or { literal, datatype }).
+// The same model is produced by both parsers, serialized by both writers and checked by
+// `validateSbolDocument`, so every format shares one set of rules.
+//
+// Export layout: one root Component for the construct (with the full Sequence), one Component per
+// element (with its own Sequence and SequenceFeatures for annotations), a SubComponent + Range per
+// element inside the root, and `precedes` Constraints that fix the element order.
+
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const SBOL = 'http://sbols.org/v3#';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+// Namespace for BioSynth-specific annotations (element type), so Gene vs Reporter survives a round trip.
+const BIOSYNTH = 'https://github.com/Likhitha599/BioSynth-Designer#';
+
+const PREFIXES = { rdf: RDF, sbol: SBOL, xsd: XSD, biosynth: BIOSYNTH };
+
+export const DEFAULT_NAMESPACE = 'https://example.org/biosynth';
+
+const SBO_DNA = 'https://identifiers.org/SBO:0000251';
+const SO = (id) => `https://identifiers.org/SO:${id}`;
+const IUPAC_ENCODING = 'https://identifiers.org/edam:format_1207';
+const TOPOLOGY_TYPES = { linear: SO('0000987'), circular: SO('0000988') };
+const ENGINEERED_REGION = SO('0000804');
+const ORIENTATIONS = { forward: `${SBOL}inline`, reverse: `${SBOL}reverseComplement` };
+
+// Sequence Ontology role for each element type. Reporter shares CDS with Gene; the
+// biosynth:elementType annotation tells them apart on import.
+export const ELEMENT_ROLES = {
+    Promoter: SO('0000167'),
+    RBS: SO('0000139'),
+    Gene: SO('0000316'),
+    Reporter: SO('0000316'),
+    Terminator: SO('0000141'),
+    'CRISPR Guide': SO('0001998'),
+    Linker: ENGINEERED_REGION,
+};
+
+// Roles for sub-annotations, keyed by their GenBank-style type.
+const ANNOTATION_ROLES = {
+    promoter: SO('0000167'),
+    terminator: SO('0000141'),
+    RBS: SO('0000139'),
+    CDS: SO('0000316'),
+    protein_bind: SO('0000410'),
+    primer_bind: SO('0005850'),
+    scaffold: SO('0001998'),
+    misc_feature: SO('0000001'),
+};
+
+// Short property names used throughout this module.
+const P = {
+    type: `${RDF}type`,
+    displayId: `${SBOL}displayId`,
+    name: `${SBOL}name`,
+    description: `${SBOL}description`,
+    hasNamespace: `${SBOL}hasNamespace`,
+    sbolType: `${SBOL}type`,
+    role: `${SBOL}role`,
+    hasSequence: `${SBOL}hasSequence`,
+    hasFeature: `${SBOL}hasFeature`,
+    hasConstraint: `${SBOL}hasConstraint`,
+    hasLocation: `${SBOL}hasLocation`,
+    instanceOf: `${SBOL}instanceOf`,
+    elements: `${SBOL}elements`,
+    encoding: `${SBOL}encoding`,
+    start: `${SBOL}start`,
+    end: `${SBOL}end`,
+    orientation: `${SBOL}orientation`,
+    restriction: `${SBOL}restriction`,
+    subject: `${SBOL}subject`,
+    object: `${SBOL}object`,
+    elementType: `${BIOSYNTH}elementType`,
+};
+
+// Predicates whose objects are child objects (their IRIs extend the parent's IRI).
+const CHILD_PREDICATES = [P.hasFeature, P.hasConstraint, P.hasLocation];
+const TOP_LEVEL_TYPES = ['Component', 'Sequence', 'Collection', 'Model', 'Implementation', 'Attachment', 'CombinatorialDerivation', 'ExperimentalData', 'Experiment'];
+
+// --- Graph model helpers ---
+
+export const createSbolDocument = () => new Map();
+
+const addObject = (doc, uri, typeName) => {
+    const object = { uri, type: `${SBOL}${typeName}`, props: new Map() };
+    doc.set(uri, object);
+    return object;
+};
+
+const addValue = (object, predicate, value) => {
+    if (!object.props.has(predicate)) object.props.set(predicate, []);
+    object.props.get(predicate).push(value);
+};
+
+const iri = (value) => ({ iri: value });
+const literal = (value, datatype = null) => ({ literal: String(value), datatype });
+const integer = (value) => literal(value, `${XSD}integer`);
+
+const values = (object, predicate) => (object && object.props.get(predicate)) || [];
+const first = (object, predicate) => values(object, predicate)[0];
+const firstLiteral = (object, predicate) => {
+    const value = first(object, predicate);
+    return value && value.literal !== undefined ? value.literal : undefined;
+};
+const firstIri = (object, predicate) => {
+    const value = first(object, predicate);
+    return value && value.iri;
+};
+const typeName = (object) => (object.type && object.type.startsWith(SBOL) ? object.type.slice(SBOL.length) : object.type);
+
+const objectsOfType = (doc, name) => [...doc.values()].filter(object => object.type === `${SBOL}${name}`);
+
+// displayIds must start with a letter or underscore and contain only letters, digits and underscores.
+const DISPLAY_ID_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+export const toDisplayId = (name) => {
+    const id = String(name || '').replace(/[^A-Za-z0-9_]/g, '_');
+    return /^[A-Za-z_]/.test(id) ? id : `_${id}`;
+};
+
+// --- Design -> SBOL ---
+
+// Builds the SBOL3 graph for a design. `construct` is the result of assembleConstruct.
+export const buildSbolDocument = ({ name, elements, construct, topology = 'linear', namespace = DEFAULT_NAMESPACE }) => {
+    const doc = createSbolDocument();
+    const usedIds = new Set();
+    const uniqueId = (base) => {
+        let id = toDisplayId(base);
+        for (let n = 2; usedIds.has(id); n++) id = `${toDisplayId(base)}_${n}`;
+        usedIds.add(id);
+        return id;
+    };
+
+    const addTopLevel = (typeName, displayId, label) => {
+        const object = addObject(doc, `${namespace}/${displayId}`, typeName);
+        addValue(object, P.hasNamespace, iri(namespace));
+        addValue(object, P.displayId, literal(displayId));
+        if (label) addValue(object, P.name, literal(label));
+        return object;
+    };
+    const addChild = (parent, predicate, typeName, displayId) => {
+        const child = addObject(doc, `${parent.uri}/${displayId}`, typeName);
+        addValue(child, P.displayId, literal(displayId));
+        addValue(parent, predicate, iri(child.uri));
+        return child;
+    };
+    const addSequence = (displayId, sequence) => {
+        const object = addTopLevel('Sequence', displayId);
+        addValue(object, P.elements, literal(sequence.toLowerCase()));
+        addValue(object, P.encoding, iri(IUPAC_ENCODING));
+        return object;
+    };
+    const addRange = (feature, sequenceObject, start, end, orientation) => {
+        const range = addChild(feature, P.hasLocation, 'Range', 'Range1');
+        addValue(range, P.hasSequence, iri(sequenceObject.uri));
+        addValue(range, P.start, integer(start));
+        addValue(range, P.end, integer(end));
+        addValue(range, P.orientation, iri(ORIENTATIONS[orientation] || ORIENTATIONS.forward));
+    };
+
+    // Root component for the whole construct.
+    const rootId = uniqueId(name);
+    const root = addTopLevel('Component', rootId, name);
+    addValue(root, P.sbolType, iri(SBO_DNA));
+    addValue(root, P.sbolType, iri(TOPOLOGY_TYPES[topology] || TOPOLOGY_TYPES.linear));
+    addValue(root, P.role, iri(ENGINEERED_REGION));
+    const rootSequence = construct.sequence ? addSequence(uniqueId(`${rootId}_sequence`), construct.sequence) : null;
+    if (rootSequence) addValue(root, P.hasSequence, iri(rootSequence.uri));
+
+    const subComponents = elements.map((element, index) => {
+        // One Component per element, carrying the part's own sequence and annotations.
+        const partId = uniqueId(element.name);
+        const part = addTopLevel('Component', partId, element.name);
+        addValue(part, P.sbolType, iri(SBO_DNA));
+        addValue(part, P.role, iri(ELEMENT_ROLES[element.type] || ENGINEERED_REGION));
+        addValue(part, P.elementType, literal(element.type));
+        if (element.sequence) {
+            const partSequence = addSequence(uniqueId(`${partId}_sequence`), element.sequence);
+            addValue(part, P.hasSequence, iri(partSequence.uri));
+            (element.annotations || []).forEach((annotation, i) => {
+                const feature = addChild(part, P.hasFeature, 'SequenceFeature', `SequenceFeature${i + 1}`);
+                addValue(feature, P.name, literal(annotation.name));
+                addValue(feature, P.role, iri(ANNOTATION_ROLES[annotation.type] || ANNOTATION_ROLES.misc_feature));
+                addRange(feature, partSequence, annotation.start, annotation.end, 'forward');
+            });
+        }
+
+        // Its use inside the construct.
+        const subComponent = addChild(root, P.hasFeature, 'SubComponent', `SubComponent${index + 1}`);
+        addValue(subComponent, P.name, literal(element.name));
+        addValue(subComponent, P.instanceOf, iri(part.uri));
+        const placed = construct.features[index];
+        if (rootSequence && placed && placed.length > 0) {
+            addRange(subComponent, rootSequence, placed.start, placed.end, element.orientation);
+        }
+        return subComponent;
+    });
+
+    // Ordering constraints: each element precedes the next.
+    for (let i = 0; i + 1 < subComponents.length; i++) {
+        const constraint = addChild(root, P.hasConstraint, 'Constraint', `Constraint${i + 1}`);
+        addValue(constraint, P.restriction, iri(`${SBOL}precedes`));
+        addValue(constraint, P.subject, iri(subComponents[i].uri));
+        addValue(constraint, P.object, iri(subComponents[i + 1].uri));
+    }
+
+    return doc;
+};
+
+// --- Serializers ---
+
+// Shortens an IRI to prefix:local when a known prefix matches.
+const compact = (value) => {
+    for (const [prefix, base] of Object.entries(PREFIXES)) {
+        if (value.startsWith(base) && /^[A-Za-z_][\w-]*$/.test(value.slice(base.length))) {
+            return `${prefix}:${value.slice(base.length)}`;
+        }
+    }
+    return null;
+};
+
+const escapeXml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// RDF/XML with one typed node element per object.
+export const serializeRdfXml = (doc) => {
+    const lines = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        `<rdf:RDF ${Object.entries(PREFIXES).map(([prefix, base]) => `xmlns:${prefix}="${base}"`).join(' ')}>`,
+    ];
+    doc.forEach(object => {
+        const tag = compact(object.type);
+        lines.push(`  <${tag} rdf:about="${escapeXml(object.uri)}">`);
+        object.props.forEach((list, predicate) => {
+            const property = compact(predicate);
+            list.forEach(value => {
+                if (value.iri !== undefined) {
+                    lines.push(`    <${property} rdf:resource="${escapeXml(value.iri)}"/>`);
+                } else if (value.datatype) {
+                    lines.push(`    <${property} rdf:datatype="${value.datatype}">${escapeXml(value.literal)}</${property}>`);
+                } else {
+                    lines.push(`    <${property}>${escapeXml(value.literal)}</${property}>`);
+                }
+            });
+        });
+        lines.push(`  </${tag}>`);
+    });
+    lines.push('</rdf:RDF>', '');
+    return lines.join('\n');
+};
+
+// JSON-LD with a prefix @context and a flat @graph.
+export const serializeJsonLd = (doc) => {
+    const graph = [...doc.values()].map(object => {
+        const node = { '@id': object.uri, '@type': compact(object.type) };
+        object.props.forEach((list, predicate) => {
+            const converted = list.map(value => {
+                if (value.iri !== undefined) return { '@id': value.iri };
+                if (value.datatype === `${XSD}integer`) return Number(value.literal);
+                return value.literal;
+            });
+            node[compact(predicate) || predicate] = converted.length === 1 ? converted[0] : converted;
+        });
+        return node;
+    });
+    return JSON.stringify({ '@context': PREFIXES, '@graph': graph }, null, 2) + '\n';
+};
+
+// --- Parsers ---
+
+// Reads RDF/XML (typed node elements or rdf:Description, nested or flat) into the graph model.
+const parseRdfXml = (text) => {
+    const xml = new DOMParser().parseFromString(text, 'application/xml');
+    const parserError = xml.getElementsByTagName('parsererror')[0];
+    if (parserError) {
+        throw new Error(`Invalid RDF/XML: ${parserError.textContent.trim().split('\n')[0]}`);
+    }
+    const rdfRoot = xml.documentElement;
+    if (rdfRoot.namespaceURI !== RDF || rdfRoot.localName !== 'RDF') {
+        throw new Error('Not an RDF/XML document (missing rdf:RDF root).');
+    }
+
+    const doc = createSbolDocument();
+    let blankCount = 0;
+    const elementChildren = (node) => Array.from(node.childNodes).filter(child => child.nodeType === 1);
+
+    const readNode = (node) => {
+        const uri = node.getAttributeNS(RDF, 'about') || `_:b${++blankCount}`;
+        const isDescription = node.namespaceURI === RDF && node.localName === 'Description';
+        const object = doc.get(uri) || { uri, type: null, props: new Map() };
+        doc.set(uri, object);
+        if (!isDescription) object.type = node.namespaceURI + node.localName;
+
+        elementChildren(node).forEach(property => {
+            const predicate = property.namespaceURI + property.localName;
+            const resource = property.getAttributeNS(RDF, 'resource');
+            const nested = elementChildren(property);
+            let value;
+            if (resource) {
+                value = iri(resource);
+            } else if (nested.length > 0) {
+                value = iri(readNode(nested[0]).uri);
+            } else {
+                value = literal(property.textContent, property.getAttributeNS(RDF, 'datatype') || null);
+            }
+            if (predicate === P.type && value.iri) {
+                object.type = value.iri;
+            } else {
+                addValue(object, predicate, value);
+            }
+        });
+        return object;
+    };
+
+    elementChildren(rdfRoot).forEach(readNode);
+    return doc;
+};
+
+// Reads flat or nested JSON-LD using simple prefix contexts into the graph model.
+const parseJsonLd = (text) => {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid JSON-LD: ${error.message}`);
+    }
+    const doc = createSbolDocument();
+    const context = { ...(json['@context'] && typeof json['@context'] === 'object' ? json['@context'] : {}) };
+    const expand = (term) => {
+        const match = /^([A-Za-z][\w-]*):(.*)$/.exec(term);
+        if (match && typeof context[match[1]] === 'string') return context[match[1]] + match[2];
+        if (typeof context[term] === 'string') return context[term];
+        return term;
+    };
+
+    const readNode = (node) => {
+        const uri = node['@id'];
+        if (!uri) throw new Error('JSON-LD node without @id.');
+        const object = doc.get(uri) || { uri, type: null, props: new Map() };
+        doc.set(uri, object);
+        const types = [].concat(node['@type'] || []);
+        if (types.length > 0) object.type = expand(types[0]);
+
+        Object.entries(node).forEach(([key, raw]) => {
+            if (key.startsWith('@')) return;
+            const predicate = expand(key);
+            [].concat(raw).forEach(item => {
+                if (item && typeof item === 'object') {
+                    if (item['@value'] !== undefined) {
+                        addValue(object, predicate, literal(item['@value'], item['@type'] ? expand(item['@type']) : null));
+                    } else {
+                        addValue(object, predicate, iri(Object.keys(item).length > 1 ? readNode(item).uri : item['@id']));
+                    }
+                } else if (typeof item === 'number') {
+                    addValue(object, predicate, integer(item));
+                } else {
+                    addValue(object, predicate, literal(item));
+                }
+            });
+        });
+        return object;
+    };
+
+    const nodes = Array.isArray(json) ? json : json['@graph'] || [json];
+    nodes.forEach(readNode);
+    return doc;
+};
+
+// Parses SBOL3 text, detecting JSON-LD vs RDF/XML from the first character.
+export const parseSbol = (text) => {
+    const trimmed = text.trim();
+    return trimmed.startsWith('{') || trimmed.startsWith('[') ? parseJsonLd(trimmed) : parseRdfXml(trimmed);
+};
+
+// --- Validation ---
+
+// Checks the SBOL3 rules that need no network access. Returns [{ severity, message }] where
+// severity is 'error' (document is invalid SBOL3) or 'warning' (best practice / unresolvable).
+export const validateSbolDocument = (doc) => {
+    const issues = [];
+    const error = (message) => issues.push({ severity: 'error', message });
+    const warning = (message) => issues.push({ severity: 'warning', message });
+
+    // Parent of each child object, derived from the child-owning predicates.
+    const parents = new Map();
+    doc.forEach(object => {
+        CHILD_PREDICATES.forEach(predicate => values(object, predicate).forEach(value => {
+            if (value.iri) parents.set(value.iri, object);
+        }));
+    });
+
+    doc.forEach(object => {
+        const label = object.uri;
+        if (!object.type || !object.type.startsWith(SBOL)) {
+            if (!parents.has(object.uri)) warning(`${label}: not an SBOL3 object (type ${object.type || 'missing'}); ignored.`);
+            return;
+        }
+        const kind = typeName(object);
+
+        // Identity rules.
+        const displayId = firstLiteral(object, P.displayId);
+        if (displayId === undefined) {
+            (TOP_LEVEL_TYPES.includes(kind) ? error : warning)(`${label}: ${kind} has no displayId.`);
+        } else if (!DISPLAY_ID_PATTERN.test(displayId)) {
+            error(`${label}: displayId "${displayId}" must start with a letter or underscore and contain only letters, digits and underscores.`);
+        }
+        if (TOP_LEVEL_TYPES.includes(kind)) {
+            const namespace = firstIri(object, P.hasNamespace);
+            if (!namespace) {
+                error(`${label}: top-level ${kind} has no hasNamespace.`);
+            } else if (displayId !== undefined && object.uri !== `${namespace}/${displayId}`) {
+                error(`${label}: top-level IRI must be namespace + "/" + displayId (${namespace}/${displayId}).`);
+            }
+        } else {
+            const parent = parents.get(object.uri);
+            if (!parent) {
+                error(`${label}: ${kind} is not owned by any parent object.`);
+            } else if (displayId !== undefined && object.uri !== `${parent.uri}/${displayId}`) {
+                error(`${label}: child IRI must be parent IRI + "/" + displayId.`);
+            }
+        }
+
+        // Class-specific rules.
+        if (kind === 'Component') {
+            if (values(object, P.sbolType).length === 0) error(`${label}: Component must have at least one type.`);
+            values(object, P.hasSequence).forEach(value => {
+                const sequence = doc.get(value.iri);
+                if (!sequence) warning(`${label}: sequence ${value.iri} is not in this document.`);
+                else if (typeName(sequence) !== 'Sequence') error(`${label}: hasSequence must reference a Sequence.`);
+            });
+            values(object, P.hasConstraint).forEach(value => {
+                const constraint = doc.get(value.iri);
+                if (!constraint) return;
+                const features = new Set(values(object, P.hasFeature).map(feature => feature.iri));
+                [P.subject, P.object].forEach(predicate => {
+                    const target = firstIri(constraint, predicate);
+                    if (!target) error(`${constraint.uri}: Constraint is missing its ${predicate === P.subject ? 'subject' : 'object'}.`);
+                    else if (!features.has(target)) error(`${constraint.uri}: Constraint must refer to features of its own Component.`);
+                });
+                if (firstIri(constraint, P.subject) && firstIri(constraint, P.subject) === firstIri(constraint, P.object)) {
+                    error(`${constraint.uri}: Constraint subject and object must differ.`);
+                }
+                if (!firstIri(constraint, P.restriction)) error(`${constraint.uri}: Constraint has no restriction.`);
+            });
+        } else if (kind === 'Sequence') {
+            const elements = firstLiteral(object, P.elements);
+            if (elements !== undefined && !firstIri(object, P.encoding)) {
+                error(`${label}: Sequence with elements must have an encoding.`);
+            }
+            if (elements !== undefined && firstIri(object, P.encoding) === IUPAC_ENCODING) {
+                const invalid = findInvalidCharacters(elements.replace(/\s/g, '').toUpperCase());
+                if (invalid.length > 0) error(`${label}: invalid IUPAC character '${invalid[0].char}' at ${invalid[0].position}.`);
+            }
+        } else if (kind === 'SubComponent') {
+            const instances = values(object, P.instanceOf);
+            const parent = parents.get(object.uri);
+            if (instances.length !== 1) error(`${label}: SubComponent must have exactly one instanceOf.`);
+            else if (parent && instances[0].iri === parent.uri) error(`${label}: SubComponent cannot be an instance of its own Component.`);
+            else if (!doc.has(instances[0].iri)) warning(`${label}: instanceOf ${instances[0].iri} is not in this document.`);
+        } else if (kind === 'Range' || kind === 'Cut' || kind === 'EntireSequence') {
+            const sequenceIri = firstIri(object, P.hasSequence);
+            const feature = parents.get(object.uri);
+            const component = feature && parents.get(feature.uri);
+            if (!sequenceIri) {
+                error(`${label}: Location must have a hasSequence.`);
+            } else if (component && !values(component, P.hasSequence).some(value => value.iri === sequenceIri)) {
+                error(`${label}: Location sequence must be one of its Component's sequences.`);
+            }
+            if (kind === 'Range') {
+                const start = Number(firstLiteral(object, P.start));
+                const end = Number(firstLiteral(object, P.end));
+                if (!(start >= 1)) error(`${label}: Range start must be at least 1.`);
+                if (!(end >= start)) error(`${label}: Range end must not be before its start.`);
+                const sequence = sequenceIri && doc.get(sequenceIri);
+                const elements = sequence && firstLiteral(sequence, P.elements);
+                if (elements !== undefined && end > elements.length) error(`${label}: Range end ${end} is beyond the sequence length ${elements.length}.`);
+            }
+        }
+    });
+
+    return issues;
+};
+
+// --- SBOL -> Design ---
+
+// Maps a role IRI back to an element type (CDS defaults to Gene).
+const elementTypeForRole = (roleIri) => {
+    if (roleIri === SO('0000704')) return 'Gene'; // gene
+    const match = Object.entries(ELEMENT_ROLES).find(([, role]) => role === roleIri);
+    return match ? match[0] : 'Linker';
+};
+
+// Converts a parsed SBOL3 document into DNA Editor elements. The root is the Component that
+// owns SubComponents and is not itself used as a SubComponent elsewhere.
+export const sbolToDesign = (doc) => {
+    const components = objectsOfType(doc, 'Component');
+    const usedAsInstance = new Set(objectsOfType(doc, 'SubComponent').map(sub => firstIri(sub, P.instanceOf)));
+    const root = components.find(component => !usedAsInstance.has(component.uri) &&
+        values(component, P.hasFeature).some(value => doc.get(value.iri) && typeName(doc.get(value.iri)) === 'SubComponent'))
+        || components.find(component => !usedAsInstance.has(component.uri))
+        || components[0];
+    if (!root) throw new Error('The SBOL document contains no Component.');
+
+    const sequenceOf = (component) => {
+        const sequence = doc.get(firstIri(component, P.hasSequence));
+        const elements = sequence && firstLiteral(sequence, P.elements);
+        return elements ? elements.replace(/\s/g, '').toUpperCase() : '';
+    };
+    const rangeOf = (feature) => {
+        const location = doc.get(firstIri(feature, P.hasLocation));
+        if (!location || typeName(location) !== 'Range') return null;
+        return {
+            start: Number(firstLiteral(location, P.start)),
+            end: Number(firstLiteral(location, P.end)),
+            orientation: firstIri(location, P.orientation) === ORIENTATIONS.reverse ? 'reverse' : 'forward',
+        };
+    };
+    const annotationType = (roleIri) => {
+        const match = Object.entries(ANNOTATION_ROLES).find(([, role]) => role === roleIri);
+        return match ? match[0] : 'misc_feature';
+    };
+    const nameOf = (object) => firstLiteral(object, P.name) || firstLiteral(object, P.displayId) || 'Unnamed';
+
+    const rootSequence = sequenceOf(root);
+    const features = values(root, P.hasFeature).map(value => doc.get(value.iri)).filter(Boolean);
+    const subComponents = features.filter(feature => typeName(feature) === 'SubComponent');
+    const topology = values(root, P.sbolType).some(value => value.iri === TOPOLOGY_TYPES.circular) ? 'circular' : 'linear';
+
+    // No SubComponents: treat SequenceFeatures on the root as annotated regions.
+    if (subComponents.length === 0) {
+        const regions = features.map(feature => ({ feature, range: rangeOf(feature) }))
+            .filter(({ range }) => range)
+            .map(({ feature, range }) => ({ ...range, name: nameOf(feature), type: elementTypeForRole(firstIri(feature, P.role)) }));
+        return { name: nameOf(root), topology, elements: elementsFromAnnotatedSequence(rootSequence, regions) };
+    }
+
+    // Order SubComponents by location; otherwise follow `precedes` constraints (a topological sort
+    // that keeps document order among unconstrained features), falling back to document order on cycles.
+    const rangesKnown = subComponents.every(sub => rangeOf(sub));
+    let sorted;
+    if (rangesKnown) {
+        sorted = [...subComponents].sort((a, b) => rangeOf(a).start - rangeOf(b).start);
+    } else {
+        const incoming = new Map(subComponents.map(sub => [sub.uri, 0]));
+        const successors = new Map(subComponents.map(sub => [sub.uri, []]));
+        values(root, P.hasConstraint).map(value => doc.get(value.iri)).filter(Boolean).forEach(constraint => {
+            const subject = firstIri(constraint, P.subject);
+            const object = firstIri(constraint, P.object);
+            if (firstIri(constraint, P.restriction) !== `${SBOL}precedes` || !incoming.has(subject) || !incoming.has(object)) return;
+            successors.get(subject).push(object);
+            incoming.set(object, incoming.get(object) + 1);
+        });
+        sorted = [];
+        const ready = subComponents.filter(sub => incoming.get(sub.uri) === 0);
+        while (ready.length > 0) {
+            const next = ready.shift();
+            sorted.push(next);
+            successors.get(next.uri).forEach(uri => {
+                incoming.set(uri, incoming.get(uri) - 1);
+                if (incoming.get(uri) === 0) ready.push(doc.get(uri));
+            });
+        }
+        if (sorted.length !== subComponents.length) sorted = subComponents;
+    }
+
+    const elements = sorted.map(sub => {
+        const part = doc.get(firstIri(sub, P.instanceOf));
+        const range = rangeOf(sub);
+        let sequence = part ? sequenceOf(part) : '';
+        // Fall back to the slice of the construct sequence, read as the part reads.
+        if (!sequence && range && rootSequence) {
+            const slice = rootSequence.slice(range.start - 1, range.end);
+            sequence = range.orientation === 'reverse' ? reverseComplement(slice) : slice;
+        }
+        const type = (part && firstLiteral(part, P.elementType)) || elementTypeForRole(part && firstIri(part, P.role));
+        const annotations = part
+            ? values(part, P.hasFeature).map(value => doc.get(value.iri)).filter(Boolean)
+                .map(feature => ({ feature, range: rangeOf(feature) }))
+                .filter(({ range: annotationRange }) => annotationRange)
+                .map(({ feature, range: annotationRange }) => ({
+                    name: nameOf(feature),
+                    type: annotationType(firstIri(feature, P.role)),
+                    start: annotationRange.start,
+                    end: annotationRange.end,
+                }))
+            : [];
+        return createElement(type, part ? nameOf(part) : nameOf(sub), {
+            sequence,
+            orientation: range ? range.orientation : 'forward',
+            annotations,
+        });
+    });
+
+    return { name: nameOf(root), topology, elements };
+};
@@ -0,0 +1,207 @@
+import * as THREE from 'three';
+import { STLExporter } from 'three/examples/jsm/exporters/STLExporter.js';
+import { OBJExporter } from 'three/examples/jsm/exporters/OBJExporter.js';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { mergeGeometries, mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+
+// --- 3D Scene Export ---
+// Writes the 3D viewer's meshes as STL (binary or ASCII), OBJ, glTF or GLB. Every mesh is baked
+// into world space first (each instanced mesh into one mesh holding all its instances), so the
+// file matches what the viewer shows regardless of how the scene graph is nested.
+//
+// Scene units are nanometres. 'nm' writes coordinates in nm; 'mm' writes a printable model at
+// `mmPerNm` millimetres per nanometre (1 mm/nm by default, i.e. a 10^6x magnification).
+
+export const MODEL_FORMATS = {
+    'STL (binary)': { extension: 'stl', mimeType: 'model/stl' },
+    'STL (ASCII)': { extension: 'stl', mimeType: 'model/stl' },
+    OBJ: { extension: 'obj', mimeType: 'model/obj' },
+    glTF: { extension: 'gltf', mimeType: 'model/gltf+json' },
+    GLB: { extension: 'glb', mimeType: 'model/gltf-binary' },
+};
+
+export const MODEL_UNITS = {
+    nm: 'Nanometres (as modelled)',
+    mm: 'Millimetres (for printing)',
+};
+
+// Vertices closer than this (in output units) are welded when merging.
+const WELD_TOLERANCE = 1e-4;
+
+// Copies a geometry keeping only what every exporter understands, transformed by `matrix`.
+// Mirroring transforms (negative determinant) would turn the faces inside out, so their
+// triangle winding is reversed to keep normals pointing outwards.
+const bakeGeometry = (geometry, matrix) => {
+    const baked = new THREE.BufferGeometry();
+    baked.setAttribute('position', geometry.getAttribute('position').clone());
+    if (geometry.getAttribute('normal')) {
+        baked.setAttribute('normal', geometry.getAttribute('normal').clone());
+    }
+    if (geometry.index) {
+        baked.setIndex(geometry.index.clone());
+    }
+    baked.applyMatrix4(matrix);
+
+    if (matrix.determinant() < 0) {
+        const flipped = baked.index ? baked : baked.toNonIndexed();
+        if (!flipped.index) {
+            flipped.setIndex([...Array(flipped.getAttribute('position').count).keys()]);
+        }
+        const index = flipped.index.array;
+        for (let i = 0; i < index.length; i += 3) {
+            [index[i + 1], index[i + 2]] = [index[i + 2], index[i + 1]];
+        }
+        return flipped;
+    }
+    return baked;
+};
+
+// Bakes every instance of an InstancedMesh into one geometry, transformed by `worldMatrix` and
+// the instance's matrix. Vertices are written straight into buffers sized for all instances, so a
+// plasmid-sized helix doesn't become thousands of separate meshes. Mirrored instances get their
+// winding reversed, as in bakeGeometry.
+const bakeInstances = (object, worldMatrix) => {
+    const { geometry, count } = object;
+    const position = geometry.getAttribute('position');
+    const normal = geometry.getAttribute('normal');
+    const vertexCount = position.count;
+    const sourceIndex = geometry.index ? geometry.index.array : [...Array(vertexCount).keys()];
+    const positions = new Float32Array(count * vertexCount * 3);
+    const normals = normal ? new Float32Array(count * vertexCount * 3) : null;
+    const index = new Uint32Array(count * sourceIndex.length);
+    const matrix = new THREE.Matrix4();
+    const normalMatrix = new THREE.Matrix3();
+    const vertex = new THREE.Vector3();
+
+    for (let i = 0; i < count; i++) {
+        object.getMatrixAt(i, matrix);
+        matrix.premultiply(worldMatrix);
+        normalMatrix.getNormalMatrix(matrix);
+        const firstVertex = i * vertexCount;
+        for (let j = 0; j < vertexCount; j++) {
+            vertex.fromBufferAttribute(position, j).applyMatrix4(matrix).toArray(positions, (firstVertex + j) * 3);
+            if (normals) {
+                vertex.fromBufferAttribute(normal, j).applyMatrix3(normalMatrix).normalize().toArray(normals, (firstVertex + j) * 3);
+            }
+        }
+        const mirrored = matrix.determinant() < 0;
+        const offset = i * sourceIndex.length;
+        for (let k = 0; k + 2 < sourceIndex.length; k += 3) {
+            index[offset + k] = firstVertex + sourceIndex[k];
+            index[offset + k + 1] = firstVertex + sourceIndex[mirrored ? k + 2 : k + 1];
+            index[offset + k + 2] = firstVertex + sourceIndex[mirrored ? k + 1 : k + 2];
+        }
+    }
+
+    const baked = new THREE.BufferGeometry();
+    baked.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    if (normals) baked.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    baked.setIndex(new THREE.BufferAttribute(index, 1));
+    return baked;
+};
+
+// Collects world-space copies of every visible mesh as { geometry, material, name }. Level-of-
+// detail objects always export their most detailed level, whatever the camera last showed, and
+// groups flagged userData.excludeFromExport (viewer overlays) are skipped.
+const collectMeshes = (scene, scale) => {
+    scene.updateMatrixWorld(true);
+    const scaleMatrix = new THREE.Matrix4().makeScale(scale, scale, scale);
+    const meshes = [];
+
+    const addMesh = (object) => {
+        const material = Array.isArray(object.material) ? object.material[0] : object.material;
+        const worldMatrix = new THREE.Matrix4().multiplyMatrices(scaleMatrix, object.matrixWorld);
+        if (object.isInstancedMesh) {
+            if (object.count > 0) {
+                meshes.push({ geometry: bakeInstances(object, worldMatrix), material, name: object.name || 'instances' });
+            }
+        } else {
+            meshes.push({ geometry: bakeGeometry(object.geometry, worldMatrix), material, name: object.name });
+        }
+    };
+
+    // `forceVisible` is set inside an LOD's first level, which the LOD itself may have hidden.
+    const visit = (object, forceVisible) => {
+        if ((!object.visible && !forceVisible) || object.userData.excludeFromExport) return;
+        if (object.isMesh && object.geometry.getAttribute('position')) {
+            addMesh(object);
+        }
+        if (object.isLOD) {
+            if (object.levels.length > 0) visit(object.levels[0].object, true);
+            return;
+        }
+        object.children.forEach(child => visit(child, forceVisible));
+    };
+    visit(scene, false);
+    return meshes;
+};
+
+// Builds the object handed to the exporters: either one mesh per scene mesh (keeping materials,
+// for OBJ/glTF colours) or, with `merge`, a single mesh whose coincident vertices are welded so
+// touching parts share edges. Overlapping parts are not boolean-unioned; slicers treat the
+// result as overlapping shells.
+export const buildExportObject = (scene, { units = 'nm', mmPerNm = 1, merge = false } = {}) => {
+    const scale = units === 'mm' ? mmPerNm : 1;
+    const meshes = collectMeshes(scene, scale);
+    if (meshes.length === 0) {
+        throw new Error('The 3D viewer has nothing to export.');
+    }
+
+    if (merge) {
+        // Welding needs identical attribute sets, so merge positions only and recompute normals.
+        const positionsOnly = meshes.map(({ geometry }) => {
+            const plain = geometry.index ? geometry.toNonIndexed() : geometry;
+            const positions = new THREE.BufferGeometry();
+            positions.setAttribute('position', plain.getAttribute('position'));
+            return positions;
+        });
+        const welded = mergeVertices(mergeGeometries(positionsOnly), WELD_TOLERANCE);
+        welded.computeVertexNormals();
+        const mesh = new THREE.Mesh(welded, new THREE.MeshStandardMaterial({ color: 0xb0b0b0 }));
+        mesh.name = 'BioSynth_model';
+        return mesh;
+    }
+
+    const group = new THREE.Group();
+    group.name = 'BioSynth_model';
+    meshes.forEach(({ geometry, material, name }, index) => {
+        if (!geometry.getAttribute('normal')) geometry.computeVertexNormals();
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.name = name || `part_${index + 1}`;
+        group.add(mesh);
+    });
+    return group;
+};
+
+// Exports the scene in one of MODEL_FORMATS. Resolves to { content, extension, mimeType } where
+// content is a string (ASCII STL, OBJ, glTF) or an ArrayBuffer/DataView (binary STL, GLB).
+export const exportScene = async (scene, format, options = {}) => {
+    const formatInfo = MODEL_FORMATS[format];
+    if (!formatInfo) {
+        throw new Error(`Unknown 3D format '${format}'.`);
+    }
+    const object = buildExportObject(scene, options);
+
+    let content;
+    switch (format) {
+        case 'STL (binary)':
+            content = new STLExporter().parse(object, { binary: true });
+            break;
+        case 'STL (ASCII)':
+            content = new STLExporter().parse(object, { binary: false });
+            break;
+        case 'OBJ':
+            content = new OBJExporter().parse(object);
+            break;
+        case 'glTF':
+            content = JSON.stringify(await new GLTFExporter().parseAsync(object, { binary: false }), null, 2);
+            break;
+        default:
+            content = await new GLTFExporter().parseAsync(object, { binary: true });
+    }
+
+    object.traverse(child => {
+        if (child.isMesh) child.geometry.dispose();
+    });
+    return { content, ...formatInfo };
+};
@@ -0,0 +1,86 @@
+// --- Sequence Utilities ---
+// Small, dependency-free helpers for cleaning, validating and manipulating
+// DNA sequences. Shared by the CRISPR scanner and the other sequence tools.
+
+// Complement table covering the full IUPAC nucleotide alphabet.
+const COMPLEMENT = {
+    A: 'T', C: 'G', G: 'C', T: 'A', U: 'A',
+    R: 'Y', Y: 'R', S: 'S', W: 'W', K: 'M', M: 'K',
+    B: 'V', D: 'H', H: 'D', V: 'B', N: 'N',
+};
+
+// Which concrete bases each IUPAC code stands for.
+export const IUPAC_CODES = {
+    A: 'A', C: 'C', G: 'G', T: 'T', U: 'T',
+    R: 'AG', Y: 'CT', S: 'CG', W: 'AT', K: 'GT', M: 'AC',
+    B: 'CGT', D: 'AGT', H: 'ACT', V: 'ACG', N: 'ACGT',
+};
+
+// Strips FASTA header/comment lines, whitespace and digits (as found in
+// GenBank ORIGIN blocks) and upper-cases the remainder.
+export const cleanSequence = (raw) => {
+    if (!raw) return '';
+    return raw
+        .split(/\r?\n/)
+        .filter(line => !line.startsWith('>') && !line.startsWith(';'))
+        .join('')
+        .replace(/[\s\d]/g, '')
+        .toUpperCase();
+};
+
+// Checks that every character is a valid IUPAC nucleotide code.
+// Returns a list of { char, position } for each offending character (1-based positions).
+export const findInvalidCharacters = (sequence) => {
+    const invalid = [];
+    for (let i = 0; i < sequence.length; i++) {
+        if (!IUPAC_CODES[sequence[i]]) {
+            invalid.push({ char: sequence[i], position: i + 1 });
+        }
+    }
+    return invalid;
+};
+
+// Returns the reverse complement of a sequence, preserving IUPAC ambiguity codes.
+export const reverseComplement = (sequence) => {
+    let result = '';
+    for (let i = sequence.length - 1; i >= 0; i--) {
+        result += COMPLEMENT[sequence[i]] || 'N';
+    }
+    return result;
+};
+
+// True if the concrete base `base` is allowed by the IUPAC code `code`.
+export const iupacMatches = (code, base) => {
+    const allowed = IUPAC_CODES[code];
+    return Boolean(allowed) && base.length === 1 && allowed.includes(base);
+};
+
+// Fraction (0-1) of G/C bases in a sequence.
+export const gcContent = (sequence) => {
+    if (!sequence.length) return 0;
+    let gc = 0;
+    for (const base of sequence) {
+        if (base === 'G' || base === 'C' || base === 'S') gc++;
+    }
+    return gc / sequence.length;
+};
+
+// Standard genetic code (NCBI table 1): codon -> one-letter amino acid, '*' for stop.
+export const GENETIC_CODE = (() => {
+    const bases = 'TCAG';
+    const aminoAcids = 'FFLLSSSSYY**CC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG';
+    const code = {};
+    let index = 0;
+    for (const first of bases) {
+        for (const second of bases) {
+            for (const third of bases) code[first + second + third] = aminoAcids[index++];
+        }
+    }
+    return code;
+})();
+
+// Codons for each amino acid (and '*'), in GENETIC_CODE order.
+export const SYNONYMOUS_CODONS = Object.entries(GENETIC_CODE).reduce((codons, [codon, aminoAcid]) => {
+    (codons[aminoAcid] = codons[aminoAcid] || []).push(codon);
+    return codons;
+}, {});
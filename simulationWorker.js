@@ -0,0 +1,32 @@
+/* global globalThis */
+import { runSimulation } from './organoidSimulation';
+
+// --- Organoid Simulation Worker ---
+// Runs organoid growth simulations off the main thread, streaming each time step back as it
+// is computed so the timeline fills in while the run is going. A new run is started by
+// terminating the worker, so a run never has to be interrupted from the inside.
+//
+// Messages in:
+//   { type: 'run', requestId, organoid, simulation, expression }
+// Messages out:
+//   { type: 'frame', requestId, frame, stats }   (the frame's buffer is transferred)
+//   { type: 'complete', requestId }
+//   { type: 'error', requestId, message }
+
+const handlers = {
+    run: ({ requestId, organoid, simulation, expression }) => {
+        runSimulation(organoid, simulation, expression, (frame, stats) => {
+            postMessage({ type: 'frame', requestId, frame, stats }, [frame.buffer]);
+        });
+        postMessage({ type: 'complete', requestId });
+    },
+};
+
+globalThis.onmessage = (event) => {
+    const message = event.data;
+    try {
+        handlers[message.type](message);
+    } catch (error) {
+        postMessage({ type: 'error', requestId: message.requestId, message: error.message });
+    }
+};
@@ -0,0 +1,107 @@
+import { ParseError } from './parseError';
+
+// --- SnapGene (.dna) Reading ---
+// SnapGene files are a series of packets: a 1-byte type, a 4-byte big-endian length, then the data.
+// Packet 9 is the 'SnapGene' cookie that opens every file, packet 0 holds the DNA (a flags byte,
+// bit 0 = circular, followed by ASCII bases) and packet 10 holds the features as XML.
+// Everything else (primers, history, notes) is skipped.
+
+const COOKIE_PACKET = 9;
+const DNA_PACKET = 0;
+const FEATURES_PACKET = 10;
+
+// True if the buffer starts with the SnapGene cookie packet.
+export const isSnapGeneFile = (buffer) => {
+    const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 13));
+    return bytes.length === 13 && bytes[0] === COOKIE_PACKET &&
+        String.fromCharCode(...bytes.slice(5, 13)) === 'SnapGene';
+};
+
+// Reads the features XML into { name, type, ranges, start, end, orientation } features. Segments
+// that wrap the origin of a circular sequence (start > end) are split in two.
+const parseFeaturesXml = (xml, sequenceLength) => {
+    const xmlDocument = new DOMParser().parseFromString(xml, 'application/xml');
+    if (xmlDocument.getElementsByTagName('parsererror').length > 0) {
+        throw new ParseError('The features packet is not well-formed XML');
+    }
+    return Array.from(xmlDocument.getElementsByTagName('Feature')).map(featureNode => {
+        // directionality: 1 = forward, 2 = reverse, 0/3 = none/both.
+        const orientation = featureNode.getAttribute('directionality') === '2' ? 'reverse' : 'forward';
+        const ranges = [];
+        Array.from(featureNode.getElementsByTagName('Segment'))
+            .filter(segment => segment.getAttribute('type') !== 'gap')
+            .forEach(segment => {
+                const [start, end] = (segment.getAttribute('range') || '').split('-').map(Number);
+                if (!(start >= 1) || !(end >= 1) || start > sequenceLength || end > sequenceLength) {
+                    throw new ParseError(`Feature '${featureNode.getAttribute('name')}' has an invalid range '${segment.getAttribute('range')}'`);
+                }
+                if (start <= end) {
+                    ranges.push({ start, end, orientation });
+                } else {
+                    ranges.push({ start, end: sequenceLength, orientation }, { start: 1, end, orientation });
+                }
+            });
+        if (orientation === 'reverse') ranges.reverse();
+        const qualifiers = {};
+        Array.from(featureNode.getElementsByTagName('Q')).forEach(qualifier => {
+            const value = qualifier.getElementsByTagName('V')[0];
+            if (value) {
+                qualifiers[qualifier.getAttribute('name')] = value.getAttribute('text') || value.getAttribute('int') || value.textContent;
+            }
+        });
+        return {
+            key: featureNode.getAttribute('type') || 'misc_feature',
+            qualifiers: { label: featureNode.getAttribute('name') || 'Unnamed', ...qualifiers },
+            ranges,
+            start: Math.min(...ranges.map(range => range.start)),
+            end: Math.max(...ranges.map(range => range.end)),
+            orientation,
+        };
+    }).filter(feature => feature.ranges.length > 0);
+};
+
+// Parses a SnapGene file (ArrayBuffer) into { topology, sequence, features }, with features shaped
+// like parseGenBank's so both can share the conversion to elements.
+export const parseSnapGene = (buffer) => {
+    if (!isSnapGeneFile(buffer)) {
+        throw new ParseError('Not a SnapGene file (missing the SnapGene header)');
+    }
+    const view = new DataView(buffer);
+    let offset = 0;
+    let sequence = null;
+    let topology = 'linear';
+    let featuresXml = null;
+
+    while (offset < buffer.byteLength) {
+        if (offset + 5 > buffer.byteLength) {
+            throw new ParseError(`Truncated packet header at byte ${offset}`);
+        }
+        const type = view.getUint8(offset);
+        const length = view.getUint32(offset + 1);
+        const dataStart = offset + 5;
+        if (dataStart + length > buffer.byteLength) {
+            throw new ParseError(`Packet ${type} at byte ${offset} runs past the end of the file`);
+        }
+        const data = new Uint8Array(buffer, dataStart, length);
+        if (type === DNA_PACKET) {
+            topology = data[0] & 1 ? 'circular' : 'linear';
+            sequence = new TextDecoder('ascii').decode(data.slice(1)).toUpperCase();
+        } else if (type === FEATURES_PACKET) {
+            featuresXml = new TextDecoder('utf-8').decode(data);
+        }
+        offset = dataStart + length;
+    }
+
+    if (sequence === null) {
+        throw new ParseError('The file has no DNA sequence (protein and RNA files are not supported)');
+    }
+    const invalid = /[^ACGTRYSWKMBDHVN]/.exec(sequence);
+    if (invalid) {
+        throw new ParseError(`Invalid sequence character '${invalid[0]}' at position ${invalid.index + 1}`);
+    }
+    return {
+        topology,
+        sequence,
+        features: featuresXml ? parseFeaturesXml(featuresXml, sequence.length) : [],
+    };
+};
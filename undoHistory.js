@@ -0,0 +1,66 @@
+import { useState, useRef, useCallback } from 'react';
+
+// --- Undo History ---
+// useUndoableState works like useState but keeps past and future values for undo/redo.
+// Calls that pass the same `mergeKey` within `mergeWindowMs` of each other collapse into one
+// history entry, so typing into a field undoes as a single step rather than per keystroke.
+//
+// Returns [value, setValue(nextOrUpdater, { mergeKey }), { undo, redo, reset, canUndo, canRedo }].
+
+export const useUndoableState = (initialValue, { limit = 100, mergeWindowMs = 1000 } = {}) => {
+    const [history, setHistory] = useState(() => ({
+        past: [],
+        present: typeof initialValue === 'function' ? initialValue() : initialValue,
+        future: [],
+    }));
+    // Key and time of the last recorded change, for merging.
+    const lastChangeRef = useRef({ key: null, time: 0 });
+
+    const setValue = useCallback((valueOrUpdater, { mergeKey = null } = {}) => {
+        const now = Date.now();
+        const last = lastChangeRef.current;
+        const merge = mergeKey !== null && last.key === mergeKey && now - last.time < mergeWindowMs;
+        lastChangeRef.current = { key: mergeKey, time: now };
+        setHistory(current => {
+            const next = typeof valueOrUpdater === 'function' ? valueOrUpdater(current.present) : valueOrUpdater;
+            if (Object.is(next, current.present)) return current;
+            return {
+                past: merge ? current.past : [...current.past, current.present].slice(-limit),
+                present: next,
+                future: [],
+            };
+        });
+    }, [limit, mergeWindowMs]);
+
+    const undo = useCallback(() => {
+        lastChangeRef.current = { key: null, time: 0 };
+        setHistory(current => (current.past.length === 0 ? current : {
+            past: current.past.slice(0, -1),
+            present: current.past[current.past.length - 1],
+            future: [current.present, ...current.future],
+        }));
+    }, []);
+
+    const redo = useCallback(() => {
+        lastChangeRef.current = { key: null, time: 0 };
+        setHistory(current => (current.future.length === 0 ? current : {
+            past: [...current.past, current.present],
+            present: current.future[0],
+            future: current.future.slice(1),
+        }));
+    }, []);
+
+    // Replaces the value and forgets the history (e.g. when another project is opened).
+    const reset = useCallback((value) => {
+        lastChangeRef.current = { key: null, time: 0 };
+        setHistory({ past: [], present: value, future: [] });
+    }, []);
+
+    return [history.present, setValue, {
+        undo,
+        redo,
+        reset,
+        canUndo: history.past.length > 0,
+        canRedo: history.future.length > 0,
+    }];
+};